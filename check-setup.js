@@ -196,8 +196,8 @@ function printSummary(results) {
     console.log('\nNext steps:');
     console.log('1. Start Hardhat node:              node hardhat-node.js');
     console.log('2. Run tests:                       node run-tests.js');
-    console.log('3. Deploy locally (for testing):    node deploy.js (select option 1)');
-    console.log('4. Deploy to Mumbai (production):   node deploy.js (select option 2)');
+    console.log('3. Deploy locally (for testing):    node deploy.js --network localhost');
+    console.log('4. Deploy to Mumbai (production):   node deploy.js --network polygonMumbai');
   } else {
     console.log(`${colors.yellow}⚠ Some checks failed. Fix the issues above before proceeding.${colors.reset}`);
   }
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./interfaces/IArcadeCredits.sol";
+import "./interfaces/IArcadeManager.sol";
+
+/**
+ * @title ArcadeCredits
+ * @dev ERC-20 view over ArcadeManager credits so wallets and explorers can show them.
+ * Balances are read from ArcadeManager; once attached with setCreditsToken, ArcadeManager
+ * calls emitTransfer on every deposit, spend, award, withdrawal and transfer.
+ * transfer / approve / transferFrom go through ArcadeManager, so they follow its
+ * transfer toggle, pause flag and allowances. Credits held by pending withdrawal
+ * requests and the jackpot pool are shown as the ArcadeManager's own balance.
+ */
+contract ArcadeCredits is IERC20, IERC20Metadata, IArcadeCredits {
+    IArcadeManager public immutable arcadeManager;
+    
+    string private _name;
+    string private _symbol;
+    
+    /**
+     * @dev Constructor
+     * @param _arcadeManager ArcadeManager whose credits this token shows
+     * @param name_ Token name shown by wallets
+     * @param symbol_ Token symbol shown by wallets
+     */
+    constructor(address _arcadeManager, string memory name_, string memory symbol_) {
+        require(_arcadeManager != address(0), "ArcadeManager address cannot be zero");
+        arcadeManager = IArcadeManager(_arcadeManager);
+        _name = name_;
+        _symbol = symbol_;
+    }
+    
+    modifier onlyArcadeManager() {
+        require(msg.sender == address(arcadeManager), "Only ArcadeManager");
+        _;
+    }
+    
+    function name() external view returns (string memory) {
+        return _name;
+    }
+    
+    function symbol() external view returns (string memory) {
+        return _symbol;
+    }
+    
+    function decimals() external view returns (uint8) {
+        return arcadeManager.CREDIT_DECIMALS();
+    }
+    
+    /**
+     * @dev Outstanding credits, including those held by pending withdrawal requests and the jackpot
+     */
+    function totalSupply() external view returns (uint256) {
+        return arcadeManager.totalCredits();
+    }
+    
+    function balanceOf(address account) external view returns (uint256) {
+        if (account == address(arcadeManager)) {
+            return arcadeManager.heldCredits() + arcadeManager.jackpotPool();
+        }
+        return arcadeManager.userCredits(account);
+    }
+    
+    function allowance(address owner, address spender) external view returns (uint256) {
+        return arcadeManager.creditAllowance(owner, spender);
+    }
+    
+    /**
+     * @dev Same as ArcadeManager.transferCredits; reverts while transfers are disabled or paused
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        arcadeManager.transferCreditsByToken(msg.sender, msg.sender, to, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Same as ArcadeManager.approveCredits
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        arcadeManager.approveCreditsByToken(msg.sender, spender, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Same as ArcadeManager.transferCreditsFrom
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        arcadeManager.transferCreditsByToken(msg.sender, from, to, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Called by ArcadeManager whenever credits move
+     */
+    function emitTransfer(address from, address to, uint256 amount) external onlyArcadeManager {
+        emit Transfer(from, to, amount);
+    }
+    
+    /**
+     * @dev Called by ArcadeManager whenever an allowance is set
+     */
+    function emitApproval(address owner, address spender, uint256 amount) external onlyArcadeManager {
+        emit Approval(owner, spender, amount);
+    }
+}
@@ -0,0 +1,505 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./ArcadeManagerStorage.sol";
+
+/**
+ * @title ArcadeManagerAdmin
+ * @dev Admin, treasurer and pauser functions of ArcadeManager. ArcadeManagerCore
+ * deploys one instance and forwards these calls to it with delegatecall, so they
+ * run against the arcade's own storage and roles. Calling this contract directly
+ * does nothing useful: no role is ever granted in its own storage.
+ */
+contract ArcadeManagerAdmin is ArcadeManagerStorage {
+    /**
+     * @dev Update the conversion rates (admin only)
+     * @param newDepositRate Credits received per whole BULL token on deposit
+     * @param newWithdrawalRate Credits required per whole BULL token on withdrawal
+     */
+    function setRates(uint256 newDepositRate, uint256 newWithdrawalRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRates(newDepositRate, newWithdrawalRate);
+    }
+    
+    /**
+     * @dev Accept another ERC-20 token for deposits and withdrawals (admin only)
+     * @param token Address of the token contract
+     * @param newDepositRate Credits received per whole token on deposit
+     * @param newWithdrawalRate Credits required per whole token on withdrawal
+     */
+    function addToken(address token, uint256 newDepositRate, uint256 newWithdrawalRate)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(token != address(0), "Token address cannot be zero");
+        require(token != address(bullToken) && tokenConfigs[token].unit == 0, "Token already accepted");
+        require(extraTokens.length < MAX_EXTRA_TOKENS, "Too many tokens");
+        _checkRates(newDepositRate, newWithdrawalRate);
+        
+        uint256 unit = 10 ** IERC20Metadata(token).decimals();
+        tokenConfigs[token] = TokenConfig(unit, newDepositRate, newWithdrawalRate);
+        extraTokens.push(token);
+        
+        emit TokenAdded(token, newDepositRate, newWithdrawalRate);
+    }
+    
+    /**
+     * @dev Update the conversion rates of an accepted token (admin only).
+     * For BULL this is the same as setRates.
+     * @param token Address of the token
+     * @param newDepositRate Credits received per whole token on deposit
+     * @param newWithdrawalRate Credits required per whole token on withdrawal
+     */
+    function setTokenRates(address token, uint256 newDepositRate, uint256 newWithdrawalRate)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (token == address(bullToken)) {
+            _setRates(newDepositRate, newWithdrawalRate);
+        } else {
+            require(tokenConfigs[token].unit != 0, "Token not accepted");
+            _checkRates(newDepositRate, newWithdrawalRate);
+            tokenConfigs[token].depositRate = newDepositRate;
+            tokenConfigs[token].withdrawalRate = newWithdrawalRate;
+        }
+        
+        emit TokenRatesChanged(token, newDepositRate, newWithdrawalRate);
+    }
+    
+    /**
+     * @dev Stop accepting a token other than BULL (admin only). Its reserves no
+     * longer back any credits and can be withdrawn in full with withdrawTokenReserves,
+     * so fund the remaining tokens first if they do not cover the outstanding credits.
+     * Pending withdrawal requests for the token can still be claimed.
+     * @param token Address of the token
+     */
+    function removeToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(bullToken), "Cannot remove BULL");
+        require(tokenConfigs[token].unit != 0, "Token not accepted");
+        
+        uint256 last = extraTokens.length - 1;
+        for (uint256 i = 0; i < last; i++) {
+            if (extraTokens[i] == token) {
+                extraTokens[i] = extraTokens[last];
+                break;
+            }
+        }
+        extraTokens.pop();
+        delete tokenConfigs[token];
+        
+        emit TokenRemoved(token);
+    }
+    
+    /**
+     * @dev Register a new game (admin only)
+     * @param gameId ID of the game, e.g. the cabinet number
+     * @param name Display name of the game
+     * @param price Credits charged per play
+     */
+    function addGame(uint256 gameId, string calldata name, uint256 price) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!games[gameId].exists, "Game already exists");
+        require(bytes(name).length > 0, "Game name cannot be empty");
+        require(price > 0, "Price must be greater than zero");
+        
+        games[gameId] = Game({ name: name, price: price, active: true, exists: true });
+        gameIdIndex[gameId] = gameIds.length;
+        gameIds.push(gameId);
+        
+        emit GameAdded(gameId, name, price);
+    }
+    
+    /**
+     * @dev Update the name, price and active flag of a game (admin only)
+     * @param gameId ID of the game
+     * @param name Display name of the game
+     * @param price Credits charged per play
+     * @param active Whether the game can currently be played
+     */
+    function updateGame(uint256 gameId, string calldata name, uint256 price, bool active) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Game storage game = games[gameId];
+        require(game.exists, "Game does not exist");
+        require(bytes(name).length > 0, "Game name cannot be empty");
+        require(price > 0, "Price must be greater than zero");
+        
+        game.name = name;
+        game.price = price;
+        game.active = active;
+        
+        emit GameUpdated(gameId, name, price, active);
+    }
+    
+    /**
+     * @dev Remove a game from the registry (admin only)
+     * @param gameId ID of the game
+     */
+    function removeGame(uint256 gameId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(games[gameId].exists, "Game does not exist");
+        
+        // Move the last ID into the removed slot to keep the list packed
+        uint256 index = gameIdIndex[gameId];
+        uint256 lastId = gameIds[gameIds.length - 1];
+        gameIds[index] = lastId;
+        gameIdIndex[lastId] = index;
+        gameIds.pop();
+        
+        delete gameIdIndex[gameId];
+        delete games[gameId];
+        
+        emit GameRemoved(gameId);
+    }
+    
+    /**
+     * @dev Attach the ERC-20 credits view, or detach it with the zero address (admin only)
+     * @param token ArcadeCredits contract created for this ArcadeManager
+     */
+    function setCreditsToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        creditsToken = IArcadeCredits(token);
+        emit CreditsTokenChanged(token);
+    }
+    
+    /**
+     * @dev Enable or disable player-to-player transfers (admin only)
+     * @param enabled Whether transferCredits and transferCreditsFrom are allowed
+     */
+    function setTransfersEnabled(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        transfersEnabled = enabled;
+        emit TransfersEnabledChanged(enabled);
+    }
+    
+    /**
+     * @dev Set the withdrawal fee (admin only)
+     * @param feeBps Fee in basis points, at most MAX_WITHDRAWAL_FEE_BPS
+     * @param recipient Address receiving the fee
+     */
+    function setWithdrawalFee(uint256 feeBps, address recipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(feeBps <= MAX_WITHDRAWAL_FEE_BPS, "Fee too high");
+        require(feeBps == 0 || recipient != address(0), "Invalid recipient address");
+        withdrawalFeeBps = feeBps;
+        feeRecipient = recipient;
+        emit WithdrawalFeeChanged(feeBps, recipient);
+    }
+    
+    /**
+     * @dev Set the delay between requesting and claiming a withdrawal (admin only).
+     * Zero re-enables instant withdrawals; existing requests keep their unlock time.
+     * @param delay Delay in seconds, at most MAX_WITHDRAWAL_DELAY
+     */
+    function setWithdrawalDelay(uint256 delay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(delay <= MAX_WITHDRAWAL_DELAY, "Delay too long");
+        withdrawalDelay = delay;
+        emit WithdrawalDelayChanged(delay);
+    }
+    
+    /**
+     * @dev Add BULL tokens to the house reserves (treasurer only)
+     * @param bullAmount Amount of BULL tokens to add
+     */
+    function fundReserves(uint256 bullAmount) external nonReentrant onlyRole(TREASURER_ROLE) {
+        _fundReserves(address(bullToken), bullAmount);
+    }
+    
+    /**
+     * @dev Add an accepted token to the house reserves (treasurer only)
+     * @param token Address of the token
+     * @param amount Amount of the token to add, in its base units
+     */
+    function fundTokenReserves(address token, uint256 amount) external nonReentrant onlyRole(TREASURER_ROLE) {
+        _tokenConfig(token);
+        _fundReserves(token, amount);
+    }
+    
+    /**
+     * @dev Withdraw surplus BULL tokens from the house reserves (treasurer only)
+     * Tokens backing outstanding player credits cannot be withdrawn.
+     * @param to Address to send the tokens to
+     * @param bullAmount Amount of BULL tokens to withdraw
+     */
+    function withdrawReserves(address to, uint256 bullAmount) external nonReentrant onlyRole(TREASURER_ROLE) {
+        _withdrawReserves(address(bullToken), to, bullAmount);
+    }
+    
+    /**
+     * @dev Withdraw surplus reserves of any token (treasurer only). Reserves that,
+     * together with the other accepted tokens, back outstanding credits cannot be withdrawn.
+     * @param token Address of the token
+     * @param to Address to send the tokens to
+     * @param amount Amount of the token to withdraw, in its base units
+     */
+    function withdrawTokenReserves(address token, address to, uint256 amount)
+        external
+        nonReentrant
+        onlyRole(TREASURER_ROLE)
+    {
+        _withdrawReserves(token, to, amount);
+    }
+    
+    /**
+     * @dev Seed balances migrated from a previous deployment (admin only)
+     * Each player can be imported once, so a retried batch cannot double a balance.
+     * Reserves are funded separately with fundReserves.
+     * @param players Addresses of the players to import
+     * @param amounts Credit balance of each player on the previous deployment
+     */
+    function importBalances(address[] calldata players, uint256[] calldata amounts)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(!migrationFinalized, "Migration finalized");
+        require(players.length == amounts.length, "Array length mismatch");
+        require(players.length > 0, "Empty batch");
+        require(players.length <= MAX_BATCH_SIZE, "Batch too large");
+        
+        for (uint256 i = 0; i < players.length; i++) {
+            address player = players[i];
+            require(player != address(0), "Invalid player address");
+            require(amounts[i] > 0, "Amount must be greater than zero");
+            require(importedCredits[player] == 0, "Balance already imported");
+            
+            importedCredits[player] = amounts[i];
+            userCredits[player] += amounts[i];
+            totalCredits += amounts[i];
+            emit CreditsImported(player, amounts[i]);
+            _creditsMoved(address(0), player, amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Lock importBalances for good once the migration is complete (admin only)
+     */
+    function finalizeMigration() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(!migrationFinalized, "Migration finalized");
+        migrationFinalized = true;
+        emit MigrationFinalized(totalCredits);
+    }
+    
+    /**
+     * @dev Toggle rejection of awards that would make the contract insolvent (admin only)
+     * @param enabled Whether to enforce solvency on awards
+     */
+    function setEnforceSolvency(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        enforceSolvency = enabled;
+        emit SolvencyEnforcementChanged(enabled);
+    }
+    
+    /**
+     * @dev Set the payout caps enforced by awardWinnings (admin only). Zero disables a cap.
+     * Daily totals are only tracked while the matching cap is set.
+     * @param maxAward Largest single award
+     * @param playerDaily Total a player may be awarded per LIMIT_WINDOW
+     * @param globalDaily Total all players may be awarded per LIMIT_WINDOW
+     */
+    function setPayoutLimits(uint256 maxAward, uint256 playerDaily, uint256 globalDaily)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        payoutLimits = PayoutLimits(maxAward, playerDaily, globalDaily);
+        emit PayoutLimitsChanged(maxAward, playerDaily, globalDaily);
+    }
+    
+    /**
+     * @dev Configure the progressive jackpot (admin only). A zero share stops
+     * contributions; the current pool stays until it is won.
+     * @param bps Share of every spend added to the pool, up to MAX_JACKPOT_BPS
+     * @param seed Credits the pool restarts at after each win
+     */
+    function setJackpot(uint256 bps, uint256 seed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(bps <= MAX_JACKPOT_BPS, "Jackpot share too high");
+        jackpotBps = bps;
+        jackpotSeed = seed;
+        emit JackpotSettingsChanged(bps, seed);
+    }
+    
+    /**
+     * @dev Pay the whole jackpot pool to a winner and restart it at jackpotSeed
+     * (operator only). Payout limits do not apply; the seed is new credits, so it is
+     * checked against the reserves like an award.
+     * @param winner Address of the player who won the jackpot
+     */
+    function awardJackpot(address winner) external onlyRole(OPERATOR_ROLE) whenNotPaused(Operation.Award) {
+        require(winner != address(0), "Invalid player address");
+        uint256 amount = jackpotPool;
+        require(amount > 0, "Jackpot is empty");
+        
+        uint256 seed = jackpotSeed;
+        userCredits[winner] += amount;
+        jackpotPool = seed;
+        totalCredits += seed;
+        
+        emit JackpotWon(winner, amount, seed);
+        _creditsMoved(address(this), winner, amount);
+        if (seed > 0) {
+            _creditsMoved(address(0), address(this), seed);
+        }
+        _checkSolvency();
+    }
+    
+    /**
+     * @dev Pay credits held by an escrow contract out to a player, such as a
+     * tournament prize or refund (escrow only). Neither the Transfer pause nor
+     * setTransfersEnabled applies, so escrowed credits can always be settled.
+     * @param to Address receiving the credits
+     * @param amount Amount of credits to pay out
+     */
+    function releaseCredits(address to, uint256 amount) external onlyRole(ESCROW_ROLE) {
+        require(to != address(0), "Invalid recipient address");
+        require(to != msg.sender, "Cannot transfer to self");
+        require(amount > 0, "Amount must be greater than zero");
+        require(userCredits[msg.sender] >= amount, "Insufficient credits");
+        userCredits[msg.sender] -= amount;
+        userCredits[to] += amount;
+        
+        emit CreditsTransferred(msg.sender, to, amount);
+        _creditsMoved(msg.sender, to, amount);
+    }
+    
+    /**
+     * @dev Retire credits held by an escrow contract, such as a tournament's rake
+     * (escrow only). Unlike spendCredits no jackpot share is taken and the Spend
+     * pause does not apply, so escrowed credits can always be settled.
+     * @param amount Amount of credits to retire
+     */
+    function retireCredits(uint256 amount) external onlyRole(ESCROW_ROLE) {
+        require(amount > 0, "Amount must be greater than zero");
+        require(userCredits[msg.sender] >= amount, "Insufficient credits");
+        userCredits[msg.sender] -= amount;
+        totalCredits -= amount;
+        
+        emit CreditsRetired(msg.sender, amount);
+        _creditsMoved(msg.sender, address(0), amount);
+    }
+    
+    /**
+     * @dev Grant non-withdrawable bonus credits, e.g. for promotional free plays
+     * (operator only). The credits expire on their own, whatever the player's other
+     * bonus credits do; a player holds at most MAX_BONUS_LOTS distinct expiries.
+     * @param player Address of the player
+     * @param amount Bonus credits to add
+     * @param expiresAt Timestamp at which these credits expire, or 0 for never
+     */
+    function grantBonusCredits(address player, uint256 amount, uint256 expiresAt)
+        external
+        onlyRole(OPERATOR_ROLE)
+        whenNotPaused(Operation.Award)
+    {
+        require(player != address(0), "Invalid player address");
+        require(amount > 0, "Amount must be greater than zero");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiry");
+        
+        BonusLot[] storage lots = bonusLots[player];
+        
+        // Drop spent and expired lots, keeping the order
+        uint256 kept;
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (_bonusLive(lots[i])) {
+                lots[kept++] = lots[i];
+            }
+        }
+        while (lots.length > kept) {
+            lots.pop();
+        }
+        
+        emit BonusCreditsGranted(player, amount, expiresAt);
+        
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].expiresAt == expiresAt) {
+                lots[i].amount += amount;
+                return;
+            }
+        }
+        require(lots.length < MAX_BONUS_LOTS, "Too many bonus lots");
+        
+        // Insert in expiry order; non-expiring lots go last
+        lots.push(BonusLot(amount, expiresAt));
+        for (uint256 i = lots.length - 1; i > 0; i--) {
+            uint256 previous = lots[i - 1].expiresAt;
+            if (expiresAt == 0 || (previous != 0 && previous < expiresAt)) {
+                break;
+            }
+            lots[i] = lots[i - 1];
+            lots[i - 1] = BonusLot(amount, expiresAt);
+        }
+    }
+    
+    /**
+     * @dev Pause a single operation (pauser only)
+     * @param operation Operation to pause
+     */
+    function pause(Operation operation) external onlyRole(PAUSER_ROLE) {
+        _setPaused(operation, true);
+    }
+    
+    /**
+     * @dev Resume a single operation (pauser only)
+     * @param operation Operation to resume
+     */
+    function unpause(Operation operation) external onlyRole(PAUSER_ROLE) {
+        _setPaused(operation, false);
+    }
+    
+    /**
+     * @dev Pause every operation at once (pauser only)
+     */
+    function pauseAll() external onlyRole(PAUSER_ROLE) {
+        for (uint8 i = 0; i <= uint8(type(Operation).max); i++) {
+            _setPaused(Operation(i), true);
+        }
+    }
+    
+    /**
+     * @dev Resume every operation at once (pauser only)
+     */
+    function unpauseAll() external onlyRole(PAUSER_ROLE) {
+        for (uint8 i = 0; i <= uint8(type(Operation).max); i++) {
+            _setPaused(Operation(i), false);
+        }
+    }
+    
+    /**
+     * @dev Update the paused flag of an operation, emitting only on change
+     */
+    function _setPaused(Operation operation, bool value) internal {
+        if (paused[operation] == value) {
+            return;
+        }
+        paused[operation] = value;
+        
+        if (value) {
+            emit Paused(msg.sender, operation);
+        } else {
+            emit Unpaused(msg.sender, operation);
+        }
+    }
+    
+    /**
+     * @dev Pull tokens from the caller into the reserves. BULL emits ReservesFunded,
+     * other tokens TokenReservesFunded.
+     */
+    function _fundReserves(address token, uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than zero");
+        require(IERC20(token).transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+        
+        if (token == address(bullToken)) {
+            emit ReservesFunded(msg.sender, amount);
+        } else {
+            emit TokenReservesFunded(token, msg.sender, amount);
+        }
+    }
+    
+    /**
+     * @dev Send surplus reserves to an address. BULL emits ReservesWithdrawn,
+     * other tokens TokenReservesWithdrawn.
+     */
+    function _withdrawReserves(address token, address to, uint256 amount) internal {
+        require(to != address(0), "Invalid recipient address");
+        require(amount > 0, "Amount must be greater than zero");
+        require(amount <= _tokenSurplus(token), "Amount exceeds surplus reserves");
+        
+        require(IERC20(token).transfer(to, amount), "Token transfer failed");
+        
+        if (token == address(bullToken)) {
+            emit ReservesWithdrawn(to, amount);
+        } else {
+            emit TokenReservesWithdrawn(token, to, amount);
+        }
+    }
+}
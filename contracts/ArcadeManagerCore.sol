@@ -0,0 +1,1040 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./ArcadeManagerStorage.sol";
+import "./ArcadeManagerAdmin.sol";
+
+/**
+ * @title ArcadeManagerCore
+ * @dev Arcade logic shared by the immutable ArcadeManager and the proxied
+ * ArcadeManagerUpgradeable. State is set up in _initializeArcade rather than a
+ * constructor so it can live in proxy storage. Admin functions live in
+ * ArcadeManagerAdmin, which the constructor deploys and the stubs below reach
+ * through delegatecall; this keeps the contract under the 24 KB code size limit.
+ */
+abstract contract ArcadeManagerCore is ArcadeManagerStorage {
+    // Module holding the admin function implementations
+    address public immutable adminModule;
+    
+    constructor() {
+        adminModule = address(new ArcadeManagerAdmin());
+    }
+    
+    /**
+     * @dev Set the BULL token address and initial conversion rates,
+     * and grant every role to the caller
+     * @param _bullToken Address of the BULL token contract
+     * @param _depositRate Credits received per whole BULL token on deposit
+     * @param _withdrawalRate Credits required per whole BULL token on withdrawal
+     */
+    function _initializeArcade(address _bullToken, uint256 _depositRate, uint256 _withdrawalRate) internal {
+        require(_bullToken != address(0), "Token address cannot be zero");
+        bullToken = IERC20(_bullToken);
+        tokenUnit = 10 ** IERC20Metadata(_bullToken).decimals();
+        _setRates(_depositRate, _withdrawalRate);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Deposit BULL tokens to receive arcade credits
+     * @param bullAmount Amount of BULL tokens to deposit
+     */
+    function deposit(uint256 bullAmount) external nonReentrant whenNotPaused(Operation.Deposit) {
+        _deposit(msg.sender, address(bullToken), bullAmount);
+    }
+    
+    /**
+     * @dev Deposit any accepted token to receive credits at that token's deposit rate
+     * @param token Address of the token, see getTokens
+     * @param amount Amount of the token to deposit, in its base units
+     */
+    function depositToken(address token, uint256 amount) external nonReentrant whenNotPaused(Operation.Deposit) {
+        _deposit(msg.sender, token, amount);
+    }
+    
+    /**
+     * @dev Deposit BULL tokens in a single transaction using an EIP-2612 permit
+     * instead of a prior approve. If the permit was already used (e.g. front-run),
+     * the deposit still succeeds as long as the allowance is in place.
+     * @param bullAmount Amount of BULL tokens to deposit
+     * @param deadline Permit expiry timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function depositWithPermit(uint256 bullAmount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        whenNotPaused(Operation.Deposit)
+    {
+        try IERC20Permit(address(bullToken)).permit(msg.sender, address(this), bullAmount, deadline, v, r, s) {
+        } catch {
+            require(bullToken.allowance(msg.sender, address(this)) >= bullAmount, "Permit failed");
+        }
+        _deposit(msg.sender, address(bullToken), bullAmount);
+    }
+    
+    /**
+     * @dev Spend credits to play games
+     * @param amount Amount of credits to spend
+     */
+    function spendCredits(uint256 amount) external nonReentrant whenNotPaused(Operation.Spend) {
+        require(amount > 0, "Amount must be greater than zero");
+        _spendCredits(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Play a registered game, charging its price per play
+     * @param gameId ID of the game to play
+     */
+    function playGame(uint256 gameId) external nonReentrant whenNotPaused(Operation.Spend) {
+        _playGame(msg.sender, gameId);
+    }
+    
+    /**
+     * @dev Play a game on behalf of a player who signed a Play authorization.
+     * Lets a relayer pay the gas so players only need credits.
+     * @param player Address of the player whose credits are spent
+     * @param gameId ID of the game to play
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 signature of the Play message by the player
+     */
+    function playGameFor(address player, uint256 gameId, uint256 deadline, bytes calldata signature)
+        external
+        nonReentrant
+        whenNotPaused(Operation.Spend)
+    {
+        bytes32 structHash = keccak256(abi.encode(PLAY_TYPEHASH, player, gameId, nonces[player], deadline));
+        _useSignature(player, structHash, deadline, signature);
+        _playGame(player, gameId);
+    }
+    
+    /**
+     * @dev Spend credits on behalf of a player who signed a Spend authorization
+     * @param player Address of the player whose credits are spent
+     * @param amount Amount of credits to spend
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature EIP-712 signature of the Spend message by the player
+     */
+    function spendCreditsFor(address player, uint256 amount, uint256 deadline, bytes calldata signature)
+        external
+        nonReentrant
+        whenNotPaused(Operation.Spend)
+    {
+        require(amount > 0, "Amount must be greater than zero");
+        bytes32 structHash = keccak256(abi.encode(SPEND_TYPEHASH, player, amount, nonces[player], deadline));
+        _useSignature(player, structHash, deadline, signature);
+        _spendCredits(player, amount);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator used for signed authorizations
+     * @return Domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @dev Get the IDs of all registered games
+     * @return Array of game IDs
+     */
+    function getGameIds() external view returns (uint256[] memory) {
+        return gameIds;
+    }
+    
+    /**
+     * @dev Award winnings to players (operator only)
+     * @param player Address of the player to award credits to
+     * @param amount Amount of credits to award
+     * @return False if a payout limit blocked the award (see PayoutLimitExceeded)
+     */
+    function awardWinnings(address player, uint256 amount)
+        external
+        onlyRole(OPERATOR_ROLE)
+        whenNotPaused(Operation.Award)
+        returns (bool)
+    {
+        bool awarded = _awardWinnings(player, amount);
+        _checkSolvency();
+        return awarded;
+    }
+    
+    /**
+     * @dev Award winnings to many players in one transaction (operator only)
+     * The whole batch reverts if any entry is invalid; entries blocked by a
+     * payout limit are skipped and reported with PayoutLimitExceeded.
+     * @param players Addresses of the players to award credits to
+     * @param amounts Amount of credits to award to each player
+     */
+    function awardWinningsBatch(address[] calldata players, uint256[] calldata amounts)
+        external
+        onlyRole(OPERATOR_ROLE)
+        whenNotPaused(Operation.Award)
+    {
+        require(players.length == amounts.length, "Array length mismatch");
+        require(players.length > 0, "Empty batch");
+        require(players.length <= MAX_BATCH_SIZE, "Batch too large");
+        
+        for (uint256 i = 0; i < players.length; i++) {
+            _awardWinnings(players[i], amounts[i]);
+        }
+        _checkSolvency();
+    }
+    
+    /**
+     * @dev Give credits to another player
+     * @param to Address receiving the credits
+     * @param amount Amount of credits to transfer
+     */
+    function transferCredits(address to, uint256 amount) external whenNotPaused(Operation.Transfer) {
+        _transferCredits(msg.sender, to, amount);
+    }
+    
+    /**
+     * @dev Let a spender move up to amount of the caller's credits with transferCreditsFrom.
+     * Replaces any previous allowance; type(uint256).max never decreases.
+     * @param spender Address allowed to transfer the credits
+     * @param amount Credits the spender may transfer
+     */
+    function approveCredits(address spender, uint256 amount) external {
+        _approveCredits(msg.sender, spender, amount);
+    }
+    
+    /**
+     * @dev Transfer credits on behalf of a player who approved the caller
+     * @param from Address whose credits are transferred
+     * @param to Address receiving the credits
+     * @param amount Amount of credits to transfer
+     */
+    function transferCreditsFrom(address from, address to, uint256 amount)
+        external
+        whenNotPaused(Operation.Transfer)
+    {
+        _spendCreditAllowance(from, msg.sender, amount);
+        _transferCredits(from, to, amount);
+    }
+    
+    /**
+     * @dev ERC-20 transfer or transferFrom made through creditsToken
+     * @param spender Account that called the credits token
+     * @param from Address whose credits are transferred
+     * @param to Address receiving the credits
+     * @param amount Amount of credits to transfer
+     */
+    function transferCreditsByToken(address spender, address from, address to, uint256 amount)
+        external
+        whenNotPaused(Operation.Transfer)
+    {
+        require(msg.sender == address(creditsToken), "Only the credits token");
+        if (spender != from) {
+            _spendCreditAllowance(from, spender, amount);
+        }
+        _transferCredits(from, to, amount);
+    }
+    
+    /**
+     * @dev ERC-20 approve made through creditsToken
+     * @param owner Account that called the credits token
+     * @param spender Address allowed to transfer the credits
+     * @param amount Credits the spender may transfer
+     */
+    function approveCreditsByToken(address owner, address spender, uint256 amount) external {
+        require(msg.sender == address(creditsToken), "Only the credits token");
+        _approveCredits(owner, spender, amount);
+    }
+    
+    /**
+     * @dev Withdraw credits back to BULL tokens, minus the withdrawal fee.
+     * Only the credits actually converted are deducted; a remainder too small
+     * to buy one token base unit stays in the balance.
+     * Only available while no withdrawal delay is set.
+     * @param creditAmount Amount of credits to withdraw
+     */
+    function withdraw(uint256 creditAmount) external nonReentrant whenNotPaused(Operation.Withdraw) {
+        _withdraw(address(bullToken), creditAmount);
+    }
+    
+    /**
+     * @dev Withdraw credits as any accepted token at that token's withdrawal rate,
+     * minus the withdrawal fee. Only available while no withdrawal delay is set.
+     * @param token Address of the token to receive, see getTokens
+     * @param creditAmount Amount of credits to withdraw
+     */
+    function withdrawToken(address token, uint256 creditAmount) external nonReentrant whenNotPaused(Operation.Withdraw) {
+        _withdraw(token, creditAmount);
+    }
+    
+    /**
+     * @dev Start a timelocked BULL withdrawal. The credits actually converted are held
+     * by the request and can be claimed once withdrawalDelay has passed.
+     * @param creditAmount Amount of credits to withdraw
+     * @return ID of the withdrawal request
+     */
+    function requestWithdrawal(uint256 creditAmount)
+        external
+        nonReentrant
+        whenNotPaused(Operation.Withdraw)
+        returns (uint256)
+    {
+        return _requestWithdrawal(address(bullToken), creditAmount);
+    }
+    
+    /**
+     * @dev Start a timelocked withdrawal paid out in any accepted token. The token
+     * amount is fixed at the rate in force when the withdrawal is requested.
+     * @param token Address of the token to receive, see getTokens
+     * @param creditAmount Amount of credits to withdraw
+     * @return ID of the withdrawal request
+     */
+    function requestTokenWithdrawal(address token, uint256 creditAmount)
+        external
+        nonReentrant
+        whenNotPaused(Operation.Withdraw)
+        returns (uint256)
+    {
+        return _requestWithdrawal(token, creditAmount);
+    }
+    
+    /**
+     * @dev Pay out a withdrawal request whose delay has passed in the requested token,
+     * minus the current fee
+     * @param id ID of the withdrawal request
+     */
+    function claimWithdrawal(uint256 id) external nonReentrant whenNotPaused(Operation.Withdraw) {
+        WithdrawalRequest memory request = withdrawalRequests[id];
+        require(request.user != address(0), "Withdrawal request not found");
+        require(request.user == msg.sender, "Not the requester");
+        require(block.timestamp >= request.unlockTime, "Withdrawal still locked");
+        
+        delete withdrawalRequests[id];
+        heldCredits -= request.creditAmount;
+        address token = request.token == address(0) ? address(bullToken) : request.token;
+        uint256 bullAmount = _payWithdrawal(request.user, token, request.creditAmount, request.bullAmount);
+        
+        emit WithdrawalClaimed(id, request.user, request.creditAmount, bullAmount);
+        _creditsMoved(address(this), address(0), request.creditAmount);
+    }
+    
+    /**
+     * @dev Cancel a pending withdrawal and return its credits to the player.
+     * Callable by the requester, or by a pauser to stop a suspicious withdrawal.
+     * @param id ID of the withdrawal request
+     */
+    function cancelWithdrawal(uint256 id) external nonReentrant {
+        WithdrawalRequest memory request = withdrawalRequests[id];
+        require(request.user != address(0), "Withdrawal request not found");
+        require(request.user == msg.sender || hasRole(PAUSER_ROLE, msg.sender), "Not the requester");
+        
+        delete withdrawalRequests[id];
+        heldCredits -= request.creditAmount;
+        userCredits[request.user] += request.creditAmount;
+        
+        emit WithdrawalCancelled(id, request.user, request.creditAmount, msg.sender);
+        _creditsMoved(address(this), request.user, request.creditAmount);
+    }
+    
+    /**
+     * @dev Credits a player can still be awarded in their current window
+     * @param player Address of the player
+     * @return Remaining amount, type(uint256).max when no player cap is set
+     */
+    function remainingPlayerPayout(address player) external view returns (uint256) {
+        return _remaining(payoutLimits.playerDaily, playerPayoutWindows[player]);
+    }
+    
+    /**
+     * @dev Credits that can still be awarded to all players in the current window
+     * @return Remaining amount, type(uint256).max when no global cap is set
+     */
+    function remainingGlobalPayout() external view returns (uint256) {
+        return _remaining(payoutLimits.globalDaily, globalPayoutWindow);
+    }
+    
+    /**
+     * @dev Reserves as a share of liabilities, in basis points (10000 = fully backed).
+     * The reserves of other accepted tokens are valued in BULL at the withdrawal rates.
+     * @return Solvency ratio, or type(uint256).max when there are no liabilities
+     */
+    function solvencyRatio() external view returns (uint256) {
+        uint256 liabilities = totalLiabilities();
+        if (liabilities == 0) {
+            return type(uint256).max;
+        }
+        uint256 otherReserves = (_reserveCredits(address(bullToken)) * tokenUnit) / withdrawalRate;
+        return ((reserves() + otherReserves) * 10_000) / liabilities;
+    }
+    
+    /**
+     * @dev Credits the reserves of every accepted token are worth at their withdrawal rates
+     * @return Reserve value in credits
+     */
+    function reserveCredits() external view returns (uint256) {
+        return _reserveCredits(address(0));
+    }
+    
+    /**
+     * @dev Reserves of a token not needed to cover liabilities, counting the
+     * reserves of the other accepted tokens towards the liabilities first
+     * @param token Token to check; the whole balance of a token that is not accepted is surplus
+     * @return Surplus reserves in the token's base units
+     */
+    function tokenSurplus(address token) external view returns (uint256) {
+        return _tokenSurplus(token);
+    }
+    
+    /**
+     * @dev Tokens that can be deposited and withdrawn
+     * @return BULL followed by the other accepted tokens
+     */
+    function getTokens() external view returns (address[] memory) {
+        return _acceptedTokens();
+    }
+    
+    /**
+     * @dev Get the credit balance of a user; bonus credits are not included
+     * @param user Address of the user
+     * @return Credit balance
+     */
+    function getCredits(address user) external view returns (uint256) {
+        return userCredits[user];
+    }
+    
+    /**
+     * @dev Get both credit balances of a user
+     * @param user Address of the user
+     * @return credits Purchased and won credits, which can be withdrawn
+     * @return bonus Unexpired bonus credits, which can only be spent
+     * @return nextBonusExpiry Soonest expiry among the bonus credits, 0 if none of them expire
+     */
+    function getCreditBalances(address user)
+        external
+        view
+        returns (uint256 credits, uint256 bonus, uint256 nextBonusExpiry)
+    {
+        BonusLot[] storage lots = bonusLots[user];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (_bonusLive(lots[i])) {
+                bonus += lots[i].amount;
+                if (nextBonusExpiry == 0) {
+                    nextBonusExpiry = lots[i].expiresAt;
+                }
+            }
+        }
+        credits = userCredits[user];
+    }
+    
+    /**
+     * @dev Get a user's bonus credit lots, soonest expiry first. Spent and
+     * expired lots are kept until the next grant and have to be skipped.
+     * @param user Address of the user
+     * @return Bonus lots
+     */
+    function getBonusLots(address user) external view returns (BonusLot[] memory) {
+        return bonusLots[user];
+    }
+    
+    /**
+     * @dev Pull an accepted token from a player and credit them at its deposit rate.
+     * BULL deposits emit Deposit, other tokens TokenDeposit.
+     */
+    function _deposit(address player, address token, uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than zero");
+        TokenConfig memory config = _tokenConfig(token);
+        
+        uint256 creditAmount = (amount * config.depositRate) / config.unit;
+        require(creditAmount > 0, "Resulting credit amount too small");
+        
+        // Only take the tokens the credits are worth (rounded up); any dust stays with the player
+        uint256 cost = (creditAmount * config.unit + config.depositRate - 1) / config.depositRate;
+        require(IERC20(token).transferFrom(player, address(this), cost), "Token transfer failed");
+        
+        userCredits[player] += creditAmount;
+        totalCredits += creditAmount;
+        
+        if (token == address(bullToken)) {
+            emit Deposit(player, cost, creditAmount);
+        } else {
+            emit TokenDeposit(player, token, cost, creditAmount);
+        }
+        _creditsMoved(address(0), player, creditAmount);
+    }
+    
+    /**
+     * @dev Convert the caller's credits to an accepted token and pay them out straight away.
+     * Only the credits actually converted are deducted. BULL withdrawals emit
+     * Withdrawal, other tokens TokenWithdrawal.
+     */
+    function _withdraw(address token, uint256 creditAmount) internal {
+        require(withdrawalDelay == 0, "Withdrawals require a request");
+        require(creditAmount > 0, "Amount must be greater than zero");
+        require(userCredits[msg.sender] >= creditAmount, "Insufficient credits");
+        
+        (uint256 grossAmount, uint256 converted) = _creditsToTokens(token, creditAmount);
+        userCredits[msg.sender] -= converted;
+        uint256 tokenAmount = _payWithdrawal(msg.sender, token, converted, grossAmount);
+        
+        if (token == address(bullToken)) {
+            emit Withdrawal(msg.sender, converted, tokenAmount);
+        } else {
+            emit TokenWithdrawal(msg.sender, token, converted, tokenAmount);
+        }
+        _creditsMoved(msg.sender, address(0), converted);
+    }
+    
+    /**
+     * @dev Hold the caller's credits in a new withdrawal request for an accepted token
+     */
+    function _requestWithdrawal(address token, uint256 creditAmount) internal returns (uint256 id) {
+        require(creditAmount > 0, "Amount must be greater than zero");
+        require(userCredits[msg.sender] >= creditAmount, "Insufficient credits");
+        
+        (uint256 grossAmount, uint256 converted) = _creditsToTokens(token, creditAmount);
+        userCredits[msg.sender] -= converted;
+        heldCredits += converted;
+        
+        id = nextWithdrawalId++;
+        uint256 unlockTime = block.timestamp + withdrawalDelay;
+        withdrawalRequests[id] = WithdrawalRequest(msg.sender, converted, grossAmount, unlockTime, token);
+        
+        emit WithdrawalRequested(id, msg.sender, converted, unlockTime);
+        _creditsMoved(msg.sender, address(this), converted);
+    }
+    
+    /**
+     * @dev Token value of credits at the token's withdrawal rate, rounded down
+     * @return tokenAmount Amount of the token the credits are worth
+     * @return converted Credits needed for tokenAmount (rounded up), at most creditAmount
+     */
+    function _creditsToTokens(address token, uint256 creditAmount)
+        internal
+        view
+        returns (uint256 tokenAmount, uint256 converted)
+    {
+        TokenConfig memory config = _tokenConfig(token);
+        tokenAmount = (creditAmount * config.unit) / config.withdrawalRate;
+        require(tokenAmount > 0, "Resulting token amount too small");
+        converted = (tokenAmount * config.withdrawalRate + config.unit - 1) / config.unit;
+    }
+    
+    /**
+     * @dev Retire withdrawn credits and send their token value, minus the fee
+     * (taken in the same token), to the player
+     * @return tokenAmount Amount paid to the player after the fee
+     */
+    function _payWithdrawal(address user, address token, uint256 creditAmount, uint256 grossAmount)
+        internal
+        returns (uint256 tokenAmount)
+    {
+        require(IERC20(token).balanceOf(address(this)) >= grossAmount, "Insufficient contract balance");
+        
+        totalCredits -= creditAmount;
+        
+        uint256 fee = (grossAmount * withdrawalFeeBps) / 10_000;
+        tokenAmount = grossAmount - fee;
+        
+        require(IERC20(token).transfer(user, tokenAmount), "Token transfer failed");
+        if (fee > 0) {
+            require(IERC20(token).transfer(feeRecipient, fee), "Token transfer failed");
+            emit WithdrawalFeePaid(user, feeRecipient, fee);
+        }
+    }
+    
+    /**
+     * @dev Charge a player the price of an active game and emit GamePlayed
+     */
+    function _playGame(address player, uint256 gameId) internal {
+        Game storage game = games[gameId];
+        require(game.exists, "Game does not exist");
+        require(game.active, "Game is not active");
+        
+        _spendCredits(player, game.price);
+        
+        emit GamePlayed(player, gameId, game.price);
+    }
+    
+    /**
+     * @dev Check a player's EIP-712 signature and consume their current nonce
+     */
+    function _useSignature(address player, bytes32 structHash, uint256 deadline, bytes calldata signature) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == player, "Invalid signature");
+        
+        emit MetaTransactionRelayed(player, msg.sender, nonces[player]);
+        nonces[player]++;
+    }
+    
+    /**
+     * @dev Credit winnings to a player and emit WinningsAwarded
+     */
+    function _awardWinnings(address player, uint256 amount) internal returns (bool) {
+        require(player != address(0), "Invalid player address");
+        require(amount > 0, "Amount must be greater than zero");
+        
+        PayoutLimits memory limits = payoutLimits;
+        LimitWindow storage playerWindow = playerPayoutWindows[player];
+        if (limits.maxAward != 0 && amount > limits.maxAward) {
+            emit PayoutLimitExceeded(player, amount, PayoutLimit.PerAward);
+            return false;
+        }
+        if (amount > _remaining(limits.playerDaily, playerWindow)) {
+            emit PayoutLimitExceeded(player, amount, PayoutLimit.PlayerDaily);
+            return false;
+        }
+        if (amount > _remaining(limits.globalDaily, globalPayoutWindow)) {
+            emit PayoutLimitExceeded(player, amount, PayoutLimit.GlobalDaily);
+            return false;
+        }
+        if (limits.playerDaily != 0) {
+            _addToWindow(playerWindow, amount);
+        }
+        if (limits.globalDaily != 0) {
+            _addToWindow(globalPayoutWindow, amount);
+        }
+        
+        userCredits[player] += amount;
+        totalCredits += amount;
+        
+        emit WinningsAwarded(player, amount);
+        _creditsMoved(address(0), player, amount);
+        return true;
+    }
+    
+    /**
+     * @dev Amount left under a daily cap (zero cap means unlimited)
+     */
+    function _remaining(uint256 limit, LimitWindow storage window) internal view returns (uint256) {
+        if (limit == 0) {
+            return type(uint256).max;
+        }
+        uint256 used = block.timestamp >= window.start + LIMIT_WINDOW ? 0 : window.total;
+        return used >= limit ? 0 : limit - used;
+    }
+    
+    /**
+     * @dev Record an award in a window, starting a new window if the last one has ended
+     */
+    function _addToWindow(LimitWindow storage window, uint256 amount) internal {
+        if (block.timestamp >= window.start + LIMIT_WINDOW) {
+            window.start = block.timestamp;
+            window.total = 0;
+        }
+        window.total += amount;
+    }
+    
+    /**
+     * @dev Move credits between players; totalCredits is unchanged.
+     * Escrow contracts may transfer while player transfers are disabled.
+     */
+    function _transferCredits(address from, address to, uint256 amount) internal {
+        require(transfersEnabled || hasRole(ESCROW_ROLE, msg.sender), "Transfers disabled");
+        require(to != address(0), "Invalid recipient address");
+        require(to != from, "Cannot transfer to self");
+        require(amount > 0, "Amount must be greater than zero");
+        require(userCredits[from] >= amount, "Insufficient credits");
+        
+        userCredits[from] -= amount;
+        userCredits[to] += amount;
+        
+        emit CreditsTransferred(from, to, amount);
+        _creditsMoved(from, to, amount);
+    }
+    
+    /**
+     * @dev Set an allowance and emit CreditApproval
+     */
+    function _approveCredits(address owner, address spender, uint256 amount) internal {
+        require(spender != address(0), "Invalid spender address");
+        creditAllowance[owner][spender] = amount;
+        
+        emit CreditApproval(owner, spender, amount);
+        if (address(creditsToken) != address(0)) {
+            creditsToken.emitApproval(owner, spender, amount);
+        }
+    }
+    
+    /**
+     * @dev Use up part of an allowance; type(uint256).max is never decreased
+     */
+    function _spendCreditAllowance(address owner, address spender, uint256 amount) internal {
+        uint256 allowance = creditAllowance[owner][spender];
+        if (allowance != type(uint256).max) {
+            require(allowance >= amount, "Insufficient allowance");
+            creditAllowance[owner][spender] = allowance - amount;
+        }
+    }
+    
+    /**
+     * @dev Deduct credits from a user, bonus credits first, soonest-expiring lot
+     * first. Bonus credits emit BonusCreditsSpent; the rest comes from userCredits
+     * and emits CreditsSpent, with the jackpot share going to the pool and the
+     * remainder retired.
+     */
+    function _spendCredits(address user, uint256 amount) internal {
+        uint256 fromBonus;
+        BonusLot[] storage lots = bonusLots[user];
+        for (uint256 i = 0; i < lots.length && fromBonus < amount; i++) {
+            if (_bonusLive(lots[i])) {
+                uint256 used = lots[i].amount < amount - fromBonus ? lots[i].amount : amount - fromBonus;
+                lots[i].amount -= used;
+                fromBonus += used;
+            }
+        }
+        uint256 paid = amount - fromBonus;
+        require(userCredits[user] >= paid, "Insufficient credits");
+        
+        if (fromBonus > 0) {
+            emit BonusCreditsSpent(user, fromBonus);
+        }
+        if (paid == 0) {
+            return;
+        }
+        
+        uint256 contribution = (paid * jackpotBps) / 10_000;
+        userCredits[user] -= paid;
+        totalCredits -= paid - contribution;
+        jackpotPool += contribution;
+        
+        emit CreditsSpent(user, paid);
+        _creditsMoved(user, address(0), paid - contribution);
+        if (contribution > 0) {
+            _creditsMoved(user, address(this), contribution);
+        }
+    }
+    
+    // Implemented in ArcadeManagerAdmin and reached through delegatecall, which forwards
+    // the calldata unchanged. The parameters are named for the ABI and only referenced
+    // to silence the unused parameter warning.
+    
+    /**
+     * @dev Update the conversion rates (admin only)
+     * @param newDepositRate Credits received per whole BULL token on deposit
+     * @param newWithdrawalRate Credits required per whole BULL token on withdrawal
+     */
+    function setRates(uint256 newDepositRate, uint256 newWithdrawalRate) external {
+        newDepositRate;
+        newWithdrawalRate;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Accept another ERC-20 token for deposits and withdrawals (admin only)
+     * @param token Address of the token contract
+     * @param newDepositRate Credits received per whole token on deposit
+     * @param newWithdrawalRate Credits required per whole token on withdrawal
+     */
+    function addToken(address token, uint256 newDepositRate, uint256 newWithdrawalRate) external {
+        token;
+        newDepositRate;
+        newWithdrawalRate;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Update the conversion rates of an accepted token (admin only).
+     * For BULL this is the same as setRates.
+     * @param token Address of the token
+     * @param newDepositRate Credits received per whole token on deposit
+     * @param newWithdrawalRate Credits required per whole token on withdrawal
+     */
+    function setTokenRates(address token, uint256 newDepositRate, uint256 newWithdrawalRate) external {
+        token;
+        newDepositRate;
+        newWithdrawalRate;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Stop accepting a token other than BULL (admin only). Its reserves no
+     * longer back any credits and can be withdrawn in full with withdrawTokenReserves,
+     * so fund the remaining tokens first if they do not cover the outstanding credits.
+     * Pending withdrawal requests for the token can still be claimed.
+     * @param token Address of the token
+     */
+    function removeToken(address token) external {
+        token;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Register a new game (admin only)
+     * @param gameId ID of the game, e.g. the cabinet number
+     * @param name Display name of the game
+     * @param price Credits charged per play
+     */
+    function addGame(uint256 gameId, string calldata name, uint256 price) external {
+        gameId;
+        name;
+        price;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Update the name, price and active flag of a game (admin only)
+     * @param gameId ID of the game
+     * @param name Display name of the game
+     * @param price Credits charged per play
+     * @param active Whether the game can currently be played
+     */
+    function updateGame(uint256 gameId, string calldata name, uint256 price, bool active) external {
+        gameId;
+        name;
+        price;
+        active;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Remove a game from the registry (admin only)
+     * @param gameId ID of the game
+     */
+    function removeGame(uint256 gameId) external {
+        gameId;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Attach the ERC-20 credits view, or detach it with the zero address (admin only)
+     * @param token ArcadeCredits contract created for this ArcadeManager
+     */
+    function setCreditsToken(address token) external {
+        token;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Enable or disable player-to-player transfers (admin only)
+     * @param enabled Whether transferCredits and transferCreditsFrom are allowed
+     */
+    function setTransfersEnabled(bool enabled) external {
+        enabled;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Set the withdrawal fee (admin only)
+     * @param feeBps Fee in basis points, at most MAX_WITHDRAWAL_FEE_BPS
+     * @param recipient Address receiving the fee
+     */
+    function setWithdrawalFee(uint256 feeBps, address recipient) external {
+        feeBps;
+        recipient;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Set the delay between requesting and claiming a withdrawal (admin only).
+     * Zero re-enables instant withdrawals; existing requests keep their unlock time.
+     * @param delay Delay in seconds, at most MAX_WITHDRAWAL_DELAY
+     */
+    function setWithdrawalDelay(uint256 delay) external {
+        delay;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Add BULL tokens to the house reserves (treasurer only)
+     * @param bullAmount Amount of BULL tokens to add
+     */
+    function fundReserves(uint256 bullAmount) external {
+        bullAmount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Add an accepted token to the house reserves (treasurer only)
+     * @param token Address of the token
+     * @param amount Amount of the token to add, in its base units
+     */
+    function fundTokenReserves(address token, uint256 amount) external {
+        token;
+        amount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Withdraw surplus BULL tokens from the house reserves (treasurer only)
+     * Tokens backing outstanding player credits cannot be withdrawn.
+     * @param to Address to send the tokens to
+     * @param bullAmount Amount of BULL tokens to withdraw
+     */
+    function withdrawReserves(address to, uint256 bullAmount) external {
+        to;
+        bullAmount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Withdraw surplus reserves of any token (treasurer only). Reserves that,
+     * together with the other accepted tokens, back outstanding credits cannot be withdrawn.
+     * @param token Address of the token
+     * @param to Address to send the tokens to
+     * @param amount Amount of the token to withdraw, in its base units
+     */
+    function withdrawTokenReserves(address token, address to, uint256 amount) external {
+        token;
+        to;
+        amount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Seed balances migrated from a previous deployment (admin only)
+     * Each player can be imported once, so a retried batch cannot double a balance.
+     * Reserves are funded separately with fundReserves.
+     * @param players Addresses of the players to import
+     * @param amounts Credit balance of each player on the previous deployment
+     */
+    function importBalances(address[] calldata players, uint256[] calldata amounts) external {
+        players;
+        amounts;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Lock importBalances for good once the migration is complete (admin only)
+     */
+    function finalizeMigration() external { _delegateToAdmin(); }
+    
+    /**
+     * @dev Toggle rejection of awards that would make the contract insolvent (admin only)
+     * @param enabled Whether to enforce solvency on awards
+     */
+    function setEnforceSolvency(bool enabled) external {
+        enabled;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Set the payout caps enforced by awardWinnings (admin only). Zero disables a cap.
+     * Daily totals are only tracked while the matching cap is set.
+     * @param maxAward Largest single award
+     * @param playerDaily Total a player may be awarded per LIMIT_WINDOW
+     * @param globalDaily Total all players may be awarded per LIMIT_WINDOW
+     */
+    function setPayoutLimits(uint256 maxAward, uint256 playerDaily, uint256 globalDaily) external {
+        maxAward;
+        playerDaily;
+        globalDaily;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Configure the progressive jackpot (admin only). A zero share stops
+     * contributions; the current pool stays until it is won.
+     * @param bps Share of every spend added to the pool, up to MAX_JACKPOT_BPS
+     * @param seed Credits the pool restarts at after each win
+     */
+    function setJackpot(uint256 bps, uint256 seed) external {
+        bps;
+        seed;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Pay the whole jackpot pool to a winner and restart it at jackpotSeed
+     * (operator only). Payout limits do not apply; the seed is new credits, so it is
+     * checked against the reserves like an award.
+     * @param winner Address of the player who won the jackpot
+     */
+    function awardJackpot(address winner) external {
+        winner;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Pay credits held by an escrow contract out to a player, such as a
+     * tournament prize or refund (escrow only). Neither the Transfer pause nor
+     * setTransfersEnabled applies, so escrowed credits can always be settled.
+     * @param to Address receiving the credits
+     * @param amount Amount of credits to pay out
+     */
+    function releaseCredits(address to, uint256 amount) external {
+        to;
+        amount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Retire credits held by an escrow contract, such as a tournament's rake
+     * (escrow only). Unlike spendCredits no jackpot share is taken and the Spend
+     * pause does not apply, so escrowed credits can always be settled.
+     * @param amount Amount of credits to retire
+     */
+    function retireCredits(uint256 amount) external {
+        amount;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Grant non-withdrawable bonus credits, e.g. for promotional free plays
+     * (operator only). The credits expire on their own, whatever the player's other
+     * bonus credits do; a player holds at most MAX_BONUS_LOTS distinct expiries.
+     * @param player Address of the player
+     * @param amount Bonus credits to add
+     * @param expiresAt Timestamp at which these credits expire, or 0 for never
+     */
+    function grantBonusCredits(address player, uint256 amount, uint256 expiresAt) external {
+        player;
+        amount;
+        expiresAt;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Pause a single operation (pauser only)
+     * @param operation Operation to pause
+     */
+    function pause(Operation operation) external {
+        operation;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Resume a single operation (pauser only)
+     * @param operation Operation to resume
+     */
+    function unpause(Operation operation) external {
+        operation;
+        _delegateToAdmin();
+    }
+    
+    /**
+     * @dev Pause every operation at once (pauser only)
+     */
+    function pauseAll() external { _delegateToAdmin(); }
+    
+    /**
+     * @dev Resume every operation at once (pauser only)
+     */
+    function unpauseAll() external { _delegateToAdmin(); }
+    
+    /**
+     * @dev Run the current call in ArcadeManagerAdmin against this contract's storage,
+     * returning or reverting with its result
+     */
+    function _delegateToAdmin() private {
+        address module = adminModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
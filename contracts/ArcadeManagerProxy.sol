@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+/**
+ * @title ArcadeManagerProxy
+ * @dev Transparent proxy for ArcadeManagerUpgradeable. Players and the SDK use
+ * its address as the ArcadeManager address; a ProxyAdmin contract owns the
+ * upgrade rights, so the upgrade logic does not take space in the implementation.
+ */
+contract ArcadeManagerProxy is TransparentUpgradeableProxy {
+    constructor(address implementation, address proxyAdmin, bytes memory data)
+        TransparentUpgradeableProxy(implementation, proxyAdmin, data)
+    {}
+}
@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IArcadeCredits.sol";
+
+/**
+ * @title ArcadeManagerStorage
+ * @dev State, events and shared helpers of ArcadeManager. ArcadeManagerCore and
+ * ArcadeManagerAdmin both inherit it, so the admin module runs against the same
+ * layout when it is reached through delegatecall. Initializable comes first so
+ * its flags keep slot 0 behind the proxy; new state variables must only be
+ * appended after the existing ones.
+ */
+abstract contract ArcadeManagerStorage is Initializable, AccessControlEnumerable, ReentrancyGuard, EIP712 {
+    // Roles; DEFAULT_ADMIN_ROLE manages settings and grants the other roles
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    // Companion contracts holding credits in escrow (e.g. tournament entry fees);
+    // they can move credits with transferCredits(From) while transfers are disabled
+    bytes32 public constant ESCROW_ROLE = keccak256("ESCROW_ROLE");
+    
+    // The BULL token interface
+    IERC20 public bullToken;
+    
+    // Credits are whole units. Rates are expressed per whole token, i.e. per
+    // tokenUnit = 10 ** bullToken.decimals() base units, so credit values do
+    // not depend on how many decimals the token has.
+    uint8 public constant CREDIT_DECIMALS = 0;
+    uint256 public tokenUnit;
+    
+    // Mapping of user address to their credit balance
+    mapping(address => uint256) public userCredits;
+    
+    // Sum of all user credit balances
+    uint256 public totalCredits;
+    
+    // When true, awards that would leave liabilities above reserves are rejected
+    bool public enforceSolvency;
+    
+    // Upper bound for either conversion rate
+    uint256 public constant MAX_CREDIT_RATE = 1_000_000;
+    
+    // Maximum number of entries in a single batch call
+    uint256 public constant MAX_BATCH_SIZE = 200;
+    
+    // Credits received per whole BULL token on deposit
+    uint256 public depositRate;
+    
+    // Credits required per whole BULL token on withdrawal
+    uint256 public withdrawalRate;
+    
+    // Upper bounds for the withdrawal fee (basis points) and delay
+    uint256 public constant MAX_WITHDRAWAL_FEE_BPS = 1_000;
+    uint256 public constant MAX_WITHDRAWAL_DELAY = 30 days;
+    
+    // Share of each withdrawal, in basis points, paid to the fee recipient
+    uint256 public withdrawalFeeBps;
+    address public feeRecipient;
+    
+    // When non-zero, withdrawals go through requestWithdrawal and can be claimed after this delay
+    uint256 public withdrawalDelay;
+    
+    // A pending timelocked withdrawal; its credits are held until claimed or cancelled.
+    // The token amount (bullAmount, in units of token) is fixed when the withdrawal
+    // is requested. Requests made before other tokens were accepted have no token
+    // and pay out BULL.
+    struct WithdrawalRequest {
+        address user;
+        uint256 creditAmount;
+        uint256 bullAmount;
+        uint256 unlockTime;
+        address token;
+    }
+    
+    mapping(uint256 => WithdrawalRequest) public withdrawalRequests;
+    uint256 public nextWithdrawalId;
+    
+    // A registered game and its price per play in credits
+    struct Game {
+        string name;
+        uint256 price;
+        bool active;
+        bool exists;
+    }
+    
+    // Mapping of game ID to game details
+    mapping(uint256 => Game) public games;
+    
+    // IDs of all registered games, and each ID's position in that list
+    uint256[] internal gameIds;
+    mapping(uint256 => uint256) internal gameIdIndex;
+    
+    // Operations that can be paused independently
+    enum Operation { Deposit, Spend, Withdraw, Award, Transfer }
+    
+    // Whether each operation is currently paused
+    mapping(Operation => bool) public paused;
+    
+    // Payout caps checked by awardWinnings; a payout that would exceed a cap is
+    // skipped and reported with PayoutLimitExceeded instead of credited
+    enum PayoutLimit { PerAward, PlayerDaily, GlobalDaily }
+    
+    // Length of the daily payout windows
+    uint256 public constant LIMIT_WINDOW = 1 days;
+    
+    // Zero means no limit
+    struct PayoutLimits {
+        uint256 maxAward;
+        uint256 playerDaily;
+        uint256 globalDaily;
+    }
+    
+    // Awards in a window that starts at the first award after the previous window ended
+    struct LimitWindow {
+        uint256 start;
+        uint256 total;
+    }
+    
+    PayoutLimits public payoutLimits;
+    mapping(address => LimitWindow) public playerPayoutWindows;
+    LimitWindow public globalPayoutWindow;
+    
+    // EIP-712 types for gasless spending authorised by a player signature
+    bytes32 public constant PLAY_TYPEHASH =
+        keccak256("Play(address player,uint256 gameId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant SPEND_TYPEHASH =
+        keccak256("Spend(address player,uint256 amount,uint256 nonce,uint256 deadline)");
+    
+    // Next signature nonce of each player
+    mapping(address => uint256) public nonces;
+    
+    // Credits seeded from a previous deployment; imports stop once the migration is finalised
+    mapping(address => uint256) public importedCredits;
+    bool public migrationFinalized;
+    
+    // Player-to-player credit transfers are off until the admin enables them
+    bool public transfersEnabled;
+    
+    // Credits a spender may move with transferCreditsFrom, per owner and spender
+    mapping(address => mapping(address => uint256)) public creditAllowance;
+    
+    // Optional ERC-20 view over the credits, told about every balance change
+    IArcadeCredits public creditsToken;
+    
+    // Credits held by pending withdrawal requests; the credits view shows them as this contract's balance
+    uint256 public heldCredits;
+    
+    // ERC-20 tokens accepted besides BULL, each with its own rates per whole token
+    // (unit = 10 ** decimals base units). BULL keeps depositRate, withdrawalRate and
+    // tokenUnit above. A zero unit means the token is not accepted.
+    struct TokenConfig {
+        uint256 unit;
+        uint256 depositRate;
+        uint256 withdrawalRate;
+    }
+    
+    mapping(address => TokenConfig) public tokenConfigs;
+    address[] internal extraTokens;
+    
+    // Upper bound on accepted tokens besides BULL, which keeps reserve valuation cheap
+    uint256 public constant MAX_EXTRA_TOKENS = 8;
+    
+    // Progressive jackpot: jackpotBps of every spend is moved to jackpotPool instead
+    // of being retired. Pool credits count in totalCredits until the jackpot is won;
+    // the pool then restarts at jackpotSeed, minted like an award.
+    uint256 public constant MAX_JACKPOT_BPS = 2_000;
+    uint256 public jackpotBps;
+    uint256 public jackpotSeed;
+    uint256 public jackpotPool;
+    
+    // Promotional credits granted by operators. They are spent before userCredits
+    // but cannot be withdrawn, transferred or moved into escrow, and are not
+    // liabilities, so they stay out of totalCredits. Each grant keeps its own expiry
+    // in a lot (grants with the same expiry share one); a zero expiry never expires.
+    // Lots are ordered soonest expiry first, non-expiring last, and spent in that order.
+    struct BonusLot {
+        uint256 amount;
+        uint256 expiresAt;
+    }
+    
+    // Upper bound on a player's live lots, which keeps spending cheap
+    uint256 public constant MAX_BONUS_LOTS = 8;
+    
+    mapping(address => BonusLot[]) internal bonusLots;
+    
+    // Events
+    event Deposit(address indexed user, uint256 bullAmount, uint256 creditAmount);
+    event CreditsSpent(address indexed user, uint256 amount);
+    event CreditsRetired(address indexed account, uint256 amount);
+    event WinningsAwarded(address indexed user, uint256 amount);
+    event Withdrawal(address indexed user, uint256 creditAmount, uint256 bullAmount);
+    event RateChanged(uint256 depositRate, uint256 withdrawalRate);
+    event GameAdded(uint256 indexed gameId, string name, uint256 price);
+    event GameUpdated(uint256 indexed gameId, string name, uint256 price, bool active);
+    event GameRemoved(uint256 indexed gameId);
+    event GamePlayed(address indexed user, uint256 indexed gameId, uint256 price);
+    event Paused(address indexed account, Operation operation);
+    event Unpaused(address indexed account, Operation operation);
+    event ReservesFunded(address indexed from, uint256 bullAmount);
+    event ReservesWithdrawn(address indexed to, uint256 bullAmount);
+    event SolvencyEnforcementChanged(bool enabled);
+    event MetaTransactionRelayed(address indexed player, address indexed relayer, uint256 nonce);
+    event WithdrawalFeeChanged(uint256 feeBps, address indexed recipient);
+    event WithdrawalFeePaid(address indexed user, address indexed recipient, uint256 bullAmount);
+    event WithdrawalDelayChanged(uint256 delay);
+    event WithdrawalRequested(uint256 indexed id, address indexed user, uint256 creditAmount, uint256 unlockTime);
+    event WithdrawalCancelled(uint256 indexed id, address indexed user, uint256 creditAmount, address cancelledBy);
+    event WithdrawalClaimed(uint256 indexed id, address indexed user, uint256 creditAmount, uint256 bullAmount);
+    event PayoutLimitsChanged(uint256 maxAward, uint256 playerDaily, uint256 globalDaily);
+    event PayoutLimitExceeded(address indexed player, uint256 amount, PayoutLimit limit);
+    event CreditsImported(address indexed user, uint256 amount);
+    event MigrationFinalized(uint256 totalCredits);
+    event CreditsTransferred(address indexed from, address indexed to, uint256 amount);
+    event CreditApproval(address indexed owner, address indexed spender, uint256 amount);
+    event TransfersEnabledChanged(bool enabled);
+    event CreditsTokenChanged(address indexed token);
+    event TokenAdded(address indexed token, uint256 depositRate, uint256 withdrawalRate);
+    event TokenRatesChanged(address indexed token, uint256 depositRate, uint256 withdrawalRate);
+    event TokenRemoved(address indexed token);
+    event TokenDeposit(address indexed user, address indexed token, uint256 tokenAmount, uint256 creditAmount);
+    event TokenWithdrawal(address indexed user, address indexed token, uint256 creditAmount, uint256 tokenAmount);
+    event TokenReservesFunded(address indexed token, address indexed from, uint256 amount);
+    event TokenReservesWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event JackpotSettingsChanged(uint256 jackpotBps, uint256 seed);
+    event JackpotWon(address indexed winner, uint256 amount, uint256 seed);
+    event BonusCreditsGranted(address indexed player, uint256 amount, uint256 expiresAt);
+    event BonusCreditsSpent(address indexed user, uint256 amount);
+    
+    
+    /**
+     * @dev Reverts while the given operation is paused
+     */
+    modifier whenNotPaused(Operation operation) {
+        require(!paused[operation], "Operation is paused");
+        _;
+    }
+    
+    // The EIP-712 name and version are immutables, so they also hold behind a proxy
+    constructor() EIP712("ArcadeManager", "1") {}
+    
+    /**
+     * @dev BULL tokens held by the contract
+     * @return Reserve balance
+     */
+    function reserves() public view returns (uint256) {
+        return bullToken.balanceOf(address(this));
+    }
+    
+    /**
+     * @dev BULL tokens needed to pay out every outstanding credit at the withdrawal rate
+     * @return Total liabilities
+     */
+    function totalLiabilities() public view returns (uint256) {
+        return (totalCredits * tokenUnit) / withdrawalRate;
+    }
+    
+    /**
+     * @dev BULL reserves not needed to cover liabilities, counting the reserves
+     * of the other accepted tokens towards the liabilities first
+     * @return Surplus reserves, zero when under-collateralised
+     */
+    function surplusReserves() external view returns (uint256) {
+        return _tokenSurplus(address(bullToken));
+    }
+    
+    /**
+     * @dev BULL followed by the other accepted tokens
+     */
+    function _acceptedTokens() internal view returns (address[] memory tokens) {
+        tokens = new address[](extraTokens.length + 1);
+        tokens[0] = address(bullToken);
+        for (uint256 i = 0; i < extraTokens.length; i++) {
+            tokens[i + 1] = extraTokens[i];
+        }
+    }
+    
+    /**
+     * @dev Unit and rates of an accepted token; reverts for any other token
+     */
+    function _tokenConfig(address token) internal view returns (TokenConfig memory config) {
+        if (token == address(bullToken)) {
+            return TokenConfig(tokenUnit, depositRate, withdrawalRate);
+        }
+        config = tokenConfigs[token];
+        require(config.unit != 0, "Token not accepted");
+    }
+    
+    /**
+     * @dev Credits the reserves of every accepted token but one are worth at their withdrawal rates
+     * @param excluded Token left out, or the zero address to value every reserve
+     */
+    function _reserveCredits(address excluded) internal view returns (uint256 credits) {
+        address[] memory tokens = _acceptedTokens();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] != excluded) {
+                TokenConfig memory config = _tokenConfig(tokens[i]);
+                credits += (IERC20(tokens[i]).balanceOf(address(this)) * config.withdrawalRate) / config.unit;
+            }
+        }
+    }
+    
+    /**
+     * @dev Amount of a token needed to pay out the credits that the reserves of
+     * the other accepted tokens do not cover
+     */
+    function _tokenLiabilities(address token) internal view returns (uint256) {
+        uint256 covered = _reserveCredits(token);
+        if (covered >= totalCredits) {
+            return 0;
+        }
+        TokenConfig memory config = _tokenConfig(token);
+        return ((totalCredits - covered) * config.unit) / config.withdrawalRate;
+    }
+    
+    /**
+     * @dev Reserves of a token not needed to cover liabilities. Tokens that are
+     * not accepted back no credits, so their whole balance is surplus.
+     */
+    function _tokenSurplus(address token) internal view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (token != address(bullToken) && tokenConfigs[token].unit == 0) {
+            return balance;
+        }
+        uint256 liabilities = _tokenLiabilities(token);
+        return balance > liabilities ? balance - liabilities : 0;
+    }
+    
+    /**
+     * @dev Revert if solvency is enforced and liabilities exceed reserves
+     */
+    function _checkSolvency() internal view {
+        if (enforceSolvency) {
+            require(_tokenLiabilities(address(bullToken)) <= reserves(), "Award exceeds reserves");
+        }
+    }
+    
+    /**
+     * @dev Whether a bonus lot still has credits that have not expired
+     */
+    function _bonusLive(BonusLot storage lot) internal view returns (bool) {
+        return lot.amount > 0 && (lot.expiresAt == 0 || block.timestamp < lot.expiresAt);
+    }
+    
+    /**
+     * @dev Mirror a balance change on the credits view; the zero address stands for minting or burning
+     */
+    function _creditsMoved(address from, address to, uint256 amount) internal {
+        if (address(creditsToken) != address(0)) {
+            creditsToken.emitTransfer(from, to, amount);
+        }
+    }
+    
+    /**
+     * @dev Validate and store the BULL conversion rates
+     */
+    function _setRates(uint256 newDepositRate, uint256 newWithdrawalRate) internal {
+        _checkRates(newDepositRate, newWithdrawalRate);
+        
+        depositRate = newDepositRate;
+        withdrawalRate = newWithdrawalRate;
+        
+        emit RateChanged(newDepositRate, newWithdrawalRate);
+    }
+    
+    /**
+     * @dev Revert unless both rates are within bounds. A withdrawal rate below the
+     * deposit rate would let players withdraw more tokens than they deposited, so
+     * it is rejected.
+     */
+    function _checkRates(uint256 newDepositRate, uint256 newWithdrawalRate) internal pure {
+        require(newDepositRate > 0 && newDepositRate <= MAX_CREDIT_RATE, "Rate out of bounds");
+        require(newWithdrawalRate > 0 && newWithdrawalRate <= MAX_CREDIT_RATE, "Rate out of bounds");
+        require(newWithdrawalRate >= newDepositRate, "Withdrawal rate below deposit rate");
+    }
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ArcadeManagerCore.sol";
+
+/**
+ * @title ArcadeManagerUpgradeable
+ * @dev ArcadeManager behind a transparent proxy (ArcadeManagerProxy). The proxy
+ * is set up with initialize() instead of a constructor; upgrades go through
+ * the proxy's ProxyAdmin. Initializable is the first base of ArcadeManagerStorage,
+ * so its flags keep slot 0 while the arcade state grows at the end of the layout.
+ */
+contract ArcadeManagerUpgradeable is ArcadeManagerCore {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set the BULL token address and initial conversion rates,
+     * and grant every role to the caller (once, through the proxy)
+     * @param _bullToken Address of the BULL token contract
+     * @param _depositRate Credits received per whole BULL token on deposit
+     * @param _withdrawalRate Credits required per whole BULL token on withdrawal
+     */
+    function initialize(address _bullToken, uint256 _depositRate, uint256 _withdrawalRate) external initializer {
+        _initializeArcade(_bullToken, _depositRate, _withdrawalRate);
+    }
+}
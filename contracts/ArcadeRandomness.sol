@@ -0,0 +1,269 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IArcadeManager.sol";
+import "./interfaces/IRandomnessConsumer.sol";
+import "./interfaces/IRandomnessCoordinator.sol";
+
+/**
+ * @title ArcadeRandomness
+ * @dev Randomness for games of chance, requested by registered consumers (game
+ * contracts or game servers) on behalf of players. Both sides commit before either
+ * reveals: the request carries the hash of a secret player seed and takes the next
+ * operator seed commitment, the operator reveals its seed (or a coordinator such as
+ * a VRF oracle supplies a random word) and only then is the player seed revealed.
+ * The result is keccak256(abi.encode(source, playerSeed, requestId)), so the
+ * operator reveals without knowing the outcome and the player commits without
+ * knowing the source; anyone can check it from the events. A request whose source
+ * is not revealed in time expires as SourceExpired (the game refunds the play); one
+ * whose player seed is not revealed in time expires as PlayerExpired (the play is
+ * forfeited). Game contracts receive the result through IRandomnessConsumer.onRandomness.
+ */
+contract ArcadeRandomness is AccessControl {
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    
+    // Contracts and servers allowed to request randomness. Each request uses up an
+    // operator seed, so consumers should charge for them (e.g. the game's price).
+    bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+    
+    // Most seed commitments accepted per call
+    uint256 public constant MAX_COMMITMENTS = 100;
+    
+    // Time each side has to reveal before anyone can expire the request
+    uint256 public constant REVEAL_TIMEOUT = 1 days;
+    
+    // Gas given to the consumer callback; a failing callback does not undo the fulfillment
+    uint256 public constant CALLBACK_GAS_LIMIT = 200_000;
+    
+    // Gas kept back for the call itself and a CallbackFailed event
+    uint256 private constant CALLBACK_GAS_OVERHEAD = 10_000;
+    
+    IArcadeManager public immutable arcadeManager;
+    
+    enum Status { None, AwaitingSource, AwaitingPlayer, Fulfilled, SourceExpired, PlayerExpired }
+    
+    struct Request {
+        address requester;
+        uint256 gameId;
+        // keccak256 of the player's secret seed
+        bytes32 playerCommitment;
+        // Operator seed hash in commit-reveal mode, zero when served by a coordinator
+        bytes32 seedCommitment;
+        // Coordinator that must answer, zero in commit-reveal mode
+        address coordinator;
+        // End of the current reveal stage
+        uint64 deadline;
+        Status status;
+        // Revealed operator seed or coordinator random word
+        bytes32 source;
+        uint256 randomness;
+    }
+    
+    // Request ID => request; IDs start at 1
+    mapping(uint256 => Request) public requests;
+    uint256 public requestCount;
+    
+    // Committed operator seed hashes, used in order
+    bytes32[] public seedCommitments;
+    uint256 public nextCommitment;
+    
+    // Used for new requests; zero selects commit-reveal
+    IRandomnessCoordinator public coordinator;
+    
+    // Events
+    event SeedsCommitted(uint256 indexed firstIndex, uint256 count);
+    event CoordinatorChanged(address indexed coordinator);
+    event RandomnessRequested(
+        uint256 indexed id,
+        address indexed requester,
+        uint256 indexed gameId,
+        bytes32 playerCommitment,
+        bytes32 seedCommitment,
+        address coordinator
+    );
+    event SourceRevealed(uint256 indexed id, bytes32 source);
+    event PlayerSeedRevealed(uint256 indexed id, bytes32 playerSeed);
+    event RandomnessFulfilled(uint256 indexed id, uint256 randomness);
+    event CallbackFailed(uint256 indexed id);
+    event RequestExpired(uint256 indexed id, Status status);
+    
+    /**
+     * @dev Constructor
+     * @param _arcadeManager ArcadeManager whose games request randomness
+     */
+    constructor(address _arcadeManager) {
+        require(_arcadeManager != address(0), "ArcadeManager address cannot be zero");
+        arcadeManager = IArcadeManager(_arcadeManager);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Commit the hashes of operator seeds that future requests will use
+     * @param commitments keccak256 of each secret seed, in the order they will be used
+     */
+    function commitSeeds(bytes32[] calldata commitments) external onlyRole(OPERATOR_ROLE) {
+        require(commitments.length > 0 && commitments.length <= MAX_COMMITMENTS, "Invalid commitment count");
+        
+        uint256 firstIndex = seedCommitments.length;
+        for (uint256 i = 0; i < commitments.length; i++) {
+            require(commitments[i] != bytes32(0), "Invalid commitment");
+            seedCommitments.push(commitments[i]);
+        }
+        
+        emit SeedsCommitted(firstIndex, commitments.length);
+    }
+    
+    /**
+     * @dev Answer new requests with a coordinator, or with commit-reveal. Pending
+     * requests keep the mode they were made with.
+     * @param _coordinator Coordinator address, or the zero address for commit-reveal
+     */
+    function setCoordinator(address _coordinator) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        coordinator = IRandomnessCoordinator(_coordinator);
+        emit CoordinatorChanged(_coordinator);
+    }
+    
+    /**
+     * @dev Request randomness for a game (consumers only). Contracts requesting it
+     * are called back with IRandomnessConsumer.onRandomness once it is fulfilled.
+     * @param gameId Registered, active game the randomness is for
+     * @param playerCommitment keccak256 of the player's secret seed, revealed with revealPlayerSeed
+     * @return id ID of the request
+     */
+    function requestRandomness(uint256 gameId, bytes32 playerCommitment)
+        external
+        onlyRole(CONSUMER_ROLE)
+        returns (uint256 id)
+    {
+        require(playerCommitment != bytes32(0), "Invalid commitment");
+        (, , bool active, bool exists) = arcadeManager.games(gameId);
+        require(exists, "Game does not exist");
+        require(active, "Game is not active");
+        
+        id = ++requestCount;
+        Request storage request = requests[id];
+        request.requester = msg.sender;
+        request.gameId = gameId;
+        request.playerCommitment = playerCommitment;
+        request.deadline = uint64(block.timestamp + REVEAL_TIMEOUT);
+        request.status = Status.AwaitingSource;
+        
+        if (address(coordinator) == address(0)) {
+            require(nextCommitment < seedCommitments.length, "No operator seeds available");
+            request.seedCommitment = seedCommitments[nextCommitment++];
+        } else {
+            request.coordinator = address(coordinator);
+            coordinator.requestRandomness(id);
+        }
+        
+        emit RandomnessRequested(id, msg.sender, gameId, playerCommitment, request.seedCommitment, request.coordinator);
+    }
+    
+    /**
+     * @dev Reveal the operator seed committed for a request (operators only)
+     * @param id ID of the request
+     * @param operatorSeed Secret whose keccak256 is the request's seed commitment
+     */
+    function revealSeed(uint256 id, bytes32 operatorSeed) external onlyRole(OPERATOR_ROLE) {
+        Request storage request = requests[id];
+        require(request.status == Status.AwaitingSource, "Request not awaiting source");
+        require(request.coordinator == address(0), "Request served by coordinator");
+        require(keccak256(abi.encode(operatorSeed)) == request.seedCommitment, "Seed does not match commitment");
+        
+        _revealSource(request, id, operatorSeed);
+    }
+    
+    /**
+     * @dev Answer a request with the coordinator's random word (its coordinator only)
+     * @param id ID of the request
+     * @param randomWord Random word produced by the coordinator
+     */
+    function fulfillRandomness(uint256 id, uint256 randomWord) external {
+        Request storage request = requests[id];
+        require(request.status == Status.AwaitingSource, "Request not awaiting source");
+        require(request.coordinator != address(0) && msg.sender == request.coordinator, "Not the coordinator");
+        
+        _revealSource(request, id, bytes32(randomWord));
+    }
+    
+    /**
+     * @dev Reveal the player seed once the source is known, fulfilling the request.
+     * Anyone holding the seed may call it. A consumer callback always gets its full
+     * CALLBACK_GAS_LIMIT: a transaction with too little gas for that reverts instead
+     * of fulfilling the request with a starved callback.
+     * @param id ID of the request
+     * @param playerSeed Secret whose keccak256 is the request's player commitment
+     */
+    function revealPlayerSeed(uint256 id, bytes32 playerSeed) external {
+        Request storage request = requests[id];
+        require(request.status == Status.AwaitingPlayer, "Request not awaiting player seed");
+        require(keccak256(abi.encode(playerSeed)) == request.playerCommitment, "Seed does not match commitment");
+        
+        uint256 randomness = deriveRandomness(id, request.source, playerSeed);
+        request.status = Status.Fulfilled;
+        request.randomness = randomness;
+        
+        emit PlayerSeedRevealed(id, playerSeed);
+        emit RandomnessFulfilled(id, randomness);
+        
+        if (request.requester.code.length > 0) {
+            // A call forwards at most 63/64 of the remaining gas
+            require(gasleft() >= (CALLBACK_GAS_LIMIT * 64) / 63 + CALLBACK_GAS_OVERHEAD, "Not enough gas for callback");
+            try IRandomnessConsumer(request.requester).onRandomness{gas: CALLBACK_GAS_LIMIT}(id, randomness) {
+            } catch {
+                emit CallbackFailed(id);
+            }
+        }
+    }
+    
+    /**
+     * @dev Expire a request whose current reveal is overdue. Anyone may call it.
+     * SourceExpired means the operator or coordinator defaulted and the game should
+     * refund the play; PlayerExpired means the player withheld their seed after the
+     * source was revealed, and the play is forfeited.
+     * @param id ID of the request
+     */
+    function expireRequest(uint256 id) external {
+        Request storage request = requests[id];
+        require(
+            request.status == Status.AwaitingSource || request.status == Status.AwaitingPlayer,
+            "Request not pending"
+        );
+        require(block.timestamp >= request.deadline, "Request not expired");
+        
+        request.status = request.status == Status.AwaitingSource ? Status.SourceExpired : Status.PlayerExpired;
+        emit RequestExpired(id, request.status);
+    }
+    
+    /**
+     * @dev Operator seed commitments not yet assigned to a request
+     * @return Number of available commitments
+     */
+    function availableSeeds() external view returns (uint256) {
+        return seedCommitments.length - nextCommitment;
+    }
+    
+    /**
+     * @dev Derive the result from the operator or coordinator input and the player seed
+     * @param id ID of the request
+     * @param source Revealed operator seed or coordinator random word
+     * @param playerSeed Seed chosen by the player
+     * @return Random value
+     */
+    function deriveRandomness(uint256 id, bytes32 source, bytes32 playerSeed) public pure returns (uint256) {
+        return uint256(keccak256(abi.encode(source, playerSeed, id)));
+    }
+    
+    /**
+     * @dev Record the source and start the player's reveal window
+     */
+    function _revealSource(Request storage request, uint256 id, bytes32 source) internal {
+        request.source = source;
+        request.status = Status.AwaitingPlayer;
+        request.deadline = uint64(block.timestamp + REVEAL_TIMEOUT);
+        
+        emit SourceRevealed(id, source);
+    }
+}
@@ -0,0 +1,234 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./interfaces/IArcadeManager.sol";
+
+/**
+ * @title ArcadeTournaments
+ * @dev High-score tournaments paid in ArcadeManager credits.
+ * Operators create a tournament with an entry fee, start/end times, a house rake and
+ * a payout table. Players enter before it ends, after approving this contract for the
+ * fee with ArcadeManager.approveCredits; the fees are held here as credits. Once it
+ * has ended an operator posts the final rankings and the prize pool, minus the rake,
+ * is paid to the ranked players with releaseCredits. The rake is retired with
+ * retireCredits, so no share of it goes to the jackpot. Neither path is stopped by
+ * the Transfer or Spend pause, so a pause cannot push a tournament past its
+ * FINALIZE_WINDOW or hold back refunds.
+ * A cancelled tournament, or one not finalized within FINALIZE_WINDOW of its end,
+ * refunds every entry fee. Needs ESCROW_ROLE on ArcadeManager.
+ */
+contract ArcadeTournaments is AccessControl, ReentrancyGuard {
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    
+    // Most places a payout table may pay
+    uint256 public constant MAX_PLACES = 32;
+    
+    // Highest house rake, in basis points of the prize pool
+    uint256 public constant MAX_RAKE_BPS = 2_000;
+    
+    // Time after the end in which rankings must be posted before players can take refunds
+    uint256 public constant FINALIZE_WINDOW = 7 days;
+    
+    IArcadeManager public immutable arcadeManager;
+    
+    enum Status { None, Open, Finalized, Cancelled }
+    
+    struct Tournament {
+        string name;
+        uint256 entryFee;
+        uint64 startTime;
+        uint64 endTime;
+        uint16 rakeBps;
+        Status status;
+        uint256 entrants;
+        uint256 prizePool;
+        // Share of the pool after the rake paid to each place, in basis points summing to 10,000
+        uint16[] payoutBps;
+    }
+    
+    // Tournament ID => tournament; IDs start at 1
+    mapping(uint256 => Tournament) internal _tournaments;
+    uint256 public tournamentCount;
+    
+    // Tournament ID => player => entered and not refunded
+    mapping(uint256 => mapping(address => bool)) public hasEntered;
+    
+    // Events
+    event TournamentCreated(
+        uint256 indexed id,
+        string name,
+        uint256 entryFee,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 rakeBps,
+        uint16[] payoutBps
+    );
+    event TournamentEntered(uint256 indexed id, address indexed player, uint256 entryFee);
+    event PrizePaid(uint256 indexed id, address indexed player, uint256 place, uint256 amount);
+    event TournamentFinalized(uint256 indexed id, uint256 prizePool, uint256 rake, uint256 winners);
+    event TournamentCancelled(uint256 indexed id);
+    event EntryRefunded(uint256 indexed id, address indexed player, uint256 amount);
+    
+    /**
+     * @dev Constructor
+     * @param _arcadeManager ArcadeManager whose credits are used for entries and prizes
+     */
+    constructor(address _arcadeManager) {
+        require(_arcadeManager != address(0), "ArcadeManager address cannot be zero");
+        arcadeManager = IArcadeManager(_arcadeManager);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Create a tournament
+     * @param name Display name
+     * @param entryFee Credits charged per entry (0 for a free tournament with no prizes)
+     * @param startTime When play starts; entries are accepted from creation until endTime
+     * @param endTime When play ends and rankings can be posted
+     * @param rakeBps House share of the prize pool in basis points (up to MAX_RAKE_BPS)
+     * @param payoutBps Share of the remaining pool per place, best first, summing to 10,000
+     * @return id ID of the new tournament
+     */
+    function createTournament(
+        string calldata name,
+        uint256 entryFee,
+        uint64 startTime,
+        uint64 endTime,
+        uint16 rakeBps,
+        uint16[] calldata payoutBps
+    ) external onlyRole(OPERATOR_ROLE) returns (uint256 id) {
+        require(bytes(name).length > 0, "Tournament name cannot be empty");
+        require(startTime < endTime, "Invalid tournament times");
+        require(endTime > block.timestamp, "Tournament would already be over");
+        require(rakeBps <= MAX_RAKE_BPS, "Rake too high");
+        require(payoutBps.length > 0 && payoutBps.length <= MAX_PLACES, "Invalid payout table");
+        
+        uint256 total;
+        for (uint256 i = 0; i < payoutBps.length; i++) {
+            require(payoutBps[i] > 0, "Invalid payout table");
+            total += payoutBps[i];
+        }
+        require(total == 10_000, "Payouts must sum to 100%");
+        
+        id = ++tournamentCount;
+        Tournament storage tournament = _tournaments[id];
+        tournament.name = name;
+        tournament.entryFee = entryFee;
+        tournament.startTime = startTime;
+        tournament.endTime = endTime;
+        tournament.rakeBps = rakeBps;
+        tournament.status = Status.Open;
+        tournament.payoutBps = payoutBps;
+        
+        emit TournamentCreated(id, name, entryFee, startTime, endTime, rakeBps, payoutBps);
+    }
+    
+    /**
+     * @dev Enter a tournament, paying the entry fee from the caller's credits.
+     * The caller must have approved this contract for the fee on ArcadeManager.
+     * @param id ID of the tournament
+     */
+    function enterTournament(uint256 id) external nonReentrant {
+        Tournament storage tournament = _tournaments[id];
+        require(tournament.status == Status.Open, "Tournament not open");
+        require(block.timestamp < tournament.endTime, "Tournament has ended");
+        require(!hasEntered[id][msg.sender], "Already entered");
+        
+        hasEntered[id][msg.sender] = true;
+        tournament.entrants += 1;
+        tournament.prizePool += tournament.entryFee;
+        if (tournament.entryFee > 0) {
+            arcadeManager.transferCreditsFrom(msg.sender, address(this), tournament.entryFee);
+        }
+        
+        emit TournamentEntered(id, msg.sender, tournament.entryFee);
+    }
+    
+    /**
+     * @dev Post the final rankings and pay the prizes. When fewer players are ranked
+     * than the table has places, the shares of the ranked places are scaled up to
+     * pay out the whole pool. Rounding dust is retired with the rake.
+     * @param id ID of the tournament
+     * @param rankings Entrants in finishing order, best first, at most one per place
+     */
+    function finalizeTournament(uint256 id, address[] calldata rankings) external onlyRole(OPERATOR_ROLE) nonReentrant {
+        Tournament storage tournament = _tournaments[id];
+        require(tournament.status == Status.Open, "Tournament not open");
+        require(block.timestamp >= tournament.endTime, "Tournament has not ended");
+        require(block.timestamp < tournament.endTime + FINALIZE_WINDOW, "Finalize window has passed");
+        require(rankings.length <= tournament.payoutBps.length, "Too many rankings");
+        require(rankings.length > 0 || tournament.entrants == 0, "Rankings required");
+        
+        uint256 rankedBps;
+        for (uint256 i = 0; i < rankings.length; i++) {
+            require(hasEntered[id][rankings[i]], "Ranked player did not enter");
+            for (uint256 j = 0; j < i; j++) {
+                require(rankings[j] != rankings[i], "Duplicate ranking");
+            }
+            rankedBps += tournament.payoutBps[i];
+        }
+        
+        tournament.status = Status.Finalized;
+        uint256 pool = tournament.prizePool;
+        uint256 prizes = pool - (pool * tournament.rakeBps) / 10_000;
+        uint256 paid;
+        for (uint256 i = 0; i < rankings.length; i++) {
+            uint256 amount = (prizes * tournament.payoutBps[i]) / rankedBps;
+            if (amount > 0) {
+                paid += amount;
+                arcadeManager.releaseCredits(rankings[i], amount);
+            }
+            emit PrizePaid(id, rankings[i], i + 1, amount);
+        }
+        if (pool > paid) {
+            arcadeManager.retireCredits(pool - paid);
+        }
+        
+        emit TournamentFinalized(id, pool, pool - paid, rankings.length);
+    }
+    
+    /**
+     * @dev Cancel a tournament that has not been finalized; entrants reclaim their fees with claimRefund
+     * @param id ID of the tournament
+     */
+    function cancelTournament(uint256 id) external onlyRole(OPERATOR_ROLE) {
+        require(_tournaments[id].status == Status.Open, "Tournament not open");
+        _tournaments[id].status = Status.Cancelled;
+        emit TournamentCancelled(id);
+    }
+    
+    /**
+     * @dev Return the caller's entry fee from a cancelled tournament, or one whose
+     * rankings were not posted within FINALIZE_WINDOW of its end
+     * @param id ID of the tournament
+     */
+    function claimRefund(uint256 id) external nonReentrant {
+        Tournament storage tournament = _tournaments[id];
+        require(hasEntered[id][msg.sender], "No entry to refund");
+        require(
+            tournament.status == Status.Cancelled ||
+                (tournament.status == Status.Open && block.timestamp >= tournament.endTime + FINALIZE_WINDOW),
+            "Refunds not available"
+        );
+        
+        hasEntered[id][msg.sender] = false;
+        tournament.prizePool -= tournament.entryFee;
+        if (tournament.entryFee > 0) {
+            arcadeManager.releaseCredits(msg.sender, tournament.entryFee);
+        }
+        
+        emit EntryRefunded(id, msg.sender, tournament.entryFee);
+    }
+    
+    /**
+     * @dev Get a tournament
+     * @param id ID of the tournament
+     * @return Tournament, with status None if it does not exist
+     */
+    function getTournament(uint256 id) external view returns (Tournament memory) {
+        return _tournaments[id];
+    }
+}
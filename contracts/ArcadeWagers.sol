@@ -0,0 +1,227 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IArcadeManager.sol";
+
+/**
+ * @title ArcadeWagers
+ * @dev Head-to-head credit wagers for 1v1 games.
+ * A player creates a challenge with a stake, optionally for a specific opponent, and
+ * the opponent accepts it; both stakes are held here as credits, pulled with
+ * ArcadeManager.transferCreditsFrom, so each player approves this contract first.
+ * An accepted match is settled by a result reporter or by an EIP-712 Settlement
+ * signed by both players; the winner receives both stakes and a draw returns them.
+ * A match not settled within its timeout can be refunded by anyone. Needs
+ * ESCROW_ROLE on ArcadeManager.
+ */
+contract ArcadeWagers is AccessControl, ReentrancyGuard, EIP712 {
+    bytes32 public constant REPORTER_ROLE = keccak256("REPORTER_ROLE");
+    
+    bytes32 public constant SETTLEMENT_TYPEHASH = keccak256("Settlement(uint256 challengeId,address winner)");
+    
+    // Bounds of the time an accepted match has to be settled
+    uint256 public constant MIN_MATCH_TIMEOUT = 5 minutes;
+    uint256 public constant MAX_MATCH_TIMEOUT = 7 days;
+    
+    IArcadeManager public immutable arcadeManager;
+    
+    enum Status { None, Open, Accepted, Settled, Cancelled, Refunded }
+    
+    struct Challenge {
+        address challenger;
+        // Zero while an open challenge has not been accepted
+        address opponent;
+        uint256 gameId;
+        uint256 stake;
+        Status status;
+        // Settlement deadline of an accepted match
+        uint64 deadline;
+    }
+    
+    mapping(uint256 => Challenge) public challenges;
+    uint256 public challengeCount;
+    
+    // Time an accepted match has to be settled before it can be refunded
+    uint256 public matchTimeout = 1 days;
+    
+    // Events
+    event ChallengeCreated(
+        uint256 indexed id,
+        address indexed challenger,
+        address indexed opponent,
+        uint256 gameId,
+        uint256 stake
+    );
+    event ChallengeAccepted(uint256 indexed id, address indexed opponent, uint256 deadline);
+    event ChallengeCancelled(uint256 indexed id);
+    // payout is 0 on a draw; settledBy is the reporter or whoever submitted the signatures
+    event ChallengeSettled(uint256 indexed id, address indexed winner, uint256 payout, address indexed settledBy);
+    event ChallengeRefunded(uint256 indexed id);
+    event MatchTimeoutChanged(uint256 timeout);
+    
+    /**
+     * @dev Constructor
+     * @param _arcadeManager ArcadeManager whose credits are wagered
+     */
+    constructor(address _arcadeManager) EIP712("ArcadeWagers", "1") {
+        require(_arcadeManager != address(0), "ArcadeManager address cannot be zero");
+        arcadeManager = IArcadeManager(_arcadeManager);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Set the time accepted matches have to be settled; applies to matches accepted afterwards
+     * @param timeout Timeout in seconds, between MIN_MATCH_TIMEOUT and MAX_MATCH_TIMEOUT
+     */
+    function setMatchTimeout(uint256 timeout) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(timeout >= MIN_MATCH_TIMEOUT && timeout <= MAX_MATCH_TIMEOUT, "Timeout out of bounds");
+        matchTimeout = timeout;
+        emit MatchTimeoutChanged(timeout);
+    }
+    
+    /**
+     * @dev Challenge another player (or anyone) to a game, staking credits.
+     * The caller must have approved this contract for the stake on ArcadeManager.
+     * @param opponent Player who may accept, or the zero address for an open challenge
+     * @param gameId Registered, active game the match is played on
+     * @param stake Credits each player stakes
+     * @return id ID of the new challenge
+     */
+    function createChallenge(address opponent, uint256 gameId, uint256 stake) external nonReentrant returns (uint256 id) {
+        require(stake > 0, "Stake must be greater than zero");
+        require(opponent != msg.sender, "Cannot challenge yourself");
+        (, , bool active, bool exists) = arcadeManager.games(gameId);
+        require(exists, "Game does not exist");
+        require(active, "Game is not active");
+        
+        id = ++challengeCount;
+        challenges[id] = Challenge({
+            challenger: msg.sender,
+            opponent: opponent,
+            gameId: gameId,
+            stake: stake,
+            status: Status.Open,
+            deadline: 0
+        });
+        arcadeManager.transferCreditsFrom(msg.sender, address(this), stake);
+        
+        emit ChallengeCreated(id, msg.sender, opponent, gameId, stake);
+    }
+    
+    /**
+     * @dev Accept a challenge, staking the same amount of credits. Starts the match timeout.
+     * @param id ID of the challenge
+     */
+    function acceptChallenge(uint256 id) external nonReentrant {
+        Challenge storage challenge = challenges[id];
+        require(challenge.status == Status.Open, "Challenge not open");
+        require(challenge.challenger != msg.sender, "Cannot challenge yourself");
+        require(challenge.opponent == address(0) || challenge.opponent == msg.sender, "Not the challenged player");
+        
+        challenge.opponent = msg.sender;
+        challenge.status = Status.Accepted;
+        challenge.deadline = uint64(block.timestamp + matchTimeout);
+        arcadeManager.transferCreditsFrom(msg.sender, address(this), challenge.stake);
+        
+        emit ChallengeAccepted(id, msg.sender, challenge.deadline);
+    }
+    
+    /**
+     * @dev Withdraw a challenge nobody has accepted yet and return the stake
+     * @param id ID of the challenge
+     */
+    function cancelChallenge(uint256 id) external nonReentrant {
+        Challenge storage challenge = challenges[id];
+        require(challenge.status == Status.Open, "Challenge not open");
+        require(challenge.challenger == msg.sender, "Not the challenger");
+        
+        challenge.status = Status.Cancelled;
+        arcadeManager.transferCredits(challenge.challenger, challenge.stake);
+        
+        emit ChallengeCancelled(id);
+    }
+    
+    /**
+     * @dev Settle an accepted match from the game's result (reporters only)
+     * @param id ID of the challenge
+     * @param winner Winning player, or the zero address for a draw
+     */
+    function reportResult(uint256 id, address winner) external onlyRole(REPORTER_ROLE) nonReentrant {
+        _settle(id, winner);
+    }
+    
+    /**
+     * @dev Settle an accepted match with a Settlement signed by both players.
+     * Anyone may submit it.
+     * @param id ID of the challenge
+     * @param winner Winning player, or the zero address for a draw
+     * @param challengerSignature Challenger's EIP-712 signature of the settlement
+     * @param opponentSignature Opponent's EIP-712 signature of the settlement
+     */
+    function settleWithSignatures(
+        uint256 id,
+        address winner,
+        bytes calldata challengerSignature,
+        bytes calldata opponentSignature
+    ) external nonReentrant {
+        Challenge storage challenge = challenges[id];
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(SETTLEMENT_TYPEHASH, id, winner)));
+        require(ECDSA.recover(digest, challengerSignature) == challenge.challenger, "Invalid signature");
+        require(ECDSA.recover(digest, opponentSignature) == challenge.opponent, "Invalid signature");
+        _settle(id, winner);
+    }
+    
+    /**
+     * @dev Return both stakes of a match that was not settled before its deadline.
+     * Anyone may call it.
+     * @param id ID of the challenge
+     */
+    function refundExpired(uint256 id) external nonReentrant {
+        Challenge storage challenge = challenges[id];
+        require(challenge.status == Status.Accepted, "Challenge not accepted");
+        require(block.timestamp >= challenge.deadline, "Match not expired");
+        
+        challenge.status = Status.Refunded;
+        arcadeManager.transferCredits(challenge.challenger, challenge.stake);
+        arcadeManager.transferCredits(challenge.opponent, challenge.stake);
+        
+        emit ChallengeRefunded(id);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator used for settlements
+     * @return Domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @dev Pay both stakes to the winner, or return them on a draw
+     */
+    function _settle(uint256 id, address winner) internal {
+        Challenge storage challenge = challenges[id];
+        require(challenge.status == Status.Accepted, "Challenge not accepted");
+        require(block.timestamp < challenge.deadline, "Match expired");
+        require(
+            winner == address(0) || winner == challenge.challenger || winner == challenge.opponent,
+            "Winner is not a player"
+        );
+        
+        challenge.status = Status.Settled;
+        uint256 payout;
+        if (winner == address(0)) {
+            arcadeManager.transferCredits(challenge.challenger, challenge.stake);
+            arcadeManager.transferCredits(challenge.opponent, challenge.stake);
+        } else {
+            payout = challenge.stake * 2;
+            arcadeManager.transferCredits(winner, payout);
+        }
+        
+        emit ChallengeSettled(id, winner, payout, msg.sender);
+    }
+}
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./interfaces/IArcadeManager.sol";
+
+/**
+ * @title GameResultVerifier
+ * @dev Pays out game results signed by registered game-server keys.
+ * Servers sign an EIP-712 GameResult receipt; anyone (usually the player) submits it
+ * and the payout is awarded through ArcadeManager.awardWinnings, so this contract
+ * needs OPERATOR_ROLE there. Each session can be claimed once and every signer has
+ * its own per-receipt and per-day payout limits. Signers allowed by the admin can also
+ * sign JackpotResult receipts, which pay the ArcadeManager jackpot through awardJackpot.
+ */
+contract GameResultVerifier is AccessControl, EIP712 {
+    bytes32 public constant RESULT_TYPEHASH = keccak256(
+        "GameResult(address player,uint256 gameId,uint256 score,uint256 payout,bytes32 sessionId,uint256 expiry)"
+    );
+    bytes32 public constant JACKPOT_TYPEHASH = keccak256(
+        "JackpotResult(address player,uint256 gameId,bytes32 sessionId,uint256 expiry)"
+    );
+    
+    // Length of the window the per-signer daily limit applies to
+    uint256 public constant LIMIT_WINDOW = 1 days;
+    
+    IArcadeManager public immutable arcadeManager;
+    
+    // Result receipt signed by a game server
+    struct GameResult {
+        address player;
+        uint256 gameId;
+        uint256 score;
+        uint256 payout;
+        bytes32 sessionId;
+        uint256 expiry;
+    }
+    
+    // Jackpot win signed by a game server; the amount is whatever the pool holds when claimed
+    struct JackpotResult {
+        address player;
+        uint256 gameId;
+        bytes32 sessionId;
+        uint256 expiry;
+    }
+    
+    // Registered signer and its payout limits; jackpot wins are not limited, so
+    // signing them needs a separate permission
+    struct Signer {
+        bool active;
+        uint256 maxPayout;
+        uint256 dailyLimit;
+        uint256 windowStart;
+        uint256 windowPaid;
+        bool jackpot;
+    }
+    
+    mapping(address => Signer) public signers;
+    
+    // Sessions whose receipt has already been paid
+    mapping(bytes32 => bool) public claimedSessions;
+    
+    // Events
+    event SignerSet(address indexed signer, uint256 maxPayout, uint256 dailyLimit);
+    event SignerRemoved(address indexed signer);
+    event ResultClaimed(
+        bytes32 indexed sessionId,
+        address indexed player,
+        address indexed signer,
+        uint256 gameId,
+        uint256 score,
+        uint256 payout
+    );
+    event JackpotSignerSet(address indexed signer, bool allowed);
+    event JackpotClaimed(
+        bytes32 indexed sessionId,
+        address indexed player,
+        address indexed signer,
+        uint256 gameId,
+        uint256 amount
+    );
+    
+    /**
+     * @dev Constructor
+     * @param _arcadeManager ArcadeManager that pays the results
+     */
+    constructor(address _arcadeManager) EIP712("GameResultVerifier", "1") {
+        require(_arcadeManager != address(0), "ArcadeManager address cannot be zero");
+        arcadeManager = IArcadeManager(_arcadeManager);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Register a game-server signer or update its limits
+     * @param signer Address of the server key
+     * @param maxPayout Largest payout a single receipt from this signer may carry
+     * @param dailyLimit Total payout this signer may authorise per LIMIT_WINDOW
+     */
+    function setSigner(address signer, uint256 maxPayout, uint256 dailyLimit) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(signer != address(0), "Invalid signer address");
+        require(maxPayout > 0 && maxPayout <= dailyLimit, "Invalid signer limits");
+        
+        Signer storage config = signers[signer];
+        config.active = true;
+        config.maxPayout = maxPayout;
+        config.dailyLimit = dailyLimit;
+        
+        emit SignerSet(signer, maxPayout, dailyLimit);
+    }
+    
+    /**
+     * @dev Revoke a game-server signer; its unclaimed receipts can no longer be paid
+     * @param signer Address of the server key
+     */
+    function removeSigner(address signer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(signers[signer].active, "Unknown signer");
+        delete signers[signer];
+        emit SignerRemoved(signer);
+    }
+    
+    /**
+     * @dev Allow or stop a registered signer to sign jackpot wins
+     * @param signer Address of the server key
+     * @param allowed Whether its JackpotResult receipts are accepted
+     */
+    function setJackpotSigner(address signer, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(signers[signer].active, "Unknown signer");
+        signers[signer].jackpot = allowed;
+        emit JackpotSignerSet(signer, allowed);
+    }
+    
+    /**
+     * @dev Pay out a signed game result to its player
+     * @param result Receipt signed by a registered game server
+     * @param signature EIP-712 signature of the receipt
+     */
+    function claim(GameResult calldata result, bytes calldata signature) external {
+        require(block.timestamp <= result.expiry, "Receipt expired");
+        require(!claimedSessions[result.sessionId], "Receipt already claimed");
+        
+        address signer = ECDSA.recover(_hashTypedDataV4(hashResult(result)), signature);
+        Signer storage config = signers[signer];
+        require(config.active, "Unknown signer");
+        require(result.payout <= config.maxPayout, "Payout exceeds signer limit");
+        
+        (, , , bool exists) = arcadeManager.games(result.gameId);
+        require(exists, "Game does not exist");
+        
+        // Fixed window that restarts on the first claim after it elapses
+        if (block.timestamp >= config.windowStart + LIMIT_WINDOW) {
+            config.windowStart = block.timestamp;
+            config.windowPaid = 0;
+        }
+        require(config.windowPaid + result.payout <= config.dailyLimit, "Signer daily limit reached");
+        config.windowPaid += result.payout;
+        
+        claimedSessions[result.sessionId] = true;
+        require(arcadeManager.awardWinnings(result.player, result.payout), "Payout limit reached");
+        
+        emit ResultClaimed(result.sessionId, result.player, signer, result.gameId, result.score, result.payout);
+    }
+    
+    /**
+     * @dev Pay the jackpot to the player of a signed jackpot win. The receipt shares
+     * its session ID space with game results, so a session pays out once.
+     * @param result Receipt signed by a signer allowed to sign jackpot wins
+     * @param signature EIP-712 signature of the receipt
+     */
+    function claimJackpot(JackpotResult calldata result, bytes calldata signature) external {
+        require(block.timestamp <= result.expiry, "Receipt expired");
+        require(!claimedSessions[result.sessionId], "Receipt already claimed");
+        
+        address signer = ECDSA.recover(_hashTypedDataV4(hashJackpotResult(result)), signature);
+        require(signers[signer].active, "Unknown signer");
+        require(signers[signer].jackpot, "Not a jackpot signer");
+        
+        (, , , bool exists) = arcadeManager.games(result.gameId);
+        require(exists, "Game does not exist");
+        
+        claimedSessions[result.sessionId] = true;
+        uint256 amount = arcadeManager.jackpotPool();
+        arcadeManager.awardJackpot(result.player);
+        
+        emit JackpotClaimed(result.sessionId, result.player, signer, result.gameId, amount);
+    }
+    
+    /**
+     * @dev Payout a signer can still authorise in its current window
+     * @param signer Address of the server key
+     * @return Remaining amount of credits
+     */
+    function remainingDailyLimit(address signer) external view returns (uint256) {
+        Signer storage config = signers[signer];
+        if (!config.active) {
+            return 0;
+        }
+        if (block.timestamp >= config.windowStart + LIMIT_WINDOW) {
+            return config.dailyLimit;
+        }
+        // The limit may have been lowered below what was already paid this window
+        return config.windowPaid >= config.dailyLimit ? 0 : config.dailyLimit - config.windowPaid;
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a receipt
+     * @param result Receipt to hash
+     * @return Struct hash
+     */
+    function hashResult(GameResult calldata result) public pure returns (bytes32) {
+        return keccak256(abi.encode(
+            RESULT_TYPEHASH,
+            result.player,
+            result.gameId,
+            result.score,
+            result.payout,
+            result.sessionId,
+            result.expiry
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 struct hash of a jackpot receipt
+     * @param result Receipt to hash
+     * @return Struct hash
+     */
+    function hashJackpotResult(JackpotResult calldata result) public pure returns (bytes32) {
+        return keccak256(abi.encode(JACKPOT_TYPEHASH, result.player, result.gameId, result.sessionId, result.expiry));
+    }
+    
+    /**
+     * @dev EIP-712 domain separator used for receipts
+     * @return Domain separator
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+}
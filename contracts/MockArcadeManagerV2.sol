@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ArcadeManagerUpgradeable.sol";
+
+/**
+ * @title MockArcadeManagerV2
+ * @dev Upgrade target for testing: appends a state variable and a function
+ * to ArcadeManagerUpgradeable without touching the existing layout.
+ */
+contract MockArcadeManagerV2 is ArcadeManagerUpgradeable {
+    uint256 public upgradeMarker;
+    
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+    
+    function setUpgradeMarker(uint256 value) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeMarker = value;
+    }
+}
@@ -2,13 +2,15 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockBullToken
- * @dev Mock implementation of the BULL token for testing purposes
+ * @dev Mock implementation of the BULL token for testing purposes.
+ * Supports EIP-2612 permits so single-transaction deposits can be tested locally.
  */
-contract MockBullToken is ERC20 {
-    constructor(uint256 initialSupply) ERC20("Bull Token", "BULL") {
+contract MockBullToken is ERC20, ERC20Permit {
+    constructor(uint256 initialSupply) ERC20("Bull Token", "BULL") ERC20Permit("Bull Token") {
         _mint(msg.sender, initialSupply);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockDecimalsToken
+ * @dev ERC20 with configurable decimals for testing credit conversions
+ * against tokens that are not 18-decimal.
+ */
+contract MockDecimalsToken is ERC20 {
+    uint8 private immutable _decimals;
+    
+    constructor(string memory name, string memory symbol, uint8 decimals_, uint256 initialSupply)
+        ERC20(name, symbol)
+    {
+        _decimals = decimals_;
+        _mint(msg.sender, initialSupply);
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./interfaces/IRandomnessConsumer.sol";
+
+interface IArcadeRandomnessRequests {
+    function requestRandomness(uint256 gameId, bytes32 playerCommitment) external returns (uint256);
+}
+
+/**
+ * @title MockRandomnessConsumer
+ * @dev Game contract used to test randomness requests and callbacks
+ */
+contract MockRandomnessConsumer is IRandomnessConsumer {
+    address public immutable randomness;
+    
+    // Request ID => randomness received
+    mapping(uint256 => uint256) public results;
+    
+    // Makes onRandomness revert, to test failing callbacks
+    bool public failCallbacks;
+    
+    constructor(address _randomness) {
+        randomness = _randomness;
+    }
+    
+    function setFailCallbacks(bool fail) external {
+        failCallbacks = fail;
+    }
+    
+    function play(uint256 gameId, bytes32 playerCommitment) external returns (uint256) {
+        return IArcadeRandomnessRequests(randomness).requestRandomness(gameId, playerCommitment);
+    }
+    
+    function onRandomness(uint256 requestId, uint256 value) external {
+        require(msg.sender == randomness, "Only ArcadeRandomness");
+        require(!failCallbacks, "Callback failed");
+        results[requestId] = value;
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./interfaces/IRandomnessCoordinator.sol";
+
+interface IRandomnessFulfiller {
+    function fulfillRandomness(uint256 id, uint256 randomWord) external;
+}
+
+/**
+ * @title MockRandomnessCoordinator
+ * @dev Local stand-in for a VRF oracle: records requests and answers them when
+ * fulfill is called, so randomness can be tested on Hardhat without a live oracle.
+ */
+contract MockRandomnessCoordinator is IRandomnessCoordinator {
+    // Requester => request ID => waiting for an answer
+    mapping(address => mapping(uint256 => bool)) public pending;
+    
+    event RandomnessRequested(address indexed requester, uint256 indexed requestId);
+    
+    function requestRandomness(uint256 requestId) external {
+        pending[msg.sender][requestId] = true;
+        emit RandomnessRequested(msg.sender, requestId);
+    }
+    
+    /**
+     * @dev Answer a request with the given word
+     */
+    function fulfill(address requester, uint256 requestId, uint256 randomWord) public {
+        require(pending[requester][requestId], "Unknown request");
+        pending[requester][requestId] = false;
+        IRandomnessFulfiller(requester).fulfillRandomness(requestId, randomWord);
+    }
+    
+    /**
+     * @dev Answer a request with a pseudo-random word; fine for local testing only
+     */
+    function fulfillRandom(address requester, uint256 requestId) external {
+        fulfill(requester, requestId, uint256(keccak256(abi.encode(blockhash(block.number - 1), requester, requestId))));
+    }
+}
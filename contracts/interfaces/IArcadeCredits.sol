@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IArcadeCredits
+ * @dev Hooks ArcadeManager calls on its ERC-20 credits view so every balance
+ * change shows up as a standard Transfer / Approval event
+ */
+interface IArcadeCredits {
+    function emitTransfer(address from, address to, uint256 amount) external;
+    
+    function emitApproval(address owner, address spender, uint256 amount) external;
+}
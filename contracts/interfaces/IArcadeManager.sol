@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IArcadeManager
+ * @dev Subset of ArcadeManager used by companion contracts that hold a role on it
+ */
+interface IArcadeManager {
+    function games(uint256 gameId) external view returns (string memory name, uint256 price, bool active, bool exists);
+    
+    function awardWinnings(address player, uint256 amount) external returns (bool);
+    
+    function awardJackpot(address winner) external;
+    
+    function spendCredits(uint256 amount) external;
+    
+    function retireCredits(uint256 amount) external;
+    
+    function releaseCredits(address to, uint256 amount) external;
+    
+    function transferCredits(address to, uint256 amount) external;
+    
+    function transferCreditsFrom(address from, address to, uint256 amount) external;
+    
+    function CREDIT_DECIMALS() external view returns (uint8);
+    
+    function userCredits(address user) external view returns (uint256);
+    
+    function totalCredits() external view returns (uint256);
+    
+    function heldCredits() external view returns (uint256);
+    
+    function jackpotPool() external view returns (uint256);
+    
+    function creditAllowance(address owner, address spender) external view returns (uint256);
+    
+    function transferCreditsByToken(address spender, address from, address to, uint256 amount) external;
+    
+    function approveCreditsByToken(address owner, address spender, uint256 amount) external;
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRandomnessConsumer
+ * @dev Callback ArcadeRandomness makes on game contracts that requested randomness
+ */
+interface IRandomnessConsumer {
+    function onRandomness(uint256 requestId, uint256 randomness) external;
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IRandomnessCoordinator
+ * @dev Source of verifiable random words for ArcadeRandomness. A coordinator answers
+ * each request by calling fulfillRandomness(requestId, randomWord) on the requester.
+ * Live oracles (e.g. Chainlink VRF) are plugged in through an adapter implementing this.
+ */
+interface IRandomnessCoordinator {
+    function requestRandomness(uint256 requestId) external;
+}
@@ -3,141 +3,111 @@
 /**
  * Main deployment script for the ArcadeManager contract
  * This script handles compiling contracts first if needed,
- * then checks if we're deploying locally or to a testnet.
+ * then deploys to any network defined in hardhat.config.js.
+ *
+ * Usage: node deploy.js --network <name> [--token <address>] [--deposit-rate <n>]
+ *                       [--withdrawal-rate <n>] [--tokens <list>] [--dry-run] [--yes]
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-require('dotenv').config();
+const { parseArgs, loadHardhat, isLocalNetwork, isValidPrivateKey, confirm } = require('./scripts/lib/cli');
+const { deployArcade, parseTokenList } = require('./scripts/lib/deployArcade');
 
-// Create interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: node deploy.js --network <name> [options]
 
-// First, check if artifacts exist, if not compile the contracts
-if (!fs.existsSync(path.resolve('artifacts', 'contracts', 'ArcadeManager.json'))) {
-  console.log('📦 Artifacts not found. Compiling contracts first...');
-  require('./compile');
-}
+Options:
+  --network <name>       Network from hardhat.config.js (hardhat, localhost, polygonMumbai, polygon)
+  --token <address>      BULL token to use (defaults to the known BULL token, or a new
+                         MockBullToken on local networks)
+  --deposit-rate <n>     Credits per whole BULL token on deposit (default 100)
+  --withdrawal-rate <n>  Credits per whole BULL token on withdrawal (default 100)
+  --tokens <list>        Other tokens to accept, comma separated as
+                         <address>:<depositRate>[:<withdrawalRate>]; on local networks
+                         SYMBOL/decimals deploys a mock token (e.g. USDC/6:90:100)
+  --dry-run              Connect and estimate gas without sending any transactions
+  --yes                  Skip the confirmation prompt for public networks
+  --help                 Show this message`;
 
-// Determine the deployment target
-async function determineDeploymentTarget() {
-  return new Promise((resolve) => {
-    console.log('\n🚀 ArcadeManager Deployment');
-    console.log('========================');
-    console.log('1. Local (Hardhat node)');
-    console.log('2. Polygon Mumbai Testnet');
-    console.log('3. Cancel');
-    
-    rl.question('\nWhere would you like to deploy? (1-3): ', (answer) => {
-      if (answer === '1') {
-        resolve('local');
-      } else if (answer === '2') {
-        resolve('mumbai');
-      } else {
-        resolve('cancel');
-      }
-    });
+/**
+ * Run the deploy command
+ * @param {string[]} argv Command line arguments
+ * @returns {Promise<object|null>} The deployment record, or null on a dry run
+ */
+async function run(argv) {
+  const args = parseArgs(argv, {
+    options: ['network', 'token', 'deposit-rate', 'withdrawal-rate', 'tokens'],
+    flags: ['dry-run', 'yes', 'help']
   });
-}
 
-// Check if Hardhat node is running for local deployment
-async function checkHardhatNode() {
-  return new Promise((resolve) => {
-    const net = require('net');
-    const client = new net.Socket();
-    
-    // Try to connect to the Hardhat node
-    client.connect(8545, 'localhost', () => {
-      client.destroy();
-      resolve(true);
-    });
-    
-    client.on('error', () => {
-      resolve(false);
-    });
-  });
-}
+  if (args.help) {
+    console.log(USAGE);
+    return null;
+  }
 
-// Check if private key is valid for testnet deployment
-function isValidPrivateKey() {
-  const privateKey = process.env.PRIVATE_KEY;
-  if (!privateKey || privateKey === '0000000000000000000000000000000000000000000000000000000000000000') {
-    return false;
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
   }
-  
-  const formattedKey = privateKey.startsWith('0x') ? privateKey.substring(2) : privateKey;
-  return /^[0-9a-f]{64}$/i.test(formattedKey);
-}
 
-// Execute a command as a promise
-function executeCommand(command, args) {
-  return new Promise((resolve, reject) => {
-    const process = spawn(command, args, { 
-      stdio: 'inherit',
-      shell: true
-    });
-    
-    process.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`Command exited with code ${code}`));
-      }
-    });
-  });
-}
+  const hre = loadHardhat(args.network);
 
-// Main function
-async function main() {
-  try {
-    const target = await determineDeploymentTarget();
-    
-    if (target === 'cancel') {
+  // Every contract is loaded from the Hardhat build; compile it if it is missing
+  if (!fs.existsSync(path.resolve(__dirname, 'artifacts', 'contracts', 'ArcadeManager.sol', 'ArcadeManager.json'))) {
+    console.log('📦 Artifacts not found. Compiling contracts first...');
+    await hre.run('compile');
+  }
+  const network = hre.network.name;
+  const local = isLocalNetwork(network);
+
+  if (!local && !isValidPrivateKey()) {
+    throw new Error('Invalid or missing PRIVATE_KEY in .env file. Add a valid key before deploying to a public network.');
+  }
+
+  console.log('\n🚀 ArcadeManager Deployment');
+  console.log('========================');
+
+  if (!local && !args.dryRun && !args.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`Refusing to deploy to ${network} without --yes in a non-interactive shell`);
+    }
+    const proceed = await confirm(`Deploy ArcadeManager to ${network}?`);
+    if (!proceed) {
       console.log('Deployment canceled.');
-      process.exit(0);
+      return null;
     }
-    
-    if (target === 'local') {
-      // Check if Hardhat node is running
-      const nodeRunning = await checkHardhatNode();
-      if (!nodeRunning) {
-        console.log('❌ Hardhat node is not running.');
-        console.log('Please start it with: npx hardhat node');
-        process.exit(1);
-      }
-      
-      console.log('\n🔄 Deploying to local Hardhat node...');
-      await executeCommand('node', ['deploy-local.js']);
-      console.log('✅ Local deployment complete!');
-      
-    } else if (target === 'mumbai') {
-      // Check for valid private key
-      if (!isValidPrivateKey()) {
-        console.log('❌ Invalid or missing private key in .env file.');
-        console.log('Please add a valid PRIVATE_KEY to your .env file before deploying to testnet.');
-        process.exit(1);
-      }
-      
-      // Set NODE_ENV to production for the deployment
-      process.env.NODE_ENV = 'production';
-      
-      console.log('\n🔄 Deploying to Polygon Mumbai Testnet...');
-      await executeCommand('node', ['scripts/deploy.js']);
-      console.log('✅ Mumbai testnet deployment complete!');
+  }
+
+  try {
+    const deployment = await deployArcade(hre, {
+      token: args.token,
+      depositRate: args.depositRate,
+      withdrawalRate: args.withdrawalRate,
+      tokens: parseTokenList(args.tokens),
+      dryRun: args.dryRun
+    });
+    if (deployment) {
+      console.log(`✅ Deployment to ${network} complete!`);
     }
-    
+    return deployment;
   } catch (error) {
-    console.error(`\n❌ Deployment failed: ${error.message}`);
-    process.exit(1);
-  } finally {
-    rl.close();
+    if (network === 'localhost' && error.message.includes('Failed to connect')) {
+      error.message += '\nIs the Hardhat node running? Start it with: node hardhat-node.js';
+    } else if (error.message.includes('insufficient funds')) {
+      error.message += '\nYour wallet doesn\'t have enough funds to pay for gas';
+    } else if (error.message.includes('nonce')) {
+      error.message += '\nThere might be a pending transaction from this account';
+    }
+    throw error;
   }
 }
 
-// Run the main function
-main();
\ No newline at end of file
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`\n❌ Deployment failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -28,6 +28,12 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // Storage layouts are compared by scripts/upgrades.js before an upgrade
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
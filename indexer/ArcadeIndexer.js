@@ -0,0 +1,276 @@
+/**
+ * ArcadeIndexer
+ * Scans ArcadeManager logs into a local store, survives restarts and chain
+ * reorganisations, and rebuilds per-player credit ledgers from the events.
+ */
+
+const { ethers } = require('ethers');
+const { loadArtifact } = require('../sdk');
+
+// How each balance-changing event moves a player's credits: [player arg, amount arg, sign]
+const CREDIT_EVENTS = {
+  Deposit: ['user', 'creditAmount', 1],
+  TokenDeposit: ['user', 'creditAmount', 1],
+  WinningsAwarded: ['user', 'amount', 1],
+  JackpotWon: ['winner', 'amount', 1],
+  CreditsSpent: ['user', 'amount', -1],
+  // Escrow contracts retiring credits they hold, e.g. tournament rakes
+  CreditsRetired: ['account', 'amount', -1],
+  Withdrawal: ['user', 'creditAmount', -1],
+  TokenWithdrawal: ['user', 'creditAmount', -1],
+  // Timelocked withdrawals hold the credits from request until cancel or claim
+  WithdrawalRequested: ['user', 'creditAmount', -1],
+  WithdrawalCancelled: ['user', 'creditAmount', 1],
+  // Balances seeded from a previous deployment
+  CreditsImported: ['user', 'amount', 1],
+  // Transfers debit the sender here and credit the recipient below
+  CreditsTransferred: ['from', 'amount', -1]
+};
+
+// Events that also credit a second player: the recipient arg
+const RECIPIENT_EVENTS = {
+  CreditsTransferred: 'to'
+};
+
+// Number of recent block hashes kept to detect reorganisations
+const DEFAULT_REORG_DEPTH = 64;
+
+// Blocks requested per eth_getLogs call
+const DEFAULT_BATCH_SIZE = 2000;
+
+// [player, delta] pairs an event applies; transfers move credits between two players
+function deltasOf(event) {
+  if (!event.player || event.delta === '0') {
+    return [];
+  }
+  const deltas = [[event.player, event.delta]];
+  if (event.recipient) {
+    deltas.push([event.recipient, event.delta.replace(/^-/, '')]);
+  }
+  return deltas;
+}
+
+class ArcadeIndexer {
+  /**
+   * @param {object} options
+   * @param {ethers.providers.Provider} options.provider Provider for the target network
+   * @param {string} options.address ArcadeManager address
+   * @param {object} options.store Store with load() / save(state), e.g. JsonStore
+   * @param {number} [options.fromBlock] Block to start scanning from (usually the deployment block)
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {number} [options.reorgDepth] Recent block hashes to keep for reorg detection
+   * @param {Array} [options.abi] ArcadeManager ABI (loaded from artifacts if omitted)
+   */
+  constructor({
+    provider,
+    address,
+    store,
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+    reorgDepth = DEFAULT_REORG_DEPTH,
+    abi
+  }) {
+    this.provider = provider;
+    this.address = ethers.utils.getAddress(address);
+    this.store = store;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.interface = new ethers.utils.Interface(abi || loadArtifact('ArcadeManager').abi);
+
+    const saved = store.load();
+    if (saved && saved.address !== this.address) {
+      throw new Error(`Store belongs to ${saved.address}, not ${this.address}`);
+    }
+    this.state = saved || {
+      address: this.address,
+      fromBlock,
+      lastBlock: fromBlock - 1,
+      blockHashes: {},
+      events: []
+    };
+  }
+
+  /**
+   * Index every block up to the chain head (minus confirmations)
+   * @returns {Promise<{fromBlock: number, toBlock: number, newEvents: number, reorgedFrom: number|null}>}
+   */
+  async sync() {
+    const reorgedFrom = await this._handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const startBlock = this.state.lastBlock + 1;
+    let newEvents = 0;
+
+    for (let from = startBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+
+      for (const log of logs) {
+        const event = this._decode(log);
+        if (event) {
+          this.state.events.push(event);
+          this.state.blockHashes[log.blockNumber] = log.blockHash;
+          newEvents++;
+        }
+      }
+
+      const toBlock = await this.provider.getBlock(to);
+      this.state.blockHashes[to] = toBlock.hash;
+      this.state.lastBlock = to;
+      this._pruneBlockHashes();
+      this.store.save(this.state);
+    }
+
+    return { fromBlock: startBlock, toBlock: this.state.lastBlock, newEvents, reorgedFrom };
+  }
+
+  /**
+   * All indexed events, oldest first
+   * @returns {Array<object>}
+   */
+  getEvents() {
+    return this.state.events;
+  }
+
+  /**
+   * Credit balances rebuilt from the indexed events
+   * @returns {Object<string, ethers.BigNumber>} Balance per player address
+   */
+  getBalances() {
+    const balances = {};
+    for (const event of this.state.events) {
+      for (const [player, delta] of deltasOf(event)) {
+        balances[player] = (balances[player] || ethers.constants.Zero).add(delta);
+      }
+    }
+    return balances;
+  }
+
+  /**
+   * Events involving one player, each with the running credit balance after it
+   * @param {string} player Player address
+   * @returns {Array<object>}
+   */
+  getPlayerHistory(player) {
+    const address = ethers.utils.getAddress(player);
+    let balance = ethers.constants.Zero;
+
+    return this.state.events
+      .filter((event) => event.player === address || event.recipient === address)
+      .map((event) => {
+        const delta = event.player === address ? event.delta : event.delta.replace(/^-/, '');
+        balance = balance.add(delta);
+        return { ...event, delta, balance: balance.toString() };
+      });
+  }
+
+  /**
+   * Compare rebuilt balances with `userCredits` on chain at the last indexed block
+   * @returns {Promise<Array<{player: string, indexed: string, onChain: string, matches: boolean}>>}
+   */
+  async reconcile() {
+    const contract = new ethers.Contract(this.address, this.interface, this.provider);
+    const blockTag = this.state.lastBlock;
+    const results = [];
+
+    for (const [player, indexed] of Object.entries(this.getBalances())) {
+      const onChain = await contract.userCredits(player, { blockTag });
+      results.push({
+        player,
+        indexed: indexed.toString(),
+        onChain: onChain.toString(),
+        matches: onChain.eq(indexed)
+      });
+    }
+    return results;
+  }
+
+  // Roll back to the last block whose stored hash still matches the chain
+  async _handleReorg() {
+    const numbers = Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+    if (numbers.length === 0) {
+      return null;
+    }
+
+    let ancestor = null;
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this.state.blockHashes[number]) {
+        ancestor = number;
+        break;
+      }
+    }
+
+    if (ancestor === this.state.lastBlock) {
+      return null;
+    }
+
+    // No stored hash matches: the reorg is deeper than the window, rescan it all
+    const rollbackTo = ancestor !== null ? ancestor : numbers[numbers.length - 1] - 1;
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= rollbackTo);
+    for (const number of numbers) {
+      if (number > rollbackTo) {
+        delete this.state.blockHashes[number];
+      }
+    }
+    this.state.lastBlock = Math.max(rollbackTo, this.state.fromBlock - 1);
+    this.store.save(this.state);
+    return rollbackTo + 1;
+  }
+
+  _pruneBlockHashes() {
+    const oldest = this.state.lastBlock - this.reorgDepth;
+    for (const number of Object.keys(this.state.blockHashes)) {
+      if (Number(number) <= oldest) {
+        delete this.state.blockHashes[number];
+      }
+    }
+  }
+
+  _decode(log) {
+    let parsed;
+    try {
+      parsed = this.interface.parseLog(log);
+    } catch (error) {
+      return null;
+    }
+
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    const mapping = CREDIT_EVENTS[parsed.name];
+    let player = null;
+    let delta = '0';
+    if (mapping) {
+      const [playerArg, amountArg, sign] = mapping;
+      player = args[playerArg];
+      delta = sign > 0 ? args[amountArg] : `-${args[amountArg]}`;
+    } else if (args.user) {
+      player = args.user;
+    }
+
+    const event = {
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      player,
+      delta,
+      args
+    };
+    if (RECIPIENT_EVENTS[parsed.name]) {
+      event.recipient = args[RECIPIENT_EVENTS[parsed.name]];
+    }
+    return event;
+  }
+}
+
+ArcadeIndexer.CREDIT_EVENTS = CREDIT_EVENTS;
+
+module.exports = ArcadeIndexer;
@@ -0,0 +1,41 @@
+/**
+ * JsonStore
+ * Persists indexer state to a single JSON file. Writes go to a temporary
+ * file first and are renamed into place so a crash never leaves a partial file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+  /**
+   * @param {string} filePath Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the stored state
+   * @returns {object|null} Stored state, or null if nothing has been saved yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Replace the stored state
+   * @param {object} state
+   */
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,11 @@
+/**
+ * ArcadeManager event indexer
+ */
+
+const ArcadeIndexer = require('./ArcadeIndexer');
+const JsonStore = require('./JsonStore');
+
+module.exports = {
+  ArcadeIndexer,
+  JsonStore
+};
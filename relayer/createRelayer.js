@@ -0,0 +1,133 @@
+/**
+ * Gasless relayer
+ * Small HTTP service that accepts player-signed play/spend authorizations,
+ * checks them against the chain and submits them from a funded relayer key.
+ *
+ *   POST /relay   body: authorization from ArcadeClient.signPlayAuthorization /
+ *                 signSpendAuthorization  ->  { txHash, blockNumber }
+ *   GET  /health  ->  { relayer, arcadeManager }
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { ArcadeError } = require('../sdk');
+
+// Largest accepted request body, in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+// Error answered with its own HTTP status instead of 400/500
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Numeric fields of each authorization type, all uint256 on-chain
+const NUMERIC_FIELDS = {
+  play: ['gameId', 'nonce', 'deadline'],
+  spend: ['amount', 'nonce', 'deadline']
+};
+
+// Non-negative integer, as a number or decimal string, that fits a uint256
+function isUint256(value) {
+  const valid = (typeof value === 'string' && /^[0-9]+$/.test(value)) || (Number.isSafeInteger(value) && value >= 0);
+  return valid && ethers.BigNumber.from(value).lte(ethers.constants.MaxUint256);
+}
+
+// Reject malformed fields before they reach the client, which would fail on them with a generic error
+function validateAuthorization(authorization) {
+  if (typeof authorization.player !== 'string' || !ethers.utils.isAddress(authorization.player)) {
+    throw httpError(400, 'Invalid player address');
+  }
+  for (const field of NUMERIC_FIELDS[authorization.type]) {
+    if (!isUint256(authorization[field])) {
+      throw httpError(400, `Invalid ${field}`);
+    }
+  }
+  if (!ethers.utils.isHexString(authorization.signature)) {
+    throw httpError(400, 'Invalid signature');
+  }
+}
+
+// Read and parse a JSON request body
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) {
+        return;
+      }
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        // Stop buffering and answer straight away; the socket stays open for the response
+        tooLarge = true;
+        body = '';
+        reject(httpError(413, 'Request body too large'));
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(httpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Create the relayer HTTP server (not yet listening)
+ * @param {object} options
+ * @param {ArcadeClient} options.client Client connected with the relayer's signer, which pays the gas
+ * @param {Function} [options.log] Logger for relayed transactions
+ * @returns {http.Server}
+ */
+function createRelayer({ client, log = () => {} }) {
+  // Relays are serialised so the relayer key never sends two transactions with the same nonce
+  let queue = Promise.resolve();
+
+  async function relay(authorization) {
+    if (!authorization || !['play', 'spend'].includes(authorization.type)) {
+      throw new ArcadeError('Authorization type must be "play" or "spend"', { reason: 'Invalid authorization' });
+    }
+    validateAuthorization(authorization);
+    await client.verifyAuthorization(authorization);
+    const receipt = await client.relayAuthorization(authorization);
+    log(`Relayed ${authorization.type} for ${authorization.player} (nonce ${authorization.nonce}): ${receipt.transactionHash}`);
+    return { txHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
+  }
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === '/health') {
+        sendJson(res, 200, { relayer: await client.signerOrProvider.getAddress(), arcadeManager: client.address });
+        return;
+      }
+      if (req.method !== 'POST' || req.url !== '/relay') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      const authorization = await readJson(req);
+      const result = await (queue = queue.catch(() => {}).then(() => relay(authorization)));
+      sendJson(res, 200, result);
+    } catch (error) {
+      const status = error.status || (error instanceof ArcadeError ? 400 : 500);
+      if (status === 413) {
+        // The rest of the oversized body is never read, so the connection cannot be reused
+        res.setHeader('Connection', 'close');
+      }
+      sendJson(res, status, { error: error.message, type: error.name });
+    }
+  });
+}
+
+module.exports = createRelayer;
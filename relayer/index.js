@@ -0,0 +1,9 @@
+/**
+ * Gasless meta-transaction relayer
+ */
+
+const createRelayer = require('./createRelayer');
+
+module.exports = {
+  createRelayer
+};
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Grant and show promotional bonus credits
+ *
+ * Usage:
+ *   node scripts/bonus.js show  <player> --network <name>
+ *   node scripts/bonus.js grant <player...> --network <name> --amount <credits> [--expires <time>]
+ */
+
+const { parseArgs, connectClient } = require('./lib/cli');
+const { parseTime } = require('./lib/tournaments');
+
+const USAGE = `Usage: node scripts/bonus.js <show|grant> <player...> --network <name> [options]
+
+Options:
+  --network <name>     Network with a deployment in deployments/<network>.json
+  --amount <credits>   Bonus credits granted to each player (grant)
+  --expires <time>     When the granted credits expire: unix seconds, an ISO date or
+                       +<n>m/h/d from now (grant, never if omitted)
+
+Bonus credits are spent before purchased credits, soonest expiry first, and cannot be
+withdrawn or transferred. Each grant keeps its own expiry.`;
+
+async function printBalances(client, player) {
+  const [{ credits, bonus }, lots] = await Promise.all([client.getCreditBalances(player), client.getBonusLots(player)]);
+  console.log(`${player}`);
+  console.log(`  Credits: ${credits.toString()} (withdrawable)`);
+  console.log(`  Bonus:   ${bonus.toString()}`);
+  for (const lot of lots) {
+    const expiry = lot.expiresAt ? `expires ${new Date(lot.expiresAt * 1000).toISOString()}` : 'no expiry';
+    console.log(`    ${lot.amount.toString()} (${expiry})`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'amount', 'expires'] });
+  const [command = 'show', ...players] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+  if (players.length === 0) {
+    throw new Error(`Missing player address\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'show':
+      for (const player of players) {
+        await printBalances(client, player);
+      }
+      break;
+    case 'grant': {
+      if (!args.amount) {
+        throw new Error(`grant needs --amount\n\n${USAGE}`);
+      }
+      const expiresAt = args.expires ? parseTime(args.expires, Math.floor(Date.now() / 1000)) : null;
+      for (const player of players) {
+        await client.grantBonusCredits(player, args.amount, expiresAt);
+        console.log(`✅ Granted ${args.amount} bonus credits to ${player}`);
+      }
+      if (expiresAt) {
+        console.log(`The granted credits expire ${new Date(expiresAt * 1000).toISOString()}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Show arcade credits in wallets through the ArcadeCredits ERC-20 view
+ *
+ * Usage:
+ *   node scripts/credits.js deploy --network <name> [--name <name>] [--symbol <symbol>]
+ *   node scripts/credits.js status --network <name> [--player <address>]
+ *   node scripts/credits.js detach --network <name>
+ */
+
+const { ethers } = require('ethers');
+const { loadArtifact, loadDeployment, saveDeployment } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const DEFAULT_NAME = 'Arcade Credits';
+const DEFAULT_SYMBOL = 'CREDIT';
+
+const USAGE = `Usage: node scripts/credits.js <deploy|status|detach> --network <name> [options]
+
+Options:
+  --network <name>    Network with a deployment in deployments/<network>.json
+  --name <name>       Token name shown by wallets (deploy, default "${DEFAULT_NAME}")
+  --symbol <symbol>   Token symbol shown by wallets (deploy, default ${DEFAULT_SYMBOL})
+  --player <address>  Also show a player's balance through the token (status)`;
+
+// Deploy the credits view, attach it and record it in the deployment file
+async function deployCredits(hre, client, signer, { name, symbol }) {
+  const network = hre.network.name;
+  const artifact = loadArtifact('ArcadeCredits');
+  const factory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+
+  console.log(`Deploying ArcadeCredits (${name}, ${symbol}) for ArcadeManager ${client.address}...`);
+  const token = await factory.deploy(client.address, name, symbol);
+  await token.deployed();
+  console.log(`ArcadeCredits deployed at: ${token.address}`);
+
+  await client.setCreditsToken(token.address);
+  console.log('✅ Attached the credits token; balance changes now emit Transfer events');
+
+  const deployment = loadDeployment(network);
+  saveDeployment(network, { ...deployment, creditsToken: token.address });
+  console.log(`Recorded creditsToken in deployments/${network}.json`);
+}
+
+async function printStatus(hre, client, player) {
+  const address = await client.getCreditsToken();
+  if (!address) {
+    console.log('No credits token attached');
+    return;
+  }
+
+  const token = new hre.ethers.Contract(address, loadArtifact('ArcadeCredits').abi, hre.ethers.provider);
+  const [name, symbol, totalSupply, held] = await Promise.all([
+    token.name(),
+    token.symbol(),
+    token.totalSupply(),
+    token.balanceOf(client.address)
+  ]);
+  console.log(`Credits token: ${address}`);
+  console.log(`- ${name} (${symbol}), total supply ${totalSupply.toString()}, ${held.toString()} held by withdrawal requests`);
+  if (player) {
+    console.log(`${player} holds ${(await token.balanceOf(player)).toString()} ${symbol}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'name', 'symbol', 'player'] });
+  const [command = 'status'] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { hre, client, signer } = await connectClient(args.network);
+
+  switch (command) {
+    case 'deploy':
+      await deployCredits(hre, client, signer, {
+        name: args.name || DEFAULT_NAME,
+        symbol: args.symbol || DEFAULT_SYMBOL
+      });
+      break;
+    case 'status':
+      await printStatus(hre, client, args.player);
+      break;
+    case 'detach':
+      await client.setCreditsToken(ethers.constants.AddressZero);
+      console.log('✅ Detached the credits token; wallets will stop seeing balance changes');
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Deposit BULL for credits from the network's first signer.
+ * Uses a single permit transaction when the token supports EIP-2612,
+ * otherwise approves and deposits. --token deposits another accepted token.
+ *
+ * Usage:
+ *   node scripts/deposit.js <amount> --network <name> [--token <symbol|address>]
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/deposit.js <amount> --network <name> [--token <symbol|address>]
+
+Options:
+  --token <symbol|address>  Accepted token to deposit (default BULL)
+
+Example: node scripts/deposit.js 10 --network localhost               # deposits 10 BULL
+         node scripts/deposit.js 25 --network localhost --token USDC  # deposits 25 USDC`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'token'] });
+  const [amount] = args._;
+
+  if (!args.network || !amount) {
+    throw new Error(`Missing ${args.network ? 'amount' : '--network'}\n\n${USAGE}`);
+  }
+
+  const { client, signer } = await connectClient(args.network);
+  const bullToken = await client.token();
+  const token = args.token ? await client.findToken(args.token) : null;
+
+  if (token && token.address !== bullToken.address) {
+    const receipt = await client.depositToken(token.address, ethers.utils.parseUnits(amount, token.decimals));
+    console.log(`✅ Deposited ${amount} ${token.symbol || token.address} (tx ${receipt.transactionHash})`);
+  } else {
+    const bullAmount = ethers.utils.parseUnits(amount, await bullToken.decimals());
+    const withPermit = await client.supportsPermit();
+    const receipt = await client.depositTokens(bullAmount);
+    console.log(`✅ Deposited ${amount} BULL ${withPermit ? 'with a permit' : 'after approving'} (tx ${receipt.transactionHash})`);
+  }
+  console.log(`Credit balance of ${signer.address}: ${(await client.getCredits()).toString()}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Manage the game registry of a deployed ArcadeManager
+ *
+ * Usage:
+ *   node scripts/games.js list   --network <name>
+ *   node scripts/games.js add    --network <name> --id <id> --name <name> --price <credits>
+ *   node scripts/games.js update --network <name> --id <id> [--name <name>] [--price <credits>] [--active true|false]
+ *   node scripts/games.js remove --network <name> --id <id>
+ */
+
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/games.js <list|add|update|remove> --network <name> [options]
+
+Options:
+  --network <name>        Network with a deployment in deployments/<network>.json
+  --id <id>               Game ID (add, update, remove)
+  --name <name>           Display name (add, update)
+  --price <credits>       Credits charged per play (add, update)
+  --active <true|false>   Whether the game can be played (update)`;
+
+function requireOption(args, name) {
+  if (args[name] === undefined) {
+    throw new Error(`Missing --${name}\n\n${USAGE}`);
+  }
+  return args[name];
+}
+
+async function listGames(client) {
+  const games = await client.getGames();
+  if (games.length === 0) {
+    console.log('No games registered.');
+    return;
+  }
+
+  console.log(`Registered games (${games.length}):`);
+  for (const game of games) {
+    const status = game.active ? 'active' : 'inactive';
+    console.log(`- #${game.id.toString()} ${game.name}: ${game.price.toString()} credits per play (${status})`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'id', 'name', 'price', 'active']
+  });
+  const [command = 'list'] = args._;
+
+  const network = requireOption(args, 'network');
+  const { client } = await connectClient(network);
+
+  switch (command) {
+    case 'list':
+      await listGames(client);
+      break;
+    case 'add':
+      await client.addGame(requireOption(args, 'id'), requireOption(args, 'name'), requireOption(args, 'price'));
+      console.log(`✅ Added game #${args.id} (${args.name})`);
+      break;
+    case 'update':
+      await client.updateGame(requireOption(args, 'id'), {
+        name: args.name,
+        price: args.price,
+        active: args.active === undefined ? undefined : args.active === 'true'
+      });
+      console.log(`✅ Updated game #${args.id}`);
+      break;
+    case 'remove':
+      await client.removeGame(requireOption(args, 'id'));
+      console.log(`✅ Removed game #${args.id}`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Index ArcadeManager events and inspect the rebuilt player ledgers
+ *
+ * Usage:
+ *   node scripts/indexer.js sync      --network <name> [--watch] [--interval <seconds>]
+ *   node scripts/indexer.js balances  --network <name>
+ *   node scripts/indexer.js history   <address> --network <name>
+ *   node scripts/indexer.js reconcile --network <name>
+ */
+
+const path = require('path');
+const { loadDeployment } = require('../sdk');
+const { ArcadeIndexer, JsonStore } = require('../indexer');
+const { parseArgs, loadHardhat, isLocalNetwork } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/indexer.js <sync|balances|history|reconcile> [address] --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --store <file>           State file (default data/indexer/<network>.json)
+  --confirmations <n>      Blocks to stay behind the head (default 0 locally, 12 elsewhere)
+  --watch                  Keep syncing until interrupted (sync only)
+  --interval <seconds>     Polling interval for --watch (default 5)`;
+
+// Log a sync result when anything changed
+function reportSync(result) {
+  if (result.reorgedFrom !== null) {
+    console.log(`⚠ Reorg detected, re-indexed from block ${result.reorgedFrom}`);
+  }
+  if (result.fromBlock <= result.toBlock) {
+    console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.newEvents} new events`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'store', 'confirmations', 'interval'],
+    flags: ['watch']
+  });
+  const [command = 'sync', address] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const hre = loadHardhat(args.network);
+  const network = hre.network.name;
+  const deployment = loadDeployment(network);
+  const defaultConfirmations = isLocalNetwork(network) ? 0 : 12;
+
+  const indexer = new ArcadeIndexer({
+    provider: hre.ethers.provider,
+    address: deployment.arcadeManager,
+    store: new JsonStore(args.store || path.resolve(__dirname, '..', 'data', 'indexer', `${network}.json`)),
+    fromBlock: deployment.blockNumber || 0,
+    confirmations: args.confirmations !== undefined ? parseInt(args.confirmations, 10) : defaultConfirmations
+  });
+
+  switch (command) {
+    case 'sync': {
+      reportSync(await indexer.sync());
+      if (args.watch) {
+        const interval = (args.interval ? parseInt(args.interval, 10) : 5) * 1000;
+        console.log(`Watching for new blocks every ${interval / 1000}s (Ctrl+C to stop)...`);
+        for (;;) {
+          await new Promise((resolve) => setTimeout(resolve, interval));
+          reportSync(await indexer.sync());
+        }
+      }
+      break;
+    }
+    case 'balances': {
+      await indexer.sync();
+      const balances = indexer.getBalances();
+      for (const [player, balance] of Object.entries(balances)) {
+        console.log(`${player}: ${balance.toString()} credits`);
+      }
+      console.log(`${Object.keys(balances).length} players`);
+      break;
+    }
+    case 'history': {
+      if (!address) {
+        throw new Error(`Missing address\n\n${USAGE}`);
+      }
+      await indexer.sync();
+      for (const entry of indexer.getPlayerHistory(address)) {
+        const delta = entry.delta === '0' ? '' : ` ${entry.delta.startsWith('-') ? '' : '+'}${entry.delta}`;
+        console.log(`#${entry.blockNumber} ${entry.event}${delta} → ${entry.balance} (${entry.transactionHash})`);
+      }
+      break;
+    }
+    case 'reconcile': {
+      await indexer.sync();
+      const report = await indexer.reconcile();
+      const mismatches = report.filter((entry) => !entry.matches);
+      for (const entry of mismatches) {
+        console.log(`❌ ${entry.player}: indexed ${entry.indexed}, on chain ${entry.onChain}`);
+      }
+      console.log(`${report.length - mismatches.length}/${report.length} player balances match the chain`);
+      if (mismatches.length > 0) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
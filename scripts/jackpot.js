@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Show and manage the progressive jackpot
+ *
+ * Usage:
+ *   node scripts/jackpot.js show  --network <name> [--watch] [--interval <seconds>]
+ *   node scripts/jackpot.js set   --network <name> --share <percent> [--seed <credits>]
+ *   node scripts/jackpot.js award <winner> --network <name>
+ */
+
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/jackpot.js <show|set|award> [winner] --network <name> [options]
+
+Options:
+  --network <name>        Network with a deployment in deployments/<network>.json
+  --watch                 Keep printing the pool whenever it changes, until interrupted (show)
+  --interval <seconds>    How often --watch polls the pool (show, default 5)
+  --share <percent>       Share of every spend added to the pool, up to 20%; 0 stops contributions (set)
+  --seed <credits>        Credits the pool restarts at after each win (set, default 0)`;
+
+// Default polling interval of --watch, in seconds
+const DEFAULT_INTERVAL = 5;
+
+async function printJackpot(client) {
+  const { pool, bps, seed } = await client.getJackpot();
+  console.log(`Jackpot:        ${pool.toString()} credits`);
+  console.log(`Share of spend: ${bps / 100}%${bps === 0 ? ' (contributions off)' : ''}`);
+  console.log(`Seed after win: ${seed.toString()} credits`);
+}
+
+// Poll the pool and print every change; never resolves
+async function watchJackpot(client, interval) {
+  let last = null;
+  for (;;) {
+    const { pool } = await client.getJackpot();
+    if (!last || !pool.eq(last)) {
+      const change = last ? ` (${pool.gte(last) ? '+' : ''}${pool.sub(last).toString()})` : '';
+      console.log(`[${new Date().toISOString()}] Jackpot: ${pool.toString()} credits${change}`);
+      last = pool;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'share', 'seed', 'interval'],
+    flags: ['watch']
+  });
+  const [command = 'show', winner] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'show':
+      if (args.watch) {
+        const interval = Number(args.interval || DEFAULT_INTERVAL);
+        if (!(interval > 0)) {
+          throw new Error(`Invalid --interval: ${args.interval}`);
+        }
+        await watchJackpot(client, interval);
+      }
+      await printJackpot(client);
+      break;
+    case 'set': {
+      if (args.share === undefined) {
+        throw new Error(`set needs --share\n\n${USAGE}`);
+      }
+      if (!/^\d+(\.\d{1,2})?$/.test(args.share)) {
+        throw new Error(`Invalid --share "${args.share}". Expected a percentage with at most two decimals`);
+      }
+      const bps = Math.round(Number(args.share) * 100);
+      await client.setJackpot(bps, args.seed || 0);
+      console.log(`✅ ${bps / 100}% of every spend now goes to the jackpot, which restarts at ${args.seed || 0} credits after a win`);
+      break;
+    }
+    case 'award': {
+      if (!winner) {
+        throw new Error(`Missing winner address\n\n${USAGE}`);
+      }
+      const { amount, seed } = await client.awardJackpot(winner);
+      console.log(`✅ Paid the ${amount.toString()} credit jackpot to ${winner}; the pool restarts at ${seed.toString()} credits`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
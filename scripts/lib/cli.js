@@ -0,0 +1,119 @@
+/**
+ * Shared helpers for the command line scripts
+ */
+
+const readline = require('readline');
+const { ArcadeClient, resolveNetworkName } = require('../../sdk');
+
+// Networks that run on this machine and hold no real funds
+const LOCAL_NETWORKS = ['hardhat', 'localhost'];
+
+/**
+ * Parse `--option value` and `--flag` style arguments
+ * @param {string[]} argv Arguments, usually process.argv.slice(2)
+ * @param {object} spec
+ * @param {string[]} [spec.options] Options that take a value
+ * @param {string[]} [spec.flags] Boolean flags
+ * @returns {object} Parsed values keyed by camelCased name, positional arguments in `_`
+ */
+function parseArgs(argv, { options = [], flags = [] } = {}) {
+  const result = { _: [] };
+  const toKey = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+  for (const flag of flags) {
+    result[toKey(flag)] = false;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      result._.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split('=');
+    if (flags.includes(name)) {
+      result[toKey(name)] = true;
+    } else if (options.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Option --${name} requires a value`);
+      }
+      result[toKey(name)] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load the Hardhat runtime for a network defined in hardhat.config.js
+ * @param {string} network Network name or alias
+ * @returns {object} Hardhat runtime environment
+ */
+function loadHardhat(network) {
+  process.env.HARDHAT_NETWORK = resolveNetworkName(network);
+  return require('hardhat');
+}
+
+/**
+ * Create an ArcadeClient for a network's deployment, signing with the
+ * first account configured for that network
+ * @param {string} network Network name or alias
+ * @returns {Promise<{hre: object, client: ArcadeClient, signer: object}>}
+ */
+async function connectClient(network) {
+  const hre = loadHardhat(network);
+  const [signer] = await hre.ethers.getSigners();
+  const client = ArcadeClient.fromDeployment(hre.network.name, signer || hre.ethers.provider);
+  return { hre, client, signer };
+}
+
+/**
+ * Whether a network runs locally
+ * @param {string} network Network name
+ * @returns {boolean}
+ */
+function isLocalNetwork(network) {
+  return LOCAL_NETWORKS.includes(network);
+}
+
+// Check if private key is valid for testnet deployment
+function isValidPrivateKey(privateKey = process.env.PRIVATE_KEY) {
+  if (!privateKey || privateKey === '0000000000000000000000000000000000000000000000000000000000000000') {
+    return false;
+  }
+  
+  const formattedKey = privateKey.startsWith('0x') ? privateKey.substring(2) : privateKey;
+  return /^[0-9a-f]{64}$/i.test(formattedKey);
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question(`${question} (y/N): `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+module.exports = {
+  parseArgs,
+  loadHardhat,
+  connectClient,
+  isLocalNetwork,
+  isValidPrivateKey,
+  confirm
+};
@@ -0,0 +1,288 @@
+/**
+ * Deployment logic shared by deploy.js, deploy-local.js and scripts/deploy.js
+ */
+
+const { ethers: { utils } } = require('ethers');
+const { loadArtifact, saveDeployment } = require('../../sdk');
+const { isLocalNetwork } = require('./cli');
+const { IMPLEMENTATION_CONTRACT, deployProxy } = require('./upgrades');
+
+// Address of the BULL token on networks where it already exists
+const BULL_TOKEN_ADDRESSES = {
+  polygon: '0x9f95e17b2668afe01f8fbd157068b0a4405cc08d',
+  polygonMumbai: '0x9f95e17b2668afe01f8fbd157068b0a4405cc08d'
+};
+
+// Supply minted when a MockBullToken is deployed for local testing
+const MOCK_TOKEN_SUPPLY = '1000000';
+
+// Initial conversion rates: 1 BULL = 100 credits both ways
+const DEFAULT_DEPOSIT_RATE = 100;
+const DEFAULT_WITHDRAWAL_RATE = 100;
+
+// Metadata read from extra tokens before they are accepted
+const TOKEN_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Parse a --tokens list of tokens to accept besides BULL. Entries are comma
+ * separated as <token>:<depositRate>[:<withdrawalRate>], where <token> is an
+ * address or, on local networks, SYMBOL/decimals to deploy a MockDecimalsToken.
+ * The withdrawal rate defaults to the deposit rate.
+ * @param {string} [value] e.g. "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174:90:100,DAI/18:100"
+ * @returns {Array<{address: string|null, symbol: string|null, decimals: number|null, depositRate: string, withdrawalRate: string}>}
+ */
+function parseTokenList(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map((entry) => {
+    const [token, depositRate, withdrawalRate = depositRate] = entry.trim().split(':');
+    if (!token || !depositRate) {
+      throw new Error(`Invalid token entry "${entry}". Expected <address|SYMBOL/decimals>:<depositRate>[:<withdrawalRate>]`);
+    }
+    const mock = token.match(/^(\w+)\/(\d+)$/);
+    if (!mock && !utils.isAddress(token)) {
+      throw new Error(`Invalid token address: ${token}`);
+    }
+    return {
+      address: mock ? null : token,
+      symbol: mock ? mock[1] : null,
+      decimals: mock ? Number(mock[2]) : null,
+      depositRate,
+      withdrawalRate
+    };
+  });
+}
+
+/**
+ * Deploy ArcadeManager (and a MockBullToken on local networks without --token),
+ * either as an immutable contract or behind an upgradeable proxy
+ * @param {object} hre Hardhat runtime environment connected to the target network
+ * @param {object} [options]
+ * @param {string} [options.token] BULL token address to use
+ * @param {number|string} [options.depositRate] Initial credits per BULL unit on deposit
+ * @param {number|string} [options.withdrawalRate] Initial credits per BULL unit on withdrawal
+ * @param {Array} [options.tokens] Other tokens to accept, as returned by parseTokenList
+ * @param {boolean} [options.proxy] Deploy ArcadeManagerUpgradeable behind a transparent proxy
+ * @param {boolean} [options.dryRun] Estimate gas and print the plan without sending transactions
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object|null>} The deployment record, or null on a dry run
+ */
+async function deployArcade(hre, {
+  token,
+  depositRate = DEFAULT_DEPOSIT_RATE,
+  withdrawalRate = DEFAULT_WITHDRAWAL_RATE,
+  tokens = [],
+  proxy = false,
+  dryRun = false,
+  log = console.log
+} = {}) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+  const local = isLocalNetwork(network);
+
+  const { chainId } = await ethers.provider.getNetwork().catch((e) => {
+    throw new Error(`Failed to connect to network "${network}": ${e.message}`);
+  });
+  log(`Connected to network: ${network} (chainId: ${chainId})`);
+
+  const expectedChainId = hre.network.config.chainId;
+  if (expectedChainId && expectedChainId !== chainId) {
+    throw new Error(`Connected to chainId ${chainId}, but ${network} is configured as ${expectedChainId}`);
+  }
+
+  const [deployer] = await ethers.getSigners();
+  if (!deployer) {
+    throw new Error(`No deployer account configured for ${network}. Add a PRIVATE_KEY to your .env file.`);
+  }
+
+  const balance = await deployer.getBalance();
+  log(`Deploying from address: ${deployer.address}`);
+  log(`Account balance: ${ethers.utils.formatEther(balance)}`);
+
+  if (!local && balance.eq(0) && !dryRun) {
+    throw new Error('Deployer account has no funds to pay for gas');
+  }
+
+  let bullTokenAddress = token || BULL_TOKEN_ADDRESSES[network];
+  const deployMockToken = !bullTokenAddress;
+  if (deployMockToken && !local) {
+    throw new Error(`No BULL token known for ${network}. Pass one with --token <address>.`);
+  }
+  if (bullTokenAddress && !ethers.utils.isAddress(bullTokenAddress)) {
+    throw new Error(`Invalid token address: ${bullTokenAddress}`);
+  }
+
+  const rates = [ethers.BigNumber.from(depositRate), ethers.BigNumber.from(withdrawalRate)];
+  if (rates[1].lt(rates[0])) {
+    throw new Error(`Withdrawal rate ${withdrawalRate} is below deposit rate ${depositRate}`);
+  }
+  for (const entry of tokens) {
+    const name = entry.symbol || entry.address;
+    if (!entry.address && !local) {
+      throw new Error(`Mock token ${name} can only be deployed on local networks. Pass the token address instead.`);
+    }
+    if (ethers.BigNumber.from(entry.withdrawalRate).lt(entry.depositRate)) {
+      throw new Error(`Withdrawal rate ${entry.withdrawalRate} of ${name} is below deposit rate ${entry.depositRate}`);
+    }
+  }
+
+  // A proxied deployment estimates its implementation, which takes no constructor arguments
+  const arcadeManagerArtifact = loadArtifact(proxy ? IMPLEMENTATION_CONTRACT : 'ArcadeManager');
+  const arcadeManagerFactory = new ethers.ContractFactory(
+    arcadeManagerArtifact.abi,
+    arcadeManagerArtifact.bytecode,
+    deployer
+  );
+
+  // Public networks get a buffered gas limit and a slightly higher gas price
+  const overrides = {};
+  if (!local) {
+    const gasPrice = await ethers.provider.getGasPrice();
+    log(`Current gas price: ${ethers.utils.formatUnits(gasPrice, 'gwei')} Gwei`);
+    overrides.gasPrice = gasPrice.mul(110).div(100);
+  }
+
+  if (dryRun) {
+    log('\nDry run: no transactions will be sent');
+    log(`- BULL token: ${deployMockToken ? 'new MockBullToken' : bullTokenAddress}`);
+    log(`- Deposit rate: ${depositRate}, withdrawal rate: ${withdrawalRate}`);
+    for (const entry of tokens) {
+      const name = entry.address || `new MockDecimalsToken ${entry.symbol} (${entry.decimals} decimals)`;
+      log(`- Also accept ${name}: deposit rate ${entry.depositRate}, withdrawal rate ${entry.withdrawalRate}`);
+    }
+    log(`- Contract: ${proxy ? `${IMPLEMENTATION_CONTRACT} behind ArcadeManagerProxy` : 'ArcadeManager'}`);
+    if (proxy) {
+      const estimatedGas = await ethers.provider.estimateGas(arcadeManagerFactory.getDeployTransaction());
+      log(`- Estimated gas for the ${IMPLEMENTATION_CONTRACT} implementation: ${estimatedGas.toString()}`);
+    } else if (!deployMockToken) {
+      const estimatedGas = await ethers.provider.estimateGas(
+        arcadeManagerFactory.getDeployTransaction(bullTokenAddress, ...rates)
+      );
+      log(`- Estimated gas for ArcadeManager: ${estimatedGas.toString()}`);
+    }
+    return null;
+  }
+
+  if (deployMockToken) {
+    log('Deploying MockBullToken first...');
+    const mockBullArtifact = loadArtifact('MockBullToken');
+    const mockBullFactory = new ethers.ContractFactory(
+      mockBullArtifact.abi,
+      mockBullArtifact.bytecode,
+      deployer
+    );
+    const mockBullToken = await mockBullFactory.deploy(ethers.utils.parseEther(MOCK_TOKEN_SUPPLY));
+    await mockBullToken.deployed();
+    bullTokenAddress = mockBullToken.address;
+    log(`MockBullToken deployed at: ${bullTokenAddress}`);
+  }
+
+  // Proxy deployments send several transactions, each estimated by ethers
+  if (!local && !proxy) {
+    const estimatedGas = await ethers.provider.estimateGas(
+      arcadeManagerFactory.getDeployTransaction(bullTokenAddress, ...rates)
+    );
+    overrides.gasLimit = estimatedGas.mul(120).div(100);
+    log(`Estimated gas: ${estimatedGas.toString()} (using limit: ${overrides.gasLimit.toString()})`);
+  }
+
+  let arcadeManager;
+  let receipt;
+  let proxyInfo = {};
+  if (proxy) {
+    const deployed = await deployProxy(hre, { deployer, bullToken: bullTokenAddress, rates, overrides, log });
+    ({ proxy: arcadeManager, receipt } = deployed);
+    proxyInfo = {
+      proxyAdmin: deployed.proxyAdmin,
+      implementation: deployed.implementation.address,
+      implementations: [deployed.implementation]
+    };
+  } else {
+    log('Deploying ArcadeManager contract...');
+    arcadeManager = await arcadeManagerFactory.deploy(bullTokenAddress, ...rates, overrides);
+    log(`Deployment transaction hash: ${arcadeManager.deployTransaction.hash}`);
+    receipt = await arcadeManager.deployTransaction.wait();
+  }
+
+  const acceptedTokens = await acceptTokens(hre, arcadeManager.address, arcadeManagerArtifact.abi, tokens, {
+    deployer,
+    overrides: overrides.gasPrice ? { gasPrice: overrides.gasPrice } : {},
+    log
+  });
+
+  const deploymentInfo = {
+    network,
+    chainId,
+    arcadeManager: arcadeManager.address,
+    bullToken: bullTokenAddress,
+    mockBullToken: deployMockToken,
+    depositRate: rates[0].toString(),
+    withdrawalRate: rates[1].toString(),
+    tokens: acceptedTokens,
+    deployer: deployer.address,
+    deploymentTxHash: arcadeManager.deployTransaction.hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date().toISOString(),
+    ...proxyInfo
+  };
+
+  log(`ArcadeManager deployed at: ${arcadeManager.address}`);
+  log(`BULL token address: ${bullTokenAddress}`);
+  log(`Rates: ${depositRate} credits/BULL in, ${withdrawalRate} credits/BULL out`);
+
+  // The in-process hardhat network disappears when the script exits
+  if (network !== 'hardhat') {
+    const recordPath = saveDeployment(network, deploymentInfo);
+    log(`Deployment information saved to ${recordPath}`);
+  }
+
+  return deploymentInfo;
+}
+
+// Deploy any mock tokens and accept every token in the list, returning deployment-file entries
+async function acceptTokens(hre, arcadeManagerAddress, abi, tokens, { deployer, overrides, log }) {
+  const { ethers } = hre;
+  const arcadeManager = new ethers.Contract(arcadeManagerAddress, abi, deployer);
+  const accepted = [];
+
+  for (const entry of tokens) {
+    let { address } = entry;
+    if (!address) {
+      const mockArtifact = loadArtifact('MockDecimalsToken');
+      const mockFactory = new ethers.ContractFactory(mockArtifact.abi, mockArtifact.bytecode, deployer);
+      const supply = ethers.utils.parseUnits(MOCK_TOKEN_SUPPLY, entry.decimals);
+      const mockToken = await mockFactory.deploy(entry.symbol, entry.symbol, entry.decimals, supply);
+      await mockToken.deployed();
+      address = mockToken.address;
+      log(`MockDecimalsToken ${entry.symbol} deployed at: ${address}`);
+    }
+
+    const metadata = new ethers.Contract(address, TOKEN_METADATA_ABI, deployer);
+    const [symbol, decimals] = await Promise.all([metadata.symbol(), metadata.decimals()]);
+    const tx = await arcadeManager.addToken(address, entry.depositRate, entry.withdrawalRate, overrides);
+    await tx.wait();
+    log(`Accepted ${symbol}: ${entry.depositRate} credits/${symbol} in, ${entry.withdrawalRate} credits/${symbol} out`);
+
+    accepted.push({
+      address,
+      symbol,
+      decimals,
+      depositRate: entry.depositRate.toString(),
+      withdrawalRate: entry.withdrawalRate.toString(),
+      mock: !entry.address
+    });
+  }
+  return accepted;
+}
+
+module.exports = {
+  BULL_TOKEN_ADDRESSES,
+  DEFAULT_DEPOSIT_RATE,
+  DEFAULT_WITHDRAWAL_RATE,
+  parseTokenList,
+  deployArcade
+};
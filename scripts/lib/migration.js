@@ -0,0 +1,297 @@
+/**
+ * Moving player balances from an old ArcadeManager deployment to a new one:
+ * snapshot the old balances, import them with importBalances and diff the result
+ */
+
+const { ethers } = require('ethers');
+const { ArcadeIndexer } = require('../../indexer');
+
+// Players per importBalances transaction (the contract accepts up to MAX_BATCH_SIZE)
+const DEFAULT_CHUNK_SIZE = 100;
+
+// Indexer store that only lives for one snapshot
+const memoryStore = () => {
+  let state = null;
+  return { load: () => state, save: (next) => { state = next; } };
+};
+
+const BALANCE_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+/**
+ * Accepted tokens of a deployment; deployments from before multi-token
+ * deposits only hold BULL
+ * @param {ArcadeClient} client
+ * @returns {Promise<Array<{token: string, symbol: string|null, decimals: number}>>}
+ */
+async function acceptedTokens(client) {
+  const tokens = await client.getTokens().catch(() => null);
+  if (tokens) {
+    return tokens.map(({ address, symbol, decimals }) => ({ token: address, symbol, decimals }));
+  }
+  return [{ token: await client.contract.bullToken(), symbol: 'BULL', decimals: 18 }];
+}
+
+/**
+ * Reserves of every accepted token held by a deployment
+ * @param {ArcadeClient} client
+ * @param {Array<{token: string, symbol: string|null, decimals: number}>} tokens
+ * @param {number|string} [blockTag]
+ * @returns {Promise<Array<{token: string, symbol: string|null, decimals: number, amount: string}>>}
+ */
+async function readReserves(client, tokens, blockTag = 'latest') {
+  const { provider } = client.contract;
+  return Promise.all(tokens.map(async ({ token, symbol, decimals }) => {
+    const balance = await new ethers.Contract(token, BALANCE_ABI, provider).balanceOf(client.address, { blockTag });
+    return { token, symbol, decimals, amount: balance.toString() };
+  }));
+}
+
+const tokenLabel = (row) => row.symbol || row.token;
+
+/**
+ * Hash of a balance list that anyone can recompute from the snapshot file:
+ * keccak256(abi.encode(address[] players, uint256[] credits)), players sorted
+ * @param {Array<{player: string, credits: string}>} balances
+ * @returns {string}
+ */
+function hashBalances(balances) {
+  const sorted = [...balances].sort((a, b) => a.player.toLowerCase().localeCompare(b.player.toLowerCase()));
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+    ['address[]', 'uint256[]'],
+    [sorted.map((row) => row.player), sorted.map((row) => row.credits)]
+  ));
+}
+
+/**
+ * Snapshot every player balance of a deployment. Players are found from the
+ * events, balances are read with userCredits at a single block.
+ * @param {ArcadeClient} client Client connected to the old deployment
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Deployment block of the old contract
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object>} Snapshot, ready to be written to a JSON file
+ */
+async function snapshotBalances(client, { fromBlock = 0, log = console.log } = {}) {
+  const { provider } = client.contract;
+  const indexer = new ArcadeIndexer({
+    provider,
+    address: client.address,
+    store: memoryStore(),
+    fromBlock,
+    abi: client.abi
+  });
+  const { toBlock } = await indexer.sync();
+  const blockTag = toBlock;
+  log(`Indexed ${indexer.getEvents().length} events up to block ${blockTag}`);
+
+  const rows = await indexer.reconcile();
+  const balances = rows
+    .filter((row) => row.onChain !== '0')
+    .map((row) => ({ player: row.player, credits: row.onChain, indexed: row.indexed }))
+    .sort((a, b) => a.player.toLowerCase().localeCompare(b.player.toLowerCase()));
+
+  const tokens = await acceptedTokens(client);
+  const [totalCredits, reserves, jackpotCredits, { chainId }] = await Promise.all([
+    client.contract.totalCredits({ blockTag }),
+    readReserves(client, tokens, blockTag),
+    // Deployments from before the jackpot have no pool
+    client.contract.jackpotPool({ blockTag }).catch(() => ethers.constants.Zero),
+    provider.getNetwork()
+  ]);
+  const playerCredits = balances.reduce((sum, row) => sum.add(row.credits), ethers.constants.Zero);
+
+  return {
+    source: {
+      chainId,
+      arcadeManager: client.address,
+      bullToken: await client.contract.bullToken(),
+      blockNumber: blockTag
+    },
+    createdAt: new Date().toISOString(),
+    totalCredits: playerCredits.toString(),
+    // Credits in pending timelocked withdrawals and the jackpot pool are counted in totalCredits but not in any balance
+    heldCredits: totalCredits.sub(playerCredits).sub(jackpotCredits).toString(),
+    jackpotCredits: jackpotCredits.toString(),
+    // One entry per accepted token, BULL first
+    reserves,
+    indexerMismatches: rows.filter((row) => !row.matches).length,
+    hash: hashBalances(balances),
+    balances
+  };
+}
+
+/**
+ * Things in a snapshot that would make the new deployment differ from the old one
+ * @param {object} snapshot Result of snapshotBalances
+ * @param {object} [pauseStatus] Pause flags of the old deployment at snapshot time
+ * @returns {string[]}
+ */
+function snapshotWarnings(snapshot, pauseStatus) {
+  const warnings = [];
+  if (snapshot.heldCredits !== '0') {
+    warnings.push(`${snapshot.heldCredits} credits are held in pending withdrawal requests and are not part of any balance; cancel or claim them and snapshot again`);
+  }
+  if (snapshot.jackpotCredits && snapshot.jackpotCredits !== '0') {
+    warnings.push(`${snapshot.jackpotCredits} credits are in the jackpot pool and are not part of any balance; award the jackpot first or seed the new pool by hand`);
+  }
+  if (snapshot.indexerMismatches > 0) {
+    warnings.push(`${snapshot.indexerMismatches} balances rebuilt from events differ from userCredits; the userCredits values are used`);
+  }
+  if (pauseStatus && !Object.values(pauseStatus).every(Boolean)) {
+    warnings.push('The old deployment is not fully paused, so balances may change after the snapshot (node scripts/pause.js pause all)');
+  }
+  return warnings;
+}
+
+/**
+ * Import a snapshot into the new deployment. Players already imported are
+ * skipped, so an interrupted import can simply be run again.
+ * @param {ArcadeClient} client Client connected to the new deployment (admin)
+ * @param {object} snapshot Result of snapshotBalances
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Players per transaction
+ * @param {boolean} [options.dryRun] Only report what would be imported
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{imported: number, skipped: number, conflicts: Array, txHashes: string[]}>}
+ */
+async function importSnapshot(client, snapshot, { chunkSize = DEFAULT_CHUNK_SIZE, dryRun = false, log = console.log } = {}) {
+  const imported = await client.getImportedCredits(snapshot.balances.map((row) => row.player));
+  const pending = [];
+  const conflicts = [];
+
+  snapshot.balances.forEach((row, i) => {
+    if (imported[i].isZero()) {
+      pending.push(row);
+    } else if (!imported[i].eq(row.credits)) {
+      conflicts.push({ player: row.player, expected: row.credits, imported: imported[i].toString() });
+    }
+  });
+
+  const result = { imported: 0, skipped: snapshot.balances.length - pending.length, conflicts, txHashes: [] };
+  if (dryRun) {
+    log(`Dry run: ${pending.length} balances to import, ${result.skipped} already imported`);
+    return result;
+  }
+
+  for (let i = 0; i < pending.length; i += chunkSize) {
+    const chunk = pending.slice(i, i + chunkSize);
+    const receipt = await client.importBalances(chunk.map((row) => row.player), chunk.map((row) => row.credits));
+    result.imported += chunk.length;
+    result.txHashes.push(receipt.transactionHash);
+    log(`Imported ${result.imported}/${pending.length} balances (tx ${receipt.transactionHash})`);
+  }
+  return result;
+}
+
+/**
+ * Top the new deployment's reserves of every snapshotted token up to the
+ * snapshot reserves (treasurer, pays from the signer). Every token must
+ * already be accepted by the new deployment.
+ * @param {ArcadeClient} client Client connected to the new deployment
+ * @param {object} snapshot Result of snapshotBalances
+ * @returns {Promise<Array<{token: string, symbol: string|null, decimals: number, amount: ethers.BigNumber}>>}
+ *   Amount added per token; tokens that were not missing anything are left out
+ */
+async function fundSnapshotReserves(client, snapshot) {
+  const tokens = await acceptedTokens(client);
+  const accepted = new Set(tokens.map((row) => row.token.toLowerCase()));
+  const notAccepted = snapshot.reserves.filter((row) => !accepted.has(row.token.toLowerCase()));
+  if (notAccepted.length > 0) {
+    throw new Error(`The new deployment does not accept ${notAccepted.map(tokenLabel).join(', ')}; add it with node scripts/tokens.js add first`);
+  }
+
+  const current = await readReserves(client, snapshot.reserves);
+  const funded = [];
+  for (const [i, row] of snapshot.reserves.entries()) {
+    const missing = ethers.BigNumber.from(row.amount).sub(current[i].amount);
+    if (missing.lte(0)) {
+      continue;
+    }
+    if (row.token.toLowerCase() === tokens[0].token.toLowerCase()) {
+      await client.fundReserves(missing);
+    } else {
+      await client.fundTokenReserves(row.token, missing);
+    }
+    funded.push({ token: row.token, symbol: row.symbol, decimals: row.decimals, amount: missing });
+  }
+  return funded;
+}
+
+/**
+ * Compare the new deployment with a snapshot
+ * @param {ArcadeClient} client Client connected to the new deployment
+ * @param {object} snapshot Result of snapshotBalances
+ * @returns {Promise<object>} Report; `matches` is true when every balance and the reserves
+ *   of every token carried over and the new deployment's reserves cover its credits
+ */
+async function diffSnapshot(client, snapshot) {
+  const players = snapshot.balances.map((row) => row.player);
+  const [imported, current, tokens, reserves, solvency, finalized, blockNumber] = await Promise.all([
+    client.getImportedCredits(players),
+    Promise.all(players.map((player) => client.getCredits(player))),
+    acceptedTokens(client),
+    readReserves(client, snapshot.reserves),
+    client.getSolvency(),
+    client.isMigrationFinalized(),
+    client.contract.provider.getBlockNumber()
+  ]);
+
+  const mismatches = [];
+  let importedTotal = ethers.constants.Zero;
+  snapshot.balances.forEach((row, i) => {
+    importedTotal = importedTotal.add(imported[i]);
+    if (!imported[i].eq(row.credits)) {
+      mismatches.push({
+        player: row.player,
+        expected: row.credits,
+        imported: imported[i].toString(),
+        current: current[i].toString()
+      });
+    }
+  });
+
+  const hash = hashBalances(snapshot.balances);
+  const accepted = new Set(tokens.map((row) => row.token.toLowerCase()));
+  const reserveRows = snapshot.reserves.map((row, i) => {
+    const isAccepted = accepted.has(row.token.toLowerCase());
+    return {
+      token: row.token,
+      symbol: row.symbol,
+      decimals: row.decimals,
+      expected: row.amount,
+      actual: reserves[i].amount,
+      accepted: isAccepted,
+      // Reserves of a token the new deployment does not accept cannot back any credit
+      matches: isAccepted && ethers.BigNumber.from(reserves[i].amount).gte(row.amount)
+    };
+  });
+  // Every credit, imported or not, must be covered by the reserves at the withdrawal rates
+  const collateralised = solvency.reserveCredits.gte(solvency.outstandingCredits);
+  return {
+    source: snapshot.source,
+    target: { arcadeManager: client.address, blockNumber },
+    hash,
+    hashMatches: hash === snapshot.hash,
+    players: players.length,
+    mismatches,
+    totals: { expected: snapshot.totalCredits, imported: importedTotal.toString() },
+    reserves: reserveRows,
+    collateral: {
+      credits: solvency.outstandingCredits.toString(),
+      reserveCredits: solvency.reserveCredits.toString(),
+      matches: collateralised
+    },
+    finalized,
+    matches: hash === snapshot.hash && mismatches.length === 0 && reserveRows.every((row) => row.matches) && collateralised
+  };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  hashBalances,
+  snapshotBalances,
+  snapshotWarnings,
+  importSnapshot,
+  fundSnapshotReserves,
+  diffSnapshot
+};
@@ -0,0 +1,172 @@
+/**
+ * Payout file parsing and chunked submission for awardWinningsBatch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Contract limit on entries per batch (ArcadeManager.MAX_BATCH_SIZE)
+const MAX_BATCH_SIZE = 200;
+
+/**
+ * Read a payout file. Accepted formats:
+ * - CSV with `player,amount` per line (header row and `#` comments allowed)
+ * - JSON array of `{ "player": "0x..", "amount": "500" }`
+ * - JSON object mapping addresses to amounts
+ * @param {string} filePath Path of the payout file
+ * @returns {Array<{line: number, player: string, amount: string}>}
+ */
+function parsePayoutFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    const entries = Array.isArray(data)
+      ? data.map((entry) => [entry.player || entry.address, entry.amount])
+      : Object.entries(data);
+    return entries.map(([player, amount], index) => ({
+      line: index + 1,
+      player: String(player || '').trim(),
+      amount: String(amount === undefined ? '' : amount).trim()
+    }));
+  }
+
+  const rows = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const [player = '', amount = ''] = trimmed.split(',').map((cell) => cell.trim());
+    // Skip a header row such as "player,amount"
+    if (rows.length === 0 && !player.startsWith('0x') && !/^\d+$/.test(amount)) {
+      return;
+    }
+    rows.push({ line: index + 1, player, amount });
+  });
+  return rows;
+}
+
+/**
+ * Split rows into valid payouts and rejected rows
+ * @param {Array<{line: number, player: string, amount: string}>} rows
+ * @returns {{valid: Array, invalid: Array<{row: object, error: string}>}}
+ */
+function validatePayouts(rows) {
+  const valid = [];
+  const invalid = [];
+
+  for (const row of rows) {
+    if (!ethers.utils.isAddress(row.player)) {
+      invalid.push({ row, error: 'Invalid player address' });
+    } else if (row.player === ethers.constants.AddressZero) {
+      invalid.push({ row, error: 'Invalid player address' });
+    } else if (!/^\d+$/.test(row.amount) || ethers.BigNumber.from(row.amount).isZero()) {
+      invalid.push({ row, error: 'Amount must be a positive whole number of credits' });
+    } else {
+      valid.push({ ...row, player: ethers.utils.getAddress(row.player) });
+    }
+  }
+
+  return { valid, invalid };
+}
+
+/**
+ * Submit payouts through awardWinningsBatch in chunks. A chunk whose gas
+ * estimate exceeds `maxGas`, or whose estimate reverts, is split in half
+ * until it fits or a single failing row is isolated.
+ * @param {ArcadeClient} client Client connected with an operator signer
+ * @param {Array<{line: number, player: string, amount: string}>} rows Validated payouts
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Rows per transaction (capped at MAX_BATCH_SIZE)
+ * @param {number} [options.maxGas] Gas limit a single transaction may use
+ * @param {boolean} [options.dryRun] Only estimate gas
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<Array<{row: object, status: string, txHash?: string, gas?: string, error?: string}>>}
+ *   `status` is success, blocked (skipped by a payout limit), failed or estimated
+ */
+async function submitPayouts(client, rows, {
+  chunkSize = 50,
+  maxGas = 8000000,
+  dryRun = false,
+  log = console.log
+} = {}) {
+  const results = [];
+  const size = Math.max(1, Math.min(chunkSize, MAX_BATCH_SIZE));
+
+  const fail = (chunk, error) => {
+    for (const row of chunk) {
+      results.push({ row, status: 'failed', error });
+    }
+  };
+
+  const processChunk = async (chunk) => {
+    const players = chunk.map((row) => row.player);
+    const amounts = chunk.map((row) => row.amount);
+
+    let gas;
+    try {
+      gas = await client.estimateAwardWinningsBatch(players, amounts);
+    } catch (error) {
+      if (chunk.length > 1) {
+        return splitChunk(chunk);
+      }
+      return fail(chunk, error.message);
+    }
+
+    if (gas.gt(maxGas)) {
+      if (chunk.length > 1) {
+        return splitChunk(chunk);
+      }
+      return fail(chunk, `Gas estimate ${gas.toString()} exceeds limit ${maxGas}`);
+    }
+
+    if (dryRun) {
+      log(`Lines ${chunk[0].line}-${chunk[chunk.length - 1].line}: ${chunk.length} payouts, ~${gas.toString()} gas`);
+      for (const row of chunk) {
+        results.push({ row, status: 'estimated', gas: gas.toString() });
+      }
+      return;
+    }
+
+    try {
+      const receipt = await client.awardWinningsBatch(players, amounts, { gasLimit: gas.mul(120).div(100) });
+      log(`Lines ${chunk[0].line}-${chunk[chunk.length - 1].line}: ${chunk.length} payouts in ${receipt.transactionHash}`);
+
+      // Rows skipped by a payout limit are mined but not credited
+      const blocked = client.blockedPayouts(receipt);
+      for (const row of chunk) {
+        const index = blocked.findIndex((entry) => entry.player.toLowerCase() === row.player.toLowerCase() && entry.amount.eq(row.amount));
+        if (index === -1) {
+          results.push({ row, status: 'success', txHash: receipt.transactionHash });
+        } else {
+          const [entry] = blocked.splice(index, 1);
+          results.push({ row, status: 'blocked', txHash: receipt.transactionHash, error: `Blocked by the ${entry.limit} payout limit` });
+        }
+      }
+    } catch (error) {
+      log(`Lines ${chunk[0].line}-${chunk[chunk.length - 1].line}: failed (${error.message})`);
+      fail(chunk, error.message);
+    }
+  };
+
+  const splitChunk = async (chunk) => {
+    const middle = Math.ceil(chunk.length / 2);
+    await processChunk(chunk.slice(0, middle));
+    await processChunk(chunk.slice(middle));
+  };
+
+  for (let i = 0; i < rows.length; i += size) {
+    await processChunk(rows.slice(i, i + size));
+  }
+
+  return results;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  parsePayoutFile,
+  validatePayouts,
+  submitPayouts
+};
@@ -0,0 +1,96 @@
+/**
+ * Argument and rankings-file parsing for scripts/tournaments.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Units accepted in relative times such as "+2h"
+const TIME_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * Parse a payout table given in percent per place, best first
+ * @param {string} value e.g. "50,30,20" or "62.5,37.5"
+ * @returns {number[]} Shares in basis points, summing to 10000
+ */
+function parsePayoutTable(value) {
+  const shares = String(value || '').split(',').map((cell) => {
+    const percent = cell.trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(percent) || Number(percent) === 0) {
+      throw new Error(`Invalid payout share "${percent}". Expected a positive percentage with at most two decimals`);
+    }
+    return Math.round(Number(percent) * 100);
+  });
+  const total = shares.reduce((sum, bps) => sum + bps, 0);
+  if (total !== 10000) {
+    throw new Error(`Payout shares add up to ${total / 100}%, expected 100%`);
+  }
+  return shares;
+}
+
+/**
+ * Parse a time as unix seconds, an ISO date or a duration after `now` such as "+30m", "+2h" or "+7d"
+ * @param {string} value Time to parse
+ * @param {number} now Unix time relative values count from
+ * @returns {number} Unix time in seconds
+ */
+function parseTime(value, now) {
+  const text = String(value).trim();
+  const relative = text.match(/^\+(\d+)([mhd])$/);
+  if (relative) {
+    return now + Number(relative[1]) * TIME_UNITS[relative[2]];
+  }
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid time "${value}". Use unix seconds, an ISO date or +<n>m/h/d`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+/**
+ * Read final rankings, best first. Accepted formats:
+ * - Text or CSV with the player address in the first column (header row and `#` comments allowed)
+ * - JSON array of addresses, or of `{ "player": "0x.." }` objects
+ * @param {string} filePath Path of the rankings file
+ * @returns {string[]} Checksummed player addresses
+ */
+function readRankings(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let players;
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    players = JSON.parse(content).map((entry) => String(typeof entry === 'string' ? entry : entry.player || entry.address || '').trim());
+  } else {
+    players = content.split(/\r?\n/)
+      .map((text) => text.trim())
+      .filter((text) => text && !text.startsWith('#'))
+      .map((text) => text.split(',')[0].trim());
+    // Skip a header row such as "player,score"
+    if (players.length > 0 && !players[0].startsWith('0x')) {
+      players.shift();
+    }
+  }
+
+  const seen = new Set();
+  return players.map((player, index) => {
+    if (!ethers.utils.isAddress(player)) {
+      throw new Error(`Invalid player address at place ${index + 1}: ${player}`);
+    }
+    const address = ethers.utils.getAddress(player);
+    if (seen.has(address)) {
+      throw new Error(`${address} is ranked more than once`);
+    }
+    seen.add(address);
+    return address;
+  });
+}
+
+module.exports = {
+  parsePayoutTable,
+  parseTime,
+  readRankings
+};
@@ -0,0 +1,290 @@
+/**
+ * Proxy deployment and upgrade logic shared by deploy.js, scripts/upgrades.js and the tests
+ */
+
+const { ethers } = require('ethers');
+const { saveDeployment } = require('../../sdk');
+
+// Implementation deployed behind the proxy by default
+const IMPLEMENTATION_CONTRACT = 'ArcadeManagerUpgradeable';
+
+// ERC-1967 storage slots: keccak256('eip1967.proxy.implementation') - 1 and keccak256('eip1967.proxy.admin') - 1
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+/**
+ * Read an address stored in an ERC-1967 slot of a proxy
+ * @param {object} provider ethers provider
+ * @param {string} proxy Proxy address
+ * @param {string} slot Storage slot
+ * @returns {Promise<string>}
+ */
+async function readSlotAddress(provider, proxy, slot) {
+  const value = await provider.getStorageAt(proxy, slot);
+  return ethers.utils.getAddress(`0x${value.slice(-40)}`);
+}
+
+/**
+ * Implementation a proxy currently delegates to
+ * @param {object} provider ethers provider
+ * @param {string} proxy Proxy address
+ * @returns {Promise<string>}
+ */
+function getImplementation(provider, proxy) {
+  return readSlotAddress(provider, proxy, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * ProxyAdmin allowed to upgrade a proxy
+ * @param {object} provider ethers provider
+ * @param {string} proxy Proxy address
+ * @returns {Promise<string>}
+ */
+function getProxyAdmin(provider, proxy) {
+  return readSlotAddress(provider, proxy, ADMIN_SLOT);
+}
+
+// Type ids embed AST ids that change between compilations, so types are kept by label and shape
+function describeType(types, id) {
+  const type = types[id];
+  const described = { label: type.label, numberOfBytes: type.numberOfBytes };
+  if (type.members) {
+    described.members = type.members.map((member) => ({
+      label: member.label,
+      slot: member.slot,
+      offset: member.offset,
+      type: describeType(types, member.type)
+    }));
+  }
+  if (type.key) {
+    described.key = describeType(types, type.key);
+    described.value = describeType(types, type.value);
+  }
+  if (type.base) {
+    described.base = describeType(types, type.base);
+  }
+  return described;
+}
+
+/**
+ * Storage layout of a compiled contract, in the form recorded in deployment files
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Contract name, e.g. "ArcadeManagerUpgradeable"
+ * @returns {Promise<Array<{label: string, slot: string, offset: number, type: object}>>}
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output || !output.storageLayout) {
+    throw new Error(`No storage layout compiled for ${contractName}. Check the outputSelection in hardhat.config.js and recompile.`);
+  }
+
+  const { storage, types } = output.storageLayout;
+  return storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: describeType(types, variable.type)
+  }));
+}
+
+// Struct and enum labels name the contract that declares them, e.g.
+// "struct ArcadeManagerStorage.Game"; moving a declaration to another base
+// contract does not change the layout, so that part is ignored
+function typeName(label) {
+  return label.replace(/\b(struct|enum) \w+\./g, '$1 ');
+}
+
+// Structs may gain members at the end; everything else has to stay identical
+function compareTypes(previous, next) {
+  if (typeName(previous.label) !== typeName(next.label)) {
+    return `changed type from ${previous.label} to ${next.label}`;
+  }
+
+  if (previous.members) {
+    for (const [i, member] of previous.members.entries()) {
+      const current = next.members[i];
+      if (!current || current.label !== member.label) {
+        return `lost member \`${member.label}\` of ${previous.label}`;
+      }
+      if (current.slot !== member.slot || current.offset !== member.offset) {
+        return `moved member \`${member.label}\` of ${previous.label}`;
+      }
+      const error = compareTypes(member.type, current.type);
+      if (error) {
+        return `member \`${member.label}\` ${error}`;
+      }
+    }
+  }
+
+  if (previous.key) {
+    return compareTypes(previous.key, next.key) || compareTypes(previous.value, next.value);
+  }
+
+  // Array elements are packed back to back, so their size cannot change either
+  if (previous.base) {
+    if (previous.base.numberOfBytes !== next.base.numberOfBytes) {
+      return `changed the size of ${previous.base.label} elements`;
+    }
+    return compareTypes(previous.base, next.base);
+  }
+
+  return null;
+}
+
+/**
+ * Check that a new implementation keeps every existing variable in place.
+ * Variables may only be appended, and structs only extended at the end.
+ * @param {Array} previous Layout of the current implementation
+ * @param {Array} next Layout of the new implementation
+ * @returns {string[]} Incompatibilities, empty when the upgrade is safe
+ */
+function compareStorageLayouts(previous, next) {
+  const errors = [];
+
+  previous.forEach((variable, i) => {
+    const current = next[i];
+    const name = `\`${variable.label}\` (slot ${variable.slot})`;
+
+    if (!current) {
+      errors.push(`${name} was removed`);
+    } else if (current.label !== variable.label) {
+      errors.push(`${name} was renamed or replaced by \`${current.label}\``);
+    } else if (current.slot !== variable.slot || current.offset !== variable.offset) {
+      errors.push(`${name} moved to slot ${current.slot}, offset ${current.offset}`);
+    } else {
+      const error = compareTypes(variable.type, current.type);
+      if (error) {
+        errors.push(`${name} ${error}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Deployment-file entry for an implementation
+async function implementationRecord(hre, contractName, contract) {
+  const receipt = await contract.deployTransaction.wait();
+  return {
+    contract: contractName,
+    address: contract.address,
+    txHash: contract.deployTransaction.hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date().toISOString(),
+    storageLayout: await getStorageLayout(hre, contractName)
+  };
+}
+
+/**
+ * Deploy ArcadeManagerUpgradeable behind a transparent proxy owned by a new ProxyAdmin
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options
+ * @param {object} options.deployer Signer that receives every role and owns the ProxyAdmin
+ * @param {string} options.bullToken BULL token address
+ * @param {Array} options.rates Deposit and withdrawal rates
+ * @param {object} [options.overrides] Transaction overrides
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<{proxy: object, receipt: object, proxyAdmin: string, implementation: object}>}
+ */
+async function deployProxy(hre, { deployer, bullToken, rates, overrides = {}, log = console.log }) {
+  const { ethers } = hre;
+
+  log(`Deploying ${IMPLEMENTATION_CONTRACT} implementation...`);
+  const implementationFactory = await ethers.getContractFactory(IMPLEMENTATION_CONTRACT, deployer);
+  const implementation = await implementationFactory.deploy(overrides);
+  const record = await implementationRecord(hre, IMPLEMENTATION_CONTRACT, implementation);
+  log(`Implementation deployed at: ${implementation.address}`);
+
+  const proxyAdminFactory = await ethers.getContractFactory('ProxyAdmin', deployer);
+  const proxyAdmin = await proxyAdminFactory.deploy(overrides);
+  await proxyAdmin.deployed();
+  log(`ProxyAdmin deployed at: ${proxyAdmin.address}`);
+
+  log('Deploying ArcadeManagerProxy...');
+  const initData = implementationFactory.interface.encodeFunctionData('initialize', [bullToken, ...rates]);
+  const proxyFactory = await ethers.getContractFactory('ArcadeManagerProxy', deployer);
+  const proxy = await proxyFactory.deploy(implementation.address, proxyAdmin.address, initData, overrides);
+  log(`Deployment transaction hash: ${proxy.deployTransaction.hash}`);
+  const receipt = await proxy.deployTransaction.wait();
+
+  return { proxy, receipt, proxyAdmin: proxyAdmin.address, implementation: record };
+}
+
+/**
+ * Upgrade a proxied deployment to a new implementation after checking its storage layout
+ * @param {object} hre Hardhat runtime environment connected to the deployment's network
+ * @param {object} deployment Deployment record written by deploy-proxy
+ * @param {object} [options]
+ * @param {string} [options.contract] Contract to upgrade to (default ArcadeManagerUpgradeable)
+ * @param {boolean} [options.dryRun] Check the layout and estimate gas without sending transactions
+ * @param {Function} [options.log] Logger, defaults to console.log
+ * @returns {Promise<object|null>} The updated deployment record, or null on a dry run
+ */
+async function upgradeArcade(hre, deployment, { contract = IMPLEMENTATION_CONTRACT, dryRun = false, log = console.log } = {}) {
+  const { ethers } = hre;
+  const network = hre.network.name;
+
+  if (!deployment.proxyAdmin) {
+    throw new Error(`The ${network} deployment is not behind a proxy. Deploy one with: node scripts/upgrades.js deploy-proxy`);
+  }
+
+  const history = deployment.implementations || [];
+  const latest = history[history.length - 1];
+  const current = await getImplementation(ethers.provider, deployment.arcadeManager);
+  if (!latest || latest.address.toLowerCase() !== current.toLowerCase()) {
+    throw new Error(`Proxy points at ${current} but the deployment record lists ${latest ? latest.address : 'no implementation'}`);
+  }
+
+  const layout = await getStorageLayout(hre, contract);
+  const errors = compareStorageLayouts(latest.storageLayout, layout);
+  if (errors.length > 0) {
+    throw new Error(`${contract} is not storage compatible with ${latest.contract} at ${latest.address}:\n- ${errors.join('\n- ')}`);
+  }
+  log(`Storage layout of ${contract} is compatible with ${latest.contract} (${layout.length} variables, ${layout.length - latest.storageLayout.length} new)`);
+
+  const [signer] = await ethers.getSigners();
+  const proxyAdmin = await ethers.getContractAt('ProxyAdmin', deployment.proxyAdmin, signer);
+  const owner = await proxyAdmin.owner();
+  if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`${signer.address} does not own the ProxyAdmin (owner: ${owner})`);
+  }
+
+  const factory = await ethers.getContractFactory(contract, signer);
+  if (dryRun) {
+    const estimatedGas = await ethers.provider.estimateGas(factory.getDeployTransaction());
+    log(`Dry run: deploying ${contract} would use about ${estimatedGas.toString()} gas`);
+    return null;
+  }
+
+  log(`Deploying ${contract} implementation...`);
+  const implementation = await factory.deploy();
+  const record = await implementationRecord(hre, contract, implementation);
+  log(`Implementation deployed at: ${implementation.address}`);
+
+  const tx = await proxyAdmin.upgrade(deployment.arcadeManager, implementation.address);
+  await tx.wait();
+  log(`Proxy ${deployment.arcadeManager} upgraded (tx: ${tx.hash})`);
+
+  const updated = {
+    ...deployment,
+    implementation: implementation.address,
+    implementations: [...history, { ...record, upgradeTxHash: tx.hash }]
+  };
+  if (network !== 'hardhat') {
+    saveDeployment(network, updated);
+    log(`Implementation history saved to deployments/${network}.json`);
+  }
+  return updated;
+}
+
+module.exports = {
+  IMPLEMENTATION_CONTRACT,
+  getImplementation,
+  getProxyAdmin,
+  getStorageLayout,
+  compareStorageLayouts,
+  deployProxy,
+  upgradeArcade
+};
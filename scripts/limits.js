@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and change the payout caps enforced by awardWinnings
+ *
+ * Usage:
+ *   node scripts/limits.js status --network <name> [--player <address>]
+ *   node scripts/limits.js set    --network <name> [--max-award <credits>] [--player-daily <credits>] [--global-daily <credits>]
+ */
+
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/limits.js <status|set> --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --player <address>       Also show what a player can still be awarded today (status)
+  --max-award <credits>    Largest single award, 0 for no cap (set)
+  --player-daily <credits> Total per player per day, 0 for no cap (set)
+  --global-daily <credits> Total for all players per day, 0 for no cap (set)
+
+Caps not passed to "set" keep their current value.`;
+
+const format = (value) => (value.isZero() ? 'no limit' : `${value.toString()} credits`);
+
+async function printStatus(client, player) {
+  const limits = await client.getPayoutLimits();
+  console.log(`- Per award:        ${format(limits.maxAward)}`);
+  console.log(`- Per player/day:   ${format(limits.playerDaily)}`);
+  console.log(`- All players/day:  ${format(limits.globalDaily)}`);
+  if (limits.remainingGlobal) {
+    console.log(`  ${limits.remainingGlobal.toString()} credits left today`);
+  }
+  if (player) {
+    const remaining = await client.getRemainingPayout(player);
+    console.log(`${player} can still be awarded ${remaining ? `${remaining.toString()} credits` : 'any amount'} today`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'player', 'max-award', 'player-daily', 'global-daily']
+  });
+  const [command = 'status'] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'status':
+      break;
+    case 'set': {
+      const current = await client.getPayoutLimits();
+      await client.setPayoutLimits({
+        maxAward: args.maxAward !== undefined ? args.maxAward : current.maxAward,
+        playerDaily: args.playerDaily !== undefined ? args.playerDaily : current.playerDaily,
+        globalDaily: args.globalDaily !== undefined ? args.globalDaily : current.globalDaily
+      });
+      console.log('✅ Payout limits updated');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  await printStatus(client, args.player);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
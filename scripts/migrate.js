@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Move player balances from an old ArcadeManager deployment to a new one
+ *
+ * Usage:
+ *   node scripts/migrate.js snapshot --network <name> [--address <old>] [--from-block <n>] [--out <file>]
+ *   node scripts/migrate.js import   <snapshot.json> --network <name> [--chunk-size <n>] [--fund] [--dry-run]
+ *   node scripts/migrate.js diff     <snapshot.json> --network <name> [--report <file>]
+ *   node scripts/migrate.js finalize <snapshot.json> --network <name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ArcadeClient, loadDeployment } = require('../sdk');
+const { parseArgs, loadHardhat } = require('./lib/cli');
+const {
+  DEFAULT_CHUNK_SIZE,
+  snapshotBalances,
+  snapshotWarnings,
+  importSnapshot,
+  fundSnapshotReserves,
+  diffSnapshot
+} = require('./lib/migration');
+
+const USAGE = `Usage: node scripts/migrate.js <snapshot|import|diff|finalize> [snapshot.json] --network <name> [options]
+
+Run snapshot against the old deployment, deploy the new one, then import,
+diff and finalize against deployments/<network>.json.
+
+Options:
+  --network <name>    Network with a deployment in deployments/<network>.json
+  --address <old>     Deployment to snapshot (default: the recorded deployment)
+  --from-block <n>    First block to scan when --address is given (default 0)
+  --out <file>        Where to write the snapshot (default data/migration/<network>-<block>.json)
+  --chunk-size <n>    Balances per import transaction (default ${DEFAULT_CHUNK_SIZE})
+  --fund              Top the new reserves of every token up to the snapshot reserves from the signer (import)
+  --dry-run           Show what would be imported without sending transactions
+  --report <file>     Write the diff report as JSON`;
+
+function printDiff(report) {
+  console.log(`Snapshot:   ${report.source.arcadeManager} at block ${report.source.blockNumber}`);
+  console.log(`Target:     ${report.target.arcadeManager} at block ${report.target.blockNumber}`);
+  console.log(`Hash:       ${report.hash} (${report.hashMatches ? 'matches the snapshot' : 'DOES NOT match the snapshot'})`);
+  console.log(`Balances:   ${report.players - report.mismatches.length}/${report.players} imported as snapshotted`);
+  console.log(`Credits:    ${report.totals.imported} imported of ${report.totals.expected}`);
+  for (const row of report.reserves) {
+    const status = row.accepted ? '' : ' (NOT accepted by the new deployment)';
+    console.log(`Reserves:   ${ethers.utils.formatUnits(row.actual, row.decimals)} of ${ethers.utils.formatUnits(row.expected, row.decimals)} ${row.symbol || row.token}${status}`);
+  }
+  console.log(`Collateral: ${report.collateral.reserveCredits} credits of reserves for ${report.collateral.credits} outstanding credits`);
+  console.log(`Finalized:  ${report.finalized ? 'yes' : 'no'}`);
+  for (const row of report.mismatches) {
+    console.log(`⚠ ${row.player}: expected ${row.expected}, imported ${row.imported}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'address', 'from-block', 'out', 'chunk-size', 'report'],
+    flags: ['fund', 'dry-run']
+  });
+  const [command, file] = args._;
+
+  if (!args.network || !command) {
+    throw new Error(`Missing ${args.network ? 'command' : '--network'}\n\n${USAGE}`);
+  }
+  if (command !== 'snapshot' && !file) {
+    throw new Error(`Missing snapshot file\n\n${USAGE}`);
+  }
+
+  const hre = loadHardhat(args.network);
+  const network = hre.network.name;
+  const [signer] = await hre.ethers.getSigners();
+  const signerOrProvider = signer || hre.ethers.provider;
+
+  if (command === 'snapshot') {
+    const deployment = args.address ? null : loadDeployment(network);
+    const client = new ArcadeClient({ arcadeManager: args.address || deployment.arcadeManager, signerOrProvider });
+    const fromBlock = deployment ? deployment.blockNumber || 0 : parseInt(args.fromBlock || '0', 10);
+
+    const snapshot = await snapshotBalances(client, { fromBlock });
+    for (const warning of snapshotWarnings(snapshot, await client.getPauseStatus())) {
+      console.log(`⚠ ${warning}`);
+    }
+
+    const out = args.out || path.resolve(__dirname, '..', 'data', 'migration', `${network}-${snapshot.source.blockNumber}.json`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(snapshot, null, 2));
+    console.log(`✅ ${snapshot.balances.length} balances (${snapshot.totalCredits} credits) written to ${out}`);
+    console.log(`Snapshot hash: ${snapshot.hash}`);
+    return;
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const client = ArcadeClient.fromDeployment(network, signerOrProvider);
+  if (client.address.toLowerCase() === snapshot.source.arcadeManager.toLowerCase()) {
+    throw new Error(`deployments/${network}.json still points at the snapshotted deployment; deploy the new ArcadeManager first`);
+  }
+
+  switch (command) {
+    case 'import': {
+      const result = await importSnapshot(client, snapshot, {
+        chunkSize: args.chunkSize ? parseInt(args.chunkSize, 10) : DEFAULT_CHUNK_SIZE,
+        dryRun: args.dryRun
+      });
+      for (const conflict of result.conflicts) {
+        console.log(`⚠ ${conflict.player} was already imported with ${conflict.imported} credits, snapshot has ${conflict.expected}`);
+      }
+      if (args.fund && !args.dryRun) {
+        const funded = await fundSnapshotReserves(client, snapshot);
+        for (const row of funded) {
+          console.log(`Funded ${ethers.utils.formatUnits(row.amount, row.decimals)} ${row.symbol || row.token} of reserves`);
+        }
+        if (funded.length === 0) {
+          console.log('Reserves already cover the snapshot');
+        }
+      }
+      console.log(`✅ Imported ${result.imported} balances, ${result.skipped} already imported`);
+      break;
+    }
+    case 'diff':
+    case 'finalize': {
+      const report = await diffSnapshot(client, snapshot);
+      printDiff(report);
+      if (args.report) {
+        fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+        console.log(`Report written to ${args.report}`);
+      }
+      if (!report.matches) {
+        throw new Error('The new deployment does not match the snapshot');
+      }
+      if (command === 'finalize') {
+        await client.finalizeMigration();
+        console.log('✅ Migration finalized; balances can no longer be imported');
+      } else {
+        console.log('✅ The new deployment matches the snapshot');
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Emergency pause / unpause for a deployed ArcadeManager
+ *
+ * Usage:
+ *   node scripts/pause.js status --network <name>
+ *   node scripts/pause.js pause   <deposit|spend|withdraw|award|transfer|all> --network <name>
+ *   node scripts/pause.js unpause <deposit|spend|withdraw|award|transfer|all> --network <name>
+ */
+
+const { OPERATIONS } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/pause.js <status|pause|unpause> [operation] --network <name>
+
+Operations: ${Object.keys(OPERATIONS).join(', ')}, all`;
+
+async function printStatus(client) {
+  const status = await client.getPauseStatus();
+  for (const [operation, paused] of Object.entries(status)) {
+    console.log(`- ${operation}: ${paused ? '⏸  paused' : '▶  live'}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network'] });
+  const [command = 'status', operation] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'status':
+      break;
+    case 'pause':
+    case 'unpause':
+      if (!operation) {
+        throw new Error(`Missing operation\n\n${USAGE}`);
+      }
+      await client[command](operation);
+      console.log(`✅ ${command === 'pause' ? 'Paused' : 'Unpaused'} ${operation}`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  await printStatus(client);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Award winnings from a CSV or JSON payout file in gas-bounded batches
+ *
+ * Usage: node scripts/payouts.js <file> --network <name> [--chunk-size <n>]
+ *                                [--max-gas <n>] [--dry-run] [--report <file>]
+ */
+
+const fs = require('fs');
+const { parseArgs, connectClient } = require('./lib/cli');
+const { MAX_BATCH_SIZE, parsePayoutFile, validatePayouts, submitPayouts } = require('./lib/payouts');
+
+const USAGE = `Usage: node scripts/payouts.js <file> --network <name> [options]
+
+The file is a CSV of "player,amount" rows or a JSON list of {player, amount}.
+Amounts are in credits.
+
+Options:
+  --network <name>    Network with a deployment in deployments/<network>.json
+  --chunk-size <n>    Payouts per transaction (default 50, max ${MAX_BATCH_SIZE})
+  --max-gas <n>       Gas limit per transaction; larger chunks are split (default 8000000)
+  --dry-run           Validate the file and estimate gas without sending transactions
+  --report <file>     Write the per-row results as JSON`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'chunk-size', 'max-gas', 'report'],
+    flags: ['dry-run']
+  });
+  const [file] = args._;
+
+  if (!file || !args.network) {
+    throw new Error(USAGE);
+  }
+
+  const { valid, invalid } = validatePayouts(parsePayoutFile(file));
+  console.log(`Read ${valid.length + invalid.length} rows from ${file}`);
+  for (const { row, error } of invalid) {
+    console.log(`⚠ Line ${row.line} skipped: ${error}`);
+  }
+
+  const { client } = await connectClient(args.network);
+  const results = await submitPayouts(client, valid, {
+    chunkSize: args.chunkSize ? parseInt(args.chunkSize, 10) : undefined,
+    maxGas: args.maxGas ? parseInt(args.maxGas, 10) : undefined,
+    dryRun: args.dryRun
+  });
+
+  const report = [
+    ...invalid.map(({ row, error }) => ({ row, status: 'invalid', error })),
+    ...results
+  ].sort((a, b) => a.row.line - b.row.line);
+
+  const count = (status) => report.filter((result) => result.status === status).length;
+  console.log('\nSummary');
+  console.log('=======');
+  if (args.dryRun) {
+    console.log(`Estimated: ${count('estimated')}`);
+  } else {
+    console.log(`Succeeded: ${count('success')}`);
+  }
+  console.log(`Blocked:   ${count('blocked')}`);
+  console.log(`Failed:    ${count('failed')}`);
+  console.log(`Invalid:   ${count('invalid')}`);
+
+  for (const result of report.filter((entry) => entry.status === 'failed' || entry.status === 'blocked')) {
+    console.log(`❌ Line ${result.row.line} (${result.row.player}, ${result.row.amount}): ${result.error}`);
+  }
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+    console.log(`Report saved to ${args.report}`);
+  }
+
+  if (count('failed') > 0 || count('blocked') > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * Run verifiable randomness for games of chance (ArcadeRandomness)
+ *
+ * Usage:
+ *   node scripts/randomness.js deploy          --network <name> [--mock-coordinator]
+ *   node scripts/randomness.js commit          --network <name> [--count <n>]
+ *   node scripts/randomness.js request         --network <name> --game <id> [--seed <bytes32>]
+ *   node scripts/randomness.js reveal          [id] --network <name>
+ *   node scripts/randomness.js reveal-player   <id> --network <name> --seed <bytes32>
+ *   node scripts/randomness.js show            <id> --network <name>
+ *   node scripts/randomness.js verify          <id> --network <name>
+ *   node scripts/randomness.js set-coordinator <address|none> --network <name>
+ *   node scripts/randomness.js add-consumer    <address> --network <name>
+ *   node scripts/randomness.js mock-fulfill    <id> --network <name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadArtifact, loadDeployment, saveDeployment, newSeed, seedCommitment, deriveRandomness } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/randomness.js <deploy|commit|request|reveal|reveal-player|show|verify|set-coordinator|add-consumer|mock-fulfill> [id|address] --network <name> [options]
+
+Options:
+  --network <name>        Network with a deployment in deployments/<network>.json
+  --mock-coordinator      Also deploy MockRandomnessCoordinator and answer requests with it; local testing only (deploy)
+  --count <n>             Operator seeds to commit, up to 100 (commit, default 10)
+  --game <id>             Game the randomness is for (request)
+  --seed <bytes32>        Secret player seed (request, random if omitted; reveal-player)
+
+"request" needs CONSUMER_ROLE (add-consumer) and sends only the hash of the player seed;
+reveal it with "reveal-player" after the operator seed. Operator seeds are kept in
+data/randomness/<network>.json until revealed; "reveal" without an ID reveals every
+request waiting for a seed in that file.`;
+
+// Default number of seeds committed at once
+const DEFAULT_COUNT = 10;
+
+// Matches ArcadeRandomness.MAX_COMMITMENTS
+const MAX_COUNT = 100;
+
+function seedsFile(network) {
+  return path.resolve(__dirname, '..', 'data', 'randomness', `${network}.json`);
+}
+
+// Secret seeds by commitment, as written by "commit"
+function loadSeeds(network) {
+  const file = seedsFile(network);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function saveSeeds(network, seeds) {
+  const file = seedsFile(network);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(seeds, null, 2));
+}
+
+function requireId(id) {
+  if (!id) {
+    throw new Error(`Missing request ID\n\n${USAGE}`);
+  }
+  return id;
+}
+
+// Deploy the randomness contract (and optionally a mock coordinator) and record it in the deployment file
+async function deployRandomness(hre, client, signer, mockCoordinator) {
+  const network = hre.network.name;
+  const artifact = loadArtifact('ArcadeRandomness');
+  const factory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+
+  console.log(`Deploying ArcadeRandomness for ArcadeManager ${client.address}...`);
+  const randomness = await factory.deploy(client.address);
+  await randomness.deployed();
+  console.log(`ArcadeRandomness deployed at: ${randomness.address}`);
+
+  const deployment = loadDeployment(network);
+  const update = { randomness: randomness.address };
+  if (mockCoordinator) {
+    const mockArtifact = loadArtifact('MockRandomnessCoordinator');
+    const mockFactory = new hre.ethers.ContractFactory(mockArtifact.abi, mockArtifact.bytecode, signer);
+    const coordinator = await mockFactory.deploy();
+    await coordinator.deployed();
+    await (await randomness.setCoordinator(coordinator.address)).wait();
+    console.log(`MockRandomnessCoordinator deployed at: ${coordinator.address}; answer requests with "mock-fulfill"`);
+    update.randomnessCoordinator = coordinator.address;
+  }
+  saveDeployment(network, { ...deployment, ...update });
+  console.log(`Recorded randomness in deployments/${network}.json`);
+  if (!mockCoordinator) {
+    console.log('Commit operator seeds with "commit" before players request randomness');
+  }
+  console.log('Grant the game contracts or servers that request randomness CONSUMER_ROLE with "add-consumer"');
+}
+
+async function commitSeeds(client, network, count) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new Error(`Invalid --count. Expected 1 to ${MAX_COUNT}`);
+  }
+  const seeds = Array.from({ length: count }, () => newSeed());
+
+  // Save the secrets first: a committed seed that is lost can never be revealed
+  const stored = loadSeeds(network);
+  for (const seed of seeds) {
+    stored[ethers.utils.keccak256(seed)] = seed;
+  }
+  saveSeeds(network, stored);
+
+  await client.commitSeeds(seeds);
+  console.log(`✅ Committed ${count} operator seeds; ${(await client.getAvailableSeeds()).toString()} available`);
+}
+
+async function revealSeeds(client, network, id) {
+  const stored = loadSeeds(network);
+  let ids;
+  if (id) {
+    ids = [id];
+  } else {
+    const count = (await client.randomness().requestCount()).toNumber();
+    ids = Array.from({ length: count }, (_, index) => index + 1);
+  }
+
+  let revealed = 0;
+  for (const requestId of ids) {
+    const request = await client.getRandomnessRequest(requestId);
+    if (!request || request.status !== 'awaitingSource' || !request.seedCommitment) {
+      if (id) {
+        throw new Error(`Request #${id} is not waiting for an operator seed`);
+      }
+      continue;
+    }
+    const seed = stored[request.seedCommitment];
+    if (!seed) {
+      if (id) {
+        throw new Error(`No seed for request #${id} in ${seedsFile(network)}`);
+      }
+      console.log(`⚠ No seed for request #${requestId} in ${seedsFile(network)}`);
+      continue;
+    }
+    await client.revealSeed(requestId, seed);
+    delete stored[request.seedCommitment];
+    saveSeeds(network, stored);
+    console.log(`✅ Revealed the operator seed of request #${requestId}`);
+    revealed++;
+  }
+  if (!id) {
+    console.log(`Revealed ${revealed} request(s)`);
+  }
+}
+
+async function showRequest(client, id) {
+  const request = await client.getRandomnessRequest(id);
+  if (!request) {
+    throw new Error(`Request #${id} does not exist`);
+  }
+
+  console.log(`Request #${request.id.toString()} (${request.status})`);
+  console.log(`  Game:        ${request.gameId.toString()}`);
+  console.log(`  Requester:   ${request.requester}`);
+  console.log(`  Player hash: ${request.playerCommitment}`);
+  if (request.coordinator) {
+    console.log(`  Coordinator: ${request.coordinator}`);
+  } else {
+    console.log(`  Commitment:  ${request.seedCommitment}`);
+  }
+  if (request.status.startsWith('awaiting')) {
+    console.log(`  Deadline:    ${new Date(request.deadline * 1000).toISOString()}`);
+  }
+  if (request.source) {
+    console.log(`  Source:      ${request.source}`);
+  }
+  if (request.randomness) {
+    console.log(`  Randomness:  ${request.randomness.toHexString()}`);
+  }
+}
+
+// Recompute a result from the revealed seeds and check them against their commitments
+async function verifyRequest(client, id) {
+  const request = await client.getRandomnessRequest(id);
+  if (!request || request.status !== 'fulfilled') {
+    throw new Error(`Request #${id} has not been fulfilled`);
+  }
+
+  const randomness = client.randomness();
+  const [event] = await randomness.queryFilter(randomness.filters.PlayerSeedRevealed(id));
+  const { playerSeed } = event.args;
+  if (seedCommitment(playerSeed) !== request.playerCommitment) {
+    throw new Error(`Revealed player seed ${playerSeed} does not match commitment ${request.playerCommitment}`);
+  }
+  if (request.coordinator) {
+    console.log(`Source of request #${id} came from coordinator ${request.coordinator}; check its proof with the coordinator`);
+  } else if (seedCommitment(request.source) !== request.seedCommitment) {
+    throw new Error(`Revealed operator seed ${request.source} does not match commitment ${request.seedCommitment}`);
+  }
+  const expected = deriveRandomness(id, request.source, playerSeed);
+  if (!expected.eq(request.randomness)) {
+    throw new Error(`Stored randomness ${request.randomness.toHexString()} differs from ${expected.toHexString()}`);
+  }
+  console.log(`✅ Request #${id}: the revealed seeds match their commitments and give ${expected.toHexString()}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'count', 'game', 'seed'],
+    flags: ['mock-coordinator']
+  });
+  const [command = 'show', target] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+  const network = args.network;
+  const { hre, client, signer } = await connectClient(network);
+
+  switch (command) {
+    case 'deploy':
+      await deployRandomness(hre, client, signer, args.mockCoordinator);
+      break;
+    case 'commit':
+      await commitSeeds(client, network, Number(args.count || DEFAULT_COUNT));
+      break;
+    case 'request': {
+      if (!args.game) {
+        throw new Error(`request needs --game\n\n${USAGE}`);
+      }
+      const { id, playerSeed } = await client.requestRandomness({ gameId: args.game, playerSeed: args.seed });
+      console.log(`✅ Requested randomness #${id.toString()}`);
+      console.log(`Player seed (keep it secret until "reveal-player"): ${playerSeed}`);
+      break;
+    }
+    case 'reveal':
+      await revealSeeds(client, network, target);
+      break;
+    case 'reveal-player': {
+      if (!args.seed) {
+        throw new Error(`reveal-player needs --seed\n\n${USAGE}`);
+      }
+      const { randomness } = await client.revealPlayerSeed(requireId(target), args.seed);
+      console.log(`✅ Fulfilled request #${target}: ${randomness.toHexString()}`);
+      break;
+    }
+    case 'show':
+      await showRequest(client, requireId(target));
+      break;
+    case 'verify':
+      await verifyRequest(client, requireId(target));
+      break;
+    case 'set-coordinator': {
+      if (!target) {
+        throw new Error(`Missing coordinator address\n\n${USAGE}`);
+      }
+      const coordinator = target === 'none' ? null : target;
+      await client.setRandomnessCoordinator(coordinator);
+      console.log(coordinator ? `✅ New requests are answered by ${coordinator}` : '✅ New requests use commit-reveal');
+      break;
+    }
+    case 'add-consumer':
+      if (!target) {
+        throw new Error(`Missing consumer address\n\n${USAGE}`);
+      }
+      await client.addRandomnessConsumer(target);
+      console.log(`✅ ${target} can now request randomness`);
+      break;
+    case 'mock-fulfill': {
+      const deployment = loadDeployment(network);
+      if (!deployment.randomnessCoordinator) {
+        throw new Error('No mock coordinator in the deployment; deploy with --mock-coordinator');
+      }
+      const artifact = loadArtifact('MockRandomnessCoordinator');
+      const coordinator = new hre.ethers.Contract(deployment.randomnessCoordinator, artifact.abi, signer);
+      await (await coordinator.fulfillRandom(client.randomness().address, requireId(target))).wait();
+      const { source } = await client.getRandomnessRequest(target);
+      console.log(`✅ Answered request #${target} with ${source}; reveal the player seed to fulfil it`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
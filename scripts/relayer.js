@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Run the gasless relayer for a deployed ArcadeManager.
+ * The first configured signer of the network pays the gas.
+ *
+ * Usage:
+ *   node scripts/relayer.js --network <name> [--port <port>] [--host <host>]
+ */
+
+const { createRelayer } = require('../relayer');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/relayer.js --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --port <port>            Port to listen on (default 8787)
+  --host <host>            Interface to bind (default 127.0.0.1)`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'port', 'host'] });
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client, signer } = await connectClient(args.network);
+  if (!signer) {
+    throw new Error('No signer configured for this network; the relayer needs a funded key');
+  }
+
+  const port = args.port ? parseInt(args.port, 10) : 8787;
+  const host = args.host || '127.0.0.1';
+  const server = createRelayer({ client, log: console.log });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  console.log(`⛽ Relaying for ${client.address} from ${signer.address}`);
+  console.log(`Listening on http://${host}:${port} (POST /relay, GET /health; Ctrl+C to stop)`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.once('SIGINT', resolve));
+  server.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
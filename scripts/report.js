@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Print reserves versus liabilities for a deployed ArcadeManager
+ *
+ * Usage: node scripts/report.js --network <name>
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network'] });
+  if (!args.network) {
+    throw new Error('Usage: node scripts/report.js --network <name>');
+  }
+
+  const { hre, client } = await connectClient(args.network);
+  const solvency = await client.getSolvency();
+  const { depositRate, withdrawalRate } = await client.getRates();
+  const [, ...otherReserves] = await client.getTokenReserves();
+
+  const format = (amount) => `${ethers.utils.formatEther(amount)} BULL`;
+  const ratio = solvency.ratioBps === null
+    ? 'n/a (no liabilities)'
+    : `${(solvency.ratioBps.toNumber() / 100).toFixed(2)}%`;
+
+  console.log(`ArcadeManager solvency report (${hre.network.name})`);
+  console.log('=========================================');
+  console.log(`Contract:             ${client.address}`);
+  console.log(`Rates:                ${depositRate} credits/BULL in, ${withdrawalRate} credits/BULL out`);
+  console.log(`Outstanding credits:  ${solvency.outstandingCredits.toString()}`);
+  console.log(`Reserves:             ${format(solvency.reserves)}`);
+  for (const token of otherReserves) {
+    const amount = (value) => `${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol || token.address}`;
+    console.log(`  + ${amount(token.balance)} (${amount(token.surplus)} surplus)`);
+  }
+  console.log(`Reserve credits:      ${solvency.reserveCredits.toString()} (all tokens at their withdrawal rates)`);
+  console.log(`Liabilities:          ${format(solvency.liabilities)}`);
+  console.log(`Surplus:              ${format(solvency.surplus)}`);
+  console.log(`Solvency ratio:       ${ratio}`);
+  console.log(`Awards capped:        ${solvency.enforced ? 'yes' : 'no'}`);
+
+  if (solvency.reserveCredits.lt(solvency.outstandingCredits)) {
+    console.log(`\n⚠ Under-collateralised by ${solvency.outstandingCredits.sub(solvency.reserveCredits).toString()} credits`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
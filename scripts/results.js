@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Manage signed game-result payouts (GameResultVerifier)
+ *
+ * Usage:
+ *   node scripts/results.js deploy        --network <name>
+ *   node scripts/results.js set-signer    <address> --max-payout <credits> --daily-limit <credits> --network <name>
+ *   node scripts/results.js remove-signer <address> --network <name>
+ *   node scripts/results.js signer        <address> --network <name>
+ *   node scripts/results.js jackpot-signer <address> [--revoke] --network <name>
+ *   node scripts/results.js claim         <receipt.json> --network <name>
+ *   node scripts/results.js claim-jackpot <receipt.json> --network <name>
+ */
+
+const fs = require('fs');
+const { loadArtifact, loadDeployment, saveDeployment } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/results.js <deploy|set-signer|remove-signer|signer|jackpot-signer|claim|claim-jackpot> [address|file] --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --max-payout <credits>   Largest payout a single receipt may carry (set-signer)
+  --daily-limit <credits>  Total payout the signer may authorise per day (set-signer)
+  --revoke                 Stop the signer from signing jackpot wins (jackpot-signer)`;
+
+// Deploy the verifier, let it award winnings and record it in the deployment file
+async function deployVerifier(hre, client, signer) {
+  const network = hre.network.name;
+  const artifact = loadArtifact('GameResultVerifier');
+  const factory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+
+  console.log(`Deploying GameResultVerifier for ArcadeManager ${client.address}...`);
+  const verifier = await factory.deploy(client.address);
+  await verifier.deployed();
+  console.log(`GameResultVerifier deployed at: ${verifier.address}`);
+
+  await client.grantRole('operator', verifier.address);
+  console.log('✅ Granted operator to the verifier');
+
+  const deployment = loadDeployment(network);
+  saveDeployment(network, { ...deployment, resultVerifier: verifier.address });
+  console.log(`Recorded resultVerifier in deployments/${network}.json`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'max-payout', 'daily-limit'], flags: ['revoke'] });
+  const [command, target] = args._;
+
+  if (!args.network || !command) {
+    throw new Error(`Missing ${args.network ? 'command' : '--network'}\n\n${USAGE}`);
+  }
+
+  const { hre, client, signer } = await connectClient(args.network);
+
+  switch (command) {
+    case 'deploy':
+      await deployVerifier(hre, client, signer);
+      break;
+    case 'set-signer':
+      if (!target || !args.maxPayout || !args.dailyLimit) {
+        throw new Error(`set-signer needs an address, --max-payout and --daily-limit\n\n${USAGE}`);
+      }
+      await client.setResultSigner(target, args.maxPayout, args.dailyLimit);
+      console.log(`✅ Signer ${target} may pay up to ${args.maxPayout} credits per result, ${args.dailyLimit} per day`);
+      break;
+    case 'remove-signer':
+      if (!target) {
+        throw new Error(`Missing address\n\n${USAGE}`);
+      }
+      await client.removeResultSigner(target);
+      console.log(`✅ Removed signer ${target}`);
+      break;
+    case 'signer': {
+      if (!target) {
+        throw new Error(`Missing address\n\n${USAGE}`);
+      }
+      const config = await client.getResultSigner(target);
+      console.log(`Signer ${target}: ${config.active ? 'active' : 'not registered'}`);
+      if (config.active) {
+        console.log(`- Max payout per result: ${config.maxPayout.toString()} credits`);
+        console.log(`- Daily limit: ${config.dailyLimit.toString()} credits (${config.remaining.toString()} left today)`);
+        console.log(`- Jackpot wins: ${config.jackpot ? 'allowed' : 'not allowed'}`);
+      }
+      break;
+    }
+    case 'jackpot-signer':
+      if (!target) {
+        throw new Error(`Missing address\n\n${USAGE}`);
+      }
+      await client.setJackpotSigner(target, !args.revoke);
+      console.log(`✅ Signer ${target} ${args.revoke ? 'can no longer' : 'may now'} sign jackpot wins`);
+      break;
+    case 'claim': {
+      if (!target) {
+        throw new Error(`Missing receipt file\n\n${USAGE}`);
+      }
+      const receipt = JSON.parse(fs.readFileSync(target, 'utf8'));
+      const tx = await client.claimResult(receipt);
+      console.log(`✅ Paid ${receipt.result.payout} credits to ${receipt.result.player} (tx ${tx.transactionHash})`);
+      break;
+    }
+    case 'claim-jackpot': {
+      if (!target) {
+        throw new Error(`Missing receipt file\n\n${USAGE}`);
+      }
+      const receipt = JSON.parse(fs.readFileSync(target, 'utf8'));
+      const { pool } = await client.getJackpot();
+      const tx = await client.claimJackpot(receipt);
+      console.log(`✅ Paid the ${pool.toString()} credit jackpot to ${receipt.result.player} (tx ${tx.transactionHash})`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect, grant and revoke ArcadeManager roles
+ *
+ * Usage:
+ *   node scripts/roles.js list   --network <name>
+ *   node scripts/roles.js grant  <role> <address> --network <name>
+ *   node scripts/roles.js revoke <role> <address> --network <name>
+ */
+
+const { ROLES } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/roles.js <list|grant|revoke> [role] [address] --network <name>
+
+Roles: ${Object.keys(ROLES).join(', ')}`;
+
+async function listRoles(client) {
+  for (const role of Object.keys(ROLES)) {
+    const members = await client.getRoleMembers(role);
+    console.log(`${role} (${members.length}):`);
+    for (const member of members) {
+      console.log(`- ${member}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network'] });
+  const [command = 'list', role, account] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'list':
+      await listRoles(client);
+      break;
+    case 'grant':
+    case 'revoke':
+      if (!role || !account) {
+        throw new Error(`Missing role or address\n\n${USAGE}`);
+      }
+      if (command === 'grant') {
+        await client.grantRole(role, account);
+        console.log(`✅ Granted ${role} to ${account}`);
+      } else {
+        await client.revokeRole(role, account);
+        console.log(`✅ Revoked ${role} from ${account}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
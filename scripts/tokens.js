@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Manage the tokens a deployed ArcadeManager accepts besides BULL
+ *
+ * Usage:
+ *   node scripts/tokens.js list      --network <name>
+ *   node scripts/tokens.js add       --network <name> --token <address> --deposit-rate <n> [--withdrawal-rate <n>]
+ *   node scripts/tokens.js set-rates --network <name> --token <symbol|address> --deposit-rate <n> [--withdrawal-rate <n>]
+ *   node scripts/tokens.js remove    --network <name> --token <symbol|address>
+ *   node scripts/tokens.js fund      --network <name> --token <symbol|address> --amount <tokens>
+ *   node scripts/tokens.js withdraw  --network <name> --token <symbol|address> --amount <tokens> --to <address>
+ */
+
+const { ethers } = require('ethers');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/tokens.js <list|add|set-rates|remove|fund|withdraw> --network <name> [options]
+
+Options:
+  --network <name>           Network with a deployment in deployments/<network>.json
+  --token <symbol|address>   Token to change; add needs the token address
+  --deposit-rate <n>         Credits per whole token on deposit (add, set-rates)
+  --withdrawal-rate <n>      Credits per whole token on withdrawal (add, set-rates, default: deposit rate)
+  --amount <tokens>          Whole tokens to add to or take from the reserves (fund, withdraw)
+  --to <address>             Recipient of withdrawn reserves (withdraw)
+
+Rates and reserves of BULL can also be changed here; BULL cannot be removed.`;
+
+function requireOption(args, name) {
+  const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  if (args[key] === undefined) {
+    throw new Error(`Missing --${name}\n\n${USAGE}`);
+  }
+  return args[key];
+}
+
+async function listTokens(client) {
+  const [tokens, reserves] = await Promise.all([client.getTokens(), client.getTokenReserves()]);
+  console.log(`Accepted tokens (${tokens.length}):`);
+  tokens.forEach((token, i) => {
+    const name = token.symbol || token.address;
+    const balance = ethers.utils.formatUnits(reserves[i].balance, token.decimals);
+    const surplus = ethers.utils.formatUnits(reserves[i].surplus, token.decimals);
+    console.log(`- ${name} (${token.address}, ${token.decimals} decimals)`);
+    console.log(`    rates: ${token.depositRate.toString()} credits/${name} in, ${token.withdrawalRate.toString()} credits/${name} out`);
+    console.log(`    reserves: ${balance} ${name} (${surplus} surplus)`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'token', 'deposit-rate', 'withdrawal-rate', 'amount', 'to']
+  });
+  const [command = 'list'] = args._;
+
+  const network = requireOption(args, 'network');
+  const { client } = await connectClient(network);
+
+  switch (command) {
+    case 'list':
+      await listTokens(client);
+      return;
+    case 'add': {
+      const token = requireOption(args, 'token');
+      await client.addToken(token, requireOption(args, 'deposit-rate'), args.withdrawalRate || args.depositRate);
+      console.log(`✅ Accepted ${token}`);
+      break;
+    }
+    case 'set-rates': {
+      const token = await client.findToken(requireOption(args, 'token'));
+      await client.setTokenRates(token.address, requireOption(args, 'deposit-rate'), args.withdrawalRate || args.depositRate);
+      console.log(`✅ Updated the rates of ${token.symbol || token.address}`);
+      break;
+    }
+    case 'remove': {
+      const token = await client.findToken(requireOption(args, 'token'));
+      await client.removeToken(token.address);
+      console.log(`✅ Stopped accepting ${token.symbol || token.address}`);
+      break;
+    }
+    case 'fund':
+    case 'withdraw': {
+      const token = await client.findToken(requireOption(args, 'token'));
+      const amount = ethers.utils.parseUnits(requireOption(args, 'amount'), token.decimals);
+      if (command === 'fund') {
+        await client.fundTokenReserves(token.address, amount);
+      } else {
+        await client.withdrawTokenReserves(token.address, requireOption(args, 'to'), amount);
+      }
+      console.log(`✅ ${command === 'fund' ? 'Funded' : 'Withdrew'} ${args.amount} ${token.symbol || token.address} of reserves`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  await listTokens(client);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
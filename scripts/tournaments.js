@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Run on-chain tournaments (ArcadeTournaments)
+ *
+ * Usage:
+ *   node scripts/tournaments.js deploy --network <name>
+ *   node scripts/tournaments.js list   --network <name>
+ *   node scripts/tournaments.js create --network <name> --name <name> --entry-fee <credits> --end <time> --payouts <percentages>
+ *                                      [--start <time>] [--rake <percent>]
+ *   node scripts/tournaments.js enter  <id> --network <name>
+ *   node scripts/tournaments.js close  <id> <rankings file> --network <name>
+ *   node scripts/tournaments.js cancel <id> --network <name>
+ *   node scripts/tournaments.js refund <id> --network <name>
+ */
+
+const { loadArtifact, loadDeployment, saveDeployment } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+const { parsePayoutTable, parseTime, readRankings } = require('./lib/tournaments');
+
+const USAGE = `Usage: node scripts/tournaments.js <deploy|list|create|enter|close|cancel|refund> [id] [rankings file] --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --name <name>            Tournament name (create)
+  --entry-fee <credits>    Credits charged per entry (create)
+  --start <time>           When play starts (create, default now)
+  --end <time>             When play ends and rankings can be posted (create)
+  --payouts <percentages>  Share of the prize pool per place, best first, e.g. 50,30,20 (create)
+  --rake <percent>         House share of the prize pool, up to 20% (create, default 0)
+
+Times are unix seconds, ISO dates or durations from now such as +2h or +7d.
+The rankings file lists one entrant address per line (or CSV / JSON), winner first.`;
+
+function requireOption(args, name) {
+  const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  if (args[key] === undefined) {
+    throw new Error(`Missing --${name}\n\n${USAGE}`);
+  }
+  return args[key];
+}
+
+// Deploy the tournaments contract, let it hold credits and record it in the deployment file
+async function deployTournaments(hre, client, signer) {
+  const network = hre.network.name;
+  const artifact = loadArtifact('ArcadeTournaments');
+  const factory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+
+  console.log(`Deploying ArcadeTournaments for ArcadeManager ${client.address}...`);
+  const tournaments = await factory.deploy(client.address);
+  await tournaments.deployed();
+  console.log(`ArcadeTournaments deployed at: ${tournaments.address}`);
+
+  await client.grantRole('escrow', tournaments.address);
+  console.log('✅ Granted escrow to the tournaments contract');
+
+  const deployment = loadDeployment(network);
+  saveDeployment(network, { ...deployment, tournaments: tournaments.address });
+  console.log(`Recorded tournaments in deployments/${network}.json`);
+}
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+async function listTournaments(client) {
+  const tournaments = await client.getTournaments();
+  if (tournaments.length === 0) {
+    console.log('No tournaments yet.');
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const tournament of tournaments) {
+    const status = tournament.status === 'open' && now >= tournament.endTime ? 'ended, awaiting rankings' : tournament.status;
+    const payouts = tournament.payoutBps.map((bps) => `${bps / 100}%`).join(' / ');
+    console.log(`- #${tournament.id.toString()} ${tournament.name} (${status})`);
+    console.log(`    ${formatTime(tournament.startTime)} to ${formatTime(tournament.endTime)}`);
+    console.log(`    entry ${tournament.entryFee.toString()} credits, ${tournament.entrants.toString()} entrants, pool ${tournament.prizePool.toString()} credits`);
+    console.log(`    payouts ${payouts}, rake ${tournament.rakeBps / 100}%`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'name', 'entry-fee', 'start', 'end', 'payouts', 'rake']
+  });
+  const [command = 'list', id, file] = args._;
+
+  const network = requireOption(args, 'network');
+  const { hre, client, signer } = await connectClient(network);
+
+  if (['enter', 'close', 'cancel', 'refund'].includes(command) && !id) {
+    throw new Error(`Missing tournament ID\n\n${USAGE}`);
+  }
+
+  switch (command) {
+    case 'deploy':
+      await deployTournaments(hre, client, signer);
+      break;
+    case 'list':
+      await listTournaments(client);
+      break;
+    case 'create': {
+      const now = (await hre.ethers.provider.getBlock('latest')).timestamp;
+      const result = await client.createTournament({
+        name: requireOption(args, 'name'),
+        entryFee: requireOption(args, 'entry-fee'),
+        startTime: args.start ? parseTime(args.start, now) : now,
+        endTime: parseTime(requireOption(args, 'end'), now),
+        rakeBps: args.rake ? Math.round(Number(args.rake) * 100) : 0,
+        payoutBps: parsePayoutTable(requireOption(args, 'payouts'))
+      });
+      console.log(`✅ Created tournament #${result.id.toString()} (${args.name})`);
+      break;
+    }
+    case 'enter':
+      await client.enterTournament(id);
+      console.log(`✅ Entered tournament #${id}`);
+      break;
+    case 'close': {
+      if (!file) {
+        throw new Error(`Missing rankings file\n\n${USAGE}`);
+      }
+      const { prizes, rake } = await client.finalizeTournament(id, readRankings(file));
+      for (const prize of prizes) {
+        console.log(`- #${prize.place} ${prize.player}: ${prize.amount.toString()} credits`);
+      }
+      console.log(`✅ Closed tournament #${id}; ${rake.toString()} credits retired as rake`);
+      break;
+    }
+    case 'cancel':
+      await client.cancelTournament(id);
+      console.log(`✅ Cancelled tournament #${id}; entrants can reclaim their fees with "refund"`);
+      break;
+    case 'refund':
+      await client.claimTournamentRefund(id);
+      console.log(`✅ Refunded the entry fee of tournament #${id}`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Enable, disable or send player-to-player credit transfers
+ *
+ * Usage:
+ *   node scripts/transfers.js status  --network <name> [--player <address>]
+ *   node scripts/transfers.js enable  --network <name>
+ *   node scripts/transfers.js disable --network <name>
+ *   node scripts/transfers.js send    <to> <credits> --network <name>
+ */
+
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/transfers.js <status|enable|disable|send> [to] [credits] --network <name> [options]
+
+Options:
+  --network <name>    Network with a deployment in deployments/<network>.json
+  --player <address>  Also show a player's credit balance (status)
+
+"send" transfers credits from the signer to another player.`;
+
+async function printStatus(client, player) {
+  const [enabled, status] = await Promise.all([client.transfersEnabled(), client.getPauseStatus()]);
+  console.log(`- Transfers: ${enabled ? 'enabled' : 'disabled'}${status.transfer ? ' (paused)' : ''}`);
+  if (player) {
+    console.log(`${player} holds ${(await client.getCredits(player)).toString()} credits`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'player'] });
+  const [command = 'status', to, amount] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'status':
+      break;
+    case 'enable':
+    case 'disable':
+      await client.setTransfersEnabled(command === 'enable');
+      console.log(`✅ Transfers ${command}d`);
+      break;
+    case 'send': {
+      if (!to || !amount) {
+        throw new Error(`Missing recipient or amount\n\n${USAGE}`);
+      }
+      const receipt = await client.transferCredits(to, amount);
+      console.log(`✅ Sent ${amount} credits to ${to} (tx ${receipt.transactionHash})`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  await printStatus(client, args.player);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Deploy ArcadeManager behind an upgradeable proxy and upgrade it
+ *
+ * Usage:
+ *   node scripts/upgrades.js deploy-proxy --network <name> [--token <address>] [--deposit-rate <n>] [--withdrawal-rate <n>] [--tokens <list>] [--dry-run] [--yes]
+ *   node scripts/upgrades.js upgrade      --network <name> [--contract <name>] [--dry-run] [--yes]
+ *   node scripts/upgrades.js status       --network <name>
+ */
+
+const { loadDeployment } = require('../sdk');
+const { parseArgs, loadHardhat, isLocalNetwork, isValidPrivateKey, confirm } = require('./lib/cli');
+const { deployArcade, parseTokenList } = require('./lib/deployArcade');
+const { IMPLEMENTATION_CONTRACT, getImplementation, getProxyAdmin, upgradeArcade } = require('./lib/upgrades');
+
+const USAGE = `Usage: node scripts/upgrades.js <deploy-proxy|upgrade|status> --network <name> [options]
+
+Options:
+  --network <name>       Network from hardhat.config.js
+  --token <address>      BULL token to use (deploy-proxy, same default as deploy.js)
+  --deposit-rate <n>     Credits per whole BULL token on deposit (deploy-proxy, default 100)
+  --withdrawal-rate <n>  Credits per whole BULL token on withdrawal (deploy-proxy, default 100)
+  --tokens <list>        Other tokens to accept (deploy-proxy, same format as deploy.js)
+  --contract <name>      Implementation to upgrade to (upgrade, default ${IMPLEMENTATION_CONTRACT})
+  --dry-run              Check and estimate without sending transactions
+  --yes                  Skip the confirmation prompt for public networks`;
+
+// Ask before sending transactions to a public network
+async function confirmPublic(network, args, question) {
+  if (isLocalNetwork(network) || args.dryRun || args.yes) {
+    return true;
+  }
+  if (!isValidPrivateKey()) {
+    throw new Error('Invalid or missing PRIVATE_KEY in .env file. Add a valid key before sending transactions to a public network.');
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error(`Refusing to change ${network} without --yes in a non-interactive shell`);
+  }
+  return confirm(question);
+}
+
+async function printStatus(hre) {
+  const network = hre.network.name;
+  const deployment = loadDeployment(network);
+  if (!deployment.proxyAdmin) {
+    console.log(`ArcadeManager on ${network} (${deployment.arcadeManager}) is not upgradeable`);
+    return;
+  }
+
+  const { provider } = hre.ethers;
+  console.log(`Proxy:          ${deployment.arcadeManager}`);
+  console.log(`ProxyAdmin:     ${await getProxyAdmin(provider, deployment.arcadeManager)}`);
+  console.log(`Implementation: ${await getImplementation(provider, deployment.arcadeManager)}`);
+  console.log('\nHistory:');
+  for (const entry of deployment.implementations || []) {
+    console.log(`- ${entry.timestamp} ${entry.contract} at ${entry.address} (block ${entry.blockNumber})`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: ['network', 'token', 'deposit-rate', 'withdrawal-rate', 'tokens', 'contract'],
+    flags: ['dry-run', 'yes']
+  });
+  const [command] = args._;
+
+  if (!args.network || !command) {
+    throw new Error(`Missing ${args.network ? 'command' : '--network'}\n\n${USAGE}`);
+  }
+
+  const hre = loadHardhat(args.network);
+  const network = hre.network.name;
+  // Storage layouts come from the build info, so make sure it matches the sources
+  await hre.run('compile', { quiet: true });
+
+  switch (command) {
+    case 'deploy-proxy': {
+      if (!(await confirmPublic(network, args, `Deploy an upgradeable ArcadeManager to ${network}?`))) {
+        console.log('Deployment canceled.');
+        return;
+      }
+      const deployment = await deployArcade(hre, {
+        token: args.token,
+        depositRate: args.depositRate,
+        withdrawalRate: args.withdrawalRate,
+        tokens: parseTokenList(args.tokens),
+        proxy: true,
+        dryRun: args.dryRun
+      });
+      if (deployment) {
+        console.log(`✅ Proxy deployed at ${deployment.arcadeManager}; upgrades are owned by ProxyAdmin ${deployment.proxyAdmin}`);
+      }
+      break;
+    }
+    case 'upgrade': {
+      const contract = args.contract || IMPLEMENTATION_CONTRACT;
+      if (!(await confirmPublic(network, args, `Upgrade ArcadeManager on ${network} to ${contract}?`))) {
+        console.log('Upgrade canceled.');
+        return;
+      }
+      const deployment = await upgradeArcade(hre, loadDeployment(network), { contract, dryRun: args.dryRun });
+      if (deployment) {
+        console.log(`✅ ArcadeManager now runs ${contract} at ${deployment.implementation}`);
+      }
+      break;
+    }
+    case 'status':
+      await printStatus(hre);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
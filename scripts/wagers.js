@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Run head-to-head credit wagers (ArcadeWagers)
+ *
+ * Usage:
+ *   node scripts/wagers.js deploy       --network <name>
+ *   node scripts/wagers.js show         <id> --network <name>
+ *   node scripts/wagers.js create       --network <name> --game <id> --stake <credits> [--opponent <address>]
+ *   node scripts/wagers.js accept       <id> --network <name>
+ *   node scripts/wagers.js cancel       <id> --network <name>
+ *   node scripts/wagers.js report       <id> --network <name> --winner <address|draw>
+ *   node scripts/wagers.js sign         <id> --network <name> --winner <address|draw>
+ *   node scripts/wagers.js settle       <id> --network <name> --winner <address|draw> --challenger-signature <sig> --opponent-signature <sig>
+ *   node scripts/wagers.js refund       <id> --network <name>
+ *   node scripts/wagers.js set-timeout  --network <name> --timeout <duration>
+ *   node scripts/wagers.js add-reporter --network <name> --account <address>
+ */
+
+const { ethers } = require('ethers');
+const { loadArtifact, loadDeployment, saveDeployment } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+const { parseTime } = require('./lib/tournaments');
+
+const USAGE = `Usage: node scripts/wagers.js <deploy|show|create|accept|cancel|report|sign|settle|refund|set-timeout|add-reporter> [id] --network <name> [options]
+
+Options:
+  --network <name>                Network with a deployment in deployments/<network>.json
+  --game <id>                     Game the match is played on (create)
+  --stake <credits>               Credits each player stakes (create)
+  --opponent <address>            Player who may accept; anyone if omitted (create)
+  --winner <address|draw>         Winning player, or "draw" to return both stakes (report, sign, settle)
+  --challenger-signature <sig>    Challenger's output of "sign" (settle)
+  --opponent-signature <sig>      Opponent's output of "sign" (settle)
+  --timeout <duration>            Time accepted matches have to be settled, e.g. 3600, +30m, +2h or +1d (set-timeout)
+  --account <address>             Game server allowed to report results (add-reporter)`;
+
+function requireOption(args, name) {
+  const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  if (args[key] === undefined) {
+    throw new Error(`Missing --${name}\n\n${USAGE}`);
+  }
+  return args[key];
+}
+
+// "draw" settles without a winner
+function parseWinner(args) {
+  const winner = requireOption(args, 'winner');
+  if (winner.toLowerCase() === 'draw') {
+    return null;
+  }
+  if (!ethers.utils.isAddress(winner)) {
+    throw new Error(`Invalid winner address: ${winner}`);
+  }
+  return ethers.utils.getAddress(winner);
+}
+
+// Deploy the wagers contract, let it hold credits and record it in the deployment file
+async function deployWagers(hre, client, signer) {
+  const network = hre.network.name;
+  const artifact = loadArtifact('ArcadeWagers');
+  const factory = new hre.ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+
+  console.log(`Deploying ArcadeWagers for ArcadeManager ${client.address}...`);
+  const wagers = await factory.deploy(client.address);
+  await wagers.deployed();
+  console.log(`ArcadeWagers deployed at: ${wagers.address}`);
+
+  await client.grantRole('escrow', wagers.address);
+  console.log('✅ Granted escrow to the wagers contract');
+
+  const deployment = loadDeployment(network);
+  saveDeployment(network, { ...deployment, wagers: wagers.address });
+  console.log(`Recorded wagers in deployments/${network}.json`);
+  console.log('Grant a game server REPORTER_ROLE with "add-reporter" to settle matches without signatures');
+}
+
+async function showChallenge(client, id) {
+  const challenge = await client.getChallenge(id);
+  if (!challenge) {
+    throw new Error(`Challenge #${id} does not exist`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const status = challenge.status === 'accepted' && now >= challenge.deadline ? 'expired, refundable' : challenge.status;
+  console.log(`Challenge #${challenge.id.toString()} (${status})`);
+  console.log(`  Game:       ${challenge.gameId.toString()}`);
+  console.log(`  Stake:      ${challenge.stake.toString()} credits each`);
+  console.log(`  Challenger: ${challenge.challenger}`);
+  console.log(`  Opponent:   ${challenge.opponent || 'anyone'}`);
+  if (challenge.deadline) {
+    console.log(`  Deadline:   ${new Date(challenge.deadline * 1000).toISOString()}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), {
+    options: [
+      'network',
+      'game',
+      'stake',
+      'opponent',
+      'winner',
+      'challenger-signature',
+      'opponent-signature',
+      'timeout',
+      'account'
+    ]
+  });
+  const [command = 'show', id] = args._;
+
+  const network = requireOption(args, 'network');
+  const { hre, client, signer } = await connectClient(network);
+
+  if (['show', 'accept', 'cancel', 'report', 'sign', 'settle', 'refund'].includes(command) && !id) {
+    throw new Error(`Missing challenge ID\n\n${USAGE}`);
+  }
+
+  switch (command) {
+    case 'deploy':
+      await deployWagers(hre, client, signer);
+      break;
+    case 'show':
+      await showChallenge(client, id);
+      break;
+    case 'create': {
+      const result = await client.createChallenge({
+        opponent: args.opponent,
+        gameId: requireOption(args, 'game'),
+        stake: requireOption(args, 'stake')
+      });
+      console.log(`✅ Created challenge #${result.id.toString()}`);
+      break;
+    }
+    case 'accept': {
+      await client.acceptChallenge(id);
+      const { deadline } = await client.getChallenge(id);
+      console.log(`✅ Accepted challenge #${id}; settle it before ${new Date(deadline * 1000).toISOString()}`);
+      break;
+    }
+    case 'cancel':
+      await client.cancelChallenge(id);
+      console.log(`✅ Cancelled challenge #${id}`);
+      break;
+    case 'report': {
+      const winner = parseWinner(args);
+      await client.reportChallengeResult(id, winner);
+      console.log(`✅ Settled challenge #${id}: ${winner ? `${winner} wins` : 'draw'}`);
+      break;
+    }
+    case 'sign':
+      console.log(await client.signChallengeSettlement(id, parseWinner(args)));
+      break;
+    case 'settle': {
+      const winner = parseWinner(args);
+      await client.settleChallenge(
+        id,
+        winner,
+        requireOption(args, 'challenger-signature'),
+        requireOption(args, 'opponent-signature')
+      );
+      console.log(`✅ Settled challenge #${id}: ${winner ? `${winner} wins` : 'draw'}`);
+      break;
+    }
+    case 'refund':
+      await client.refundChallenge(id);
+      console.log(`✅ Refunded both stakes of challenge #${id}`);
+      break;
+    case 'set-timeout': {
+      // Durations count from 0, so "+2h" (or plain "2h") is 7200 seconds
+      const value = String(requireOption(args, 'timeout'));
+      const timeout = parseTime(/^\d+$/.test(value) ? value : `+${value.replace(/^\+/, '')}`, 0);
+      await client.setMatchTimeout(timeout);
+      console.log(`✅ Match timeout set to ${timeout} seconds`);
+      break;
+    }
+    case 'add-reporter':
+      await client.addWagerReporter(requireOption(args, 'account'));
+      console.log(`✅ ${args.account} can now report match results`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect pending withdrawals and manage withdrawal fees and delays
+ *
+ * Usage:
+ *   node scripts/withdrawals.js pending   --network <name> [--player <address>]
+ *   node scripts/withdrawals.js settings  --network <name>
+ *   node scripts/withdrawals.js set-fee   <bps> [recipient] --network <name>
+ *   node scripts/withdrawals.js set-delay <seconds> --network <name>
+ *   node scripts/withdrawals.js cancel    <id> --network <name>
+ */
+
+const { ethers } = require('ethers');
+const { loadDeployment } = require('../sdk');
+const { parseArgs, connectClient } = require('./lib/cli');
+
+const USAGE = `Usage: node scripts/withdrawals.js <pending|settings|set-fee|set-delay|cancel> [args] --network <name> [options]
+
+Options:
+  --network <name>         Network with a deployment in deployments/<network>.json
+  --player <address>       Only list requests of this player (pending)`;
+
+async function listPending(client, network, player) {
+  const { blockNumber } = loadDeployment(network);
+  const pending = await client.getPendingWithdrawals({ player, fromBlock: blockNumber || 0 });
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const request of pending) {
+    const unlock = new Date(request.unlockTime.toNumber() * 1000).toISOString();
+    const status = request.unlockTime.lte(now) ? 'claimable' : `locked until ${unlock}`;
+    const { net } = await client.previewWithdrawal(request.creditAmount);
+    console.log(`#${request.id.toString()} ${request.user}: ${request.creditAmount.toString()} credits (~${ethers.utils.formatEther(net)} BULL), ${status}`);
+  }
+  console.log(`${pending.length} pending withdrawals`);
+}
+
+async function printSettings(client) {
+  const { feeBps, feeRecipient, delay } = await client.getWithdrawalSettings();
+  console.log(`- Fee: ${feeBps.toNumber() / 100}%${feeBps.isZero() ? '' : ` to ${feeRecipient}`}`);
+  console.log(`- Delay: ${delay.isZero() ? 'none (instant withdrawals)' : `${delay.toString()}s`}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { options: ['network', 'player'] });
+  const [command = 'pending', value, recipient] = args._;
+
+  if (!args.network) {
+    throw new Error(`Missing --network\n\n${USAGE}`);
+  }
+
+  const { hre, client } = await connectClient(args.network);
+
+  switch (command) {
+    case 'pending':
+      await listPending(client, hre.network.name, args.player);
+      break;
+    case 'settings':
+      await printSettings(client);
+      break;
+    case 'set-fee':
+      if (value === undefined) {
+        throw new Error(`Missing fee in basis points\n\n${USAGE}`);
+      }
+      await client.setWithdrawalFee(value, recipient);
+      console.log('✅ Withdrawal fee updated');
+      await printSettings(client);
+      break;
+    case 'set-delay':
+      if (value === undefined) {
+        throw new Error(`Missing delay in seconds\n\n${USAGE}`);
+      }
+      await client.setWithdrawalDelay(value);
+      console.log('✅ Withdrawal delay updated');
+      await printSettings(client);
+      break;
+    case 'cancel':
+      if (value === undefined) {
+        throw new Error(`Missing withdrawal ID\n\n${USAGE}`);
+      }
+      await client.cancelWithdrawal(value);
+      console.log(`✅ Cancelled withdrawal #${value}; its credits were returned to the player`);
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
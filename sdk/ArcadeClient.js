@@ -0,0 +1,1753 @@
+/**
+ * ArcadeClient
+ * Thin wrapper around the ArcadeManager contract and its BULL token that
+ * handles approvals, credit conversion and revert-to-error mapping.
+ */
+
+const { ethers } = require('ethers');
+const { loadArtifact, loadDeployment } = require('./artifacts');
+const {
+  arcadeDomain,
+  signAuthorization,
+  recoverAuthorizationSigner,
+  signPermit,
+  wagerDomain,
+  signSettlement
+} = require('./signing');
+const { newSeed, seedCommitment } = require('./randomness');
+const {
+  parseError,
+  GameNotFoundError,
+  PayoutLimitError,
+  InvalidSignatureError,
+  SignatureExpiredError,
+  TokenNotAcceptedError
+} = require('./errors');
+
+// Default lifetime of signed authorizations and permits, in seconds
+const DEFAULT_AUTHORIZATION_TTL = 600;
+const DEFAULT_PERMIT_TTL = 600;
+
+// Minimal ERC20 interface (plus the optional EIP-2612 permit views), enough for the real BULL token and MockBullToken
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// ArcadeTournaments.Status, in enum order
+const TOURNAMENT_STATUSES = ['none', 'open', 'finalized', 'cancelled'];
+
+// ArcadeWagers.Status, in enum order
+const CHALLENGE_STATUSES = ['none', 'open', 'accepted', 'settled', 'cancelled', 'refunded'];
+
+// ArcadeRandomness.Status, in enum order
+const RANDOMNESS_STATUSES = ['none', 'awaitingSource', 'awaitingPlayer', 'fulfilled', 'sourceExpired', 'playerExpired'];
+
+// Role names accepted by the role helpers, mapped to their on-chain identifiers
+const ROLES = {
+  admin: ethers.constants.HashZero,
+  operator: ethers.utils.id('OPERATOR_ROLE'),
+  pauser: ethers.utils.id('PAUSER_ROLE'),
+  treasurer: ethers.utils.id('TREASURER_ROLE'),
+  escrow: ethers.utils.id('ESCROW_ROLE')
+};
+
+// Pausable operations, matching the ArcadeManager.Operation enum
+const OPERATIONS = {
+  deposit: 0,
+  spend: 1,
+  withdraw: 2,
+  award: 3,
+  transfer: 4
+};
+
+// Payout caps, in ArcadeManager.PayoutLimit enum order
+const PAYOUT_LIMITS = ['perAward', 'playerDaily', 'globalDaily'];
+
+// Resolve an operation name to its enum value
+function operationId(operation) {
+  if (OPERATIONS[operation] === undefined) {
+    throw new Error(`Unknown operation "${operation}". Expected one of: ${Object.keys(OPERATIONS).join(', ')}, all`);
+  }
+  return OPERATIONS[operation];
+}
+
+// Resolve a role name (or raw bytes32 identifier) to its identifier
+function roleId(role) {
+  if (ROLES[role]) {
+    return ROLES[role];
+  }
+  if (ethers.utils.isHexString(role, 32)) {
+    return role;
+  }
+  throw new Error(`Unknown role "${role}". Expected one of: ${Object.keys(ROLES).join(', ')}`);
+}
+
+class ArcadeClient {
+  /**
+   * @param {object} options
+   * @param {string} options.arcadeManager Address of the ArcadeManager contract
+   * @param {string} [options.bullToken] Address of the BULL token (read from the contract if omitted)
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider Signer for transactions, or provider for read-only use
+   * @param {Array} [options.abi] ArcadeManager ABI (loaded from artifacts if omitted)
+   * @param {string} [options.resultVerifier] Address of the GameResultVerifier, for claiming signed results
+   * @param {string} [options.tournaments] Address of the ArcadeTournaments contract
+   * @param {string} [options.wagers] Address of the ArcadeWagers contract
+   * @param {string} [options.randomness] Address of the ArcadeRandomness contract
+   */
+  constructor({ arcadeManager, bullToken, signerOrProvider, abi, resultVerifier, tournaments, wagers, randomness }) {
+    if (!arcadeManager) {
+      throw new Error('ArcadeManager address is required');
+    }
+    if (!signerOrProvider) {
+      throw new Error('A signer or provider is required');
+    }
+
+    this.signerOrProvider = signerOrProvider;
+    this.abi = abi || loadArtifact('ArcadeManager').abi;
+    this.contract = new ethers.Contract(arcadeManager, this.abi, signerOrProvider);
+    this.bullTokenAddress = bullToken || null;
+    this.resultVerifierAddress = resultVerifier || null;
+    this.tournamentsAddress = tournaments || null;
+    this.wagersAddress = wagers || null;
+    this.randomnessAddress = randomness || null;
+    this._token = null;
+    this._tokenUnit = null;
+    this._resultVerifier = null;
+    this._tournaments = null;
+    this._wagers = null;
+    this._randomness = null;
+  }
+
+  /**
+   * Create a client for the ArcadeManager recorded in a deployment file
+   * @param {string} network Network name, e.g. "localhost" or "polygonMumbai"
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+   * @returns {ArcadeClient}
+   */
+  static fromDeployment(network, signerOrProvider) {
+    const deployment = loadDeployment(network);
+    return new ArcadeClient({
+      arcadeManager: deployment.arcadeManager,
+      bullToken: deployment.bullToken,
+      resultVerifier: deployment.resultVerifier,
+      tournaments: deployment.tournaments,
+      wagers: deployment.wagers,
+      randomness: deployment.randomness,
+      signerOrProvider
+    });
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  /**
+   * Return a new client bound to a different signer
+   * @param {ethers.Signer} signer
+   * @returns {ArcadeClient}
+   */
+  connect(signer) {
+    const client = new ArcadeClient({
+      arcadeManager: this.address,
+      bullToken: this.bullTokenAddress,
+      signerOrProvider: signer,
+      abi: this.abi,
+      resultVerifier: this.resultVerifierAddress,
+      tournaments: this.tournamentsAddress,
+      wagers: this.wagersAddress,
+      randomness: this.randomnessAddress
+    });
+    return client;
+  }
+
+  /**
+   * Get the BULL token contract used by this ArcadeManager
+   * @returns {Promise<ethers.Contract>}
+   */
+  async token() {
+    if (!this._token) {
+      const tokenAddress = this.bullTokenAddress || await this.contract.bullToken();
+      this.bullTokenAddress = tokenAddress;
+      this._token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signerOrProvider);
+    }
+    return this._token;
+  }
+
+  /**
+   * Current conversion rates. Rates are owner-adjustable, so they are read
+   * from the contract on every call rather than cached.
+   * @returns {Promise<{depositRate: ethers.BigNumber, withdrawalRate: ethers.BigNumber}>}
+   */
+  async getRates() {
+    const [depositRate, withdrawalRate] = await Promise.all([
+      this.contract.depositRate(),
+      this.contract.withdrawalRate()
+    ]);
+    return { depositRate, withdrawalRate };
+  }
+
+  /**
+   * Token base units per whole BULL (10 ** decimals); rates are expressed per whole token
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async tokenUnit() {
+    if (!this._tokenUnit) {
+      this._tokenUnit = await this._call(() => this.contract.tokenUnit());
+    }
+    return this._tokenUnit;
+  }
+
+  /**
+   * Convert a BULL amount (in wei) to the credits a deposit would yield
+   * @param {ethers.BigNumberish} bullAmount
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async bullToCredits(bullAmount) {
+    const [depositRate, unit] = await Promise.all([this.contract.depositRate(), this.tokenUnit()]);
+    return ethers.BigNumber.from(bullAmount).mul(depositRate).div(unit);
+  }
+
+  /**
+   * Convert a credit amount to the BULL (in wei) a withdrawal would pay out, before fees
+   * @param {ethers.BigNumberish} creditAmount
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async creditsToBull(creditAmount) {
+    const [withdrawalRate, unit] = await Promise.all([this.contract.withdrawalRate(), this.tokenUnit()]);
+    return ethers.BigNumber.from(creditAmount).mul(unit).div(withdrawalRate);
+  }
+
+  /**
+   * Get the credit balance of a user, without bonus credits
+   * @param {string} [user] Address to query (defaults to the connected signer)
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getCredits(user) {
+    const address = user || await this._signerAddress();
+    return this._call(() => this.contract.getCredits(address));
+  }
+
+  /**
+   * Get both credit balances of a user
+   * @param {string} [user] Address to query (defaults to the connected signer)
+   * @returns {Promise<{credits: ethers.BigNumber, bonus: ethers.BigNumber, nextBonusExpiry: number|null}>}
+   *   `credits` can be withdrawn; `bonus` can only be spent and is used first; `nextBonusExpiry`
+   *   is when the first of the bonus credits expire (null if none of them do)
+   */
+  async getCreditBalances(user) {
+    const address = user || await this._signerAddress();
+    const balances = await this._call(() => this.contract.getCreditBalances(address));
+    return {
+      credits: balances.credits,
+      bonus: balances.bonus,
+      nextBonusExpiry: balances.nextBonusExpiry.isZero() ? null : balances.nextBonusExpiry.toNumber()
+    };
+  }
+
+  /**
+   * Get the bonus credits of a user by expiry, in the order they are spent
+   * @param {string} [user] Address to query (defaults to the connected signer)
+   * @returns {Promise<Array<{amount: ethers.BigNumber, expiresAt: number|null}>>} `expiresAt` is null for credits that never expire
+   */
+  async getBonusLots(user) {
+    const address = user || await this._signerAddress();
+    const [lots, block] = await Promise.all([
+      this._call(() => this.contract.getBonusLots(address)),
+      this.contract.provider.getBlock('latest')
+    ]);
+    return lots
+      .filter((lot) => !lot.amount.isZero() && (lot.expiresAt.isZero() || lot.expiresAt.gt(block.timestamp)))
+      .map((lot) => ({ amount: lot.amount, expiresAt: lot.expiresAt.isZero() ? null : lot.expiresAt.toNumber() }));
+  }
+
+  /**
+   * Grant non-withdrawable bonus credits (operator only). They expire on their own,
+   * independently of the player's other bonus credits.
+   * @param {string} player Address of the player
+   * @param {ethers.BigNumberish} amount Bonus credits to add
+   * @param {number|null} [expiresAt] Unix time these credits expire (never if omitted)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async grantBonusCredits(player, amount, expiresAt = null) {
+    return this._send(() => this.contract.grantBonusCredits(player, amount, expiresAt || 0));
+  }
+
+  /**
+   * Deposit BULL tokens; the allowance must already be in place
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async deposit(bullAmount) {
+    return this._send(() => this.contract.deposit(bullAmount));
+  }
+
+  /**
+   * Approve the ArcadeManager (if the current allowance is too low) and deposit
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async approveAndDeposit(bullAmount) {
+    await this._ensureAllowance(bullAmount);
+    return this.deposit(bullAmount);
+  }
+
+  /**
+   * Whether the BULL token supports EIP-2612 permits
+   * @returns {Promise<boolean>}
+   */
+  async supportsPermit() {
+    const token = await this.token();
+    try {
+      await token.nonces(ethers.constants.AddressZero);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Deposit BULL tokens in one transaction by signing an EIP-2612 permit
+   * instead of sending a separate approve
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @param {object} [options]
+   * @param {number} [options.deadline] Permit expiry timestamp (defaults to now + 10 minutes)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async depositWithPermit(bullAmount, { deadline } = {}) {
+    const token = await this.token();
+    const owner = await this._signerAddress();
+    const expiry = deadline || (await this.signerOrProvider.provider.getBlock('latest')).timestamp + DEFAULT_PERMIT_TTL;
+
+    const { v, r, s } = await signPermit(this.signerOrProvider, await this._permitDomain(token), {
+      owner,
+      spender: this.address,
+      value: bullAmount,
+      nonce: await token.nonces(owner),
+      deadline: expiry
+    });
+    return this._send(() => this.contract.depositWithPermit(bullAmount, expiry, v, r, s));
+  }
+
+  /**
+   * Deposit BULL tokens with a permit when the token supports it, otherwise
+   * fall back to approve-then-deposit
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async depositTokens(bullAmount) {
+    if (await this.supportsPermit()) {
+      return this.depositWithPermit(bullAmount);
+    }
+    return this.approveAndDeposit(bullAmount);
+  }
+
+  /**
+   * Tokens accepted for deposits and withdrawals, BULL first. Rates are per
+   * whole token, i.e. per `unit` (10 ** decimals) base units.
+   * @returns {Promise<Array<{address: string, symbol: string|null, decimals: number, unit: ethers.BigNumber,
+   *   depositRate: ethers.BigNumber, withdrawalRate: ethers.BigNumber}>>}
+   */
+  async getTokens() {
+    const addresses = await this._call(() => this.contract.getTokens());
+    return Promise.all(addresses.map(async (address, i) => {
+      const { unit, depositRate, withdrawalRate } = i === 0
+        ? { unit: await this.tokenUnit(), ...(await this.getRates()) }
+        : await this.contract.tokenConfigs(address);
+      const symbol = await this._erc20(address).symbol().catch(() => null);
+      // unit is 10 ** decimals, fixed when the token was accepted
+      const decimals = unit.toString().length - 1;
+      return { address, symbol, decimals, unit, depositRate, withdrawalRate };
+    }));
+  }
+
+  /**
+   * Look up an accepted token by address or symbol (case-insensitive)
+   * @param {string} tokenOrSymbol Token address or symbol, e.g. "USDC"
+   * @returns {Promise<object>} The matching getTokens() entry
+   */
+  async findToken(tokenOrSymbol) {
+    const tokens = await this.getTokens();
+    const wanted = tokenOrSymbol.toLowerCase();
+    const token = tokens.find((entry) => entry.address.toLowerCase() === wanted || (entry.symbol || '').toLowerCase() === wanted);
+    if (!token) {
+      const accepted = tokens.map((entry) => entry.symbol || entry.address).join(', ');
+      throw new TokenNotAcceptedError(`Token ${tokenOrSymbol} is not accepted. Accepted tokens: ${accepted}`);
+    }
+    return token;
+  }
+
+  /**
+   * Approve the ArcadeManager for an accepted token (if the current allowance
+   * is too low) and deposit it at that token's rate
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} amount Amount in the token's base units
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async depositToken(token, amount) {
+    await this._ensureAllowance(amount, this._erc20(token));
+    return this._send(() => this.contract.depositToken(token, amount));
+  }
+
+  /**
+   * Withdraw credits as an accepted token
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} creditAmount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async withdrawToken(token, creditAmount) {
+    return this._send(() => this.contract.withdrawToken(token, creditAmount));
+  }
+
+  /**
+   * Start a timelocked withdrawal paid out in an accepted token
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} creditAmount Amount of credits
+   * @returns {Promise<{id: ethers.BigNumber, unlockTime: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async requestTokenWithdrawal(token, creditAmount) {
+    const receipt = await this._send(() => this.contract.requestTokenWithdrawal(token, creditAmount));
+    const event = receipt.events.find((entry) => entry.event === 'WithdrawalRequested');
+    return { id: event.args.id, unlockTime: event.args.unlockTime, receipt };
+  }
+
+  /**
+   * Accept another token for deposits and withdrawals (admin only)
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} depositRate Credits per whole token on deposit
+   * @param {ethers.BigNumberish} [withdrawalRate] Credits per whole token on withdrawal (defaults to depositRate)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async addToken(token, depositRate, withdrawalRate = depositRate) {
+    return this._send(() => this.contract.addToken(token, depositRate, withdrawalRate));
+  }
+
+  /**
+   * Update the rates of an accepted token, BULL included (admin only)
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} depositRate Credits per whole token on deposit
+   * @param {ethers.BigNumberish} [withdrawalRate] Credits per whole token on withdrawal (defaults to depositRate)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setTokenRates(token, depositRate, withdrawalRate = depositRate) {
+    return this._send(() => this.contract.setTokenRates(token, depositRate, withdrawalRate));
+  }
+
+  /**
+   * Stop accepting a token other than BULL (admin only)
+   * @param {string} token Token address
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async removeToken(token) {
+    return this._send(() => this.contract.removeToken(token));
+  }
+
+  /**
+   * Spend credits to play a game
+   * @param {ethers.BigNumberish} amount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async spendCredits(amount) {
+    return this._send(() => this.contract.spendCredits(amount));
+  }
+
+  /**
+   * Give credits to another player
+   * @param {string} to Recipient address
+   * @param {ethers.BigNumberish} amount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async transferCredits(to, amount) {
+    return this._send(() => this.contract.transferCredits(to, amount));
+  }
+
+  /**
+   * Allow a spender to transfer up to `amount` of the signer's credits
+   * @param {string} spender Address allowed to transfer
+   * @param {ethers.BigNumberish} amount Credits the spender may move (MaxUint256 for no limit)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async approveCredits(spender, amount) {
+    return this._send(() => this.contract.approveCredits(spender, amount));
+  }
+
+  /**
+   * Transfer credits on behalf of a player who approved the signer
+   * @param {string} from Player whose credits are moved
+   * @param {string} to Recipient address
+   * @param {ethers.BigNumberish} amount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async transferCreditsFrom(from, to, amount) {
+    return this._send(() => this.contract.transferCreditsFrom(from, to, amount));
+  }
+
+  /**
+   * Credits a spender may still transfer for a player
+   * @param {string} owner Player address
+   * @param {string} spender Spender address
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getCreditAllowance(owner, spender) {
+    return this._call(() => this.contract.creditAllowance(owner, spender));
+  }
+
+  /**
+   * Whether player-to-player transfers are enabled
+   * @returns {Promise<boolean>}
+   */
+  async transfersEnabled() {
+    return this._call(() => this.contract.transfersEnabled());
+  }
+
+  /**
+   * Enable or disable player-to-player transfers (admin only)
+   * @param {boolean} enabled
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setTransfersEnabled(enabled) {
+    return this._send(() => this.contract.setTransfersEnabled(enabled));
+  }
+
+  /**
+   * Address of the ERC-20 credits view attached to the ArcadeManager
+   * @returns {Promise<string|null>} null when no credits token is attached
+   */
+  async getCreditsToken() {
+    const token = await this._call(() => this.contract.creditsToken());
+    return token === ethers.constants.AddressZero ? null : token;
+  }
+
+  /**
+   * Attach an ArcadeCredits contract, or detach it with the zero address (admin only)
+   * @param {string} token ArcadeCredits address
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setCreditsToken(token) {
+    return this._send(() => this.contract.setCreditsToken(token));
+  }
+
+  /**
+   * Withdraw credits back to BULL tokens
+   * @param {ethers.BigNumberish} creditAmount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async withdraw(creditAmount) {
+    return this._send(() => this.contract.withdraw(creditAmount));
+  }
+
+  /**
+   * BULL a withdrawal would pay out at the current rate and fee
+   * @param {ethers.BigNumberish} creditAmount Amount of credits
+   * @returns {Promise<{gross: ethers.BigNumber, fee: ethers.BigNumber, net: ethers.BigNumber, converted: ethers.BigNumber}>}
+   *   `converted` is the credits actually deducted; the rest of creditAmount stays in the balance
+   */
+  async previewWithdrawal(creditAmount) {
+    const [gross, feeBps, withdrawalRate, unit] = await Promise.all([
+      this.creditsToBull(creditAmount),
+      this._call(() => this.contract.withdrawalFeeBps()),
+      this.contract.withdrawalRate(),
+      this.tokenUnit()
+    ]);
+    const fee = gross.mul(feeBps).div(10000);
+    // Mirrors ArcadeManager._creditsToTokens: credits needed for `gross`, rounded up
+    const converted = gross.mul(withdrawalRate).add(unit).sub(1).div(unit);
+    return { gross, fee, net: gross.sub(fee), converted };
+  }
+
+  /**
+   * Withdrawal fee and delay settings
+   * @returns {Promise<{feeBps: ethers.BigNumber, feeRecipient: string, delay: ethers.BigNumber}>}
+   */
+  async getWithdrawalSettings() {
+    const [feeBps, feeRecipient, delay] = await this._call(() => Promise.all([
+      this.contract.withdrawalFeeBps(),
+      this.contract.feeRecipient(),
+      this.contract.withdrawalDelay()
+    ]));
+    return { feeBps, feeRecipient, delay };
+  }
+
+  /**
+   * Start a timelocked withdrawal
+   * @param {ethers.BigNumberish} creditAmount Amount of credits
+   * @returns {Promise<{id: ethers.BigNumber, unlockTime: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async requestWithdrawal(creditAmount) {
+    const receipt = await this._send(() => this.contract.requestWithdrawal(creditAmount));
+    const event = receipt.events.find((entry) => entry.event === 'WithdrawalRequested');
+    return { id: event.args.id, unlockTime: event.args.unlockTime, receipt };
+  }
+
+  /**
+   * Claim a withdrawal request whose delay has passed
+   * @param {ethers.BigNumberish} id Withdrawal request ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async claimWithdrawal(id) {
+    return this._send(() => this.contract.claimWithdrawal(id));
+  }
+
+  /**
+   * Cancel a withdrawal request (requester or pauser) and return its credits
+   * @param {ethers.BigNumberish} id Withdrawal request ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async cancelWithdrawal(id) {
+    return this._send(() => this.contract.cancelWithdrawal(id));
+  }
+
+  /**
+   * Withdrawal requests that have been neither claimed nor cancelled
+   * @param {object} [options]
+   * @param {string} [options.player] Only requests of this player
+   * @param {number} [options.fromBlock] Block to search from (e.g. the deployment block)
+   * @returns {Promise<Array<{id: ethers.BigNumber, user: string, creditAmount: ethers.BigNumber,
+   *   tokenAmount: ethers.BigNumber, token: string, unlockTime: ethers.BigNumber}>>}
+   */
+  async getPendingWithdrawals({ player, fromBlock = 0 } = {}) {
+    const filter = this.contract.filters.WithdrawalRequested(null, player || null);
+    const events = await this._call(() => this.contract.queryFilter(filter, fromBlock));
+
+    const pending = [];
+    for (const event of events) {
+      const request = await this._call(() => this.contract.withdrawalRequests(event.args.id));
+      if (request.user !== ethers.constants.AddressZero) {
+        // Requests made before other tokens were accepted have no token and pay out BULL
+        const token = request.token === ethers.constants.AddressZero ? (await this.token()).address : request.token;
+        pending.push({
+          id: event.args.id,
+          user: request.user,
+          creditAmount: request.creditAmount,
+          tokenAmount: request.bullAmount,
+          token,
+          unlockTime: request.unlockTime
+        });
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Set the withdrawal fee (admin only)
+   * @param {number} feeBps Fee in basis points, 0 to disable
+   * @param {string} [recipient] Address receiving the fee
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setWithdrawalFee(feeBps, recipient = ethers.constants.AddressZero) {
+    return this._send(() => this.contract.setWithdrawalFee(feeBps, recipient));
+  }
+
+  /**
+   * Set the delay between requesting and claiming withdrawals (admin only)
+   * @param {number} seconds Delay, 0 for instant withdrawals
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setWithdrawalDelay(seconds) {
+    return this._send(() => this.contract.setWithdrawalDelay(seconds));
+  }
+
+  /**
+   * Award credits to a player (operator only)
+   * @param {string} player Address of the player
+   * @param {ethers.BigNumberish} amount Amount of credits
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async awardWinnings(player, amount) {
+    const receipt = await this._send(() => this.contract.awardWinnings(player, amount));
+    const [blocked] = this.blockedPayouts(receipt);
+    if (blocked) {
+      throw new PayoutLimitError(`Payout of ${blocked.amount} to ${player} blocked by the ${blocked.limit} limit`, {
+        reason: 'Payout limit reached'
+      });
+    }
+    return receipt;
+  }
+
+  /**
+   * Payouts a mined award transaction skipped because of a payout limit
+   * @param {ethers.ContractReceipt} receipt Receipt of awardWinnings / awardWinningsBatch
+   * @returns {Array<{player: string, amount: ethers.BigNumber, limit: string}>}
+   *   `limit` is one of perAward, playerDaily, globalDaily
+   */
+  blockedPayouts(receipt) {
+    return receipt.logs
+      .filter((log) => log.address === this.address)
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter((event) => event.name === 'PayoutLimitExceeded')
+      .map((event) => ({ player: event.args.player, amount: event.args.amount, limit: PAYOUT_LIMITS[event.args.limit] }));
+  }
+
+  /**
+   * Payout caps and what is left of the global one today
+   * @returns {Promise<{maxAward: ethers.BigNumber, playerDaily: ethers.BigNumber, globalDaily: ethers.BigNumber,
+   *   remainingGlobal: ethers.BigNumber|null}>} Zero caps are disabled; `remainingGlobal` is null without a global cap
+   */
+  async getPayoutLimits() {
+    const [limits, remainingGlobal] = await this._call(() => Promise.all([
+      this.contract.payoutLimits(),
+      this.contract.remainingGlobalPayout()
+    ]));
+    return {
+      maxAward: limits.maxAward,
+      playerDaily: limits.playerDaily,
+      globalDaily: limits.globalDaily,
+      remainingGlobal: remainingGlobal.eq(ethers.constants.MaxUint256) ? null : remainingGlobal
+    };
+  }
+
+  /**
+   * Credits a player can still be awarded today
+   * @param {string} player Address of the player
+   * @returns {Promise<ethers.BigNumber|null>} null without a per-player cap
+   */
+  async getRemainingPayout(player) {
+    const remaining = await this._call(() => this.contract.remainingPlayerPayout(player));
+    return remaining.eq(ethers.constants.MaxUint256) ? null : remaining;
+  }
+
+  /**
+   * Change the payout caps (admin only); 0 disables a cap
+   * @param {object} limits
+   * @param {ethers.BigNumberish} limits.maxAward Largest single award
+   * @param {ethers.BigNumberish} limits.playerDaily Total per player per day
+   * @param {ethers.BigNumberish} limits.globalDaily Total for all players per day
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setPayoutLimits({ maxAward = 0, playerDaily = 0, globalDaily = 0 }) {
+    return this._send(() => this.contract.setPayoutLimits(maxAward, playerDaily, globalDaily));
+  }
+
+  /**
+   * Current jackpot pool and settings
+   * @returns {Promise<{pool: ethers.BigNumber, bps: number, seed: ethers.BigNumber}>}
+   *   `bps` is the share of every spend added to the pool; `seed` is what the pool restarts at after a win
+   */
+  async getJackpot() {
+    const [pool, bps, seed] = await this._call(() => Promise.all([
+      this.contract.jackpotPool(),
+      this.contract.jackpotBps(),
+      this.contract.jackpotSeed()
+    ]));
+    return { pool, bps: bps.toNumber(), seed };
+  }
+
+  /**
+   * Configure the jackpot (admin only)
+   * @param {number} bps Share of every spend added to the pool, in basis points (0 stops contributions)
+   * @param {ethers.BigNumberish} [seed] Credits the pool restarts at after each win
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setJackpot(bps, seed = 0) {
+    return this._send(() => this.contract.setJackpot(bps, seed));
+  }
+
+  /**
+   * Pay the jackpot pool to a winner (operator only)
+   * @param {string} winner Address of the player
+   * @returns {Promise<{amount: ethers.BigNumber, seed: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async awardJackpot(winner) {
+    const receipt = await this._send(() => this.contract.awardJackpot(winner));
+    const event = receipt.events.find((entry) => entry.event === 'JackpotWon');
+    return { amount: event.args.amount, seed: event.args.seed, receipt };
+  }
+
+  /**
+   * Award credits to many players in one transaction (operator only)
+   * @param {string[]} players Addresses of the players
+   * @param {ethers.BigNumberish[]} amounts Amount of credits for each player
+   * @param {object} [overrides] Transaction overrides, e.g. gasLimit
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async awardWinningsBatch(players, amounts, overrides = {}) {
+    return this._send(() => this.contract.awardWinningsBatch(players, amounts, overrides));
+  }
+
+  /**
+   * Estimate the gas used by awardWinningsBatch
+   * @param {string[]} players Addresses of the players
+   * @param {ethers.BigNumberish[]} amounts Amount of credits for each player
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async estimateAwardWinningsBatch(players, amounts) {
+    return this._call(() => this.contract.estimateGas.awardWinningsBatch(players, amounts));
+  }
+
+  /**
+   * Play a registered game, paying its price in credits
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async playGame(gameId) {
+    return this._send(() => this.contract.playGame(gameId));
+  }
+
+  /**
+   * Next signature nonce of a player
+   * @param {string} [player] Address to query (defaults to the connected signer)
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getNonce(player) {
+    const address = player || await this._signerAddress();
+    return this._call(() => this.contract.nonces(address));
+  }
+
+  /**
+   * EIP-712 domain of this ArcadeManager
+   * @returns {Promise<object>}
+   */
+  async domain() {
+    const provider = this.signerOrProvider.provider || this.signerOrProvider;
+    const { chainId } = await provider.getNetwork();
+    return arcadeDomain(chainId, this.address);
+  }
+
+  /**
+   * Sign an authorization for a relayer to play a game with the signer's credits
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @param {object} [options]
+   * @param {number} [options.deadline] Expiry timestamp (defaults to now + 10 minutes)
+   * @returns {Promise<object>} Authorization to hand to a relayer
+   */
+  async signPlayAuthorization(gameId, options = {}) {
+    return this._signAuthorization({ type: 'play', gameId: ethers.BigNumber.from(gameId).toString() }, options);
+  }
+
+  /**
+   * Sign an authorization for a relayer to spend the signer's credits
+   * @param {ethers.BigNumberish} amount Amount of credits
+   * @param {object} [options]
+   * @param {number} [options.deadline] Expiry timestamp (defaults to now + 10 minutes)
+   * @returns {Promise<object>} Authorization to hand to a relayer
+   */
+  async signSpendAuthorization(amount, options = {}) {
+    return this._signAuthorization({ type: 'spend', amount: ethers.BigNumber.from(amount).toString() }, options);
+  }
+
+  /**
+   * Check an authorization before relaying it: signer, nonce and deadline
+   * @param {object} authorization Authorization produced by signPlayAuthorization / signSpendAuthorization
+   * @returns {Promise<void>} Resolves if valid, throws a typed error otherwise
+   */
+  async verifyAuthorization(authorization) {
+    const domain = await this.domain();
+    let signer;
+    try {
+      signer = recoverAuthorizationSigner(domain, authorization);
+    } catch (error) {
+      throw new InvalidSignatureError('Invalid signature', { reason: 'Invalid signature', cause: error });
+    }
+    if (signer !== ethers.utils.getAddress(authorization.player)) {
+      throw new InvalidSignatureError('Invalid signature', { reason: 'Invalid signature' });
+    }
+
+    const nonce = await this.getNonce(authorization.player);
+    if (!nonce.eq(authorization.nonce)) {
+      throw new InvalidSignatureError(`Stale nonce ${authorization.nonce}, expected ${nonce}`, { reason: 'Invalid signature' });
+    }
+
+    const provider = this.signerOrProvider.provider || this.signerOrProvider;
+    const { timestamp } = await provider.getBlock('latest');
+    if (ethers.BigNumber.from(authorization.deadline).lt(timestamp)) {
+      throw new SignatureExpiredError('Signature expired', { reason: 'Signature expired' });
+    }
+  }
+
+  /**
+   * Submit a signed authorization, paying the gas from the connected signer
+   * @param {object} authorization Authorization produced by signPlayAuthorization / signSpendAuthorization
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async relayAuthorization(authorization) {
+    const { type, player, deadline, signature } = authorization;
+    if (type === 'play') {
+      return this._send(() => this.contract.playGameFor(player, authorization.gameId, deadline, signature));
+    }
+    if (type === 'spend') {
+      return this._send(() => this.contract.spendCreditsFor(player, authorization.amount, deadline, signature));
+    }
+    throw new Error(`Unknown authorization type "${type}"`);
+  }
+
+  /**
+   * Get the GameResultVerifier paying signed game results
+   * @returns {ethers.Contract}
+   */
+  resultVerifier() {
+    if (!this.resultVerifierAddress) {
+      throw new Error('No GameResultVerifier configured for this client');
+    }
+    if (!this._resultVerifier) {
+      this._resultVerifier = new ethers.Contract(this.resultVerifierAddress, loadArtifact('GameResultVerifier').abi, this.signerOrProvider);
+    }
+    return this._resultVerifier;
+  }
+
+  /**
+   * Claim the payout of a game result signed by a registered game server
+   * @param {{result: object, signature: string}} receipt Receipt produced by ResultSigner.sign
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async claimResult({ result, signature }) {
+    return this._send(() => this.resultVerifier().claim(result, signature));
+  }
+
+  /**
+   * Whether the receipt of a session has already been paid
+   * @param {string} sessionId bytes32 session ID
+   * @returns {Promise<boolean>}
+   */
+  async isResultClaimed(sessionId) {
+    return this._call(() => this.resultVerifier().claimedSessions(sessionId));
+  }
+
+  /**
+   * Limits of a game-server signer
+   * @param {string} signer Address of the server key
+   * @returns {Promise<{active: boolean, maxPayout: ethers.BigNumber, dailyLimit: ethers.BigNumber, remaining: ethers.BigNumber,
+   *   jackpot: boolean}>} `jackpot` is whether the signer may sign jackpot wins
+   */
+  async getResultSigner(signer) {
+    const verifier = this.resultVerifier();
+    const [config, remaining] = await Promise.all([
+      this._call(() => verifier.signers(signer)),
+      this._call(() => verifier.remainingDailyLimit(signer))
+    ]);
+    return { active: config.active, maxPayout: config.maxPayout, dailyLimit: config.dailyLimit, remaining, jackpot: config.jackpot };
+  }
+
+  /**
+   * Register a game-server signer or update its limits (verifier admin only)
+   * @param {string} signer Address of the server key
+   * @param {ethers.BigNumberish} maxPayout Largest payout per receipt
+   * @param {ethers.BigNumberish} dailyLimit Total payout per day
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setResultSigner(signer, maxPayout, dailyLimit) {
+    return this._send(() => this.resultVerifier().setSigner(signer, maxPayout, dailyLimit));
+  }
+
+  /**
+   * Revoke a game-server signer (verifier admin only)
+   * @param {string} signer Address of the server key
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async removeResultSigner(signer) {
+    return this._send(() => this.resultVerifier().removeSigner(signer));
+  }
+
+  /**
+   * Claim the jackpot with a win signed by a game server
+   * @param {{result: object, signature: string}} receipt Receipt produced by ResultSigner.signJackpot
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async claimJackpot({ result, signature }) {
+    return this._send(() => this.resultVerifier().claimJackpot(result, signature));
+  }
+
+  /**
+   * Allow or stop a registered signer to sign jackpot wins (verifier admin only)
+   * @param {string} signer Address of the server key
+   * @param {boolean} allowed Whether its jackpot receipts are accepted
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setJackpotSigner(signer, allowed) {
+    return this._send(() => this.resultVerifier().setJackpotSigner(signer, allowed));
+  }
+
+  /**
+   * Get the ArcadeTournaments contract
+   * @returns {ethers.Contract}
+   */
+  tournaments() {
+    if (!this.tournamentsAddress) {
+      throw new Error('No ArcadeTournaments configured for this client');
+    }
+    if (!this._tournaments) {
+      this._tournaments = new ethers.Contract(this.tournamentsAddress, loadArtifact('ArcadeTournaments').abi, this.signerOrProvider);
+    }
+    return this._tournaments;
+  }
+
+  /**
+   * Get a tournament
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @returns {Promise<{id: ethers.BigNumber, name: string, entryFee: ethers.BigNumber, startTime: number, endTime: number,
+   *   rakeBps: number, status: string, entrants: ethers.BigNumber, prizePool: ethers.BigNumber, payoutBps: number[]}|null>}
+   *   `status` is "open", "finalized" or "cancelled"; null if the tournament does not exist
+   */
+  async getTournament(id) {
+    const tournament = await this._call(() => this.tournaments().getTournament(id));
+    if (tournament.status === 0) {
+      return null;
+    }
+    return {
+      id: ethers.BigNumber.from(id),
+      name: tournament.name,
+      entryFee: tournament.entryFee,
+      startTime: tournament.startTime.toNumber(),
+      endTime: tournament.endTime.toNumber(),
+      rakeBps: tournament.rakeBps,
+      status: TOURNAMENT_STATUSES[tournament.status],
+      entrants: tournament.entrants,
+      prizePool: tournament.prizePool,
+      payoutBps: tournament.payoutBps
+    };
+  }
+
+  /**
+   * Get every tournament, oldest first
+   * @returns {Promise<object[]>} Entries as returned by getTournament
+   */
+  async getTournaments() {
+    const count = await this._call(() => this.tournaments().tournamentCount());
+    const ids = Array.from({ length: count.toNumber() }, (_, i) => i + 1);
+    return Promise.all(ids.map((id) => this.getTournament(id)));
+  }
+
+  /**
+   * Create a tournament (tournament operator only)
+   * @param {object} tournament
+   * @param {string} tournament.name Display name
+   * @param {ethers.BigNumberish} tournament.entryFee Credits per entry
+   * @param {number} tournament.startTime Unix time play starts
+   * @param {number} tournament.endTime Unix time play ends
+   * @param {number} [tournament.rakeBps] House share of the prize pool in basis points (default 0)
+   * @param {number[]} tournament.payoutBps Share of the pool per place, best first, summing to 10000
+   * @returns {Promise<{id: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async createTournament({ name, entryFee, startTime, endTime, rakeBps = 0, payoutBps }) {
+    const receipt = await this._send(() => this.tournaments().createTournament(name, entryFee, startTime, endTime, rakeBps, payoutBps));
+    const event = receipt.events.find((entry) => entry.event === 'TournamentCreated');
+    return { id: event.args.id, receipt };
+  }
+
+  /**
+   * Approve the entry fee (if the current credit allowance is too low) and enter a tournament
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async enterTournament(id) {
+    const tournaments = this.tournaments();
+    const { entryFee } = await this._call(() => tournaments.getTournament(id));
+    await this._ensureCreditAllowance(tournaments.address, entryFee);
+    return this._send(() => tournaments.enterTournament(id));
+  }
+
+  /**
+   * Whether a player has entered a tournament (and not been refunded)
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @param {string} [player] Player address (defaults to the signer)
+   * @returns {Promise<boolean>}
+   */
+  async hasEnteredTournament(id, player) {
+    const address = player || await this._signerAddress();
+    return this._call(() => this.tournaments().hasEntered(id, address));
+  }
+
+  /**
+   * Post the final rankings of an ended tournament and pay its prizes (tournament operator only)
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @param {string[]} rankings Entrants in finishing order, best first
+   * @returns {Promise<{prizes: Array<{player: string, place: number, amount: ethers.BigNumber}>, rake: ethers.BigNumber,
+   *   receipt: ethers.ContractReceipt}>}
+   */
+  async finalizeTournament(id, rankings) {
+    const receipt = await this._send(() => this.tournaments().finalizeTournament(id, rankings));
+    const prizes = receipt.events
+      .filter((entry) => entry.event === 'PrizePaid')
+      .map((entry) => ({ player: entry.args.player, place: entry.args.place.toNumber(), amount: entry.args.amount }));
+    const finalized = receipt.events.find((entry) => entry.event === 'TournamentFinalized');
+    return { prizes, rake: finalized.args.rake, receipt };
+  }
+
+  /**
+   * Cancel a tournament so entrants can reclaim their fees (tournament operator only)
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async cancelTournament(id) {
+    return this._send(() => this.tournaments().cancelTournament(id));
+  }
+
+  /**
+   * Reclaim the entry fee of a cancelled tournament, or one never finalized
+   * @param {ethers.BigNumberish} id Tournament ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async claimTournamentRefund(id) {
+    return this._send(() => this.tournaments().claimRefund(id));
+  }
+
+  /**
+   * Get the ArcadeWagers contract
+   * @returns {ethers.Contract}
+   */
+  wagers() {
+    if (!this.wagersAddress) {
+      throw new Error('No ArcadeWagers configured for this client');
+    }
+    if (!this._wagers) {
+      this._wagers = new ethers.Contract(this.wagersAddress, loadArtifact('ArcadeWagers').abi, this.signerOrProvider);
+    }
+    return this._wagers;
+  }
+
+  /**
+   * Get a wager challenge
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @returns {Promise<{id: ethers.BigNumber, challenger: string, opponent: string|null, gameId: ethers.BigNumber,
+   *   stake: ethers.BigNumber, status: string, deadline: number|null}|null>}
+   *   `status` is "open", "accepted", "settled", "cancelled" or "refunded"; `opponent` is null for an
+   *   open challenge nobody accepted yet and `deadline` is set once accepted; null if the challenge does not exist
+   */
+  async getChallenge(id) {
+    const challenge = await this._call(() => this.wagers().challenges(id));
+    if (challenge.status === 0) {
+      return null;
+    }
+    return {
+      id: ethers.BigNumber.from(id),
+      challenger: challenge.challenger,
+      opponent: challenge.opponent === ethers.constants.AddressZero ? null : challenge.opponent,
+      gameId: challenge.gameId,
+      stake: challenge.stake,
+      status: CHALLENGE_STATUSES[challenge.status],
+      deadline: challenge.deadline.isZero() ? null : challenge.deadline.toNumber()
+    };
+  }
+
+  /**
+   * Approve the stake (if the current credit allowance is too low) and challenge a player
+   * @param {object} challenge
+   * @param {string} [challenge.opponent] Player who may accept (anyone if omitted)
+   * @param {ethers.BigNumberish} challenge.gameId Game the match is played on
+   * @param {ethers.BigNumberish} challenge.stake Credits each player stakes
+   * @returns {Promise<{id: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async createChallenge({ opponent, gameId, stake }) {
+    const wagers = this.wagers();
+    await this._ensureCreditAllowance(wagers.address, stake);
+    const receipt = await this._send(() => wagers.createChallenge(opponent || ethers.constants.AddressZero, gameId, stake));
+    const event = receipt.events.find((entry) => entry.event === 'ChallengeCreated');
+    return { id: event.args.id, receipt };
+  }
+
+  /**
+   * Approve the stake (if the current credit allowance is too low) and accept a challenge
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async acceptChallenge(id) {
+    const wagers = this.wagers();
+    const { stake } = await this._call(() => wagers.challenges(id));
+    await this._ensureCreditAllowance(wagers.address, stake);
+    return this._send(() => wagers.acceptChallenge(id));
+  }
+
+  /**
+   * Withdraw a challenge nobody accepted and get the stake back (challenger only)
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async cancelChallenge(id) {
+    return this._send(() => this.wagers().cancelChallenge(id));
+  }
+
+  /**
+   * Settle an accepted match (result reporters only)
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @param {string|null} winner Winning player, or null for a draw
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async reportChallengeResult(id, winner) {
+    return this._send(() => this.wagers().reportResult(id, winner || ethers.constants.AddressZero));
+  }
+
+  /**
+   * Sign the outcome of a match as one of its players
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @param {string|null} winner Winning player, or null for a draw
+   * @returns {Promise<string>} Signature to pass to settleChallenge
+   */
+  async signChallengeSettlement(id, winner) {
+    await this._signerAddress();
+    const { chainId } = await this.signerOrProvider.provider.getNetwork();
+    const domain = wagerDomain(chainId, this.wagers().address);
+    return signSettlement(this.signerOrProvider, domain, { challengeId: id, winner: winner || ethers.constants.AddressZero });
+  }
+
+  /**
+   * Settle an accepted match with the outcome signed by both players
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @param {string|null} winner Winning player, or null for a draw
+   * @param {string} challengerSignature Challenger's signChallengeSettlement result
+   * @param {string} opponentSignature Opponent's signChallengeSettlement result
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async settleChallenge(id, winner, challengerSignature, opponentSignature) {
+    return this._send(() => this.wagers().settleWithSignatures(
+      id,
+      winner || ethers.constants.AddressZero,
+      challengerSignature,
+      opponentSignature
+    ));
+  }
+
+  /**
+   * Return both stakes of a match that was not settled in time (anyone may call)
+   * @param {ethers.BigNumberish} id Challenge ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async refundChallenge(id) {
+    return this._send(() => this.wagers().refundExpired(id));
+  }
+
+  /**
+   * Time accepted matches have to be settled
+   * @returns {Promise<ethers.BigNumber>} Timeout in seconds
+   */
+  async getMatchTimeout() {
+    return this._call(() => this.wagers().matchTimeout());
+  }
+
+  /**
+   * Change the match timeout for matches accepted from now on (wagers admin only)
+   * @param {ethers.BigNumberish} timeout Timeout in seconds
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setMatchTimeout(timeout) {
+    return this._send(() => this.wagers().setMatchTimeout(timeout));
+  }
+
+  /**
+   * Allow an account (typically a game server) to report match results (wagers admin only)
+   * @param {string} account Address to grant REPORTER_ROLE
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async addWagerReporter(account) {
+    const wagers = this.wagers();
+    const role = await this._call(() => wagers.REPORTER_ROLE());
+    return this._send(() => wagers.grantRole(role, account));
+  }
+
+  /**
+   * Get the ArcadeRandomness contract
+   * @returns {ethers.Contract}
+   */
+  randomness() {
+    if (!this.randomnessAddress) {
+      throw new Error('No ArcadeRandomness configured for this client');
+    }
+    if (!this._randomness) {
+      this._randomness = new ethers.Contract(this.randomnessAddress, loadArtifact('ArcadeRandomness').abi, this.signerOrProvider);
+    }
+    return this._randomness;
+  }
+
+  /**
+   * Request randomness for a game (randomness consumers only). Only the hash of the
+   * player seed is sent; keep the seed to pass to revealPlayerSeed once the source is revealed.
+   * @param {object} request
+   * @param {ethers.BigNumberish} request.gameId Game the randomness is for
+   * @param {string} [request.playerSeed] bytes32 secret mixed into the result (random if omitted)
+   * @returns {Promise<{id: ethers.BigNumber, playerSeed: string, receipt: ethers.ContractReceipt}>}
+   */
+  async requestRandomness({ gameId, playerSeed }) {
+    const seed = playerSeed || newSeed();
+    const receipt = await this._send(() => this.randomness().requestRandomness(gameId, seedCommitment(seed)));
+    const event = receipt.events.find((entry) => entry.event === 'RandomnessRequested');
+    return { id: event.args.id, playerSeed: seed, receipt };
+  }
+
+  /**
+   * Get a randomness request
+   * @param {ethers.BigNumberish} id Request ID
+   * @returns {Promise<{id: ethers.BigNumber, requester: string, gameId: ethers.BigNumber, playerCommitment: string,
+   *   seedCommitment: string|null, coordinator: string|null, deadline: number, status: string,
+   *   source: string|null, randomness: ethers.BigNumber|null}|null>}
+   *   `status` is "awaitingSource", "awaitingPlayer", "fulfilled", "sourceExpired" (the operator or
+   *   coordinator defaulted) or "playerExpired" (the player seed was withheld); `deadline` ends the
+   *   current reveal stage; `seedCommitment` is set in commit-reveal mode and `coordinator` when a
+   *   coordinator serves the request; null if the request does not exist
+   */
+  async getRandomnessRequest(id) {
+    const request = await this._call(() => this.randomness().requests(id));
+    if (request.status === 0) {
+      return null;
+    }
+    const status = RANDOMNESS_STATUSES[request.status];
+    return {
+      id: ethers.BigNumber.from(id),
+      requester: request.requester,
+      gameId: request.gameId,
+      playerCommitment: request.playerCommitment,
+      seedCommitment: request.seedCommitment === ethers.constants.HashZero ? null : request.seedCommitment,
+      coordinator: request.coordinator === ethers.constants.AddressZero ? null : request.coordinator,
+      deadline: request.deadline.toNumber(),
+      status,
+      source: ['awaitingPlayer', 'fulfilled', 'playerExpired'].includes(status) ? request.source : null,
+      randomness: status === 'fulfilled' ? request.randomness : null
+    };
+  }
+
+  /**
+   * Commit operator seeds for future requests (randomness operators only). Keep the
+   * seeds secret until revealSeed; losing one leaves its request unfulfillable.
+   * @param {string[]} seeds bytes32 secrets, in the order requests will use them
+   * @returns {Promise<{firstIndex: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async commitSeeds(seeds) {
+    const receipt = await this._send(() => this.randomness().commitSeeds(seeds.map(seedCommitment)));
+    const event = receipt.events.find((entry) => entry.event === 'SeedsCommitted');
+    return { firstIndex: event.args.firstIndex, receipt };
+  }
+
+  /**
+   * Reveal the operator seed of a commit-reveal request (randomness operators only)
+   * @param {ethers.BigNumberish} id Request ID
+   * @param {string} seed bytes32 secret committed for the request
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async revealSeed(id, seed) {
+    return this._send(() => this.randomness().revealSeed(id, seed));
+  }
+
+  /**
+   * Reveal the player seed of a request whose source is revealed, fulfilling it (anyone holding the seed)
+   * @param {ethers.BigNumberish} id Request ID
+   * @param {string} playerSeed bytes32 secret returned by requestRandomness
+   * @returns {Promise<{randomness: ethers.BigNumber, receipt: ethers.ContractReceipt}>}
+   */
+  async revealPlayerSeed(id, playerSeed) {
+    const receipt = await this._send(() => this.randomness().revealPlayerSeed(id, playerSeed));
+    const event = receipt.events.find((entry) => entry.event === 'RandomnessFulfilled');
+    return { randomness: event.args.randomness, receipt };
+  }
+
+  /**
+   * Expire a request whose current reveal is overdue (anyone may call)
+   * @param {ethers.BigNumberish} id Request ID
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async expireRandomnessRequest(id) {
+    return this._send(() => this.randomness().expireRequest(id));
+  }
+
+  /**
+   * Committed operator seeds not yet assigned to a request
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getAvailableSeeds() {
+    return this._call(() => this.randomness().availableSeeds());
+  }
+
+  /**
+   * Coordinator answering new requests
+   * @returns {Promise<string|null>} Coordinator address, or null in commit-reveal mode
+   */
+  async getRandomnessCoordinator() {
+    const coordinator = await this._call(() => this.randomness().coordinator());
+    return coordinator === ethers.constants.AddressZero ? null : coordinator;
+  }
+
+  /**
+   * Answer new requests with a coordinator, or with commit-reveal (randomness admin only)
+   * @param {string|null} coordinator Coordinator address, or null for commit-reveal
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setRandomnessCoordinator(coordinator) {
+    return this._send(() => this.randomness().setCoordinator(coordinator || ethers.constants.AddressZero));
+  }
+
+  /**
+   * Allow a game contract or server to request randomness (randomness admin only)
+   * @param {string} account Address to grant CONSUMER_ROLE
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async addRandomnessConsumer(account) {
+    const randomness = this.randomness();
+    const role = await this._call(() => randomness.CONSUMER_ROLE());
+    return this._send(() => randomness.grantRole(role, account));
+  }
+
+  /**
+   * Get a registered game
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @returns {Promise<{id: ethers.BigNumber, name: string, price: ethers.BigNumber, active: boolean}|null>}
+   */
+  async getGame(gameId) {
+    const game = await this._call(() => this.contract.games(gameId));
+    if (!game.exists) {
+      return null;
+    }
+    return {
+      id: ethers.BigNumber.from(gameId),
+      name: game.name,
+      price: game.price,
+      active: game.active
+    };
+  }
+
+  /**
+   * List all registered games
+   * @returns {Promise<Array<{id: ethers.BigNumber, name: string, price: ethers.BigNumber, active: boolean}>>}
+   */
+  async getGames() {
+    const ids = await this._call(() => this.contract.getGameIds());
+    return Promise.all(ids.map((id) => this.getGame(id)));
+  }
+
+  /**
+   * Register a new game (admin only)
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @param {string} name Display name
+   * @param {ethers.BigNumberish} price Credits charged per play
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async addGame(gameId, name, price) {
+    return this._send(() => this.contract.addGame(gameId, name, price));
+  }
+
+  /**
+   * Update a registered game (admin only)
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @param {object} changes Fields to change; omitted fields keep their current value
+   * @param {string} [changes.name]
+   * @param {ethers.BigNumberish} [changes.price]
+   * @param {boolean} [changes.active]
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async updateGame(gameId, { name, price, active } = {}) {
+    const game = await this.getGame(gameId);
+    if (!game) {
+      throw new GameNotFoundError(`Game ${gameId} does not exist`, { reason: 'Game does not exist' });
+    }
+    return this._send(() => this.contract.updateGame(
+      gameId,
+      name !== undefined ? name : game.name,
+      price !== undefined ? price : game.price,
+      active !== undefined ? active : game.active
+    ));
+  }
+
+  /**
+   * Remove a game from the registry (admin only)
+   * @param {ethers.BigNumberish} gameId ID of the game
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async removeGame(gameId) {
+    return this._send(() => this.contract.removeGame(gameId));
+  }
+
+  /**
+   * Check whether an account holds a role
+   * @param {string} role Role name ("admin", "operator", "pauser", "treasurer") or identifier
+   * @param {string} account Address to check
+   * @returns {Promise<boolean>}
+   */
+  async hasRole(role, account) {
+    return this._call(() => this.contract.hasRole(roleId(role), account));
+  }
+
+  /**
+   * List the accounts holding a role
+   * @param {string} role Role name or identifier
+   * @returns {Promise<string[]>}
+   */
+  async getRoleMembers(role) {
+    const id = roleId(role);
+    const count = await this._call(() => this.contract.getRoleMemberCount(id));
+    const members = [];
+    for (let i = 0; i < count.toNumber(); i++) {
+      members.push(await this._call(() => this.contract.getRoleMember(id, i)));
+    }
+    return members;
+  }
+
+  /**
+   * Grant a role to an account (admin only)
+   * @param {string} role Role name or identifier
+   * @param {string} account Address to grant the role to
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async grantRole(role, account) {
+    return this._send(() => this.contract.grantRole(roleId(role), account));
+  }
+
+  /**
+   * Revoke a role from an account (admin only)
+   * @param {string} role Role name or identifier
+   * @param {string} account Address to revoke the role from
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async revokeRole(role, account) {
+    return this._send(() => this.contract.revokeRole(roleId(role), account));
+  }
+
+  /**
+   * Reserves versus liabilities of the contract, in BULL. The reserves of other
+   * accepted tokens count towards the surplus and ratio; `reserveCredits` is
+   * every reserve valued in credits.
+   * @returns {Promise<{reserves: ethers.BigNumber, liabilities: ethers.BigNumber, surplus: ethers.BigNumber,
+   *   outstandingCredits: ethers.BigNumber, reserveCredits: ethers.BigNumber, ratioBps: ethers.BigNumber|null,
+   *   enforced: boolean}>}
+   *   `ratioBps` is null when there are no liabilities
+   */
+  async getSolvency() {
+    const [reserves, liabilities, surplus, outstandingCredits, reserveCredits, ratioBps, enforced] = await this._call(() => Promise.all([
+      this.contract.reserves(),
+      this.contract.totalLiabilities(),
+      this.contract.surplusReserves(),
+      this.contract.totalCredits(),
+      this.contract.reserveCredits(),
+      this.contract.solvencyRatio(),
+      this.contract.enforceSolvency()
+    ]));
+    return {
+      reserves,
+      liabilities,
+      surplus,
+      outstandingCredits,
+      reserveCredits,
+      ratioBps: ratioBps.eq(ethers.constants.MaxUint256) ? null : ratioBps,
+      enforced
+    };
+  }
+
+  /**
+   * Reserves held in each accepted token
+   * @returns {Promise<Array<{address: string, symbol: string|null, decimals: number, balance: ethers.BigNumber, surplus: ethers.BigNumber}>>}
+   *   `surplus` is the part not needed, together with the other tokens, to cover outstanding credits
+   */
+  async getTokenReserves() {
+    const tokens = await this.getTokens();
+    return Promise.all(tokens.map(async ({ address, symbol, decimals }) => {
+      const [balance, surplus] = await this._call(() => Promise.all([
+        this._erc20(address).balanceOf(this.address),
+        this.contract.tokenSurplus(address)
+      ]));
+      return { address, symbol, decimals, balance, surplus };
+    }));
+  }
+
+  /**
+   * Approve (if needed) and add BULL to the house reserves (treasurer only)
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async fundReserves(bullAmount) {
+    await this._ensureAllowance(bullAmount);
+    return this._send(() => this.contract.fundReserves(bullAmount));
+  }
+
+  /**
+   * Withdraw surplus BULL from the house reserves (treasurer only)
+   * @param {string} to Recipient address
+   * @param {ethers.BigNumberish} bullAmount Amount of BULL in wei
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async withdrawReserves(to, bullAmount) {
+    return this._send(() => this.contract.withdrawReserves(to, bullAmount));
+  }
+
+  /**
+   * Approve (if needed) and add an accepted token to the house reserves (treasurer only)
+   * @param {string} token Token address
+   * @param {ethers.BigNumberish} amount Amount in the token's base units
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async fundTokenReserves(token, amount) {
+    await this._ensureAllowance(amount, this._erc20(token));
+    return this._send(() => this.contract.fundTokenReserves(token, amount));
+  }
+
+  /**
+   * Withdraw surplus reserves of a token (treasurer only)
+   * @param {string} token Token address
+   * @param {string} to Recipient address
+   * @param {ethers.BigNumberish} amount Amount in the token's base units
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async withdrawTokenReserves(token, to, amount) {
+    return this._send(() => this.contract.withdrawTokenReserves(token, to, amount));
+  }
+
+  /**
+   * Seed balances migrated from a previous deployment (admin only)
+   * @param {string[]} players Player addresses, each imported at most once
+   * @param {ethers.BigNumberish[]} amounts Credit balance of each player
+   * @param {object} [overrides] Transaction overrides, e.g. a gasLimit
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async importBalances(players, amounts, overrides = {}) {
+    return this._send(() => this.contract.importBalances(players, amounts, overrides));
+  }
+
+  /**
+   * Credits already imported for each player (zero when not imported yet)
+   * @param {string[]} players Player addresses
+   * @returns {Promise<ethers.BigNumber[]>}
+   */
+  async getImportedCredits(players) {
+    return this._call(() => Promise.all(players.map((player) => this.contract.importedCredits(player))));
+  }
+
+  /**
+   * Lock balance imports for good (admin only)
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async finalizeMigration() {
+    return this._send(() => this.contract.finalizeMigration());
+  }
+
+  /**
+   * Whether balance imports have been locked
+   * @returns {Promise<boolean>}
+   */
+  async isMigrationFinalized() {
+    return this._call(() => this.contract.migrationFinalized());
+  }
+
+  /**
+   * Toggle rejection of awards that would exceed reserves (admin only)
+   * @param {boolean} enabled
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setEnforceSolvency(enabled) {
+    return this._send(() => this.contract.setEnforceSolvency(enabled));
+  }
+
+  /**
+   * Get the paused flag of every operation
+   * @returns {Promise<{deposit: boolean, spend: boolean, withdraw: boolean, award: boolean, transfer: boolean}>}
+   */
+  async getPauseStatus() {
+    const status = {};
+    for (const [name, id] of Object.entries(OPERATIONS)) {
+      status[name] = await this._call(() => this.contract.paused(id));
+    }
+    return status;
+  }
+
+  /**
+   * Pause an operation (pauser only)
+   * @param {string} operation "deposit", "spend", "withdraw", "award", "transfer" or "all"
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async pause(operation) {
+    if (operation === 'all') {
+      return this._send(() => this.contract.pauseAll());
+    }
+    return this._send(() => this.contract.pause(operationId(operation)));
+  }
+
+  /**
+   * Resume an operation (pauser only)
+   * @param {string} operation "deposit", "spend", "withdraw", "award", "transfer" or "all"
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async unpause(operation) {
+    if (operation === 'all') {
+      return this._send(() => this.contract.unpauseAll());
+    }
+    return this._send(() => this.contract.unpause(operationId(operation)));
+  }
+
+  /**
+   * Update the deposit and withdrawal rates (admin only)
+   * @param {ethers.BigNumberish} depositRate Credits per BULL wei on deposit
+   * @param {ethers.BigNumberish} withdrawalRate Credits per BULL wei on withdrawal
+   * @returns {Promise<ethers.ContractReceipt>}
+   */
+  async setRates(depositRate, withdrawalRate) {
+    return this._send(() => this.contract.setRates(depositRate, withdrawalRate));
+  }
+
+  // EIP-712 domain of the token; read via EIP-5267 when available, else the ERC20Permit defaults
+  async _permitDomain(token) {
+    try {
+      const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+      return { name, version, chainId, verifyingContract };
+    } catch (error) {
+      const { chainId } = await this.signerOrProvider.provider.getNetwork();
+      return { name: await token.name(), version: '1', chainId, verifyingContract: token.address };
+    }
+  }
+
+  async _signAuthorization(fields, { deadline } = {}) {
+    const player = await this._signerAddress();
+    const provider = this.signerOrProvider.provider;
+    const expiry = deadline || (await provider.getBlock('latest')).timestamp + DEFAULT_AUTHORIZATION_TTL;
+
+    const authorization = {
+      ...fields,
+      player,
+      nonce: (await this.getNonce(player)).toString(),
+      deadline: ethers.BigNumber.from(expiry).toString()
+    };
+    authorization.signature = await signAuthorization(this.signerOrProvider, await this.domain(), authorization);
+    return authorization;
+  }
+
+  // Approve the ArcadeManager to pull `amount` of a token (BULL by default) if the allowance is too low
+  // Approve a spender for credits if its current credit allowance is below amount
+  async _ensureCreditAllowance(spender, amount) {
+    const allowance = await this.getCreditAllowance(await this._signerAddress(), spender);
+    if (allowance.lt(amount)) {
+      await this.approveCredits(spender, amount);
+    }
+  }
+
+  async _ensureAllowance(amount, token) {
+    const erc20 = token || await this.token();
+    const owner = await this._signerAddress();
+    const allowance = await erc20.allowance(owner, this.address);
+
+    if (allowance.lt(amount)) {
+      await this._send(() => erc20.approve(this.address, amount));
+    }
+  }
+
+  _erc20(address) {
+    return new ethers.Contract(address, ERC20_ABI, this.signerOrProvider);
+  }
+
+  async _signerAddress() {
+    if (!ethers.Signer.isSigner(this.signerOrProvider)) {
+      throw new Error('This operation requires a signer');
+    }
+    return this.signerOrProvider.getAddress();
+  }
+
+  // Run a read call, mapping reverts to typed errors
+  async _call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw parseError(error);
+    }
+  }
+
+  // Send a transaction and wait for it to be mined, mapping reverts to typed errors
+  async _send(fn) {
+    try {
+      const tx = await fn();
+      return await tx.wait();
+    } catch (error) {
+      throw parseError(error);
+    }
+  }
+}
+
+ArcadeClient.ROLES = ROLES;
+ArcadeClient.OPERATIONS = OPERATIONS;
+
+module.exports = ArcadeClient;
@@ -0,0 +1,135 @@
+/**
+ * ResultSigner
+ * Signing library for game servers: produces EIP-712 GameResult receipts that
+ * players claim through GameResultVerifier.claim, and JackpotResult receipts
+ * claimed through GameResultVerifier.claimJackpot.
+ */
+
+const { ethers } = require('ethers');
+
+const RESULT_TYPES = {
+  GameResult: [
+    { name: 'player', type: 'address' },
+    { name: 'gameId', type: 'uint256' },
+    { name: 'score', type: 'uint256' },
+    { name: 'payout', type: 'uint256' },
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+const JACKPOT_TYPES = {
+  JackpotResult: [
+    { name: 'player', type: 'address' },
+    { name: 'gameId', type: 'uint256' },
+    { name: 'sessionId', type: 'bytes32' },
+    { name: 'expiry', type: 'uint256' }
+  ]
+};
+
+// Default lifetime of a receipt, in seconds
+const DEFAULT_RESULT_TTL = 24 * 60 * 60;
+
+class ResultSigner {
+  /**
+   * @param {object} options
+   * @param {ethers.Signer} options.signer Registered game-server key
+   * @param {string} options.verifier Address of the GameResultVerifier
+   * @param {number} options.chainId Chain the verifier is deployed on
+   * @param {number} [options.ttl] Receipt lifetime in seconds (default 24 hours)
+   */
+  constructor({ signer, verifier, chainId, ttl = DEFAULT_RESULT_TTL }) {
+    if (!signer || !verifier || !chainId) {
+      throw new Error('signer, verifier and chainId are required');
+    }
+    this.signer = signer;
+    this.ttl = ttl;
+    this.domain = {
+      name: 'GameResultVerifier',
+      version: '1',
+      chainId,
+      verifyingContract: verifier
+    };
+  }
+
+  /**
+   * Random session identifier, for servers that don't have their own
+   * @returns {string} bytes32 hex string
+   */
+  static newSessionId() {
+    return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+  }
+
+  /**
+   * Sign a game result
+   * @param {object} result
+   * @param {string} result.player Player to pay
+   * @param {ethers.BigNumberish} result.gameId Registered game ID
+   * @param {ethers.BigNumberish} [result.score] Final score (informational, default 0)
+   * @param {ethers.BigNumberish} result.payout Credits to award
+   * @param {string} [result.sessionId] Unique bytes32 session ID (random if omitted)
+   * @param {number} [result.expiry] Expiry timestamp (defaults to the latest block time + ttl)
+   * @returns {Promise<{result: object, signature: string}>} Receipt to hand to the player
+   */
+  async sign({ player, gameId, score = 0, payout, sessionId, expiry }) {
+    if (!ethers.utils.isAddress(player)) {
+      throw new Error(`Invalid player address: ${player}`);
+    }
+    const result = {
+      player: ethers.utils.getAddress(player),
+      gameId: ethers.BigNumber.from(gameId).toString(),
+      score: ethers.BigNumber.from(score).toString(),
+      payout: ethers.BigNumber.from(payout).toString(),
+      sessionId: sessionId || ResultSigner.newSessionId(),
+      expiry: String(expiry || await this._now() + this.ttl)
+    };
+    const signature = await this.signer._signTypedData(this.domain, RESULT_TYPES, result);
+    return { result, signature };
+  }
+
+  /**
+   * Sign a jackpot win; the player receives whatever the pool holds when the receipt is claimed.
+   * The signer must be allowed to sign jackpot wins (GameResultVerifier.setJackpotSigner).
+   * @param {object} result
+   * @param {string} result.player Player who won the jackpot
+   * @param {ethers.BigNumberish} result.gameId Registered game ID
+   * @param {string} [result.sessionId] Unique bytes32 session ID (random if omitted)
+   * @param {number} [result.expiry] Expiry timestamp (defaults to the latest block time + ttl)
+   * @returns {Promise<{result: object, signature: string}>} Receipt to hand to the player
+   */
+  async signJackpot({ player, gameId, sessionId, expiry }) {
+    if (!ethers.utils.isAddress(player)) {
+      throw new Error(`Invalid player address: ${player}`);
+    }
+    const result = {
+      player: ethers.utils.getAddress(player),
+      gameId: ethers.BigNumber.from(gameId).toString(),
+      sessionId: sessionId || ResultSigner.newSessionId(),
+      expiry: String(expiry || await this._now() + this.ttl)
+    };
+    const signature = await this.signer._signTypedData(this.domain, JACKPOT_TYPES, result);
+    return { result, signature };
+  }
+
+  // Chain time when the signer has a provider (the contract checks expiry against it), else the local clock
+  async _now() {
+    if (this.signer.provider) {
+      return (await this.signer.provider.getBlock('latest')).timestamp;
+    }
+    return Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * Recover the server address that signed a receipt
+   * @param {{result: object, signature: string}} receipt
+   * @returns {string}
+   */
+  recover({ result, signature }) {
+    return ethers.utils.verifyTypedData(this.domain, RESULT_TYPES, result, signature);
+  }
+}
+
+ResultSigner.RESULT_TYPES = RESULT_TYPES;
+ResultSigner.JACKPOT_TYPES = JACKPOT_TYPES;
+
+module.exports = ResultSigner;
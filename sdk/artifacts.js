@@ -0,0 +1,107 @@
+/**
+ * Helpers for locating compiled contract artifacts and deployment records
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DeploymentNotFoundError } = require('./errors');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Short names accepted in place of the hardhat.config.js network names
+const NETWORK_ALIASES = {
+  local: 'localhost',
+  mumbai: 'polygonMumbai'
+};
+
+// Files written by the deploy scripts before deployments/<network>.json existed
+const LEGACY_DEPLOYMENT_FILES = {
+  localhost: 'deployment-local.json',
+  polygonMumbai: 'deployment-mumbai.json'
+};
+
+/**
+ * Load a contract artifact produced by `npx hardhat compile`. The flat files
+ * written by compile.js (ArcadeManager and MockBullToken only) are a fallback,
+ * so a stale one never shadows a newer Hardhat build.
+ * @param {string} contractName Name of the contract, e.g. "ArcadeManager"
+ * @returns {{abi: Array, bytecode: string}}
+ */
+function loadArtifact(contractName) {
+  const candidates = [
+    path.join(ROOT_DIR, 'artifacts', 'contracts', `${contractName}.sol`, `${contractName}.json`),
+    path.join(ROOT_DIR, 'artifacts', 'contracts', `${contractName}.json`)
+  ];
+
+  const artifactPath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!artifactPath) {
+    throw new Error(`Artifact not found for ${contractName}. Run 'npx hardhat compile' first.`);
+  }
+
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+/**
+ * Resolve a network alias to its hardhat.config.js name
+ * @param {string} network Network name or alias
+ * @returns {string}
+ */
+function resolveNetworkName(network) {
+  return NETWORK_ALIASES[network] || network;
+}
+
+/**
+ * Path of the deployment record for a network
+ * @param {string} network Network name, e.g. "localhost" or "polygon"
+ * @returns {string}
+ */
+function deploymentPath(network) {
+  return path.join(ROOT_DIR, 'deployments', `${resolveNetworkName(network)}.json`);
+}
+
+/**
+ * Load the deployment record for a network and normalise its field names
+ * @param {string} network Network name, e.g. "localhost" or "polygonMumbai"
+ * @returns {{network: string, arcadeManager: string, bullToken: string, deployer: string}}
+ */
+function loadDeployment(network) {
+  const name = resolveNetworkName(network);
+  const candidates = [deploymentPath(name)];
+  if (LEGACY_DEPLOYMENT_FILES[name]) {
+    candidates.push(path.join(ROOT_DIR, LEGACY_DEPLOYMENT_FILES[name]));
+  }
+
+  const recordPath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!recordPath) {
+    throw new DeploymentNotFoundError(`No deployment found for network "${name}" (${candidates[0]})`);
+  }
+
+  const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+  return {
+    ...record,
+    network: name,
+    arcadeManager: record.arcadeManager || record.contractAddress,
+    bullToken: record.bullToken || record.mockBullToken || record.bullTokenAddress
+  };
+}
+
+/**
+ * Write the deployment record for a network to deployments/<network>.json
+ * @param {string} network Network name
+ * @param {object} record Deployment information
+ * @returns {string} Path of the written file
+ */
+function saveDeployment(network, record) {
+  const recordPath = deploymentPath(network);
+  fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+  fs.writeFileSync(recordPath, JSON.stringify(record, null, 2));
+  return recordPath;
+}
+
+module.exports = {
+  loadArtifact,
+  resolveNetworkName,
+  deploymentPath,
+  loadDeployment,
+  saveDeployment
+};
@@ -0,0 +1,229 @@
+/**
+ * Typed errors raised by the ArcadeManager SDK.
+ * Contract reverts are mapped to these classes by their revert string so
+ * callers can branch on `instanceof` instead of matching messages.
+ */
+
+class ArcadeError extends Error {
+  constructor(message, { reason, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason || null;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+class InsufficientCreditsError extends ArcadeError {}
+class InvalidAmountError extends ArcadeError {}
+class AmountTooSmallError extends ArcadeError {}
+class InvalidAddressError extends ArcadeError {}
+class InsufficientReserveError extends ArcadeError {}
+class TokenTransferError extends ArcadeError {}
+class UnauthorizedError extends ArcadeError {}
+class InvalidRateError extends ArcadeError {}
+class GameNotFoundError extends ArcadeError {}
+class GameInactiveError extends ArcadeError {}
+class InvalidGameError extends ArcadeError {}
+class OperationPausedError extends ArcadeError {}
+class InvalidBatchError extends ArcadeError {}
+class SignatureExpiredError extends ArcadeError {}
+class InvalidSignatureError extends ArcadeError {}
+class ReceiptClaimedError extends ArcadeError {}
+class PayoutLimitError extends ArcadeError {}
+class WithdrawalRequestError extends ArcadeError {}
+class MigrationError extends ArcadeError {}
+class TransferError extends ArcadeError {}
+class TokenNotAcceptedError extends ArcadeError {}
+class InvalidTokenError extends ArcadeError {}
+class TournamentError extends ArcadeError {}
+class WagerError extends ArcadeError {}
+class JackpotError extends ArcadeError {}
+class RandomnessError extends ArcadeError {}
+class BonusCreditsError extends ArcadeError {}
+class DeploymentNotFoundError extends ArcadeError {}
+
+// Revert strings emitted by ArcadeManager / the token, mapped to error classes
+const REVERT_REASONS = {
+  'Insufficient credits': InsufficientCreditsError,
+  'Amount must be greater than zero': InvalidAmountError,
+  'Resulting token amount too small': AmountTooSmallError,
+  'Resulting credit amount too small': AmountTooSmallError,
+  'Invalid player address': InvalidAddressError,
+  'Token address cannot be zero': InvalidAddressError,
+  'Insufficient contract balance': InsufficientReserveError,
+  'Award exceeds reserves': InsufficientReserveError,
+  'Amount exceeds surplus reserves': InsufficientReserveError,
+  'Invalid recipient address': InvalidAddressError,
+  'Token transfer failed': TokenTransferError,
+  'Permit failed': TokenTransferError,
+  'ERC20: insufficient allowance': TokenTransferError,
+  'ERC20: transfer amount exceeds balance': TokenTransferError,
+  'Ownable: caller is not the owner': UnauthorizedError,
+  'AccessControl: account': UnauthorizedError,
+  'Rate out of bounds': InvalidRateError,
+  'Withdrawal rate below deposit rate': InvalidRateError,
+  'Game does not exist': GameNotFoundError,
+  'Game is not active': GameInactiveError,
+  'Game already exists': InvalidGameError,
+  'Game name cannot be empty': InvalidGameError,
+  'Price must be greater than zero': InvalidAmountError,
+  'Operation is paused': OperationPausedError,
+  'Array length mismatch': InvalidBatchError,
+  'Empty batch': InvalidBatchError,
+  'Batch too large': InvalidBatchError,
+  'Signature expired': SignatureExpiredError,
+  'Invalid signature': InvalidSignatureError,
+  'ECDSA: invalid signature': InvalidSignatureError,
+  'ArcadeManager address cannot be zero': InvalidAddressError,
+  'Invalid signer address': InvalidAddressError,
+  'Invalid signer limits': PayoutLimitError,
+  'Receipt expired': SignatureExpiredError,
+  'Receipt already claimed': ReceiptClaimedError,
+  'Unknown signer': InvalidSignatureError,
+  'Payout exceeds signer limit': PayoutLimitError,
+  'Signer daily limit reached': PayoutLimitError,
+  'Payout limit reached': PayoutLimitError,
+  'Fee too high': InvalidAmountError,
+  'Delay too long': InvalidAmountError,
+  'Withdrawals require a request': WithdrawalRequestError,
+  'Withdrawal request not found': WithdrawalRequestError,
+  'Withdrawal still locked': WithdrawalRequestError,
+  'Not the requester': UnauthorizedError,
+  'Migration finalized': MigrationError,
+  'Balance already imported': MigrationError,
+  'Transfers disabled': TransferError,
+  'Cannot transfer to self': TransferError,
+  'Insufficient allowance': TransferError,
+  'Invalid spender address': InvalidAddressError,
+  'Only the credits token': UnauthorizedError,
+  'Only ArcadeManager': UnauthorizedError,
+  'Token not accepted': TokenNotAcceptedError,
+  'Token already accepted': InvalidTokenError,
+  'Too many tokens': InvalidTokenError,
+  'Cannot remove BULL': InvalidTokenError,
+  'Tournament name cannot be empty': TournamentError,
+  'Invalid tournament times': TournamentError,
+  'Tournament would already be over': TournamentError,
+  'Rake too high': TournamentError,
+  'Invalid payout table': TournamentError,
+  'Payouts must sum to 100%': TournamentError,
+  'Tournament not open': TournamentError,
+  'Tournament has ended': TournamentError,
+  'Tournament has not ended': TournamentError,
+  'Already entered': TournamentError,
+  'Finalize window has passed': TournamentError,
+  'Too many rankings': TournamentError,
+  'Rankings required': TournamentError,
+  'Ranked player did not enter': TournamentError,
+  'Duplicate ranking': TournamentError,
+  'No entry to refund': TournamentError,
+  'Refunds not available': TournamentError,
+  'Stake must be greater than zero': InvalidAmountError,
+  'Cannot challenge yourself': WagerError,
+  'Challenge not open': WagerError,
+  'Challenge not accepted': WagerError,
+  'Not the challenged player': WagerError,
+  'Not the challenger': WagerError,
+  'Match not expired': WagerError,
+  'Match expired': WagerError,
+  'Winner is not a player': WagerError,
+  'Timeout out of bounds': WagerError,
+  'Jackpot share too high': JackpotError,
+  'Jackpot is empty': JackpotError,
+  'Not a jackpot signer': JackpotError,
+  'Invalid commitment count': RandomnessError,
+  'Invalid commitment': RandomnessError,
+  'No operator seeds available': RandomnessError,
+  'Request not pending': RandomnessError,
+  'Request not awaiting source': RandomnessError,
+  'Request not awaiting player seed': RandomnessError,
+  'Not enough gas for callback': RandomnessError,
+  'Request served by coordinator': RandomnessError,
+  'Seed does not match commitment': RandomnessError,
+  'Not the coordinator': RandomnessError,
+  'Request not expired': RandomnessError,
+  'Invalid expiry': BonusCreditsError,
+  'Too many bonus lots': BonusCreditsError
+};
+
+// Node messages wrap the revert string, e.g. "reverted with reason string 'Insufficient credits'"
+const WRAPPED_REASON = /reverted with reason string '(.*)'/;
+
+// Pull the revert string out of the various shapes ethers v5 errors take
+function extractRevertReason(error) {
+  const candidates = [
+    error && error.reason,
+    error && error.error && error.error.message,
+    error && error.data && error.data.message,
+    error && error.message
+  ];
+
+  for (const text of candidates) {
+    if (typeof text !== 'string') continue;
+    for (const reason of Object.keys(REVERT_REASONS)) {
+      if (text.includes(reason)) {
+        const wrapped = text.match(WRAPPED_REASON);
+        return { reason, message: wrapped ? wrapped[1] : text };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert an ethers error into a typed ArcadeError.
+ * Errors that are not recognised contract reverts are returned unchanged.
+ * @param {Error} error Error thrown by ethers
+ * @returns {Error}
+ */
+function parseError(error) {
+  if (error instanceof ArcadeError) {
+    return error;
+  }
+
+  const extracted = extractRevertReason(error);
+  if (!extracted) {
+    return error;
+  }
+
+  // The message keeps the full revert string, e.g. which role is missing
+  const { reason, message } = extracted;
+  const ErrorClass = REVERT_REASONS[reason];
+  return new ErrorClass(message, { reason, cause: error });
+}
+
+module.exports = {
+  ArcadeError,
+  InsufficientCreditsError,
+  InvalidAmountError,
+  AmountTooSmallError,
+  InvalidAddressError,
+  InsufficientReserveError,
+  TokenTransferError,
+  UnauthorizedError,
+  InvalidRateError,
+  GameNotFoundError,
+  GameInactiveError,
+  InvalidGameError,
+  OperationPausedError,
+  InvalidBatchError,
+  SignatureExpiredError,
+  InvalidSignatureError,
+  ReceiptClaimedError,
+  PayoutLimitError,
+  WithdrawalRequestError,
+  MigrationError,
+  TransferError,
+  TokenNotAcceptedError,
+  InvalidTokenError,
+  TournamentError,
+  WagerError,
+  JackpotError,
+  RandomnessError,
+  BonusCreditsError,
+  DeploymentNotFoundError,
+  REVERT_REASONS,
+  parseError
+};
@@ -0,0 +1,31 @@
+/**
+ * ArcadeManager JavaScript SDK
+ */
+
+const ArcadeClient = require('./ArcadeClient');
+const ResultSigner = require('./ResultSigner');
+const errors = require('./errors');
+const signing = require('./signing');
+const randomness = require('./randomness');
+const {
+  loadArtifact,
+  resolveNetworkName,
+  deploymentPath,
+  loadDeployment,
+  saveDeployment
+} = require('./artifacts');
+
+module.exports = {
+  ArcadeClient,
+  ResultSigner,
+  ROLES: ArcadeClient.ROLES,
+  OPERATIONS: ArcadeClient.OPERATIONS,
+  loadArtifact,
+  resolveNetworkName,
+  deploymentPath,
+  loadDeployment,
+  saveDeployment,
+  ...signing,
+  ...randomness,
+  ...errors
+};
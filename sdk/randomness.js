@@ -0,0 +1,42 @@
+/**
+ * Helpers for ArcadeRandomness commit-reveal: operators and players generate secret
+ * seeds and commit their hashes; anyone can recompute a result from the revealed seeds.
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Random bytes32 seed, for operator secrets and player seeds
+ * @returns {string} bytes32 hex string
+ */
+function newSeed() {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+}
+
+/**
+ * Commitment published for a secret operator or player seed (keccak256 of the seed)
+ * @param {string} seed bytes32 secret
+ * @returns {string} bytes32 commitment
+ */
+function seedCommitment(seed) {
+  return ethers.utils.keccak256(ethers.utils.hexZeroPad(seed, 32));
+}
+
+/**
+ * Recompute a request's result, as ArcadeRandomness.deriveRandomness does
+ * @param {ethers.BigNumberish} requestId Request ID
+ * @param {string} source Revealed operator seed, or the coordinator's random word as bytes32
+ * @param {string} playerSeed Seed chosen by the player
+ * @returns {ethers.BigNumber}
+ */
+function deriveRandomness(requestId, source, playerSeed) {
+  return ethers.BigNumber.from(ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(['bytes32', 'bytes32', 'uint256'], [source, playerSeed, requestId])
+  ));
+}
+
+module.exports = {
+  newSeed,
+  seedCommitment,
+  deriveRandomness
+};
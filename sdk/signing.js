@@ -0,0 +1,158 @@
+/**
+ * EIP-712 helpers for gasless play/spend authorizations and EIP-2612 permits.
+ * Players sign these messages off-chain; a relayer submits them through
+ * ArcadeManager.playGameFor / spendCreditsFor and pays the gas, and permits
+ * let depositWithPermit replace the separate approve transaction.
+ * Wager settlements are signed by both players of an ArcadeWagers match.
+ */
+
+const { ethers } = require('ethers');
+
+// Must match the EIP712("ArcadeManager", "1") constructor arguments
+const DOMAIN_NAME = 'ArcadeManager';
+const DOMAIN_VERSION = '1';
+
+const AUTHORIZATION_TYPES = {
+  play: {
+    Play: [
+      { name: 'player', type: 'address' },
+      { name: 'gameId', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  spend: {
+    Spend: [
+      { name: 'player', type: 'address' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+const SETTLEMENT_TYPES = {
+  Settlement: [
+    { name: 'challengeId', type: 'uint256' },
+    { name: 'winner', type: 'address' }
+  ]
+};
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain of an ArcadeManager deployment
+ * @param {number} chainId Chain the contract is deployed on
+ * @param {string} verifyingContract ArcadeManager address
+ * @returns {object}
+ */
+function arcadeDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract
+  };
+}
+
+// Typed-data message of an authorization object
+function authorizationMessage(authorization) {
+  const { type, player, nonce, deadline } = authorization;
+  if (type === 'play') {
+    return { player, gameId: authorization.gameId, nonce, deadline };
+  }
+  if (type === 'spend') {
+    return { player, amount: authorization.amount, nonce, deadline };
+  }
+  throw new Error(`Unknown authorization type "${type}"`);
+}
+
+/**
+ * Sign a play or spend authorization
+ * @param {ethers.Signer} signer The player
+ * @param {object} domain Result of arcadeDomain()
+ * @param {object} authorization `{ type: 'play', player, gameId, nonce, deadline }`
+ *   or `{ type: 'spend', player, amount, nonce, deadline }`
+ * @returns {Promise<string>} Signature
+ */
+async function signAuthorization(signer, domain, authorization) {
+  return signer._signTypedData(
+    domain,
+    AUTHORIZATION_TYPES[authorization.type],
+    authorizationMessage(authorization)
+  );
+}
+
+/**
+ * Recover the address that signed an authorization
+ * @param {object} domain Result of arcadeDomain()
+ * @param {object} authorization Authorization including its `signature`
+ * @returns {string} Signer address
+ */
+function recoverAuthorizationSigner(domain, authorization) {
+  return ethers.utils.verifyTypedData(
+    domain,
+    AUTHORIZATION_TYPES[authorization.type],
+    authorizationMessage(authorization),
+    authorization.signature
+  );
+}
+
+/**
+ * EIP-712 domain of an ArcadeWagers deployment
+ * @param {number} chainId Chain the contract is deployed on
+ * @param {string} verifyingContract ArcadeWagers address
+ * @returns {object}
+ */
+function wagerDomain(chainId, verifyingContract) {
+  return {
+    name: 'ArcadeWagers',
+    version: '1',
+    chainId,
+    verifyingContract
+  };
+}
+
+/**
+ * Sign the outcome of a wager match; both players must sign the same settlement
+ * @param {ethers.Signer} signer One of the players
+ * @param {object} domain Result of wagerDomain()
+ * @param {object} settlement `{ challengeId, winner }`, winner being the zero address for a draw
+ * @returns {Promise<string>} Signature
+ */
+async function signSettlement(signer, domain, { challengeId, winner }) {
+  return signer._signTypedData(domain, SETTLEMENT_TYPES, { challengeId, winner });
+}
+
+/**
+ * Sign an EIP-2612 permit
+ * @param {ethers.Signer} signer The token holder
+ * @param {object} domain EIP-712 domain of the token
+ * @param {object} permit `{ owner, spender, value, nonce, deadline }`
+ * @returns {Promise<{v: number, r: string, s: string}>} Split signature
+ */
+async function signPermit(signer, domain, permit) {
+  const signature = await signer._signTypedData(domain, PERMIT_TYPES, permit);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { v, r, s };
+}
+
+module.exports = {
+  AUTHORIZATION_TYPES,
+  PERMIT_TYPES,
+  SETTLEMENT_TYPES,
+  signPermit,
+  wagerDomain,
+  signSettlement,
+  arcadeDomain,
+  signAuthorization,
+  recoverAuthorizationSigner
+};
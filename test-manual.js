@@ -1,21 +1,10 @@
 const ethers = require('ethers');
-const fs = require('fs');
-const path = require('path');
+const { ArcadeClient, loadArtifact } = require('./sdk');
 
 // Configure a local provider running at the standard port
 // Use 0.0.0.0 instead of localhost to ensure it works in Replit
 const provider = new ethers.providers.JsonRpcProvider('http://0.0.0.0:8545');
 
-// Helper function to load contract artifacts
-function loadArtifact(contractName) {
-  const artifactPath = path.resolve('artifacts', 'contracts', `${contractName}.json`);
-  if (!fs.existsSync(artifactPath)) {
-    console.error(`Artifact not found: ${artifactPath}`);
-    process.exit(1);
-  }
-  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-}
-
 // Create a wallet with a private key (this will be automatically funded on Hardhat)
 function createWallets(count = 3) {
   const wallets = [];
@@ -75,10 +64,20 @@ async function runTests() {
       arcadeManagerArtifact.bytecode,
       owner
     );
-    const arcadeManager = await arcadeManagerFactory.deploy(bullToken.address);
+    const arcadeManager = await arcadeManagerFactory.deploy(bullToken.address, 100, 100);
     await arcadeManager.deployed();
     console.log(`ArcadeManager deployed at: ${arcadeManager.address}`);
     
+    // SDK clients for each actor
+    const ownerClient = new ArcadeClient({
+      arcadeManager: arcadeManager.address,
+      bullToken: bullToken.address,
+      signerOrProvider: owner,
+      abi: arcadeManagerArtifact.abi
+    });
+    const user1Client = ownerClient.connect(user1);
+    const user2Client = ownerClient.connect(user2);
+    
     // Transfer tokens to users
     console.log('Transferring BULL tokens to users...');
     await (await bullToken.transfer(user1.address, ethers.utils.parseEther('1000'))).wait();
@@ -88,8 +87,8 @@ async function runTests() {
     console.log('\nTest 1: Verifying initial state');
     const tokenAddress = await arcadeManager.bullToken();
     console.log(`- Bull token address: ${tokenAddress}`);
-    const contractOwner = await arcadeManager.owner();
-    console.log(`- Contract owner: ${contractOwner}`);
+    const ownerIsAdmin = await ownerClient.hasRole('admin', owner.address);
+    console.log(`- Contract admins: ${(await ownerClient.getRoleMembers('admin')).join(', ')}`);
     
     if (tokenAddress === bullToken.address) {
       console.log('✅ Bull token address is correct');
@@ -97,32 +96,29 @@ async function runTests() {
       console.log('❌ Bull token address is incorrect');
     }
     
-    if (contractOwner === owner.address) {
-      console.log('✅ Owner is correct');
+    if (ownerIsAdmin) {
+      console.log('✅ Admin is correct');
     } else {
-      console.log('❌ Owner is incorrect');
+      console.log('❌ Admin is incorrect');
     }
     
     // Test 2: Deposit function
     console.log('\nTest 2: Testing deposit function');
     const depositAmount = ethers.utils.parseEther('10');
-    const expectedCredits = depositAmount.mul(100); // CREDIT_RATE = 100
-    
-    // Approve tokens first
-    await (await bullToken.connect(user1).approve(arcadeManager.address, depositAmount)).wait();
+    const expectedCredits = await user1Client.bullToCredits(depositAmount);
     
     // Record initial balances
-    const user1InitialCredits = await arcadeManager.userCredits(user1.address);
+    const user1InitialCredits = await ownerClient.getCredits(user1.address);
     const contractInitialBalance = await bullToken.balanceOf(arcadeManager.address);
     
     console.log(`- User1 initial credits: ${user1InitialCredits}`);
     console.log(`- Contract initial BULL balance: ${ethers.utils.formatEther(contractInitialBalance)}`);
     
-    // Make deposit
-    await (await arcadeManager.connect(user1).deposit(depositAmount)).wait();
+    // Deposit in one transaction with an EIP-2612 permit (no separate approve)
+    await user1Client.depositWithPermit(depositAmount);
     
     // Check final balances
-    const user1FinalCredits = await arcadeManager.userCredits(user1.address);
+    const user1FinalCredits = await ownerClient.getCredits(user1.address);
     const contractFinalBalance = await bullToken.balanceOf(arcadeManager.address);
     
     console.log(`- User1 final credits: ${user1FinalCredits}`);
@@ -145,14 +141,14 @@ async function runTests() {
     const spendAmount = 500; // credits
     
     // Record initial credits
-    const initialCredits = await arcadeManager.userCredits(user1.address);
+    const initialCredits = await ownerClient.getCredits(user1.address);
     console.log(`- User1 initial credits: ${initialCredits}`);
     
     // Spend credits
-    await (await arcadeManager.connect(user1).spendCredits(spendAmount)).wait();
+    await user1Client.spendCredits(spendAmount);
     
     // Check final credits
-    const finalCredits = await arcadeManager.userCredits(user1.address);
+    const finalCredits = await ownerClient.getCredits(user1.address);
     console.log(`- User1 final credits: ${finalCredits}`);
     
     if (initialCredits.sub(finalCredits).eq(spendAmount)) {
@@ -166,14 +162,14 @@ async function runTests() {
     const awardAmount = 500; // credits
     
     // Record initial credits
-    const user2InitialCredits = await arcadeManager.userCredits(user2.address);
+    const user2InitialCredits = await ownerClient.getCredits(user2.address);
     console.log(`- User2 initial credits: ${user2InitialCredits}`);
     
     // Award credits
-    await (await arcadeManager.connect(owner).awardWinnings(user2.address, awardAmount)).wait();
+    await ownerClient.awardWinnings(user2.address, awardAmount);
     
     // Check final credits
-    const user2FinalCredits = await arcadeManager.userCredits(user2.address);
+    const user2FinalCredits = await ownerClient.getCredits(user2.address);
     console.log(`- User2 final credits: ${user2FinalCredits}`);
     
     if (user2FinalCredits.sub(user2InitialCredits).eq(awardAmount)) {
@@ -185,11 +181,11 @@ async function runTests() {
     // Test 5: Withdraw credits
     console.log('\nTest 5: Testing withdraw function');
     const withdrawAmount = 500; // credits
-    const expectedTokens = ethers.utils.parseEther('5'); // 500 / 100 = 5 BULL
+    const expectedTokens = await user2Client.creditsToBull(withdrawAmount);
     
     // Record initial balances
     const user2InitialTokens = await bullToken.balanceOf(user2.address);
-    const user2WithdrawInitialCredits = await arcadeManager.userCredits(user2.address);
+    const user2WithdrawInitialCredits = await ownerClient.getCredits(user2.address);
     const contractWithdrawInitialBalance = await bullToken.balanceOf(arcadeManager.address);
     
     console.log(`- User2 initial credits: ${user2WithdrawInitialCredits}`);
@@ -197,11 +193,11 @@ async function runTests() {
     console.log(`- Contract initial BULL: ${ethers.utils.formatEther(contractWithdrawInitialBalance)}`);
     
     // Withdraw credits
-    await (await arcadeManager.connect(user2).withdraw(withdrawAmount)).wait();
+    await user2Client.withdraw(withdrawAmount);
     
     // Check final balances
     const user2FinalTokens = await bullToken.balanceOf(user2.address);
-    const user2WithdrawFinalCredits = await arcadeManager.userCredits(user2.address);
+    const user2WithdrawFinalCredits = await ownerClient.getCredits(user2.address);
     const contractWithdrawFinalBalance = await bullToken.balanceOf(arcadeManager.address);
     
     console.log(`- User2 final credits: ${user2WithdrawFinalCredits}`);
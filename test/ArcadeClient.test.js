@@ -0,0 +1,399 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  ArcadeClient,
+  InsufficientCreditsError,
+  InvalidAmountError,
+  UnauthorizedError,
+  GameNotFoundError,
+  OperationPausedError,
+  InsufficientReserveError,
+  PayoutLimitError,
+  WithdrawalRequestError,
+  TransferError,
+  TokenNotAcceptedError,
+  JackpotError,
+  BonusCreditsError
+} = require("../sdk");
+const { expectError } = require("./helpers");
+
+describe("ArcadeClient", function () {
+  let arcadeManager;
+  let bullToken;
+  let owner;
+  let user1;
+  let ownerClient;
+  let userClient;
+  
+  const DEPOSIT_RATE = 100;
+  const WITHDRAWAL_RATE = 100;
+  const INITIAL_TOKEN_SUPPLY = ethers.utils.parseEther("1000");
+  const ONE_BULL = ethers.utils.parseEther("1");
+  const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
+  
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(INITIAL_TOKEN_SUPPLY);
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, DEPOSIT_RATE, WITHDRAWAL_RATE);
+    await arcadeManager.deployed();
+    
+    await bullToken.transfer(user1.address, DEPOSIT_AMOUNT.mul(2));
+    
+    ownerClient = new ArcadeClient({
+      arcadeManager: arcadeManager.address,
+      signerOrProvider: owner,
+      abi: ArcadeManager.interface.format()
+    });
+    userClient = ownerClient.connect(user1);
+  });
+  
+  describe("Conversion", function () {
+    it("Should convert BULL to credits and back using the contract rates", async function () {
+      const credits = await userClient.bullToCredits(DEPOSIT_AMOUNT);
+      expect(credits).to.equal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL));
+      expect(await userClient.creditsToBull(credits)).to.equal(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should pick up rate changes", async function () {
+      await ownerClient.setRates(200, 400);
+      
+      const rates = await userClient.getRates();
+      expect(rates.depositRate).to.equal(200);
+      expect(rates.withdrawalRate).to.equal(400);
+      expect(await userClient.bullToCredits(ONE_BULL)).to.equal(200);
+      expect(await userClient.bullToCredits(ONE_BULL.div(400))).to.equal(0);
+      expect(await userClient.creditsToBull(800)).to.equal(ONE_BULL.mul(2));
+    });
+  });
+  
+  describe("approveAndDeposit", function () {
+    it("Should approve and deposit in one call", async function () {
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+      
+      expect(await userClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL));
+      expect(await bullToken.balanceOf(arcadeManager.address)).to.equal(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should reuse an existing allowance", async function () {
+      await bullToken.connect(user1).approve(arcadeManager.address, DEPOSIT_AMOUNT.mul(2));
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+      
+      expect(await bullToken.allowance(user1.address, arcadeManager.address)).to.equal(DEPOSIT_AMOUNT);
+    });
+  });
+  
+  describe("depositWithPermit", function () {
+    it("Should deposit in a single transaction without an allowance", async function () {
+      expect(await userClient.supportsPermit()).to.equal(true);
+      
+      const receipt = await userClient.depositWithPermit(DEPOSIT_AMOUNT);
+      expect(receipt.to).to.equal(arcadeManager.address);
+      expect(await userClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL));
+      expect(await bullToken.allowance(user1.address, arcadeManager.address)).to.equal(0);
+    });
+    
+    it("Should pick the permit path in depositTokens", async function () {
+      const before = await ethers.provider.getTransactionCount(user1.address);
+      await userClient.depositTokens(DEPOSIT_AMOUNT);
+      
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(before + 1);
+      expect(await userClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL));
+    });
+  });
+  
+  describe("Gameplay", function () {
+    beforeEach(async function () {
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should spend, award and withdraw credits", async function () {
+      const credits = DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL);
+      
+      await userClient.spendCredits(500);
+      await ownerClient.awardWinnings(user1.address, 500);
+      expect(await userClient.getCredits()).to.equal(credits);
+      
+      await userClient.withdraw(credits);
+      expect(await userClient.getCredits()).to.equal(0);
+      expect(await bullToken.balanceOf(user1.address)).to.equal(DEPOSIT_AMOUNT.mul(2));
+    });
+  });
+  
+  describe("Transfers", function () {
+    beforeEach(async function () {
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should transfer credits directly and through an allowance once enabled", async function () {
+      await expectError(userClient.transferCredits(owner.address, 100), TransferError);
+      await ownerClient.setTransfersEnabled(true);
+      expect(await userClient.transfersEnabled()).to.equal(true);
+      
+      await userClient.transferCredits(owner.address, 100);
+      await userClient.approveCredits(owner.address, 50);
+      expect(await userClient.getCreditAllowance(user1.address, owner.address)).to.equal(50);
+      await ownerClient.transferCreditsFrom(user1.address, owner.address, 50);
+      
+      expect(await ownerClient.getCredits()).to.equal(150);
+      await expectError(ownerClient.transferCreditsFrom(user1.address, owner.address, 1), TransferError);
+      await expectError(userClient.transferCredits(user1.address, 1), TransferError);
+    });
+  });
+  
+  describe("Withdrawals", function () {
+    beforeEach(async function () {
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should preview the fee", async function () {
+      await ownerClient.setWithdrawalFee(500, owner.address);
+      
+      const preview = await userClient.previewWithdrawal(100);
+      expect(preview.gross).to.equal(ONE_BULL);
+      expect(preview.fee).to.equal(ONE_BULL.div(20));
+      expect(preview.converted).to.equal(100);
+      
+      const large = await userClient.previewWithdrawal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL));
+      expect(large.fee).to.equal(DEPOSIT_AMOUNT.div(20));
+      expect(large.net).to.equal(DEPOSIT_AMOUNT.sub(large.fee));
+    });
+    
+    it("Should request, list, cancel and claim timelocked withdrawals", async function () {
+      await ownerClient.setWithdrawalDelay(3600);
+      expect((await userClient.getWithdrawalSettings()).delay).to.equal(3600);
+      await expectError(userClient.withdraw(100), WithdrawalRequestError);
+      
+      const first = await userClient.requestWithdrawal(100);
+      const second = await userClient.requestWithdrawal(200);
+      expect(second.id).to.equal(first.id.add(1));
+      
+      await ownerClient.cancelWithdrawal(first.id);
+      const pending = await ownerClient.getPendingWithdrawals();
+      expect(pending.map((request) => request.id.toNumber())).to.deep.equal([second.id.toNumber()]);
+      expect(await ownerClient.getPendingWithdrawals({ player: owner.address })).to.deep.equal([]);
+      
+      await expectError(userClient.claimWithdrawal(second.id), WithdrawalRequestError);
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await userClient.claimWithdrawal(second.id);
+      expect(await userClient.getPendingWithdrawals()).to.deep.equal([]);
+    });
+  });
+  
+  describe("Tokens", function () {
+    const USDC_AMOUNT = ethers.utils.parseUnits("10", 6);
+    let usdc;
+    
+    beforeEach(async function () {
+      const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6, USDC_AMOUNT.mul(10));
+      await usdc.deployed();
+      await usdc.transfer(user1.address, USDC_AMOUNT);
+      await ownerClient.addToken(usdc.address, 90, 100);
+    });
+    
+    it("Should list accepted tokens and find them by symbol", async function () {
+      const tokens = await userClient.getTokens();
+      expect(tokens.map((token) => token.symbol)).to.deep.equal(["BULL", "USDC"]);
+      expect(tokens[1].unit).to.equal(ethers.utils.parseUnits("1", 6));
+      expect(tokens[1].depositRate).to.equal(90);
+      
+      expect((await userClient.findToken("usdc")).address).to.equal(usdc.address);
+      await expectError(userClient.findToken("DAI"), TokenNotAcceptedError);
+    });
+    
+    it("Should deposit, withdraw and hold reserves per token", async function () {
+      await userClient.depositToken(usdc.address, USDC_AMOUNT);
+      expect(await userClient.getCredits()).to.equal(900);
+      
+      await userClient.withdrawToken(usdc.address, 100);
+      expect(await usdc.balanceOf(user1.address)).to.equal(ethers.utils.parseUnits("1", 6));
+      
+      await ownerClient.fundTokenReserves(usdc.address, USDC_AMOUNT);
+      const [bull, usdcReserves] = await ownerClient.getTokenReserves();
+      expect(bull.balance).to.equal(0);
+      expect(usdcReserves.balance).to.equal(USDC_AMOUNT.mul(2).sub(ethers.utils.parseUnits("1", 6)));
+      expect(usdcReserves.surplus).to.equal(usdcReserves.balance.sub(ethers.utils.parseUnits("8", 6)));
+      expect((await ownerClient.getSolvency()).reserveCredits).to.equal(1900);
+      
+      await ownerClient.withdrawTokenReserves(usdc.address, owner.address, usdcReserves.surplus);
+      await expectError(ownerClient.withdrawTokenReserves(usdc.address, owner.address, 1), InsufficientReserveError);
+    });
+    
+    it("Should list pending withdrawals with their token", async function () {
+      await userClient.depositToken(usdc.address, USDC_AMOUNT);
+      await ownerClient.setWithdrawalDelay(3600);
+      
+      await userClient.requestTokenWithdrawal(usdc.address, 300);
+      const [request] = await userClient.getPendingWithdrawals();
+      expect(request.token).to.equal(usdc.address);
+      expect(request.tokenAmount).to.equal(ethers.utils.parseUnits("3", 6));
+      
+      await ownerClient.removeToken(usdc.address);
+      await expectError(userClient.depositToken(usdc.address, 1), TokenNotAcceptedError);
+    });
+  });
+  
+  describe("Games", function () {
+    it("Should list registered games", async function () {
+      await ownerClient.addGame(1, "Pac-Man", 250);
+      await ownerClient.addGame(2, "Galaga", 100);
+      await ownerClient.updateGame(2, { active: false });
+      
+      const games = await userClient.getGames();
+      expect(games.map((game) => game.name)).to.deep.equal(["Pac-Man", "Galaga"]);
+      expect(games[0].price).to.equal(250);
+      expect(games[1].active).to.equal(false);
+    });
+    
+    it("Should play a game", async function () {
+      await ownerClient.addGame(1, "Pac-Man", 250);
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+      await userClient.playGame(1);
+      
+      expect(await userClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL).sub(250));
+    });
+    
+    it("Should raise GameNotFoundError for unknown games", async function () {
+      await expectError(userClient.playGame(99), GameNotFoundError);
+    });
+  });
+  
+  describe("Roles", function () {
+    it("Should grant and revoke the operator role", async function () {
+      await ownerClient.grantRole("operator", user1.address);
+      expect(await ownerClient.hasRole("operator", user1.address)).to.equal(true);
+      expect(await ownerClient.getRoleMembers("operator")).to.include(user1.address);
+      
+      await userClient.awardWinnings(user1.address, 500);
+      expect(await userClient.getCredits()).to.equal(500);
+      
+      await ownerClient.revokeRole("operator", user1.address);
+      expect(await ownerClient.hasRole("operator", user1.address)).to.equal(false);
+    });
+    
+    it("Should reject unknown role names", async function () {
+      await expectError(ownerClient.grantRole("superuser", user1.address), "Unknown role");
+    });
+  });
+  
+  describe("Treasury", function () {
+    it("Should fund reserves and report solvency", async function () {
+      const reserve = ethers.utils.parseEther("5");
+      
+      let solvency = await userClient.getSolvency();
+      expect(solvency.ratioBps).to.equal(null);
+      
+      await ownerClient.fundReserves(reserve);
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+      
+      solvency = await userClient.getSolvency();
+      expect(solvency.reserves).to.equal(DEPOSIT_AMOUNT.add(reserve));
+      expect(solvency.liabilities).to.equal(DEPOSIT_AMOUNT);
+      expect(solvency.surplus).to.equal(reserve);
+      expect(solvency.ratioBps).to.equal(15000);
+      
+      await expectError(ownerClient.withdrawReserves(owner.address, reserve.add(1)), InsufficientReserveError);
+    });
+  });
+  
+  describe("Payout limits", function () {
+    it("Should report limits and throw when an award is blocked", async function () {
+      await ownerClient.setPayoutLimits({ maxAward: 1000, playerDaily: 1500 });
+      
+      const limits = await userClient.getPayoutLimits();
+      expect(limits.maxAward).to.equal(1000);
+      expect(limits.globalDaily).to.equal(0);
+      expect(limits.remainingGlobal).to.equal(null);
+      
+      await ownerClient.awardWinnings(user1.address, 1000);
+      expect(await userClient.getRemainingPayout(user1.address)).to.equal(500);
+      await expectError(ownerClient.awardWinnings(user1.address, 600), PayoutLimitError);
+      
+      const receipt = await ownerClient.awardWinningsBatch([user1.address, owner.address], [600, 200]);
+      expect(ownerClient.blockedPayouts(receipt)).to.deep.equal([
+        { player: user1.address, amount: ethers.BigNumber.from(600), limit: "playerDaily" }
+      ]);
+      expect(await userClient.getCredits()).to.equal(1000);
+    });
+  });
+  
+  describe("Jackpot", function () {
+    it("Should show and award the jackpot", async function () {
+      await ownerClient.setJackpot(500, 10);
+      await ownerClient.awardWinnings(user1.address, 1000);
+      await userClient.spendCredits(400);
+      expect(await userClient.getJackpot()).to.deep.equal({ pool: ethers.BigNumber.from(20), bps: 500, seed: ethers.BigNumber.from(10) });
+      
+      const { amount, seed } = await ownerClient.awardJackpot(user1.address);
+      expect(amount).to.equal(20);
+      expect(seed).to.equal(10);
+      expect(await userClient.getCredits()).to.equal(620);
+      await expectError(ownerClient.setJackpot(2500), JackpotError);
+    });
+  });
+  
+  describe("BonusCredits", function () {
+    it("Should grant, show and spend bonus credits", async function () {
+      const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await ownerClient.awardWinnings(user1.address, 100);
+      await ownerClient.grantBonusCredits(user1.address, 50, expiresAt);
+      expect(await userClient.getCreditBalances()).to.deep.equal({
+        credits: ethers.BigNumber.from(100),
+        bonus: ethers.BigNumber.from(50),
+        nextBonusExpiry: expiresAt
+      });
+      await ownerClient.grantBonusCredits(user1.address, 30);
+      expect(await userClient.getBonusLots()).to.deep.equal([
+        { amount: ethers.BigNumber.from(50), expiresAt },
+        { amount: ethers.BigNumber.from(30), expiresAt: null }
+      ]);
+      
+      await userClient.spendCredits(100);
+      expect(await userClient.getCreditBalances()).to.deep.equal({
+        credits: ethers.BigNumber.from(80),
+        bonus: ethers.BigNumber.from(0),
+        nextBonusExpiry: null
+      });
+      expect(await userClient.getBonusLots()).to.deep.equal([]);
+      await expectError(ownerClient.grantBonusCredits(user1.address, 50, expiresAt - 7200), BonusCreditsError);
+    });
+  });
+  
+  describe("Pause", function () {
+    it("Should pause and unpause operations", async function () {
+      await ownerClient.pause("withdraw");
+      expect(await userClient.getPauseStatus()).to.deep.equal({
+        deposit: false,
+        spend: false,
+        withdraw: true,
+        award: false,
+        transfer: false
+      });
+      
+      await ownerClient.pause("all");
+      await expectError(userClient.approveAndDeposit(DEPOSIT_AMOUNT), OperationPausedError);
+      
+      await ownerClient.unpause("all");
+      await userClient.approveAndDeposit(DEPOSIT_AMOUNT);
+    });
+  });
+  
+  describe("Error mapping", function () {
+    it("Should raise InsufficientCreditsError", async function () {
+      await expectError(userClient.spendCredits(1), InsufficientCreditsError);
+    });
+    
+    it("Should raise InvalidAmountError", async function () {
+      await expectError(userClient.withdraw(0), InvalidAmountError);
+    });
+    
+    it("Should raise UnauthorizedError", async function () {
+      await expectError(userClient.awardWinnings(user1.address, 500), UnauthorizedError);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ArcadeCredits", function () {
+  let arcadeManager;
+  let bullToken;
+  let credits;
+  let owner;
+  let player;
+  let friend;
+  
+  const Operation = { Transfer: 4 };
+  const ONE_BULL = ethers.utils.parseEther("1");
+  const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
+  const CREDIT_AMOUNT = 1000;
+  const { AddressZero } = ethers.constants;
+  
+  beforeEach(async function () {
+    [owner, player, friend] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    
+    const ArcadeCredits = await ethers.getContractFactory("ArcadeCredits");
+    credits = await ArcadeCredits.deploy(arcadeManager.address, "Arcade Credits", "CREDIT");
+    await credits.deployed();
+    await expect(arcadeManager.setCreditsToken(credits.address))
+      .to.emit(arcadeManager, "CreditsTokenChanged")
+      .withArgs(credits.address);
+    
+    await bullToken.transfer(player.address, DEPOSIT_AMOUNT);
+    await bullToken.connect(player).approve(arcadeManager.address, DEPOSIT_AMOUNT);
+  });
+  
+  it("Should expose the credits as ERC-20 metadata and balances", async function () {
+    await arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT);
+    
+    expect(await credits.name()).to.equal("Arcade Credits");
+    expect(await credits.symbol()).to.equal("CREDIT");
+    expect(await credits.decimals()).to.equal(0);
+    expect(await credits.balanceOf(player.address)).to.equal(CREDIT_AMOUNT);
+    expect(await credits.totalSupply()).to.equal(CREDIT_AMOUNT);
+  });
+  
+  it("Should mint and burn with Transfer events on deposit, spend, award and withdraw", async function () {
+    await expect(arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT))
+      .to.emit(credits, "Transfer")
+      .withArgs(AddressZero, player.address, CREDIT_AMOUNT);
+    await expect(arcadeManager.connect(player).spendCredits(200))
+      .to.emit(credits, "Transfer")
+      .withArgs(player.address, AddressZero, 200);
+    await expect(arcadeManager.awardWinnings(friend.address, 50))
+      .to.emit(credits, "Transfer")
+      .withArgs(AddressZero, friend.address, 50);
+    await expect(arcadeManager.connect(player).withdraw(300))
+      .to.emit(credits, "Transfer")
+      .withArgs(player.address, AddressZero, 300);
+    
+    expect(await credits.totalSupply()).to.equal(CREDIT_AMOUNT - 200 + 50 - 300);
+  });
+  
+  it("Should show credits held by withdrawal requests as the ArcadeManager's balance", async function () {
+    await arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.setWithdrawalDelay(3600);
+    
+    await expect(arcadeManager.connect(player).requestWithdrawal(300))
+      .to.emit(credits, "Transfer")
+      .withArgs(player.address, arcadeManager.address, 300);
+    await arcadeManager.connect(player).requestWithdrawal(100);
+    expect(await credits.balanceOf(arcadeManager.address)).to.equal(400);
+    expect(await credits.totalSupply()).to.equal(CREDIT_AMOUNT);
+    
+    await expect(arcadeManager.connect(player).cancelWithdrawal(1))
+      .to.emit(credits, "Transfer")
+      .withArgs(arcadeManager.address, player.address, 100);
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await expect(arcadeManager.connect(player).claimWithdrawal(0))
+      .to.emit(credits, "Transfer")
+      .withArgs(arcadeManager.address, AddressZero, 300);
+    
+    expect(await arcadeManager.heldCredits()).to.equal(0);
+    expect(await credits.totalSupply()).to.equal(CREDIT_AMOUNT - 300);
+  });
+  
+  it("Should show the jackpot pool as the ArcadeManager's balance", async function () {
+    await arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.setJackpot(1000, 20);
+    
+    await expect(arcadeManager.connect(player).spendCredits(300))
+      .to.emit(credits, "Transfer")
+      .withArgs(player.address, AddressZero, 270)
+      .and.to.emit(credits, "Transfer")
+      .withArgs(player.address, arcadeManager.address, 30);
+    expect(await credits.balanceOf(arcadeManager.address)).to.equal(30);
+    
+    await expect(arcadeManager.awardJackpot(friend.address))
+      .to.emit(credits, "Transfer")
+      .withArgs(arcadeManager.address, friend.address, 30)
+      .and.to.emit(credits, "Transfer")
+      .withArgs(AddressZero, arcadeManager.address, 20);
+    expect(await credits.balanceOf(arcadeManager.address)).to.equal(20);
+    expect(await credits.totalSupply()).to.equal(CREDIT_AMOUNT - 300 + 30 + 20);
+  });
+  
+  it("Should only transfer while ArcadeManager allows transfers", async function () {
+    await arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT);
+    await expect(credits.connect(player).transfer(friend.address, 100))
+      .to.be.revertedWith("Transfers disabled");
+    
+    await arcadeManager.setTransfersEnabled(true);
+    await expect(credits.connect(player).transfer(friend.address, 100))
+      .to.emit(credits, "Transfer")
+      .withArgs(player.address, friend.address, 100);
+    expect(await arcadeManager.userCredits(friend.address)).to.equal(100);
+    
+    await arcadeManager.pause(Operation.Transfer);
+    await expect(credits.connect(player).transfer(friend.address, 100))
+      .to.be.revertedWith("Operation is paused");
+  });
+  
+  it("Should share allowances with ArcadeManager", async function () {
+    await arcadeManager.connect(player).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.setTransfersEnabled(true);
+    
+    await expect(credits.connect(player).approve(friend.address, 150))
+      .to.emit(credits, "Approval")
+      .withArgs(player.address, friend.address, 150);
+    expect(await arcadeManager.creditAllowance(player.address, friend.address)).to.equal(150);
+    
+    await credits.connect(friend).transferFrom(player.address, owner.address, 100);
+    expect(await credits.allowance(player.address, friend.address)).to.equal(50);
+    await arcadeManager.connect(friend).transferCreditsFrom(player.address, owner.address, 50);
+    await expect(credits.connect(friend).transferFrom(player.address, owner.address, 1))
+      .to.be.revertedWith("Insufficient allowance");
+    expect(await credits.balanceOf(owner.address)).to.equal(150);
+  });
+  
+  it("Should only accept hooks and token calls from the paired contract", async function () {
+    await expect(credits.emitTransfer(AddressZero, owner.address, 1000))
+      .to.be.revertedWith("Only ArcadeManager");
+    await expect(arcadeManager.transferCreditsByToken(player.address, player.address, owner.address, 1))
+      .to.be.revertedWith("Only the credits token");
+    await expect(arcadeManager.connect(player).setCreditsToken(AddressZero))
+      .to.be.reverted;
+  });
+  
+  it("Should keep working without events once detached", async function () {
+    await arcadeManager.setCreditsToken(AddressZero);
+    await expect(arcadeManager.connect(player).deposit(ONE_BULL))
+      .to.not.emit(credits, "Transfer");
+    expect(await credits.balanceOf(player.address)).to.equal(100);
+  });
+});
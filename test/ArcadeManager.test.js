@@ -1,22 +1,37 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+// Revert string produced by AccessControl for a missing role
+function missingRole(account, role) {
+  return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+}
+
 describe("ArcadeManager", function () {
   let arcadeManager;
   let bullToken;
   let owner;
   let user1;
   let user2;
+  let operator;
+  let ADMIN_ROLE;
+  let OPERATOR_ROLE;
+  let PAUSER_ROLE;
+  let TREASURER_ROLE;
   
   // Constants
-  const CREDIT_RATE = 100;
+  const Operation = { Deposit: 0, Spend: 1, Withdraw: 2, Award: 3, Transfer: 4 };
+  const DEPOSIT_RATE = 100;
+  const WITHDRAWAL_RATE = 125;
   const INITIAL_TOKEN_SUPPLY = ethers.utils.parseEther("1000");
+  const ONE_BULL = ethers.utils.parseEther("1");
   const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
-  const CREDIT_AMOUNT = DEPOSIT_AMOUNT.mul(CREDIT_RATE);
+  const CREDIT_AMOUNT = DEPOSIT_AMOUNT.mul(DEPOSIT_RATE).div(ONE_BULL);
+  
+  const toBull = (credits) => ethers.BigNumber.from(credits).mul(ONE_BULL).div(WITHDRAWAL_RATE);
   
   beforeEach(async function () {
     // Get signers
-    [owner, user1, user2] = await ethers.getSigners();
+    [owner, user1, user2, operator] = await ethers.getSigners();
     
     // Deploy a mock BULL token for testing
     const MockToken = await ethers.getContractFactory("MockBullToken");
@@ -25,9 +40,14 @@ describe("ArcadeManager", function () {
     
     // Deploy ArcadeManager with mock token
     const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
-    arcadeManager = await ArcadeManager.deploy(bullToken.address);
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, DEPOSIT_RATE, WITHDRAWAL_RATE);
     await arcadeManager.deployed();
     
+    ADMIN_ROLE = await arcadeManager.DEFAULT_ADMIN_ROLE();
+    OPERATOR_ROLE = await arcadeManager.OPERATOR_ROLE();
+    PAUSER_ROLE = await arcadeManager.PAUSER_ROLE();
+    TREASURER_ROLE = await arcadeManager.TREASURER_ROLE();
+    
     // Transfer tokens to user1 for testing
     await bullToken.transfer(user1.address, DEPOSIT_AMOUNT.mul(2));
     
@@ -36,13 +56,64 @@ describe("ArcadeManager", function () {
   });
   
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await arcadeManager.owner()).to.equal(owner.address);
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "OPERATOR_ROLE", "PAUSER_ROLE", "TREASURER_ROLE"]) {
+        expect(await arcadeManager.hasRole(await arcadeManager[role](), owner.address)).to.equal(true);
+      }
     });
     
     it("Should set the correct token address", async function () {
       expect(await arcadeManager.bullToken()).to.equal(bullToken.address);
     });
+    
+    it("Should set the initial rates", async function () {
+      expect(await arcadeManager.depositRate()).to.equal(DEPOSIT_RATE);
+      expect(await arcadeManager.withdrawalRate()).to.equal(WITHDRAWAL_RATE);
+    });
+    
+    it("Should reject invalid initial rates", async function () {
+      const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+      await expect(ArcadeManager.deploy(bullToken.address, 0, WITHDRAWAL_RATE))
+        .to.be.revertedWith("Rate out of bounds");
+      await expect(ArcadeManager.deploy(bullToken.address, DEPOSIT_RATE, DEPOSIT_RATE - 1))
+        .to.be.revertedWith("Withdrawal rate below deposit rate");
+    });
+  });
+  
+  describe("Rates", function () {
+    it("Should let the owner change both rates", async function () {
+      await expect(arcadeManager.setRates(200, 250))
+        .to.emit(arcadeManager, "RateChanged")
+        .withArgs(200, 250);
+      
+      expect(await arcadeManager.depositRate()).to.equal(200);
+      expect(await arcadeManager.withdrawalRate()).to.equal(250);
+    });
+    
+    it("Should apply the new deposit rate to deposits", async function () {
+      await arcadeManager.setRates(200, 250);
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(DEPOSIT_AMOUNT.mul(200).div(ONE_BULL));
+    });
+    
+    it("Should revert if a rate is zero or above the maximum", async function () {
+      const maxRate = await arcadeManager.MAX_CREDIT_RATE();
+      await expect(arcadeManager.setRates(0, WITHDRAWAL_RATE))
+        .to.be.revertedWith("Rate out of bounds");
+      await expect(arcadeManager.setRates(DEPOSIT_RATE, maxRate.add(1)))
+        .to.be.revertedWith("Rate out of bounds");
+    });
+    
+    it("Should revert if the withdrawal rate is below the deposit rate", async function () {
+      await expect(arcadeManager.setRates(200, 150))
+        .to.be.revertedWith("Withdrawal rate below deposit rate");
+    });
+    
+    it("Should revert if called by non-admin", async function () {
+      await expect(arcadeManager.connect(user1).setRates(200, 250))
+        .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+    });
   });
   
   describe("Deposit", function () {
@@ -68,6 +139,68 @@ describe("ArcadeManager", function () {
         .to.be.revertedWith("Amount must be greater than zero");
     });
   });
+  describe("DepositWithPermit", function () {
+    let deadline;
+    
+    async function signPermit(signer, value, expiry = deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "Bull Token", version: "1", chainId, verifyingContract: bullToken.address };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const nonce = await bullToken.nonces(signer.address);
+      return ethers.utils.splitSignature(await signer._signTypedData(domain, types, {
+        owner: signer.address, spender: arcadeManager.address, value, nonce, deadline: expiry
+      }));
+    }
+    
+    beforeEach(async function () {
+      await bullToken.transfer(user2.address, DEPOSIT_AMOUNT);
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+    
+    it("Should deposit without a prior approve", async function () {
+      const { v, r, s } = await signPermit(user2, DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user2).depositWithPermit(DEPOSIT_AMOUNT, deadline, v, r, s))
+        .to.emit(arcadeManager, "Deposit")
+        .withArgs(user2.address, DEPOSIT_AMOUNT, CREDIT_AMOUNT);
+      
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(CREDIT_AMOUNT);
+      expect(await bullToken.allowance(user2.address, arcadeManager.address)).to.equal(0);
+    });
+    
+    it("Should still deposit when the permit was already submitted by someone else", async function () {
+      const { v, r, s } = await signPermit(user2, DEPOSIT_AMOUNT);
+      await bullToken.permit(user2.address, arcadeManager.address, DEPOSIT_AMOUNT, deadline, v, r, s);
+      
+      await arcadeManager.connect(user2).depositWithPermit(DEPOSIT_AMOUNT, deadline, v, r, s);
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(CREDIT_AMOUNT);
+    });
+    
+    it("Should revert with an invalid or expired permit", async function () {
+      const forged = await signPermit(user1, DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user2).depositWithPermit(DEPOSIT_AMOUNT, deadline, forged.v, forged.r, forged.s))
+        .to.be.revertedWith("Permit failed");
+      
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp;
+      const expired = await signPermit(user2, DEPOSIT_AMOUNT, expiry);
+      await expect(arcadeManager.connect(user2).depositWithPermit(DEPOSIT_AMOUNT, expiry, expired.v, expired.r, expired.s))
+        .to.be.revertedWith("Permit failed");
+    });
+    
+    it("Should revert while deposits are paused", async function () {
+      const { v, r, s } = await signPermit(user2, DEPOSIT_AMOUNT);
+      await arcadeManager.pause(Operation.Deposit);
+      await expect(arcadeManager.connect(user2).depositWithPermit(DEPOSIT_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWith("Operation is paused");
+    });
+  });
   
   describe("SpendCredits", function () {
     beforeEach(async function () {
@@ -97,6 +230,97 @@ describe("ArcadeManager", function () {
     });
   });
   
+  describe("Games", function () {
+    const GAME_ID = 1;
+    const GAME_PRICE = 250;
+    
+    beforeEach(async function () {
+      await arcadeManager.addGame(GAME_ID, "Space Invaders", GAME_PRICE);
+    });
+    
+    it("Should register a game", async function () {
+      const game = await arcadeManager.games(GAME_ID);
+      expect(game.name).to.equal("Space Invaders");
+      expect(game.price).to.equal(GAME_PRICE);
+      expect(game.active).to.equal(true);
+      expect(await arcadeManager.getGameIds()).to.deep.equal([ethers.BigNumber.from(GAME_ID)]);
+    });
+    
+    it("Should emit GameAdded event", async function () {
+      await expect(arcadeManager.addGame(2, "Pac-Man", 100))
+        .to.emit(arcadeManager, "GameAdded")
+        .withArgs(2, "Pac-Man", 100);
+    });
+    
+    it("Should revert when adding an existing or invalid game", async function () {
+      await expect(arcadeManager.addGame(GAME_ID, "Duplicate", 100))
+        .to.be.revertedWith("Game already exists");
+      await expect(arcadeManager.addGame(2, "", 100))
+        .to.be.revertedWith("Game name cannot be empty");
+      await expect(arcadeManager.addGame(2, "Pac-Man", 0))
+        .to.be.revertedWith("Price must be greater than zero");
+    });
+    
+    it("Should charge the game price and emit the game id", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      
+      await expect(arcadeManager.connect(user1).playGame(GAME_ID))
+        .to.emit(arcadeManager, "GamePlayed")
+        .withArgs(user1.address, GAME_ID, GAME_PRICE)
+        .and.to.emit(arcadeManager, "CreditsSpent")
+        .withArgs(user1.address, GAME_PRICE);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(GAME_PRICE));
+    });
+    
+    it("Should revert when playing without enough credits", async function () {
+      await expect(arcadeManager.connect(user1).playGame(GAME_ID))
+        .to.be.revertedWith("Insufficient credits");
+    });
+    
+    it("Should revert when playing an unknown or inactive game", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user1).playGame(2))
+        .to.be.revertedWith("Game does not exist");
+      
+      await arcadeManager.updateGame(GAME_ID, "Space Invaders", GAME_PRICE, false);
+      await expect(arcadeManager.connect(user1).playGame(GAME_ID))
+        .to.be.revertedWith("Game is not active");
+    });
+    
+    it("Should update a game", async function () {
+      await expect(arcadeManager.updateGame(GAME_ID, "Space Invaders II", 300, true))
+        .to.emit(arcadeManager, "GameUpdated")
+        .withArgs(GAME_ID, "Space Invaders II", 300, true);
+      
+      const game = await arcadeManager.games(GAME_ID);
+      expect(game.name).to.equal("Space Invaders II");
+      expect(game.price).to.equal(300);
+    });
+    
+    it("Should remove a game and keep the remaining ids", async function () {
+      await arcadeManager.addGame(2, "Pac-Man", 100);
+      await arcadeManager.addGame(3, "Galaga", 150);
+      
+      await expect(arcadeManager.removeGame(GAME_ID))
+        .to.emit(arcadeManager, "GameRemoved")
+        .withArgs(GAME_ID);
+      
+      const ids = (await arcadeManager.getGameIds()).map((id) => id.toNumber());
+      expect(ids).to.have.members([2, 3]);
+      expect((await arcadeManager.games(GAME_ID)).exists).to.equal(false);
+      await expect(arcadeManager.removeGame(GAME_ID))
+        .to.be.revertedWith("Game does not exist");
+    });
+    
+    it("Should revert if called by non-admin", async function () {
+      await expect(arcadeManager.connect(user1).addGame(2, "Pac-Man", 100))
+        .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+      await expect(arcadeManager.connect(user1).removeGame(GAME_ID))
+        .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+    });
+  });
+  
   describe("AwardWinnings", function () {
     it("Should add credits to user balance", async function () {
       const awardAmount = 500;
@@ -112,10 +336,50 @@ describe("ArcadeManager", function () {
         .withArgs(user1.address, awardAmount);
     });
     
-    it("Should revert if called by non-owner", async function () {
+    it("Should revert if called by non-operator", async function () {
       const awardAmount = 500;
       await expect(arcadeManager.connect(user1).awardWinnings(user2.address, awardAmount))
-        .to.be.revertedWith("Ownable: caller is not the owner");
+        .to.be.revertedWith(missingRole(user1, OPERATOR_ROLE));
+    });
+  });
+  
+  describe("Roles", function () {
+    beforeEach(async function () {
+      await arcadeManager.grantRole(OPERATOR_ROLE, operator.address);
+    });
+    
+    it("Should let an operator award winnings", async function () {
+      await expect(arcadeManager.connect(operator).awardWinnings(user1.address, 500))
+        .to.emit(arcadeManager, "WinningsAwarded")
+        .withArgs(user1.address, 500);
+    });
+    
+    it("Should not let an operator change settings or roles", async function () {
+      await expect(arcadeManager.connect(operator).setRates(200, 250))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+      await expect(arcadeManager.connect(operator).addGame(1, "Pac-Man", 100))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+      await expect(arcadeManager.connect(operator).grantRole(OPERATOR_ROLE, user1.address))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+    });
+    
+    it("Should not let an operator drain reserves", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      
+      await expect(arcadeManager.connect(operator).withdrawReserves(operator.address, 1))
+        .to.be.revertedWith(missingRole(operator, TREASURER_ROLE));
+    });
+    
+    it("Should stop an operator from awarding once revoked", async function () {
+      await arcadeManager.revokeRole(OPERATOR_ROLE, operator.address);
+      
+      await expect(arcadeManager.connect(operator).awardWinnings(user1.address, 500))
+        .to.be.revertedWith(missingRole(operator, OPERATOR_ROLE));
+    });
+    
+    it("Should enumerate role members", async function () {
+      expect(await arcadeManager.getRoleMemberCount(OPERATOR_ROLE)).to.equal(2);
+      expect(await arcadeManager.getRoleMember(OPERATOR_ROLE, 1)).to.equal(operator.address);
     });
   });
   
@@ -127,7 +391,7 @@ describe("ArcadeManager", function () {
     
     it("Should convert credits back to BULL tokens", async function () {
       const withdrawCredits = CREDIT_AMOUNT.div(2);
-      const expectedBullTokens = withdrawCredits.div(CREDIT_RATE);
+      const expectedBullTokens = toBull(withdrawCredits);
       
       const initialUserTokenBalance = await bullToken.balanceOf(user1.address);
       const initialContractTokenBalance = await bullToken.balanceOf(arcadeManager.address);
@@ -144,7 +408,7 @@ describe("ArcadeManager", function () {
     
     it("Should emit Withdrawal event", async function () {
       const withdrawCredits = CREDIT_AMOUNT.div(2);
-      const expectedBullTokens = withdrawCredits.div(CREDIT_RATE);
+      const expectedBullTokens = toBull(withdrawCredits);
       
       await expect(arcadeManager.connect(user1).withdraw(withdrawCredits))
         .to.emit(arcadeManager, "Withdrawal")
@@ -157,6 +421,1028 @@ describe("ArcadeManager", function () {
         .to.be.revertedWith("Insufficient credits");
     });
   });
+  describe("WithdrawalFee", function () {
+    const FEE_BPS = 250;
+    
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should route the fee to the fee recipient", async function () {
+      await expect(arcadeManager.setWithdrawalFee(FEE_BPS, user2.address))
+        .to.emit(arcadeManager, "WithdrawalFeeChanged")
+        .withArgs(FEE_BPS, user2.address);
+      
+      const gross = toBull(CREDIT_AMOUNT);
+      const fee = gross.mul(FEE_BPS).div(10000);
+      const tx = arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT);
+      await expect(tx)
+        .to.emit(arcadeManager, "Withdrawal")
+        .withArgs(user1.address, CREDIT_AMOUNT, gross.sub(fee));
+      await expect(tx)
+        .to.emit(arcadeManager, "WithdrawalFeePaid")
+        .withArgs(user1.address, user2.address, fee);
+      
+      expect(await bullToken.balanceOf(user2.address)).to.equal(fee);
+      expect(await bullToken.balanceOf(user1.address)).to.equal(DEPOSIT_AMOUNT.add(gross).sub(fee));
+    });
+    
+    it("Should validate fee settings", async function () {
+      await expect(arcadeManager.setWithdrawalFee(1001, user2.address))
+        .to.be.revertedWith("Fee too high");
+      await expect(arcadeManager.setWithdrawalFee(FEE_BPS, ethers.constants.AddressZero))
+        .to.be.revertedWith("Invalid recipient address");
+      await expect(arcadeManager.connect(operator).setWithdrawalFee(FEE_BPS, user2.address))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+      
+      await arcadeManager.setWithdrawalFee(0, ethers.constants.AddressZero);
+    });
+  });
+  
+  describe("TimelockedWithdrawals", function () {
+    const DELAY = 2 * 24 * 60 * 60;
+    const REQUEST_CREDITS = CREDIT_AMOUNT.div(2);
+    
+    async function timeTravel(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+    
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await expect(arcadeManager.setWithdrawalDelay(DELAY))
+        .to.emit(arcadeManager, "WithdrawalDelayChanged")
+        .withArgs(DELAY);
+    });
+    
+    it("Should require a request while a delay is set", async function () {
+      await expect(arcadeManager.connect(user1).withdraw(REQUEST_CREDITS))
+        .to.be.revertedWith("Withdrawals require a request");
+      await expect(arcadeManager.setWithdrawalDelay(31 * 24 * 60 * 60))
+        .to.be.revertedWith("Delay too long");
+    });
+    
+    it("Should hold the credits and pay out after the delay", async function () {
+      const tx = await arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS);
+      const unlockTime = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + DELAY;
+      await expect(tx)
+        .to.emit(arcadeManager, "WithdrawalRequested")
+        .withArgs(0, user1.address, REQUEST_CREDITS, unlockTime);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(REQUEST_CREDITS));
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT);
+      
+      await expect(arcadeManager.connect(user1).claimWithdrawal(0))
+        .to.be.revertedWith("Withdrawal still locked");
+      
+      await timeTravel(DELAY);
+      const bullAmount = toBull(REQUEST_CREDITS);
+      await expect(arcadeManager.connect(user1).claimWithdrawal(0))
+        .to.emit(arcadeManager, "WithdrawalClaimed")
+        .withArgs(0, user1.address, REQUEST_CREDITS, bullAmount);
+      
+      expect(await bullToken.balanceOf(user1.address)).to.equal(DEPOSIT_AMOUNT.add(bullAmount));
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT.sub(REQUEST_CREDITS));
+      await expect(arcadeManager.connect(user1).claimWithdrawal(0))
+        .to.be.revertedWith("Withdrawal request not found");
+    });
+    
+    it("Should only let the requester claim", async function () {
+      await arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS);
+      await timeTravel(DELAY);
+      await expect(arcadeManager.connect(user2).claimWithdrawal(0))
+        .to.be.revertedWith("Not the requester");
+    });
+    
+    it("Should let the requester or a pauser cancel and return the credits", async function () {
+      await arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS);
+      await arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(0);
+      
+      await expect(arcadeManager.connect(user2).cancelWithdrawal(0))
+        .to.be.revertedWith("Not the requester");
+      
+      await expect(arcadeManager.connect(user1).cancelWithdrawal(0))
+        .to.emit(arcadeManager, "WithdrawalCancelled")
+        .withArgs(0, user1.address, REQUEST_CREDITS, user1.address);
+      await expect(arcadeManager.cancelWithdrawal(1))
+        .to.emit(arcadeManager, "WithdrawalCancelled")
+        .withArgs(1, user1.address, REQUEST_CREDITS, owner.address);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT);
+      await timeTravel(DELAY);
+      await expect(arcadeManager.connect(user1).claimWithdrawal(1))
+        .to.be.revertedWith("Withdrawal request not found");
+    });
+    
+    it("Should respect the withdraw pause for requests and claims", async function () {
+      await arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS);
+      await timeTravel(DELAY);
+      await arcadeManager.pause(Operation.Withdraw);
+      
+      await expect(arcadeManager.connect(user1).requestWithdrawal(REQUEST_CREDITS))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.connect(user1).claimWithdrawal(0))
+        .to.be.revertedWith("Operation is paused");
+      await arcadeManager.connect(user1).cancelWithdrawal(0);
+    });
+    
+    it("Should validate requests", async function () {
+      await expect(arcadeManager.connect(user1).requestWithdrawal(CREDIT_AMOUNT.add(1)))
+        .to.be.revertedWith("Insufficient credits");
+      await expect(arcadeManager.connect(user1).requestWithdrawal(0))
+        .to.be.revertedWith("Amount must be greater than zero");
+    });
+  });
+  
+  describe("Pause", function () {
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should emit Paused and Unpaused events", async function () {
+      await expect(arcadeManager.pause(Operation.Withdraw))
+        .to.emit(arcadeManager, "Paused")
+        .withArgs(owner.address, Operation.Withdraw);
+      expect(await arcadeManager.paused(Operation.Withdraw)).to.equal(true);
+      
+      await expect(arcadeManager.unpause(Operation.Withdraw))
+        .to.emit(arcadeManager, "Unpaused")
+        .withArgs(owner.address, Operation.Withdraw);
+      expect(await arcadeManager.paused(Operation.Withdraw)).to.equal(false);
+    });
+    
+    it("Should freeze withdrawals while play stays open", async function () {
+      await arcadeManager.pause(Operation.Withdraw);
+      
+      await expect(arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT))
+        .to.be.revertedWith("Operation is paused");
+      await arcadeManager.connect(user1).spendCredits(50);
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should block each paused operation", async function () {
+      await arcadeManager.addGame(1, "Pac-Man", 100);
+      await arcadeManager.pauseAll();
+      
+      await expect(arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.connect(user1).spendCredits(50))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.connect(user1).playGame(1))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.awardWinnings(user1.address, 500))
+        .to.be.revertedWith("Operation is paused");
+    });
+    
+    it("Should resume everything with unpauseAll", async function () {
+      await arcadeManager.pauseAll();
+      await arcadeManager.unpauseAll();
+      
+      for (const operation of Object.values(Operation)) {
+        expect(await arcadeManager.paused(operation)).to.equal(false);
+      }
+      await arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT);
+    });
+    
+    it("Should revert if called by non-pauser", async function () {
+      await expect(arcadeManager.connect(user1).pause(Operation.Deposit))
+        .to.be.revertedWith(missingRole(user1, PAUSER_ROLE));
+      await expect(arcadeManager.connect(user1).unpauseAll())
+        .to.be.revertedWith(missingRole(user1, PAUSER_ROLE));
+    });
+  });
+  
+  describe("Transfers", function () {
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await arcadeManager.setTransfersEnabled(true);
+    });
+    
+    it("Should move credits between players without changing the total", async function () {
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, 300))
+        .to.emit(arcadeManager, "CreditsTransferred")
+        .withArgs(user1.address, user2.address, 300);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(300));
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(300);
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT);
+    });
+    
+    it("Should reject self-transfers, the zero address and empty or oversized amounts", async function () {
+      await expect(arcadeManager.connect(user1).transferCredits(user1.address, 1))
+        .to.be.revertedWith("Cannot transfer to self");
+      await expect(arcadeManager.connect(user1).transferCredits(ethers.constants.AddressZero, 1))
+        .to.be.revertedWith("Invalid recipient address");
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, 0))
+        .to.be.revertedWith("Amount must be greater than zero");
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, CREDIT_AMOUNT.add(1)))
+        .to.be.revertedWith("Insufficient credits");
+    });
+    
+    it("Should let the admin disable transfers", async function () {
+      await expect(arcadeManager.setTransfersEnabled(false))
+        .to.emit(arcadeManager, "TransfersEnabledChanged")
+        .withArgs(false);
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, 1))
+        .to.be.revertedWith("Transfers disabled");
+      await expect(arcadeManager.connect(operator).setTransfersEnabled(true))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+    });
+    
+    it("Should block transfers while paused", async function () {
+      await arcadeManager.connect(user1).approveCredits(operator.address, 100);
+      await arcadeManager.pause(Operation.Transfer);
+      
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, 1))
+        .to.be.revertedWith("Operation is paused");
+      await expect(arcadeManager.connect(operator).transferCreditsFrom(user1.address, user2.address, 1))
+        .to.be.revertedWith("Operation is paused");
+      
+      await arcadeManager.unpause(Operation.Transfer);
+      await arcadeManager.connect(user1).transferCredits(user2.address, 1);
+    });
+    
+    it("Should spend the allowance on delegated transfers", async function () {
+      await expect(arcadeManager.connect(user1).approveCredits(operator.address, 100))
+        .to.emit(arcadeManager, "CreditApproval")
+        .withArgs(user1.address, operator.address, 100);
+      
+      await arcadeManager.connect(operator).transferCreditsFrom(user1.address, user2.address, 60);
+      expect(await arcadeManager.creditAllowance(user1.address, operator.address)).to.equal(40);
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(60);
+      
+      await expect(arcadeManager.connect(operator).transferCreditsFrom(user1.address, user2.address, 41))
+        .to.be.revertedWith("Insufficient allowance");
+      await expect(arcadeManager.connect(user2).transferCreditsFrom(user1.address, user2.address, 1))
+        .to.be.revertedWith("Insufficient allowance");
+      await expect(arcadeManager.connect(operator).transferCreditsFrom(user1.address, user1.address, 1))
+        .to.be.revertedWith("Cannot transfer to self");
+    });
+    
+    it("Should keep an unlimited allowance", async function () {
+      await arcadeManager.connect(user1).approveCredits(operator.address, ethers.constants.MaxUint256);
+      await arcadeManager.connect(operator).transferCreditsFrom(user1.address, user2.address, 500);
+      expect(await arcadeManager.creditAllowance(user1.address, operator.address)).to.equal(ethers.constants.MaxUint256);
+      
+      await expect(arcadeManager.connect(user1).approveCredits(ethers.constants.AddressZero, 1))
+        .to.be.revertedWith("Invalid spender address");
+    });
+  });
+  
+  describe("Escrow", function () {
+    it("Should let an escrow retire the credits it holds", async function () {
+      const ESCROW_ROLE = await arcadeManager.ESCROW_ROLE();
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user1).retireCredits(100))
+        .to.be.revertedWith(missingRole(user1, ESCROW_ROLE));
+      
+      await arcadeManager.grantRole(ESCROW_ROLE, user1.address);
+      await arcadeManager.setJackpot(2000, 0);
+      await arcadeManager.pause(Operation.Spend);
+      await expect(arcadeManager.connect(user1).retireCredits(100))
+        .to.emit(arcadeManager, "CreditsRetired")
+        .withArgs(user1.address, 100);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(100));
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT.sub(100));
+      expect(await arcadeManager.jackpotPool()).to.equal(0);
+      await expect(arcadeManager.connect(user1).retireCredits(0))
+        .to.be.revertedWith("Amount must be greater than zero");
+      await expect(arcadeManager.connect(user1).retireCredits(CREDIT_AMOUNT))
+        .to.be.revertedWith("Insufficient credits");
+    });
+    
+    it("Should let an escrow pay out the credits it holds while transfers are off or paused", async function () {
+      const ESCROW_ROLE = await arcadeManager.ESCROW_ROLE();
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user1).releaseCredits(user2.address, 100))
+        .to.be.revertedWith(missingRole(user1, ESCROW_ROLE));
+      
+      await arcadeManager.grantRole(ESCROW_ROLE, user1.address);
+      await arcadeManager.pause(Operation.Transfer);
+      await expect(arcadeManager.connect(user1).releaseCredits(user2.address, 100))
+        .to.emit(arcadeManager, "CreditsTransferred")
+        .withArgs(user1.address, user2.address, 100);
+      
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(100);
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT);
+      await expect(arcadeManager.connect(user1).releaseCredits(user1.address, 1))
+        .to.be.revertedWith("Cannot transfer to self");
+      await expect(arcadeManager.connect(user1).releaseCredits(user2.address, CREDIT_AMOUNT))
+        .to.be.revertedWith("Insufficient credits");
+    });
+  });
+  
+  describe("Treasury", function () {
+    const RESERVE_AMOUNT = ethers.utils.parseEther("100");
+    
+    beforeEach(async function () {
+      await bullToken.approve(arcadeManager.address, RESERVE_AMOUNT);
+    });
+    
+    it("Should track outstanding credits", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await arcadeManager.connect(user1).spendCredits(500);
+      await arcadeManager.awardWinnings(user2.address, 1000);
+      await arcadeManager.connect(user1).withdraw(WITHDRAWAL_RATE * 2);
+      
+      const expected = CREDIT_AMOUNT.sub(500).add(1000).sub(WITHDRAWAL_RATE * 2);
+      expect(await arcadeManager.totalCredits()).to.equal(expected);
+      expect(await arcadeManager.totalLiabilities()).to.equal(toBull(expected));
+    });
+    
+    it("Should report reserves, surplus and solvency ratio", async function () {
+      expect(await arcadeManager.solvencyRatio()).to.equal(ethers.constants.MaxUint256);
+      
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      const liabilities = toBull(CREDIT_AMOUNT);
+      
+      expect(await arcadeManager.reserves()).to.equal(DEPOSIT_AMOUNT);
+      expect(await arcadeManager.surplusReserves()).to.equal(DEPOSIT_AMOUNT.sub(liabilities));
+      expect(await arcadeManager.solvencyRatio()).to.equal(DEPOSIT_AMOUNT.mul(10000).div(liabilities));
+    });
+    
+    it("Should let the treasurer fund reserves", async function () {
+      await expect(arcadeManager.fundReserves(RESERVE_AMOUNT))
+        .to.emit(arcadeManager, "ReservesFunded")
+        .withArgs(owner.address, RESERVE_AMOUNT);
+      
+      expect(await arcadeManager.reserves()).to.equal(RESERVE_AMOUNT);
+      expect(await arcadeManager.totalCredits()).to.equal(0);
+    });
+    
+    it("Should let the treasurer withdraw surplus only", async function () {
+      await arcadeManager.fundReserves(RESERVE_AMOUNT);
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      const surplus = await arcadeManager.surplusReserves();
+      
+      await expect(arcadeManager.withdrawReserves(user2.address, surplus.add(1)))
+        .to.be.revertedWith("Amount exceeds surplus reserves");
+      await expect(arcadeManager.withdrawReserves(user2.address, surplus))
+        .to.emit(arcadeManager, "ReservesWithdrawn")
+        .withArgs(user2.address, surplus);
+      
+      expect(await bullToken.balanceOf(user2.address)).to.equal(surplus);
+      expect(await arcadeManager.surplusReserves()).to.equal(0);
+    });
+    
+    it("Should revert reserve operations for non-treasurers", async function () {
+      await expect(arcadeManager.connect(user1).fundReserves(1))
+        .to.be.revertedWith(missingRole(user1, TREASURER_ROLE));
+      await expect(arcadeManager.connect(user1).withdrawReserves(user1.address, 1))
+        .to.be.revertedWith(missingRole(user1, TREASURER_ROLE));
+    });
+    
+    it("Should block awards beyond reserves when solvency is enforced", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      const surplusCredits = (await arcadeManager.surplusReserves()).mul(WITHDRAWAL_RATE).div(ONE_BULL);
+      
+      await expect(arcadeManager.setEnforceSolvency(true))
+        .to.emit(arcadeManager, "SolvencyEnforcementChanged")
+        .withArgs(true);
+      
+      await expect(arcadeManager.awardWinnings(user2.address, surplusCredits.add(1)))
+        .to.be.revertedWith("Award exceeds reserves");
+      await arcadeManager.awardWinnings(user2.address, surplusCredits);
+      
+      await arcadeManager.setEnforceSolvency(false);
+      await arcadeManager.awardWinnings(user2.address, surplusCredits);
+    });
+  });
+  
+  describe("Tokens", function () {
+    const ONE_USDC = ethers.utils.parseUnits("1", 6);
+    const USDC_DEPOSIT = ethers.utils.parseUnits("10", 6);
+    const USDC_DEPOSIT_RATE = 80;
+    const USDC_WITHDRAWAL_RATE = 100;
+    let usdc;
+    
+    beforeEach(async function () {
+      const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6, ethers.utils.parseUnits("1000", 6));
+      await usdc.deployed();
+      
+      await expect(arcadeManager.addToken(usdc.address, USDC_DEPOSIT_RATE, USDC_WITHDRAWAL_RATE))
+        .to.emit(arcadeManager, "TokenAdded")
+        .withArgs(usdc.address, USDC_DEPOSIT_RATE, USDC_WITHDRAWAL_RATE);
+      
+      await usdc.transfer(user1.address, USDC_DEPOSIT.mul(2));
+      await usdc.connect(user1).approve(arcadeManager.address, USDC_DEPOSIT.mul(2));
+    });
+    
+    it("Should list accepted tokens with their unit and rates", async function () {
+      expect(await arcadeManager.getTokens()).to.deep.equal([bullToken.address, usdc.address]);
+      
+      const config = await arcadeManager.tokenConfigs(usdc.address);
+      expect(config.unit).to.equal(ONE_USDC);
+      expect(config.depositRate).to.equal(USDC_DEPOSIT_RATE);
+      expect(config.withdrawalRate).to.equal(USDC_WITHDRAWAL_RATE);
+    });
+    
+    it("Should validate new tokens and restrict them to the admin", async function () {
+      await expect(arcadeManager.addToken(usdc.address, 1, 1))
+        .to.be.revertedWith("Token already accepted");
+      await expect(arcadeManager.addToken(bullToken.address, 1, 1))
+        .to.be.revertedWith("Token already accepted");
+      await expect(arcadeManager.addToken(ethers.constants.AddressZero, 1, 1))
+        .to.be.revertedWith("Token address cannot be zero");
+      
+      const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      const other = await MockDecimalsToken.deploy("Other", "OTH", 8, 0);
+      await expect(arcadeManager.addToken(other.address, 100, 99))
+        .to.be.revertedWith("Withdrawal rate below deposit rate");
+      await expect(arcadeManager.connect(user1).addToken(other.address, 100, 100))
+        .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+    });
+    
+    it("Should deposit and withdraw each token at its own rates", async function () {
+      const credits = USDC_DEPOSIT.mul(USDC_DEPOSIT_RATE).div(ONE_USDC);
+      await expect(arcadeManager.connect(user1).depositToken(usdc.address, USDC_DEPOSIT))
+        .to.emit(arcadeManager, "TokenDeposit")
+        .withArgs(user1.address, usdc.address, USDC_DEPOSIT, credits);
+      await expect(arcadeManager.connect(user1).depositToken(bullToken.address, DEPOSIT_AMOUNT))
+        .to.emit(arcadeManager, "Deposit")
+        .withArgs(user1.address, DEPOSIT_AMOUNT, CREDIT_AMOUNT);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(credits.add(CREDIT_AMOUNT));
+      
+      // 150 credits buy 1.5 USDC at 100 credits per USDC
+      await expect(arcadeManager.connect(user1).withdrawToken(usdc.address, 150))
+        .to.emit(arcadeManager, "TokenWithdrawal")
+        .withArgs(user1.address, usdc.address, 150, ethers.utils.parseUnits("1.5", 6));
+      expect(await usdc.balanceOf(user1.address)).to.equal(USDC_DEPOSIT.add(ethers.utils.parseUnits("1.5", 6)));
+      expect(await arcadeManager.totalCredits()).to.equal(credits.add(CREDIT_AMOUNT).sub(150));
+    });
+    
+    it("Should reject tokens that are not accepted", async function () {
+      await expect(arcadeManager.connect(user1).depositToken(user2.address, 1))
+        .to.be.revertedWith("Token not accepted");
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await expect(arcadeManager.connect(user1).withdrawToken(user2.address, 100))
+        .to.be.revertedWith("Token not accepted");
+      await expect(arcadeManager.fundTokenReserves(user2.address, 1))
+        .to.be.revertedWith("Token not accepted");
+    });
+    
+    it("Should pay timelocked withdrawals in the requested token", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await usdc.transfer(arcadeManager.address, USDC_DEPOSIT);
+      await arcadeManager.setWithdrawalDelay(3600);
+      
+      await arcadeManager.connect(user1).requestTokenWithdrawal(usdc.address, 200);
+      const request = await arcadeManager.withdrawalRequests(0);
+      expect(request.token).to.equal(usdc.address);
+      expect(request.bullAmount).to.equal(ONE_USDC.mul(2));
+      
+      // Later rate changes do not affect the pending request
+      await expect(arcadeManager.setTokenRates(usdc.address, 100, 200))
+        .to.emit(arcadeManager, "TokenRatesChanged")
+        .withArgs(usdc.address, 100, 200);
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await expect(arcadeManager.connect(user1).claimWithdrawal(0))
+        .to.emit(arcadeManager, "WithdrawalClaimed")
+        .withArgs(0, user1.address, 200, ONE_USDC.mul(2));
+      expect(await usdc.balanceOf(user1.address)).to.equal(USDC_DEPOSIT.mul(2).add(ONE_USDC.mul(2)));
+    });
+    
+    it("Should count every token's reserves towards surplus and solvency", async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      const liabilities = toBull(CREDIT_AMOUNT);
+      expect(await arcadeManager.tokenSurplus(usdc.address)).to.equal(0);
+      
+      // 10 USDC back 1000 credits, leaving 250 of the BULL-backed credits uncovered
+      await usdc.approve(arcadeManager.address, USDC_DEPOSIT);
+      await expect(arcadeManager.fundTokenReserves(usdc.address, USDC_DEPOSIT))
+        .to.emit(arcadeManager, "TokenReservesFunded")
+        .withArgs(usdc.address, owner.address, USDC_DEPOSIT);
+      expect(await arcadeManager.reserveCredits()).to.equal(DEPOSIT_AMOUNT.mul(WITHDRAWAL_RATE).div(ONE_BULL).add(1000));
+      expect(await arcadeManager.surplusReserves()).to.equal(DEPOSIT_AMOUNT.sub(toBull(CREDIT_AMOUNT.sub(1000))));
+      expect(await arcadeManager.solvencyRatio()).to.equal(DEPOSIT_AMOUNT.add(toBull(1000)).mul(10000).div(liabilities));
+      
+      // The BULL reserves alone cover every credit, so all the USDC is surplus
+      const usdcSurplus = await arcadeManager.tokenSurplus(usdc.address);
+      expect(usdcSurplus).to.equal(USDC_DEPOSIT);
+      await expect(arcadeManager.withdrawTokenReserves(usdc.address, user2.address, usdcSurplus.add(1)))
+        .to.be.revertedWith("Amount exceeds surplus reserves");
+      await expect(arcadeManager.withdrawTokenReserves(usdc.address, user2.address, usdcSurplus))
+        .to.emit(arcadeManager, "TokenReservesWithdrawn")
+        .withArgs(usdc.address, user2.address, usdcSurplus);
+      expect(await arcadeManager.surplusReserves()).to.equal(DEPOSIT_AMOUNT.sub(liabilities));
+    });
+    
+    it("Should stop accepting a removed token and release its reserves", async function () {
+      await arcadeManager.connect(user1).depositToken(usdc.address, USDC_DEPOSIT);
+      // The 800 credits bought need 8 USDC at the withdrawal rate
+      expect(await arcadeManager.tokenSurplus(usdc.address)).to.equal(ONE_USDC.mul(2));
+      
+      await expect(arcadeManager.removeToken(bullToken.address))
+        .to.be.revertedWith("Cannot remove BULL");
+      await expect(arcadeManager.removeToken(usdc.address))
+        .to.emit(arcadeManager, "TokenRemoved")
+        .withArgs(usdc.address);
+      
+      expect(await arcadeManager.getTokens()).to.deep.equal([bullToken.address]);
+      await expect(arcadeManager.connect(user1).depositToken(usdc.address, USDC_DEPOSIT))
+        .to.be.revertedWith("Token not accepted");
+      expect(await arcadeManager.tokenSurplus(usdc.address)).to.equal(USDC_DEPOSIT);
+      await expect(arcadeManager.removeToken(usdc.address))
+        .to.be.revertedWith("Token not accepted");
+    });
+  });
+  
+  describe("Migration", function () {
+    it("Should import balances once per player and track them as outstanding credits", async function () {
+      const tx = arcadeManager.importBalances([user1.address, user2.address], [1500, 20]);
+      await expect(tx)
+        .to.emit(arcadeManager, "CreditsImported")
+        .withArgs(user1.address, 1500);
+      await expect(tx)
+        .to.emit(arcadeManager, "CreditsImported")
+        .withArgs(user2.address, 20);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(1500);
+      expect(await arcadeManager.importedCredits(user2.address)).to.equal(20);
+      expect(await arcadeManager.totalCredits()).to.equal(1520);
+      
+      await expect(arcadeManager.importBalances([user2.address], [20]))
+        .to.be.revertedWith("Balance already imported");
+    });
+    
+    it("Should validate the batch and restrict imports to the admin", async function () {
+      await expect(arcadeManager.importBalances([user1.address], [1, 2]))
+        .to.be.revertedWith("Array length mismatch");
+      await expect(arcadeManager.importBalances([ethers.constants.AddressZero], [1]))
+        .to.be.revertedWith("Invalid player address");
+      await expect(arcadeManager.importBalances([user1.address], [0]))
+        .to.be.revertedWith("Amount must be greater than zero");
+      await expect(arcadeManager.connect(operator).importBalances([user1.address], [1]))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+    });
+    
+    it("Should lock imports once finalized", async function () {
+      await arcadeManager.importBalances([user1.address], [100]);
+      await expect(arcadeManager.finalizeMigration())
+        .to.emit(arcadeManager, "MigrationFinalized")
+        .withArgs(100);
+      
+      expect(await arcadeManager.migrationFinalized()).to.equal(true);
+      await expect(arcadeManager.importBalances([user2.address], [100]))
+        .to.be.revertedWith("Migration finalized");
+      await expect(arcadeManager.finalizeMigration())
+        .to.be.revertedWith("Migration finalized");
+    });
+  });
+  
+  describe("AwardWinningsBatch", function () {
+    it("Should award every player in the batch", async function () {
+      const tx = arcadeManager.awardWinningsBatch([user1.address, user2.address], [500, 700]);
+      await expect(tx)
+        .to.emit(arcadeManager, "WinningsAwarded")
+        .withArgs(user1.address, 500);
+      await expect(tx)
+        .to.emit(arcadeManager, "WinningsAwarded")
+        .withArgs(user2.address, 700);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(500);
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(700);
+      expect(await arcadeManager.totalCredits()).to.equal(1200);
+    });
+    
+    it("Should sum repeated players", async function () {
+      await arcadeManager.awardWinningsBatch([user1.address, user1.address], [500, 700]);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(1200);
+    });
+    
+    it("Should validate array lengths and size", async function () {
+      await expect(arcadeManager.awardWinningsBatch([user1.address], [500, 700]))
+        .to.be.revertedWith("Array length mismatch");
+      await expect(arcadeManager.awardWinningsBatch([], []))
+        .to.be.revertedWith("Empty batch");
+      
+      const maxBatchSize = (await arcadeManager.MAX_BATCH_SIZE()).toNumber();
+      const players = new Array(maxBatchSize + 1).fill(user1.address);
+      const amounts = new Array(maxBatchSize + 1).fill(1);
+      await expect(arcadeManager.awardWinningsBatch(players, amounts))
+        .to.be.revertedWith("Batch too large");
+    });
+    
+    it("Should revert the whole batch on an invalid entry", async function () {
+      await expect(arcadeManager.awardWinningsBatch([user1.address, ethers.constants.AddressZero], [500, 700]))
+        .to.be.revertedWith("Invalid player address");
+      await expect(arcadeManager.awardWinningsBatch([user1.address, user2.address], [500, 0]))
+        .to.be.revertedWith("Amount must be greater than zero");
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(0);
+    });
+    
+    it("Should enforce solvency on the batch total", async function () {
+      await arcadeManager.setEnforceSolvency(true);
+      await expect(arcadeManager.awardWinningsBatch([user1.address, user2.address], [WITHDRAWAL_RATE, WITHDRAWAL_RATE]))
+        .to.be.revertedWith("Award exceeds reserves");
+    });
+    
+    it("Should revert if called by non-operator or while awards are paused", async function () {
+      await expect(arcadeManager.connect(user1).awardWinningsBatch([user1.address], [500]))
+        .to.be.revertedWith(missingRole(user1, OPERATOR_ROLE));
+      
+      await arcadeManager.pause(Operation.Award);
+      await expect(arcadeManager.awardWinningsBatch([user1.address], [500]))
+        .to.be.revertedWith("Operation is paused");
+    });
+  });
+  describe("PayoutLimits", function () {
+    const DAY = 24 * 60 * 60;
+    const PayoutLimit = { PerAward: 0, PlayerDaily: 1, GlobalDaily: 2 };
+    
+    async function timeTravel(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+    
+    beforeEach(async function () {
+      await arcadeManager.setPayoutLimits(1000, 1500, 2500);
+    });
+    
+    it("Should start without limits and let the admin change them", async function () {
+      const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+      const fresh = await ArcadeManager.deploy(bullToken.address, DEPOSIT_RATE, WITHDRAWAL_RATE);
+      expect(await fresh.remainingGlobalPayout()).to.equal(ethers.constants.MaxUint256);
+      
+      await expect(arcadeManager.setPayoutLimits(5000, 10000, 50000))
+        .to.emit(arcadeManager, "PayoutLimitsChanged")
+        .withArgs(5000, 10000, 50000);
+      expect((await arcadeManager.payoutLimits()).maxAward).to.equal(5000);
+      
+      await expect(arcadeManager.connect(operator).setPayoutLimits(0, 0, 0))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+    });
+    
+    it("Should block awards above the per-award cap", async function () {
+      await expect(arcadeManager.awardWinnings(user1.address, 1001))
+        .to.emit(arcadeManager, "PayoutLimitExceeded")
+        .withArgs(user1.address, 1001, PayoutLimit.PerAward);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(0);
+      
+      await arcadeManager.awardWinnings(user1.address, 1000);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(1000);
+    });
+    
+    it("Should cap a player's awards per day and reset after the window", async function () {
+      await arcadeManager.awardWinnings(user1.address, 1000);
+      expect(await arcadeManager.remainingPlayerPayout(user1.address)).to.equal(500);
+      
+      await expect(arcadeManager.awardWinnings(user1.address, 501))
+        .to.emit(arcadeManager, "PayoutLimitExceeded")
+        .withArgs(user1.address, 501, PayoutLimit.PlayerDaily);
+      await arcadeManager.awardWinnings(user2.address, 1000);
+      
+      await timeTravel(DAY - 60);
+      await expect(arcadeManager.awardWinnings(user1.address, 501))
+        .to.emit(arcadeManager, "PayoutLimitExceeded");
+      
+      await timeTravel(60);
+      expect(await arcadeManager.remainingPlayerPayout(user1.address)).to.equal(1500);
+      await expect(arcadeManager.awardWinnings(user1.address, 1000))
+        .to.emit(arcadeManager, "WinningsAwarded")
+        .withArgs(user1.address, 1000);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(2000);
+    });
+    
+    it("Should cap all awards per day", async function () {
+      await arcadeManager.awardWinnings(user1.address, 1000);
+      await arcadeManager.awardWinnings(user2.address, 1000);
+      expect(await arcadeManager.remainingGlobalPayout()).to.equal(500);
+      
+      await expect(arcadeManager.awardWinnings(operator.address, 600))
+        .to.emit(arcadeManager, "PayoutLimitExceeded")
+        .withArgs(operator.address, 600, PayoutLimit.GlobalDaily);
+      
+      await timeTravel(DAY);
+      await arcadeManager.awardWinnings(operator.address, 600);
+      expect(await arcadeManager.remainingGlobalPayout()).to.equal(1900);
+    });
+    
+    it("Should let the admin raise limits mid-window", async function () {
+      await arcadeManager.awardWinnings(user1.address, 1000);
+      await arcadeManager.setPayoutLimits(5000, 5000, 10000);
+      
+      await arcadeManager.awardWinnings(user1.address, 4000);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(5000);
+      expect(await arcadeManager.remainingPlayerPayout(user1.address)).to.equal(0);
+    });
+    
+    it("Should skip blocked entries of a batch and credit the rest", async function () {
+      const tx = arcadeManager.awardWinningsBatch([user1.address, user1.address, user2.address], [1000, 1000, 800]);
+      await expect(tx)
+        .to.emit(arcadeManager, "PayoutLimitExceeded")
+        .withArgs(user1.address, 1000, PayoutLimit.PlayerDaily);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(1000);
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(800);
+      expect(await arcadeManager.totalCredits()).to.equal(1800);
+    });
+  });
+  describe("Jackpot", function () {
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      await arcadeManager.setJackpot(1000, 50);
+    });
+    
+    it("Should move the jackpot share of every spend to the pool", async function () {
+      expect(await arcadeManager.jackpotBps()).to.equal(1000);
+      expect(await arcadeManager.jackpotSeed()).to.equal(50);
+      
+      await expect(arcadeManager.connect(user1).spendCredits(300))
+        .to.emit(arcadeManager, "CreditsSpent")
+        .withArgs(user1.address, 300);
+      await arcadeManager.connect(user1).spendCredits(5);
+      
+      // 10% of 300, and 10% of 5 rounded down
+      expect(await arcadeManager.jackpotPool()).to.equal(30);
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(305));
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT.sub(305).add(30));
+    });
+    
+    it("Should pay the pool to the winner and restart it at the seed", async function () {
+      await arcadeManager.connect(user1).spendCredits(300);
+      await expect(arcadeManager.awardJackpot(user2.address))
+        .to.emit(arcadeManager, "JackpotWon")
+        .withArgs(user2.address, 30, 50);
+      
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(30);
+      expect(await arcadeManager.jackpotPool()).to.equal(50);
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT.sub(300).add(30).add(50));
+      
+      await arcadeManager.setJackpot(0, 0);
+      await arcadeManager.connect(user1).spendCredits(300);
+      await arcadeManager.awardJackpot(user2.address);
+      expect(await arcadeManager.userCredits(user2.address)).to.equal(80);
+      await expect(arcadeManager.awardJackpot(user2.address))
+        .to.be.revertedWith("Jackpot is empty");
+    });
+    
+    it("Should reject invalid settings, awards and callers", async function () {
+      await arcadeManager.connect(user1).spendCredits(300);
+      await expect(arcadeManager.setJackpot(2001, 0))
+        .to.be.revertedWith("Jackpot share too high");
+      await expect(arcadeManager.connect(operator).setJackpot(100, 0))
+        .to.be.revertedWith(missingRole(operator, ADMIN_ROLE));
+      await expect(arcadeManager.connect(user1).awardJackpot(user1.address))
+        .to.be.revertedWith(missingRole(user1, OPERATOR_ROLE));
+      await expect(arcadeManager.awardJackpot(ethers.constants.AddressZero))
+        .to.be.revertedWith("Invalid player address");
+      
+      await arcadeManager.pause(Operation.Award);
+      await expect(arcadeManager.awardJackpot(user2.address))
+        .to.be.revertedWith("Operation is paused");
+    });
+    
+    it("Should check the seed against the reserves when solvency is enforced", async function () {
+      await arcadeManager.connect(user1).spendCredits(300);
+      await arcadeManager.setEnforceSolvency(true);
+      await arcadeManager.setJackpot(1000, CREDIT_AMOUNT);
+      await expect(arcadeManager.awardJackpot(user2.address))
+        .to.be.revertedWith("Award exceeds reserves");
+    });
+  });
+  
+  describe("BonusCredits", function () {
+    const DAY = 24 * 60 * 60;
+    
+    async function timeTravel(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+    
+    async function inOneDay() {
+      return (await ethers.provider.getBlock("latest")).timestamp + DAY;
+    }
+    
+    beforeEach(async function () {
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    });
+    
+    it("Should spend bonus credits before purchased credits", async function () {
+      const expiresAt = await inOneDay();
+      await expect(arcadeManager.grantBonusCredits(user1.address, 100, expiresAt))
+        .to.emit(arcadeManager, "BonusCreditsGranted")
+        .withArgs(user1.address, 100, expiresAt);
+      expect(await arcadeManager.getCreditBalances(user1.address))
+        .to.deep.equal([CREDIT_AMOUNT, ethers.BigNumber.from(100), ethers.BigNumber.from(expiresAt)]);
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT);
+      
+      await expect(arcadeManager.connect(user1).spendCredits(60))
+        .to.emit(arcadeManager, "BonusCreditsSpent")
+        .withArgs(user1.address, 60)
+        .and.not.to.emit(arcadeManager, "CreditsSpent");
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT);
+      
+      await expect(arcadeManager.connect(user1).spendCredits(100))
+        .to.emit(arcadeManager, "BonusCreditsSpent")
+        .withArgs(user1.address, 40)
+        .and.to.emit(arcadeManager, "CreditsSpent")
+        .withArgs(user1.address, 60);
+      expect(await arcadeManager.getCreditBalances(user1.address))
+        .to.deep.equal([CREDIT_AMOUNT.sub(60), ethers.BigNumber.from(0), ethers.BigNumber.from(0)]);
+      expect(await arcadeManager.totalCredits()).to.equal(CREDIT_AMOUNT.sub(60));
+    });
+    
+    it("Should only withdraw and transfer purchased credits", async function () {
+      await arcadeManager.grantBonusCredits(user1.address, 100, 0);
+      await expect(arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT.add(100)))
+        .to.be.revertedWith("Insufficient credits");
+      await arcadeManager.setTransfersEnabled(true);
+      await expect(arcadeManager.connect(user1).transferCredits(user2.address, CREDIT_AMOUNT.add(1)))
+        .to.be.revertedWith("Insufficient credits");
+      
+      await arcadeManager.connect(user1).withdraw(CREDIT_AMOUNT);
+      expect(await arcadeManager.getCredits(user1.address)).to.equal(0);
+      await arcadeManager.connect(user1).spendCredits(100);
+      await expect(arcadeManager.connect(user1).spendCredits(1))
+        .to.be.revertedWith("Insufficient credits");
+    });
+    
+    it("Should stop counting bonus credits once they expire", async function () {
+      await arcadeManager.grantBonusCredits(user1.address, 100, await inOneDay());
+      await timeTravel(DAY);
+      expect((await arcadeManager.getCreditBalances(user1.address)).bonus).to.equal(0);
+      await expect(arcadeManager.connect(user1).spendCredits(10))
+        .to.emit(arcadeManager, "CreditsSpent")
+        .withArgs(user1.address, 10);
+      
+      // The next grant drops the expired lot
+      await arcadeManager.grantBonusCredits(user1.address, 30, 0);
+      const lots = await arcadeManager.getBonusLots(user1.address);
+      expect(lots.map((lot) => [lot.amount.toNumber(), lot.expiresAt.toNumber()])).to.deep.equal([[30, 0]]);
+    });
+    
+    it("Should keep the expiry of each grant", async function () {
+      const tomorrow = await inOneDay();
+      const nextWeek = tomorrow + 6 * DAY;
+      await arcadeManager.grantBonusCredits(user1.address, 40, 0);
+      await arcadeManager.grantBonusCredits(user1.address, 30, nextWeek);
+      await arcadeManager.grantBonusCredits(user1.address, 20, tomorrow);
+      await arcadeManager.grantBonusCredits(user1.address, 5, nextWeek);
+      
+      const lots = await arcadeManager.getBonusLots(user1.address);
+      expect(lots.map((lot) => [lot.amount.toNumber(), lot.expiresAt.toNumber()]))
+        .to.deep.equal([[20, tomorrow], [35, nextWeek], [40, 0]]);
+      expect(await arcadeManager.getCreditBalances(user1.address))
+        .to.deep.equal([CREDIT_AMOUNT, ethers.BigNumber.from(95), ethers.BigNumber.from(tomorrow)]);
+      
+      // Soonest expiry is spent first; a one-day grant does not shorten the others
+      await arcadeManager.connect(user1).spendCredits(25);
+      await timeTravel(DAY);
+      expect(await arcadeManager.getCreditBalances(user1.address))
+        .to.deep.equal([CREDIT_AMOUNT, ethers.BigNumber.from(70), ethers.BigNumber.from(nextWeek)]);
+      
+      // Neither does a non-expiring grant make the others permanent
+      await arcadeManager.grantBonusCredits(user1.address, 10, 0);
+      await timeTravel(6 * DAY);
+      expect(await arcadeManager.getCreditBalances(user1.address))
+        .to.deep.equal([CREDIT_AMOUNT, ethers.BigNumber.from(50), ethers.BigNumber.from(0)]);
+    });
+    
+    it("Should cap the number of bonus lots per player", async function () {
+      const start = await inOneDay();
+      const max = (await arcadeManager.MAX_BONUS_LOTS()).toNumber();
+      for (let i = 0; i < max; i++) {
+        await arcadeManager.grantBonusCredits(user1.address, 1, start + i);
+      }
+      await expect(arcadeManager.grantBonusCredits(user1.address, 1, start + max))
+        .to.be.revertedWith("Too many bonus lots");
+      
+      // Topping up an existing expiry, or granting once a lot is used up, still works
+      await arcadeManager.grantBonusCredits(user1.address, 1, start);
+      await arcadeManager.connect(user1).spendCredits(2);
+      await arcadeManager.grantBonusCredits(user1.address, 1, start + max);
+      expect((await arcadeManager.getBonusLots(user1.address)).length).to.equal(max);
+    });
+    
+    it("Should keep bonus credits out of the jackpot", async function () {
+      await arcadeManager.setJackpot(1000, 0);
+      await arcadeManager.grantBonusCredits(user1.address, 100, 0);
+      await arcadeManager.connect(user1).spendCredits(300);
+      expect(await arcadeManager.jackpotPool()).to.equal(20);
+    });
+    
+    it("Should reject invalid grants and callers", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(arcadeManager.connect(user1).grantBonusCredits(user1.address, 100, 0))
+        .to.be.revertedWith(missingRole(user1, OPERATOR_ROLE));
+      await expect(arcadeManager.grantBonusCredits(ethers.constants.AddressZero, 100, 0))
+        .to.be.revertedWith("Invalid player address");
+      await expect(arcadeManager.grantBonusCredits(user1.address, 0, 0))
+        .to.be.revertedWith("Amount must be greater than zero");
+      await expect(arcadeManager.grantBonusCredits(user1.address, 100, now))
+        .to.be.revertedWith("Invalid expiry");
+      
+      await arcadeManager.pause(Operation.Award);
+      await expect(arcadeManager.grantBonusCredits(user1.address, 100, 0))
+        .to.be.revertedWith("Operation is paused");
+    });
+  });
+  
+  describe("MetaTransactions", function () {
+    const GAME_ID = 1;
+    const GAME_PRICE = 250;
+    const PLAY_TYPES = {
+      Play: [
+        { name: "player", type: "address" },
+        { name: "gameId", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const SPEND_TYPES = {
+      Spend: [
+        { name: "player", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    let domain;
+    let deadline;
+    
+    beforeEach(async function () {
+      await arcadeManager.addGame(GAME_ID, "Space Invaders", GAME_PRICE);
+      await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+      
+      const { chainId } = await ethers.provider.getNetwork();
+      domain = { name: "ArcadeManager", version: "1", chainId, verifyingContract: arcadeManager.address };
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    });
+    
+    function signPlay(signer, player, nonce, expiry = deadline) {
+      return signer._signTypedData(domain, PLAY_TYPES, { player, gameId: GAME_ID, nonce, deadline: expiry });
+    }
+    
+    it("Should let a relayer play a game for the signing player", async function () {
+      const signature = await signPlay(user1, user1.address, 0);
+      const tx = arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline, signature);
+      
+      await expect(tx)
+        .to.emit(arcadeManager, "GamePlayed")
+        .withArgs(user1.address, GAME_ID, GAME_PRICE);
+      await expect(tx)
+        .to.emit(arcadeManager, "MetaTransactionRelayed")
+        .withArgs(user1.address, user2.address, 0);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(GAME_PRICE));
+      expect(await arcadeManager.nonces(user1.address)).to.equal(1);
+    });
+    
+    it("Should let a relayer spend credits for the signing player", async function () {
+      const signature = await user1._signTypedData(domain, SPEND_TYPES, {
+        player: user1.address, amount: 300, nonce: 0, deadline
+      });
+      await expect(arcadeManager.connect(user2).spendCreditsFor(user1.address, 300, deadline, signature))
+        .to.emit(arcadeManager, "CreditsSpent")
+        .withArgs(user1.address, 300);
+      
+      expect(await arcadeManager.userCredits(user1.address)).to.equal(CREDIT_AMOUNT.sub(300));
+    });
+    
+    it("Should expose the EIP-712 domain separator", async function () {
+      expect(await arcadeManager.domainSeparator())
+        .to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+    
+    it("Should reject expired signatures", async function () {
+      const expired = (await ethers.provider.getBlock("latest")).timestamp;
+      const signature = await signPlay(user1, user1.address, 0, expired);
+      await expect(arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, expired, signature))
+        .to.be.revertedWith("Signature expired");
+    });
+    
+    it("Should reject signatures from another account or for other parameters", async function () {
+      const forged = await signPlay(user2, user1.address, 0);
+      await expect(arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline, forged))
+        .to.be.revertedWith("Invalid signature");
+      
+      const signature = await signPlay(user1, user1.address, 0);
+      await expect(arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline + 1, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should reject replayed signatures", async function () {
+      const signature = await signPlay(user1, user1.address, 0);
+      await arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline, signature);
+      
+      await expect(arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline, signature))
+        .to.be.revertedWith("Invalid signature");
+    });
+    
+    it("Should revert while spending is paused", async function () {
+      const signature = await signPlay(user1, user1.address, 0);
+      await arcadeManager.pause(Operation.Spend);
+      await expect(arcadeManager.connect(user2).playGameFor(user1.address, GAME_ID, deadline, signature))
+        .to.be.revertedWith("Operation is paused");
+    });
+  });
 });
 
 // MockBullToken tests can be added as a separate describe block if needed
@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { ArcadeClient, RandomnessError, newSeed, seedCommitment, deriveRandomness } = require("../sdk");
+const { expectError } = require("./helpers");
+
+describe("ArcadeRandomness", function () {
+  let randomness;
+  let arcadeManager;
+  let coordinator;
+  let consumer;
+  let owner;
+  let server;
+  let outsider;
+  
+  const GAME_ID = 1;
+  const REVEAL_TIMEOUT = 24 * 60 * 60;
+  const Status = { AwaitingSource: 1, AwaitingPlayer: 2, Fulfilled: 3, SourceExpired: 4, PlayerExpired: 5 };
+  
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+  
+  // Commit fresh operator seeds and return the secrets
+  async function commitSeeds(count = 1) {
+    const seeds = Array.from({ length: count }, () => newSeed());
+    await randomness.commitSeeds(seeds.map(seedCommitment));
+    return seeds;
+  }
+  
+  // Request randomness as the game server and return the player's secret seed
+  async function request() {
+    const playerSeed = newSeed();
+    await randomness.connect(server).requestRandomness(GAME_ID, seedCommitment(playerSeed));
+    return playerSeed;
+  }
+  
+  beforeEach(async function () {
+    [owner, server, outsider] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    const bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    await arcadeManager.addGame(GAME_ID, "Dice", 10);
+    
+    const Randomness = await ethers.getContractFactory("ArcadeRandomness");
+    randomness = await Randomness.deploy(arcadeManager.address);
+    await randomness.deployed();
+    
+    const Coordinator = await ethers.getContractFactory("MockRandomnessCoordinator");
+    coordinator = await Coordinator.deploy();
+    await coordinator.deployed();
+    
+    const Consumer = await ethers.getContractFactory("MockRandomnessConsumer");
+    consumer = await Consumer.deploy(randomness.address);
+    await consumer.deployed();
+    
+    const CONSUMER_ROLE = await randomness.CONSUMER_ROLE();
+    await randomness.grantRole(CONSUMER_ROLE, server.address);
+    await randomness.grantRole(CONSUMER_ROLE, consumer.address);
+  });
+  
+  describe("Commit-reveal", function () {
+    it("Should fulfil a request once the operator and then the player reveal", async function () {
+      const [seed] = await commitSeeds();
+      expect(await randomness.availableSeeds()).to.equal(1);
+      
+      const playerSeed = newSeed();
+      await expect(randomness.connect(server).requestRandomness(GAME_ID, seedCommitment(playerSeed)))
+        .to.emit(randomness, "RandomnessRequested")
+        .withArgs(1, server.address, GAME_ID, seedCommitment(playerSeed), seedCommitment(seed), ethers.constants.AddressZero);
+      expect(await randomness.availableSeeds()).to.equal(0);
+      
+      await expect(randomness.revealSeed(1, seed))
+        .to.emit(randomness, "SourceRevealed")
+        .withArgs(1, seed);
+      expect((await randomness.requests(1)).status).to.equal(Status.AwaitingPlayer);
+      
+      const expected = deriveRandomness(1, seed, playerSeed);
+      await expect(randomness.connect(outsider).revealPlayerSeed(1, playerSeed))
+        .to.emit(randomness, "PlayerSeedRevealed")
+        .withArgs(1, playerSeed)
+        .and.to.emit(randomness, "RandomnessFulfilled")
+        .withArgs(1, expected);
+      
+      const stored = await randomness.requests(1);
+      expect(stored.status).to.equal(Status.Fulfilled);
+      expect(stored.randomness).to.equal(expected);
+      expect(await randomness.deriveRandomness(1, seed, playerSeed)).to.equal(expected);
+    });
+    
+    it("Should use commitments in order and reject wrong seeds", async function () {
+      const [first, second] = await commitSeeds(2);
+      const playerSeed = await request();
+      await request();
+      
+      await expect(randomness.revealSeed(1, second)).to.be.revertedWith("Seed does not match commitment");
+      await expect(randomness.connect(server).revealSeed(1, first)).to.be.reverted;
+      await randomness.revealSeed(1, first);
+      await expect(randomness.revealSeed(1, first)).to.be.revertedWith("Request not awaiting source");
+      await expect(randomness.revealPlayerSeed(1, newSeed())).to.be.revertedWith("Seed does not match commitment");
+      await randomness.revealPlayerSeed(1, playerSeed);
+      await expect(randomness.revealPlayerSeed(1, playerSeed)).to.be.revertedWith("Request not awaiting player seed");
+    });
+    
+    it("Should reject requests without seeds or for unplayable games", async function () {
+      const commitment = seedCommitment(newSeed());
+      const requestAs = (gameId, playerCommitment = commitment) =>
+        randomness.connect(server).requestRandomness(gameId, playerCommitment);
+      await expect(requestAs(GAME_ID)).to.be.revertedWith("No operator seeds available");
+      await expect(requestAs(99)).to.be.revertedWith("Game does not exist");
+      await expect(requestAs(GAME_ID, ethers.constants.HashZero)).to.be.revertedWith("Invalid commitment");
+      
+      await arcadeManager.updateGame(GAME_ID, "Dice", 10, false);
+      await expect(requestAs(GAME_ID)).to.be.revertedWith("Game is not active");
+    });
+    
+    it("Should only accept valid commitments from operators", async function () {
+      await expect(randomness.connect(outsider).commitSeeds([seedCommitment(newSeed())])).to.be.reverted;
+      await expect(randomness.commitSeeds([])).to.be.revertedWith("Invalid commitment count");
+      await expect(randomness.commitSeeds([ethers.constants.HashZero])).to.be.revertedWith("Invalid commitment");
+      await expect(randomness.commitSeeds([seedCommitment(newSeed()), seedCommitment(newSeed())]))
+        .to.emit(randomness, "SeedsCommitted")
+        .withArgs(0, 2);
+    });
+  });
+  
+  describe("Abuse", function () {
+    it("Should not let outsiders use up the operator seeds", async function () {
+      await commitSeeds(2);
+      for (let i = 0; i < 2; i++) {
+        await expect(randomness.connect(outsider).requestRandomness(GAME_ID, seedCommitment(newSeed()))).to.be.reverted;
+      }
+      expect(await randomness.availableSeeds()).to.equal(2);
+      await request();
+      expect(await randomness.availableSeeds()).to.equal(1);
+    });
+    
+    it("Should keep the player seed hidden until the operator has revealed", async function () {
+      const [filler, seed] = await commitSeeds(2);
+      
+      // The operator front-runs the player with a filler request to shift which seed the player gets
+      await randomness.grantRole(await randomness.CONSUMER_ROLE(), owner.address);
+      await randomness.requestRandomness(GAME_ID, seedCommitment(newSeed()));
+      const playerSeed = newSeed();
+      const tx = await randomness.connect(server).requestRandomness(GAME_ID, seedCommitment(playerSeed));
+      
+      // Only the commitment is public, and the player seed cannot be revealed before the source
+      const receipt = await tx.wait();
+      expect(receipt.logs.map((log) => log.data).join("")).not.to.include(playerSeed.slice(2));
+      await expect(randomness.revealPlayerSeed(2, playerSeed)).to.be.revertedWith("Request not awaiting player seed");
+      
+      // The operator must reveal its committed seed blind; the result then follows from the player seed
+      await randomness.revealSeed(1, filler);
+      await randomness.revealSeed(2, seed);
+      await randomness.revealPlayerSeed(2, playerSeed);
+      expect((await randomness.requests(2)).randomness).to.equal(deriveRandomness(2, seed, playerSeed));
+    });
+    
+    it("Should expire a request whose operator seed is withheld as a source default", async function () {
+      const [seed] = await commitSeeds();
+      await request();
+      
+      await expect(randomness.connect(outsider).expireRequest(1)).to.be.revertedWith("Request not expired");
+      await increaseTime(REVEAL_TIMEOUT);
+      await expect(randomness.connect(outsider).expireRequest(1))
+        .to.emit(randomness, "RequestExpired")
+        .withArgs(1, Status.SourceExpired);
+      await expect(randomness.revealSeed(1, seed)).to.be.revertedWith("Request not awaiting source");
+      await expect(randomness.expireRequest(1)).to.be.revertedWith("Request not pending");
+    });
+    
+    it("Should expire a request whose player seed is withheld as forfeited", async function () {
+      const [seed] = await commitSeeds();
+      const playerSeed = await request();
+      
+      // The window for the player restarts when the source is revealed
+      await increaseTime(REVEAL_TIMEOUT - 60);
+      await randomness.revealSeed(1, seed);
+      await increaseTime(60);
+      await expect(randomness.expireRequest(1)).to.be.revertedWith("Request not expired");
+      
+      await increaseTime(REVEAL_TIMEOUT);
+      await expect(randomness.expireRequest(1))
+        .to.emit(randomness, "RequestExpired")
+        .withArgs(1, Status.PlayerExpired);
+      await expect(randomness.revealPlayerSeed(1, playerSeed)).to.be.revertedWith("Request not awaiting player seed");
+    });
+  });
+  
+  describe("Coordinator", function () {
+    beforeEach(async function () {
+      await expect(randomness.connect(outsider).setCoordinator(coordinator.address)).to.be.reverted;
+      await expect(randomness.setCoordinator(coordinator.address))
+        .to.emit(randomness, "CoordinatorChanged")
+        .withArgs(coordinator.address);
+    });
+    
+    it("Should mix the coordinator's random word with the player seed", async function () {
+      const playerSeed = newSeed();
+      await expect(randomness.connect(server).requestRandomness(GAME_ID, seedCommitment(playerSeed)))
+        .to.emit(coordinator, "RandomnessRequested")
+        .withArgs(randomness.address, 1);
+      
+      const word = ethers.BigNumber.from(ethers.utils.randomBytes(32));
+      const source = ethers.utils.hexZeroPad(word.toHexString(), 32);
+      await expect(coordinator.fulfill(randomness.address, 1, word))
+        .to.emit(randomness, "SourceRevealed")
+        .withArgs(1, source);
+      await expect(coordinator.fulfill(randomness.address, 1, word)).to.be.revertedWith("Unknown request");
+      
+      await expect(randomness.revealPlayerSeed(1, playerSeed))
+        .to.emit(randomness, "RandomnessFulfilled")
+        .withArgs(1, deriveRandomness(1, source, playerSeed));
+    });
+    
+    it("Should only accept words from the request's coordinator", async function () {
+      const [seed] = await commitSeeds();
+      await request();
+      
+      await expect(randomness.fulfillRandomness(1, 42)).to.be.revertedWith("Not the coordinator");
+      await expect(randomness.revealSeed(1, seed)).to.be.revertedWith("Request served by coordinator");
+      
+      // Switching back to commit-reveal leaves the pending request with its coordinator
+      await randomness.setCoordinator(ethers.constants.AddressZero);
+      await request();
+      await expect(coordinator.fulfillRandom(randomness.address, 1))
+        .to.emit(randomness, "SourceRevealed");
+      await randomness.revealSeed(2, seed);
+    });
+  });
+  
+  describe("Consumers", function () {
+    it("Should call back the requesting game contract", async function () {
+      const [seed] = await commitSeeds();
+      const playerSeed = newSeed();
+      await consumer.play(GAME_ID, seedCommitment(playerSeed));
+      
+      await randomness.revealSeed(1, seed);
+      await randomness.revealPlayerSeed(1, playerSeed);
+      expect(await consumer.results(1)).to.equal(deriveRandomness(1, seed, playerSeed));
+    });
+    
+    it("Should keep the result when the callback fails", async function () {
+      const [seed] = await commitSeeds();
+      const playerSeed = newSeed();
+      await consumer.setFailCallbacks(true);
+      await consumer.play(GAME_ID, seedCommitment(playerSeed));
+      
+      await randomness.revealSeed(1, seed);
+      await expect(randomness.revealPlayerSeed(1, playerSeed))
+        .to.emit(randomness, "CallbackFailed")
+        .withArgs(1);
+      expect((await randomness.requests(1)).status).to.equal(Status.Fulfilled);
+      expect(await consumer.results(1)).to.equal(0);
+    });
+    
+    it("Should not let a reveal starve the callback of gas", async function () {
+      const [seed] = await commitSeeds();
+      const playerSeed = newSeed();
+      await consumer.play(GAME_ID, seedCommitment(playerSeed));
+      await randomness.revealSeed(1, seed);
+      
+      await expect(randomness.revealPlayerSeed(1, playerSeed, { gasLimit: 200_000 }))
+        .to.be.revertedWith("Not enough gas for callback");
+      expect((await randomness.requests(1)).status).to.equal(Status.AwaitingPlayer);
+      
+      await randomness.revealPlayerSeed(1, playerSeed);
+      expect(await consumer.results(1)).to.equal(deriveRandomness(1, seed, playerSeed));
+    });
+  });
+  
+  describe("SDK", function () {
+    let operatorClient;
+    let serverClient;
+    
+    beforeEach(async function () {
+      operatorClient = new ArcadeClient({
+        arcadeManager: arcadeManager.address,
+        signerOrProvider: owner,
+        abi: arcadeManager.interface.format(),
+        randomness: randomness.address
+      });
+      serverClient = operatorClient.connect(server);
+    });
+    
+    it("Should request, reveal and verify randomness", async function () {
+      const seed = newSeed();
+      await operatorClient.commitSeeds([seed]);
+      expect(await operatorClient.getAvailableSeeds()).to.equal(1);
+      
+      const { id, playerSeed } = await serverClient.requestRandomness({ gameId: GAME_ID });
+      expect(await serverClient.getRandomnessRequest(id)).to.deep.include({
+        requester: server.address,
+        playerCommitment: seedCommitment(playerSeed),
+        seedCommitment: seedCommitment(seed),
+        coordinator: null,
+        status: "awaitingSource",
+        source: null,
+        randomness: null
+      });
+      
+      await operatorClient.revealSeed(id, seed);
+      expect((await serverClient.getRandomnessRequest(id)).source).to.equal(seed);
+      const { randomness: result } = await serverClient.revealPlayerSeed(id, playerSeed);
+      expect(result).to.equal(deriveRandomness(id, seed, playerSeed));
+      expect((await serverClient.getRandomnessRequest(id)).randomness).to.equal(result);
+      expect(await serverClient.getRandomnessRequest(99)).to.equal(null);
+      
+      await operatorClient.setRandomnessCoordinator(coordinator.address);
+      expect(await serverClient.getRandomnessCoordinator()).to.equal(coordinator.address);
+      await operatorClient.addRandomnessConsumer(outsider.address);
+      expect(await randomness.hasRole(await randomness.CONSUMER_ROLE(), outsider.address)).to.equal(true);
+    });
+    
+    it("Should throw RandomnessError for rejected randomness calls", async function () {
+      const caught = await expectError(serverClient.requestRandomness({ gameId: GAME_ID }), RandomnessError);
+      expect(caught.reason).to.equal("No operator seeds available");
+    });
+  });
+});
@@ -0,0 +1,364 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ArcadeClient, TournamentError } = require("../sdk");
+const { parsePayoutTable, parseTime, readRankings } = require("../scripts/lib/tournaments");
+const { expectError } = require("./helpers");
+
+describe("ArcadeTournaments", function () {
+  let arcadeManager;
+  let tournaments;
+  let owner;
+  let operator;
+  let players;
+  let startTime;
+  let endTime;
+  
+  const ENTRY_FEE = 100;
+  const RAKE_BPS = 1000;
+  const PAYOUT_BPS = [5000, 3000, 2000];
+  const FINALIZE_WINDOW = 7 * 24 * 60 * 60;
+  
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+  
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+  
+  async function createTournament(payoutBps = PAYOUT_BPS) {
+    await tournaments.connect(operator).createTournament("Weekly High Score", ENTRY_FEE, startTime, endTime, RAKE_BPS, payoutBps);
+    return tournaments.tournamentCount();
+  }
+  
+  async function enter(id, entrants) {
+    for (const player of entrants) {
+      await arcadeManager.connect(player).approveCredits(tournaments.address, ENTRY_FEE);
+      await tournaments.connect(player).enterTournament(id);
+    }
+  }
+  
+  beforeEach(async function () {
+    [owner, operator, ...players] = await ethers.getSigners();
+    players = players.slice(0, 4);
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    const bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    
+    const Tournaments = await ethers.getContractFactory("ArcadeTournaments");
+    tournaments = await Tournaments.deploy(arcadeManager.address);
+    await tournaments.deployed();
+    await arcadeManager.grantRole(await arcadeManager.ESCROW_ROLE(), tournaments.address);
+    await tournaments.grantRole(await tournaments.OPERATOR_ROLE(), operator.address);
+    
+    for (const player of players) {
+      await bullToken.transfer(player.address, ethers.utils.parseEther("10"));
+      await bullToken.connect(player).approve(arcadeManager.address, ethers.utils.parseEther("10"));
+      await arcadeManager.connect(player).deposit(ethers.utils.parseEther("10"));
+    }
+    
+    startTime = (await latestTimestamp()) + 3600;
+    endTime = startTime + 7 * 24 * 60 * 60;
+  });
+  
+  describe("Creation", function () {
+    it("Should create a tournament with its payout table", async function () {
+      await expect(tournaments.connect(operator).createTournament("Weekly High Score", ENTRY_FEE, startTime, endTime, RAKE_BPS, PAYOUT_BPS))
+        .to.emit(tournaments, "TournamentCreated")
+        .withArgs(1, "Weekly High Score", ENTRY_FEE, startTime, endTime, RAKE_BPS, PAYOUT_BPS);
+      
+      const tournament = await tournaments.getTournament(1);
+      expect(tournament.status).to.equal(1);
+      expect(tournament.payoutBps).to.deep.equal(PAYOUT_BPS);
+      expect((await tournaments.getTournament(2)).status).to.equal(0);
+    });
+    
+    it("Should reject invalid tournaments and non-operators", async function () {
+      const create = (...args) => tournaments.connect(operator).createTournament(...args);
+      await expect(create("", ENTRY_FEE, startTime, endTime, RAKE_BPS, PAYOUT_BPS))
+        .to.be.revertedWith("Tournament name cannot be empty");
+      await expect(create("Cup", ENTRY_FEE, endTime, startTime, RAKE_BPS, PAYOUT_BPS))
+        .to.be.revertedWith("Invalid tournament times");
+      await expect(create("Cup", ENTRY_FEE, 1, 2, RAKE_BPS, PAYOUT_BPS))
+        .to.be.revertedWith("Tournament would already be over");
+      await expect(create("Cup", ENTRY_FEE, startTime, endTime, 2001, PAYOUT_BPS))
+        .to.be.revertedWith("Rake too high");
+      await expect(create("Cup", ENTRY_FEE, startTime, endTime, RAKE_BPS, []))
+        .to.be.revertedWith("Invalid payout table");
+      await expect(create("Cup", ENTRY_FEE, startTime, endTime, RAKE_BPS, [5000, 0, 5000]))
+        .to.be.revertedWith("Invalid payout table");
+      await expect(create("Cup", ENTRY_FEE, startTime, endTime, RAKE_BPS, [5000, 3000]))
+        .to.be.revertedWith("Payouts must sum to 100%");
+      await expect(tournaments.connect(players[0]).createTournament("Cup", ENTRY_FEE, startTime, endTime, RAKE_BPS, PAYOUT_BPS))
+        .to.be.reverted;
+    });
+  });
+  
+  describe("Entry", function () {
+    it("Should hold entry fees while player transfers are disabled", async function () {
+      const id = await createTournament();
+      expect(await arcadeManager.transfersEnabled()).to.equal(false);
+      
+      await arcadeManager.connect(players[0]).approveCredits(tournaments.address, ENTRY_FEE);
+      await expect(tournaments.connect(players[0]).enterTournament(id))
+        .to.emit(tournaments, "TournamentEntered")
+        .withArgs(id, players[0].address, ENTRY_FEE);
+      
+      expect(await arcadeManager.userCredits(players[0].address)).to.equal(900);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(ENTRY_FEE);
+      expect(await tournaments.hasEntered(id, players[0].address)).to.equal(true);
+      expect((await tournaments.getTournament(id)).prizePool).to.equal(ENTRY_FEE);
+    });
+    
+    it("Should require an allowance, one entry per player and an unfinished tournament", async function () {
+      const id = await createTournament();
+      await expect(tournaments.connect(players[0]).enterTournament(id))
+        .to.be.revertedWith("Insufficient allowance");
+      
+      await enter(id, [players[0]]);
+      await expect(tournaments.connect(players[0]).enterTournament(id))
+        .to.be.revertedWith("Already entered");
+      
+      await increaseTime(endTime - (await latestTimestamp()));
+      await arcadeManager.connect(players[1]).approveCredits(tournaments.address, ENTRY_FEE);
+      await expect(tournaments.connect(players[1]).enterTournament(id))
+        .to.be.revertedWith("Tournament has ended");
+      await expect(tournaments.connect(players[1]).enterTournament(99))
+        .to.be.revertedWith("Tournament not open");
+    });
+    
+    it("Should not move credits for a contract without the escrow role", async function () {
+      const id = await createTournament();
+      await arcadeManager.revokeRole(await arcadeManager.ESCROW_ROLE(), tournaments.address);
+      await arcadeManager.connect(players[0]).approveCredits(tournaments.address, ENTRY_FEE);
+      await expect(tournaments.connect(players[0]).enterTournament(id))
+        .to.be.revertedWith("Transfers disabled");
+    });
+  });
+  
+  describe("Finalization", function () {
+    it("Should pay the prize pool by the payout table and retire the rake", async function () {
+      const id = await createTournament();
+      await enter(id, players);
+      await expect(tournaments.connect(operator).finalizeTournament(id, [players[2].address]))
+        .to.be.revertedWith("Tournament has not ended");
+      
+      await increaseTime(endTime - (await latestTimestamp()));
+      const totalBefore = await arcadeManager.totalCredits();
+      const rankings = [players[2].address, players[0].address, players[3].address];
+      
+      // Pool of 400 minus a 10% rake leaves 360: 180 / 108 / 72
+      await expect(tournaments.connect(operator).finalizeTournament(id, rankings))
+        .to.emit(tournaments, "PrizePaid").withArgs(id, players[2].address, 1, 180)
+        .and.to.emit(tournaments, "PrizePaid").withArgs(id, players[0].address, 2, 108)
+        .and.to.emit(tournaments, "PrizePaid").withArgs(id, players[3].address, 3, 72)
+        .and.to.emit(tournaments, "TournamentFinalized").withArgs(id, 400, 40, 3);
+      
+      expect(await arcadeManager.userCredits(players[2].address)).to.equal(900 + 180);
+      expect(await arcadeManager.userCredits(players[1].address)).to.equal(900);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(0);
+      expect(await arcadeManager.totalCredits()).to.equal(totalBefore.sub(40));
+      expect((await tournaments.getTournament(id)).status).to.equal(2);
+      
+      await expect(tournaments.connect(operator).finalizeTournament(id, rankings))
+        .to.be.revertedWith("Tournament not open");
+    });
+    
+    it("Should retire the rake without a jackpot share while spending is paused", async function () {
+      await arcadeManager.setJackpot(2000, 0);
+      const id = await createTournament();
+      await enter(id, players);
+      await increaseTime(endTime - (await latestTimestamp()));
+      const totalBefore = await arcadeManager.totalCredits();
+      
+      const SPEND = 1;
+      await arcadeManager.pause(SPEND);
+      await expect(tournaments.connect(operator).finalizeTournament(id, [players[2].address, players[0].address, players[3].address]))
+        .to.emit(arcadeManager, "CreditsRetired").withArgs(tournaments.address, 40)
+        .and.not.to.emit(arcadeManager, "CreditsSpent");
+      
+      expect(await arcadeManager.jackpotPool()).to.equal(0);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(0);
+      expect(await arcadeManager.totalCredits()).to.equal(totalBefore.sub(40));
+    });
+    
+    it("Should scale the shares when fewer players are ranked than paid", async function () {
+      const id = await createTournament([6000, 3000, 1000]);
+      await enter(id, players.slice(0, 2));
+      await increaseTime(endTime - (await latestTimestamp()));
+      
+      // 180 after the rake, split 6000:3000 between the two places
+      await tournaments.connect(operator).finalizeTournament(id, [players[1].address, players[0].address]);
+      expect(await arcadeManager.userCredits(players[1].address)).to.equal(900 + 120);
+      expect(await arcadeManager.userCredits(players[0].address)).to.equal(900 + 60);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(0);
+    });
+    
+    it("Should reject invalid rankings", async function () {
+      const id = await createTournament([10000]);
+      await enter(id, players.slice(0, 2));
+      await increaseTime(endTime - (await latestTimestamp()));
+      
+      const finalize = (rankings) => tournaments.connect(operator).finalizeTournament(id, rankings);
+      await expect(finalize([])).to.be.revertedWith("Rankings required");
+      await expect(finalize([players[0].address, players[1].address])).to.be.revertedWith("Too many rankings");
+      await expect(finalize([players[3].address])).to.be.revertedWith("Ranked player did not enter");
+      await expect(tournaments.connect(players[0]).finalizeTournament(id, [players[0].address])).to.be.reverted;
+    });
+    
+    it("Should reject duplicate rankings", async function () {
+      const id = await createTournament([5000, 5000]);
+      await enter(id, players.slice(0, 2));
+      await increaseTime(endTime - (await latestTimestamp()));
+      await expect(tournaments.connect(operator).finalizeTournament(id, [players[0].address, players[0].address]))
+        .to.be.revertedWith("Duplicate ranking");
+    });
+  });
+  
+  describe("Refunds", function () {
+    it("Should refund every entry of a cancelled tournament", async function () {
+      const id = await createTournament();
+      await enter(id, players.slice(0, 2));
+      await expect(tournaments.connect(players[0]).claimRefund(id))
+        .to.be.revertedWith("Refunds not available");
+      
+      await expect(tournaments.connect(operator).cancelTournament(id))
+        .to.emit(tournaments, "TournamentCancelled")
+        .withArgs(id);
+      await expect(tournaments.connect(players[0]).claimRefund(id))
+        .to.emit(tournaments, "EntryRefunded")
+        .withArgs(id, players[0].address, ENTRY_FEE);
+      await expect(tournaments.connect(players[0]).claimRefund(id))
+        .to.be.revertedWith("No entry to refund");
+      await expect(tournaments.connect(players[2]).claimRefund(id))
+        .to.be.revertedWith("No entry to refund");
+      await tournaments.connect(players[1]).claimRefund(id);
+      
+      expect(await arcadeManager.userCredits(players[0].address)).to.equal(1000);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(0);
+      await expect(tournaments.connect(players[2]).enterTournament(id))
+        .to.be.revertedWith("Tournament not open");
+    });
+    
+    it("Should refund entries when rankings are not posted in time", async function () {
+      const id = await createTournament();
+      await enter(id, players.slice(0, 2));
+      await increaseTime(endTime + FINALIZE_WINDOW - (await latestTimestamp()));
+      
+      await expect(tournaments.connect(operator).finalizeTournament(id, [players[0].address]))
+        .to.be.revertedWith("Finalize window has passed");
+      await tournaments.connect(players[0]).claimRefund(id);
+      expect(await arcadeManager.userCredits(players[0].address)).to.equal(1000);
+    });
+    
+    it("Should pay prizes and refunds while transfers are paused", async function () {
+      const TRANSFER = 4;
+      const finalized = await createTournament([10000]);
+      await enter(finalized, players.slice(0, 2));
+      const cancelled = await createTournament();
+      await enter(cancelled, players.slice(2, 3));
+      await tournaments.connect(operator).cancelTournament(cancelled);
+      await increaseTime(endTime - (await latestTimestamp()));
+      
+      await arcadeManager.pause(TRANSFER);
+      await expect(tournaments.connect(operator).finalizeTournament(finalized, [players[1].address]))
+        .to.emit(tournaments, "PrizePaid").withArgs(finalized, players[1].address, 1, 180);
+      await tournaments.connect(players[2]).claimRefund(cancelled);
+      
+      expect(await arcadeManager.userCredits(players[1].address)).to.equal(900 + 180);
+      expect(await arcadeManager.userCredits(players[2].address)).to.equal(1000);
+      expect(await arcadeManager.userCredits(tournaments.address)).to.equal(0);
+      await expect(arcadeManager.connect(players[1]).transferCredits(players[0].address, 1))
+        .to.be.revertedWith("Operation is paused");
+    });
+  });
+  
+  describe("SDK", function () {
+    let operatorClient;
+    let playerClient;
+    
+    beforeEach(async function () {
+      operatorClient = new ArcadeClient({
+        arcadeManager: arcadeManager.address,
+        signerOrProvider: operator,
+        abi: arcadeManager.interface.format(),
+        tournaments: tournaments.address
+      });
+      playerClient = operatorClient.connect(players[0]);
+    });
+    
+    it("Should create, enter and finalize tournaments", async function () {
+      const { id } = await operatorClient.createTournament({
+        name: "Weekly High Score",
+        entryFee: ENTRY_FEE,
+        startTime,
+        endTime,
+        payoutBps: [7000, 3000]
+      });
+      expect(await operatorClient.getTournament(id)).to.deep.include({ name: "Weekly High Score", status: "open", rakeBps: 0 });
+      
+      await playerClient.enterTournament(id);
+      await playerClient.connect(players[1]).enterTournament(id);
+      expect(await playerClient.hasEnteredTournament(id)).to.equal(true);
+      
+      await increaseTime(endTime - (await latestTimestamp()));
+      const { prizes, rake } = await operatorClient.finalizeTournament(id, [players[1].address, players[0].address]);
+      expect(prizes.map((prize) => [prize.player, prize.place, prize.amount.toNumber()])).to.deep.equal([
+        [players[1].address, 1, 140],
+        [players[0].address, 2, 60]
+      ]);
+      expect(rake).to.equal(0);
+      
+      const [tournament] = await operatorClient.getTournaments();
+      expect(tournament.status).to.equal("finalized");
+      expect(await operatorClient.getTournament(2)).to.equal(null);
+    });
+    
+    it("Should throw TournamentError for rejected tournament calls", async function () {
+      const id = await createTournament();
+      await playerClient.enterTournament(id);
+      
+      const caught = await expectError(playerClient.enterTournament(id), TournamentError);
+      expect(caught.reason).to.equal("Already entered");
+    });
+  });
+  
+  describe("Script helpers", function () {
+    it("Should parse payout tables and times", function () {
+      expect(parsePayoutTable("50, 30,20")).to.deep.equal([5000, 3000, 2000]);
+      expect(parsePayoutTable("62.5,37.5")).to.deep.equal([6250, 3750]);
+      expect(() => parsePayoutTable("50,30")).to.throw("add up to 80%");
+      expect(() => parsePayoutTable("100,0")).to.throw("Invalid payout share");
+      
+      expect(parseTime("+2h", 1000)).to.equal(1000 + 7200);
+      expect(parseTime("+7d", 0)).to.equal(7 * 24 * 60 * 60);
+      expect(parseTime("1700000000", 0)).to.equal(1700000000);
+      expect(parseTime("2024-01-01T00:00:00Z", 0)).to.equal(1704067200);
+      expect(() => parseTime("next week", 0)).to.throw("Invalid time");
+    });
+    
+    it("Should read rankings files", function () {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tournaments-"));
+      try {
+        const csvFile = path.join(tmpDir, "rankings.csv");
+        fs.writeFileSync(csvFile, `player,score\n# final\n${players[1].address.toLowerCase()},9000\n${players[0].address},8000\n`);
+        expect(readRankings(csvFile)).to.deep.equal([players[1].address, players[0].address]);
+        
+        const jsonFile = path.join(tmpDir, "rankings.json");
+        fs.writeFileSync(jsonFile, JSON.stringify([{ player: players[2].address }, players[2].address]));
+        expect(() => readRankings(jsonFile)).to.throw("ranked more than once");
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { ArcadeClient, WagerError, wagerDomain, signSettlement } = require("../sdk");
+const { expectError } = require("./helpers");
+
+describe("ArcadeWagers", function () {
+  let arcadeManager;
+  let wagers;
+  let owner;
+  let reporter;
+  let alice;
+  let bob;
+  let carol;
+  let domain;
+  
+  const STAKE = 100;
+  const GAME_ID = 1;
+  const MATCH_TIMEOUT = 24 * 60 * 60;
+  
+  async function increaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  }
+  
+  async function createChallenge(challenger = alice, opponent = bob.address) {
+    await arcadeManager.connect(challenger).approveCredits(wagers.address, STAKE);
+    await wagers.connect(challenger).createChallenge(opponent, GAME_ID, STAKE);
+    return wagers.challengeCount();
+  }
+  
+  async function acceptedChallenge() {
+    const id = await createChallenge();
+    await arcadeManager.connect(bob).approveCredits(wagers.address, STAKE);
+    await wagers.connect(bob).acceptChallenge(id);
+    return id;
+  }
+  
+  beforeEach(async function () {
+    [owner, reporter, alice, bob, carol] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    const bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    await arcadeManager.addGame(GAME_ID, "Pong Duel", 10);
+    
+    const Wagers = await ethers.getContractFactory("ArcadeWagers");
+    wagers = await Wagers.deploy(arcadeManager.address);
+    await wagers.deployed();
+    await arcadeManager.grantRole(await arcadeManager.ESCROW_ROLE(), wagers.address);
+    await wagers.grantRole(await wagers.REPORTER_ROLE(), reporter.address);
+    
+    for (const player of [alice, bob, carol]) {
+      await bullToken.transfer(player.address, ethers.utils.parseEther("10"));
+      await bullToken.connect(player).approve(arcadeManager.address, ethers.utils.parseEther("10"));
+      await arcadeManager.connect(player).deposit(ethers.utils.parseEther("10"));
+    }
+    
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = wagerDomain(chainId, wagers.address);
+  });
+  
+  describe("Challenges", function () {
+    it("Should lock the stakes of both players", async function () {
+      await arcadeManager.connect(alice).approveCredits(wagers.address, STAKE);
+      await expect(wagers.connect(alice).createChallenge(bob.address, GAME_ID, STAKE))
+        .to.emit(wagers, "ChallengeCreated")
+        .withArgs(1, alice.address, bob.address, GAME_ID, STAKE);
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(900);
+      expect(await arcadeManager.userCredits(wagers.address)).to.equal(STAKE);
+      
+      await arcadeManager.connect(bob).approveCredits(wagers.address, STAKE);
+      const tx = await wagers.connect(bob).acceptChallenge(1);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      await expect(tx)
+        .to.emit(wagers, "ChallengeAccepted")
+        .withArgs(1, bob.address, timestamp + MATCH_TIMEOUT);
+      
+      const challenge = await wagers.challenges(1);
+      expect(challenge.status).to.equal(2);
+      expect(challenge.deadline).to.equal(timestamp + MATCH_TIMEOUT);
+      expect(await arcadeManager.userCredits(bob.address)).to.equal(900);
+      expect(await arcadeManager.userCredits(wagers.address)).to.equal(2 * STAKE);
+    });
+    
+    it("Should let anyone but the challenger accept an open challenge", async function () {
+      const id = await createChallenge(alice, ethers.constants.AddressZero);
+      await expect(wagers.connect(alice).acceptChallenge(id))
+        .to.be.revertedWith("Cannot challenge yourself");
+      
+      await arcadeManager.connect(carol).approveCredits(wagers.address, STAKE);
+      await wagers.connect(carol).acceptChallenge(id);
+      expect((await wagers.challenges(id)).opponent).to.equal(carol.address);
+    });
+    
+    it("Should reject invalid challenges", async function () {
+      const create = (opponent, gameId, stake) => wagers.connect(alice).createChallenge(opponent, gameId, stake);
+      await expect(create(bob.address, GAME_ID, 0)).to.be.revertedWith("Stake must be greater than zero");
+      await expect(create(alice.address, GAME_ID, STAKE)).to.be.revertedWith("Cannot challenge yourself");
+      await expect(create(bob.address, 99, STAKE)).to.be.revertedWith("Game does not exist");
+      await expect(create(bob.address, GAME_ID, STAKE)).to.be.revertedWith("Insufficient allowance");
+      
+      await arcadeManager.updateGame(GAME_ID, "Pong Duel", 10, false);
+      await expect(create(bob.address, GAME_ID, STAKE)).to.be.revertedWith("Game is not active");
+    });
+    
+    it("Should only let the challenged player accept", async function () {
+      const id = await createChallenge();
+      await arcadeManager.connect(carol).approveCredits(wagers.address, STAKE);
+      await expect(wagers.connect(carol).acceptChallenge(id))
+        .to.be.revertedWith("Not the challenged player");
+      await expect(wagers.connect(bob).acceptChallenge(id))
+        .to.be.revertedWith("Insufficient allowance");
+      await expect(wagers.connect(bob).acceptChallenge(99))
+        .to.be.revertedWith("Challenge not open");
+    });
+    
+    it("Should return the stake of a cancelled challenge", async function () {
+      const id = await createChallenge();
+      await expect(wagers.connect(bob).cancelChallenge(id))
+        .to.be.revertedWith("Not the challenger");
+      await expect(wagers.connect(alice).cancelChallenge(id))
+        .to.emit(wagers, "ChallengeCancelled")
+        .withArgs(id);
+      
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(1000);
+      expect((await wagers.challenges(id)).status).to.equal(4);
+      await arcadeManager.connect(bob).approveCredits(wagers.address, STAKE);
+      await expect(wagers.connect(bob).acceptChallenge(id))
+        .to.be.revertedWith("Challenge not open");
+    });
+    
+    it("Should not move credits without the escrow role", async function () {
+      await arcadeManager.revokeRole(await arcadeManager.ESCROW_ROLE(), wagers.address);
+      await arcadeManager.connect(alice).approveCredits(wagers.address, STAKE);
+      await expect(wagers.connect(alice).createChallenge(bob.address, GAME_ID, STAKE))
+        .to.be.revertedWith("Transfers disabled");
+    });
+  });
+  
+  describe("Reported results", function () {
+    it("Should pay both stakes to the reported winner", async function () {
+      const id = await acceptedChallenge();
+      await expect(wagers.connect(reporter).reportResult(id, bob.address))
+        .to.emit(wagers, "ChallengeSettled")
+        .withArgs(id, bob.address, 2 * STAKE, reporter.address);
+      
+      expect(await arcadeManager.userCredits(bob.address)).to.equal(1100);
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(900);
+      expect(await arcadeManager.userCredits(wagers.address)).to.equal(0);
+      expect((await wagers.challenges(id)).status).to.equal(3);
+      await expect(wagers.connect(reporter).reportResult(id, bob.address))
+        .to.be.revertedWith("Challenge not accepted");
+    });
+    
+    it("Should return both stakes on a draw", async function () {
+      const id = await acceptedChallenge();
+      await expect(wagers.connect(reporter).reportResult(id, ethers.constants.AddressZero))
+        .to.emit(wagers, "ChallengeSettled")
+        .withArgs(id, ethers.constants.AddressZero, 0, reporter.address);
+      
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(1000);
+      expect(await arcadeManager.userCredits(bob.address)).to.equal(1000);
+    });
+    
+    it("Should reject results from non-reporters, for outsiders and for open challenges", async function () {
+      const id = await createChallenge();
+      await expect(wagers.connect(reporter).reportResult(id, alice.address))
+        .to.be.revertedWith("Challenge not accepted");
+      
+      await arcadeManager.connect(bob).approveCredits(wagers.address, STAKE);
+      await wagers.connect(bob).acceptChallenge(id);
+      await expect(wagers.connect(alice).reportResult(id, alice.address)).to.be.reverted;
+      await expect(wagers.connect(reporter).reportResult(id, carol.address))
+        .to.be.revertedWith("Winner is not a player");
+    });
+  });
+  
+  describe("Signed results", function () {
+    it("Should settle with a result signed by both players", async function () {
+      const id = await acceptedChallenge();
+      const settlement = { challengeId: id, winner: alice.address };
+      const aliceSignature = await signSettlement(alice, domain, settlement);
+      const bobSignature = await signSettlement(bob, domain, settlement);
+      
+      await expect(wagers.connect(carol).settleWithSignatures(id, alice.address, aliceSignature, bobSignature))
+        .to.emit(wagers, "ChallengeSettled")
+        .withArgs(id, alice.address, 2 * STAKE, carol.address);
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(1100);
+      expect(await wagers.domainSeparator()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+    
+    it("Should reject missing, swapped or mismatched signatures", async function () {
+      const id = await acceptedChallenge();
+      const aliceSignature = await signSettlement(alice, domain, { challengeId: id, winner: alice.address });
+      const bobSignature = await signSettlement(bob, domain, { challengeId: id, winner: alice.address });
+      const bobClaim = await signSettlement(bob, domain, { challengeId: id, winner: bob.address });
+      const settle = (winner, first, second) => wagers.settleWithSignatures(id, winner, first, second);
+      
+      await expect(settle(alice.address, aliceSignature, aliceSignature)).to.be.revertedWith("Invalid signature");
+      await expect(settle(alice.address, bobSignature, aliceSignature)).to.be.revertedWith("Invalid signature");
+      await expect(settle(alice.address, aliceSignature, bobClaim)).to.be.revertedWith("Invalid signature");
+      await expect(settle(bob.address, aliceSignature, bobClaim)).to.be.revertedWith("Invalid signature");
+    });
+  });
+  
+  describe("Timeouts", function () {
+    it("Should refund both stakes of an expired match", async function () {
+      const id = await acceptedChallenge();
+      await expect(wagers.connect(carol).refundExpired(id))
+        .to.be.revertedWith("Match not expired");
+      
+      await increaseTime(MATCH_TIMEOUT);
+      await expect(wagers.connect(reporter).reportResult(id, alice.address))
+        .to.be.revertedWith("Match expired");
+      await expect(wagers.connect(carol).refundExpired(id))
+        .to.emit(wagers, "ChallengeRefunded")
+        .withArgs(id);
+      
+      expect(await arcadeManager.userCredits(alice.address)).to.equal(1000);
+      expect(await arcadeManager.userCredits(bob.address)).to.equal(1000);
+      expect((await wagers.challenges(id)).status).to.equal(5);
+      await expect(wagers.connect(carol).refundExpired(id))
+        .to.be.revertedWith("Challenge not accepted");
+    });
+    
+    it("Should let the admin change the match timeout within bounds", async function () {
+      await expect(wagers.setMatchTimeout(60)).to.be.revertedWith("Timeout out of bounds");
+      await expect(wagers.setMatchTimeout(8 * MATCH_TIMEOUT)).to.be.revertedWith("Timeout out of bounds");
+      await expect(wagers.connect(alice).setMatchTimeout(3600)).to.be.reverted;
+      await expect(wagers.setMatchTimeout(3600))
+        .to.emit(wagers, "MatchTimeoutChanged")
+        .withArgs(3600);
+      
+      const id = await acceptedChallenge();
+      await increaseTime(3600);
+      await wagers.refundExpired(id);
+    });
+  });
+  
+  describe("SDK", function () {
+    let aliceClient;
+    let bobClient;
+    
+    beforeEach(async function () {
+      aliceClient = new ArcadeClient({
+        arcadeManager: arcadeManager.address,
+        signerOrProvider: alice,
+        abi: arcadeManager.interface.format(),
+        wagers: wagers.address
+      });
+      bobClient = aliceClient.connect(bob);
+    });
+    
+    it("Should create, accept and settle a signed match", async function () {
+      const { id } = await aliceClient.createChallenge({ opponent: bob.address, gameId: GAME_ID, stake: STAKE });
+      expect(await aliceClient.getChallenge(id)).to.deep.include({ challenger: alice.address, status: "open", deadline: null });
+      
+      await bobClient.acceptChallenge(id);
+      const challenge = await bobClient.getChallenge(id);
+      expect(challenge.status).to.equal("accepted");
+      expect(challenge.opponent).to.equal(bob.address);
+      
+      const aliceSignature = await aliceClient.signChallengeSettlement(id, null);
+      const bobSignature = await bobClient.signChallengeSettlement(id, null);
+      await bobClient.settleChallenge(id, null, aliceSignature, bobSignature);
+      expect((await aliceClient.getChallenge(id)).status).to.equal("settled");
+      expect(await aliceClient.getChallenge(99)).to.equal(null);
+      expect(await aliceClient.getMatchTimeout()).to.equal(MATCH_TIMEOUT);
+    });
+    
+    it("Should throw WagerError for rejected wager calls", async function () {
+      const { id } = await aliceClient.createChallenge({ gameId: GAME_ID, stake: STAKE });
+      
+      const caught = await expectError(bobClient.cancelChallenge(id), WagerError);
+      expect(caught.reason).to.equal("Not the challenger");
+    });
+  });
+});
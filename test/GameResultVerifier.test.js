@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  ArcadeClient,
+  ResultSigner,
+  InvalidSignatureError,
+  SignatureExpiredError,
+  ReceiptClaimedError,
+  PayoutLimitError,
+  JackpotError
+} = require("../sdk");
+const { expectError } = require("./helpers");
+
+describe("GameResultVerifier", function () {
+  let arcadeManager;
+  let verifier;
+  let owner;
+  let player;
+  let server;
+  let attacker;
+  let resultSigner;
+  let playerClient;
+  
+  const GAME_ID = 1;
+  const MAX_PAYOUT = 1000;
+  const DAILY_LIMIT = 2500;
+  
+  beforeEach(async function () {
+    [owner, player, server, attacker] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    const bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    await arcadeManager.addGame(GAME_ID, "Space Invaders", 250);
+    
+    const Verifier = await ethers.getContractFactory("GameResultVerifier");
+    verifier = await Verifier.deploy(arcadeManager.address);
+    await verifier.deployed();
+    await arcadeManager.grantRole(await arcadeManager.OPERATOR_ROLE(), verifier.address);
+    await verifier.setSigner(server.address, MAX_PAYOUT, DAILY_LIMIT);
+    
+    const { chainId } = await ethers.provider.getNetwork();
+    resultSigner = new ResultSigner({ signer: server, verifier: verifier.address, chainId });
+    playerClient = new ArcadeClient({
+      arcadeManager: arcadeManager.address,
+      signerOrProvider: player,
+      abi: arcadeManager.interface.format(),
+      resultVerifier: verifier.address
+    });
+  });
+  
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+  
+  it("Should pay a receipt signed by a registered server", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, score: 98000, payout: 600 });
+    expect(resultSigner.recover(receipt)).to.equal(server.address);
+    
+    await expect(verifier.connect(player).claim(receipt.result, receipt.signature))
+      .to.emit(verifier, "ResultClaimed")
+      .withArgs(receipt.result.sessionId, player.address, server.address, GAME_ID, 98000, 600);
+    
+    expect(await arcadeManager.userCredits(player.address)).to.equal(600);
+    expect(await playerClient.isResultClaimed(receipt.result.sessionId)).to.equal(true);
+  });
+  
+  it("Should let anyone submit the receipt but pay only the player", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    await verifier.connect(attacker).claim(receipt.result, receipt.signature);
+    
+    expect(await arcadeManager.userCredits(player.address)).to.equal(600);
+    expect(await arcadeManager.userCredits(attacker.address)).to.equal(0);
+  });
+  
+  it("Should reject forged receipts", async function () {
+    const forger = new ResultSigner({ signer: attacker, verifier: verifier.address, chainId: resultSigner.domain.chainId });
+    const forged = await forger.sign({ player: attacker.address, gameId: GAME_ID, payout: 600 });
+    await expect(verifier.claim(forged.result, forged.signature))
+      .to.be.revertedWith("Unknown signer");
+    
+    // Tampering with a genuine receipt changes the recovered signer
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    await expectError(
+      playerClient.claimResult({ result: { ...receipt.result, payout: "1000" }, signature: receipt.signature }),
+      InvalidSignatureError
+    );
+  });
+  
+  it("Should reject expired receipts", async function () {
+    const receipt = await resultSigner.sign({
+      player: player.address, gameId: GAME_ID, payout: 600, expiry: (await latestTimestamp()) + 60
+    });
+    await network.provider.send("evm_increaseTime", [61]);
+    await network.provider.send("evm_mine");
+    
+    await expectError(playerClient.claimResult(receipt), SignatureExpiredError);
+  });
+  
+  it("Should reject replayed receipts", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    await playerClient.claimResult(receipt);
+    
+    await expectError(playerClient.claimResult(receipt), ReceiptClaimedError);
+    expect(await arcadeManager.userCredits(player.address)).to.equal(600);
+  });
+  
+  it("Should reject receipts for unknown games", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: 99, payout: 600 });
+    await expect(verifier.claim(receipt.result, receipt.signature))
+      .to.be.revertedWith("Game does not exist");
+  });
+  
+  it("Should enforce the per-receipt limit", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: MAX_PAYOUT + 1 });
+    await expectError(playerClient.claimResult(receipt), PayoutLimitError);
+  });
+  
+  it("Should enforce the daily limit and reset it after a day", async function () {
+    for (let i = 0; i < 2; i++) {
+      await playerClient.claimResult(await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: MAX_PAYOUT }));
+    }
+    expect((await playerClient.getResultSigner(server.address)).remaining).to.equal(DAILY_LIMIT - 2 * MAX_PAYOUT);
+    
+    const overLimit = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: MAX_PAYOUT });
+    await expect(verifier.claim(overLimit.result, overLimit.signature))
+      .to.be.revertedWith("Signer daily limit reached");
+    
+    await network.provider.send("evm_increaseTime", [24 * 60 * 60]);
+    await network.provider.send("evm_mine");
+    expect(await verifier.remainingDailyLimit(server.address)).to.equal(DAILY_LIMIT);
+    
+    await playerClient.claimResult(await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: MAX_PAYOUT }));
+    expect(await arcadeManager.userCredits(player.address)).to.equal(3 * MAX_PAYOUT);
+  });
+  
+  it("Should leave receipts blocked by ArcadeManager payout limits claimable", async function () {
+    await arcadeManager.setPayoutLimits(500, 0, 0);
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    
+    await expectError(playerClient.claimResult(receipt), PayoutLimitError);
+    expect(await playerClient.isResultClaimed(receipt.result.sessionId)).to.equal(false);
+    
+    await arcadeManager.setPayoutLimits(1000, 0, 0);
+    await playerClient.claimResult(receipt);
+    expect(await arcadeManager.userCredits(player.address)).to.equal(600);
+  });
+  
+  it("Should stop paying receipts of a removed signer", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    await expect(verifier.removeSigner(server.address))
+      .to.emit(verifier, "SignerRemoved")
+      .withArgs(server.address);
+    
+    await expect(verifier.claim(receipt.result, receipt.signature))
+      .to.be.revertedWith("Unknown signer");
+  });
+  
+  it("Should restrict signer management to the admin", async function () {
+    const adminRole = await verifier.DEFAULT_ADMIN_ROLE();
+    await expect(verifier.connect(attacker).setSigner(attacker.address, MAX_PAYOUT, DAILY_LIMIT))
+      .to.be.revertedWith(`AccessControl: account ${attacker.address.toLowerCase()} is missing role ${adminRole}`);
+    await expect(verifier.setSigner(attacker.address, MAX_PAYOUT, MAX_PAYOUT - 1))
+      .to.be.revertedWith("Invalid signer limits");
+  });
+  
+  it("Should respect ArcadeManager award pauses and roles", async function () {
+    const receipt = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+    await arcadeManager.pause(3);
+    await expect(verifier.claim(receipt.result, receipt.signature))
+      .to.be.revertedWith("Operation is paused");
+    
+    await arcadeManager.unpause(3);
+    const operatorRole = await arcadeManager.OPERATOR_ROLE();
+    await arcadeManager.revokeRole(operatorRole, verifier.address);
+    await expect(verifier.claim(receipt.result, receipt.signature))
+      .to.be.revertedWith(`AccessControl: account ${verifier.address.toLowerCase()} is missing role ${operatorRole}`);
+  });
+  
+  describe("Jackpot", function () {
+    beforeEach(async function () {
+      await arcadeManager.setJackpot(1000, 0);
+      await arcadeManager.awardWinnings(player.address, 1000);
+      await arcadeManager.connect(player).spendCredits(500);
+    });
+    
+    it("Should pay the jackpot to the player of a signed jackpot win", async function () {
+      await expect(verifier.setJackpotSigner(server.address, true))
+        .to.emit(verifier, "JackpotSignerSet")
+        .withArgs(server.address, true);
+      expect((await playerClient.getResultSigner(server.address)).jackpot).to.equal(true);
+      
+      const receipt = await resultSigner.signJackpot({ player: player.address, gameId: GAME_ID });
+      await expect(verifier.connect(attacker).claimJackpot(receipt.result, receipt.signature))
+        .to.emit(verifier, "JackpotClaimed")
+        .withArgs(receipt.result.sessionId, player.address, server.address, GAME_ID, 50)
+        .and.to.emit(arcadeManager, "JackpotWon")
+        .withArgs(player.address, 50, 0);
+      
+      expect(await arcadeManager.userCredits(player.address)).to.equal(550);
+      expect(await arcadeManager.jackpotPool()).to.equal(0);
+      await expectError(playerClient.claimJackpot(receipt), ReceiptClaimedError);
+    });
+    
+    it("Should only accept jackpot wins from allowed signers", async function () {
+      const receipt = await resultSigner.signJackpot({ player: player.address, gameId: GAME_ID });
+      await expectError(playerClient.claimJackpot(receipt), JackpotError);
+      
+      // A game result signature does not verify as a jackpot win
+      const result = await resultSigner.sign({ player: player.address, gameId: GAME_ID, payout: 600 });
+      await verifier.setJackpotSigner(server.address, true);
+      const { player: resultPlayer, gameId, sessionId, expiry } = result.result;
+      await expect(verifier.claimJackpot({ player: resultPlayer, gameId, sessionId, expiry }, result.signature))
+        .to.be.revertedWith("Unknown signer");
+      
+      await verifier.setJackpotSigner(server.address, false);
+      await expect(verifier.claimJackpot(receipt.result, receipt.signature))
+        .to.be.revertedWith("Not a jackpot signer");
+      await expect(verifier.setJackpotSigner(attacker.address, true))
+        .to.be.revertedWith("Unknown signer");
+      await expect(verifier.connect(attacker).setJackpotSigner(server.address, true)).to.be.reverted;
+    });
+  });
+});
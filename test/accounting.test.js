@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Deterministic PRNG (mulberry32) so failing cases can be replayed from the seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+describe("Accounting properties", function () {
+  const SEED = 0xa4cade;
+  const DECIMALS = [0, 2, 6, 8, 18];
+  const ROUNDS = 6;
+  
+  let player;
+  let random;
+  
+  // Uniform-ish BigNumber in [min, max]
+  function randomBetween(min, max) {
+    const span = ethers.BigNumber.from(max).sub(min);
+    const scale = 2 ** 48;
+    return ethers.BigNumber.from(Math.floor(random() * scale)).mul(span.add(1)).div(scale).add(min);
+  }
+  
+  function randomRate() {
+    return randomBetween(1, 1000).toNumber();
+  }
+  
+  async function deploy(decimals, depositRate, withdrawalRate) {
+    const unit = ethers.BigNumber.from(10).pow(decimals);
+    const Token = await ethers.getContractFactory("MockDecimalsToken");
+    const token = await Token.deploy("Test Token", "TST", decimals, unit.mul(1_000_000));
+    await token.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    const arcadeManager = await ArcadeManager.deploy(token.address, depositRate, withdrawalRate);
+    await arcadeManager.deployed();
+    
+    await token.transfer(player.address, unit.mul(10_000));
+    await token.connect(player).approve(arcadeManager.address, ethers.constants.MaxUint256);
+    return { token, arcadeManager, unit };
+  }
+  
+  before(async function () {
+    [, player] = await ethers.getSigners();
+  });
+  
+  beforeEach(function () {
+    random = createRandom(SEED);
+  });
+  
+  it("Should define credits relative to the token decimals", async function () {
+    for (const decimals of DECIMALS) {
+      const { arcadeManager, unit } = await deploy(decimals, 100, 100);
+      expect(await arcadeManager.tokenUnit()).to.equal(unit);
+      
+      await arcadeManager.connect(player).deposit(unit.mul(3));
+      expect(await arcadeManager.userCredits(player.address)).to.equal(300);
+    }
+  });
+  
+  it("Should only charge and deduct what is converted on random deposits and withdrawals", async function () {
+    for (const decimals of DECIMALS) {
+      const depositRate = randomRate();
+      const withdrawalRate = randomBetween(depositRate, 1000).toNumber();
+      const { token, arcadeManager, unit } = await deploy(decimals, depositRate, withdrawalRate);
+      const initialTokens = await token.balanceOf(player.address);
+      
+      for (let round = 0; round < ROUNDS; round++) {
+        const context = `decimals=${decimals} rates=${depositRate}/${withdrawalRate} round=${round}`;
+        
+        // Deposit: credits are rounded down, the cost of those credits rounded up, never above the amount offered
+        const minDeposit = unit.add(depositRate - 1).div(depositRate);
+        const amount = randomBetween(minDeposit, unit.mul(50));
+        const creditsBefore = await arcadeManager.userCredits(player.address);
+        const tokensBefore = await token.balanceOf(player.address);
+        await arcadeManager.connect(player).deposit(amount);
+        
+        const credits = (await arcadeManager.userCredits(player.address)).sub(creditsBefore);
+        const cost = tokensBefore.sub(await token.balanceOf(player.address));
+        expect(credits, context).to.equal(amount.mul(depositRate).div(unit));
+        expect(cost.lte(amount), context).to.equal(true);
+        expect(cost.mul(depositRate).gte(credits.mul(unit)), context).to.equal(true);
+        expect(cost.sub(1).mul(depositRate).lt(credits.mul(unit)), context).to.equal(true);
+        
+        // Withdraw: only the credits backing the BULL paid are deducted, the remainder stays
+        const balance = await arcadeManager.userCredits(player.address);
+        const request = randomBetween(1, balance);
+        const expectedBull = request.mul(unit).div(withdrawalRate);
+        if (expectedBull.isZero()) {
+          await expect(arcadeManager.connect(player).withdraw(request), context)
+            .to.be.revertedWith("Resulting token amount too small");
+          continue;
+        }
+        
+        const playerTokens = await token.balanceOf(player.address);
+        await arcadeManager.connect(player).withdraw(request);
+        const paid = (await token.balanceOf(player.address)).sub(playerTokens);
+        const deducted = balance.sub(await arcadeManager.userCredits(player.address));
+        
+        expect(paid, context).to.equal(expectedBull);
+        expect(deducted.lte(request), context).to.equal(true);
+        expect(deducted.mul(unit).gte(paid.mul(withdrawalRate)), context).to.equal(true);
+        expect(deducted.sub(1).mul(unit).lt(paid.mul(withdrawalRate)), context).to.equal(true);
+        
+        // Value is conserved and the contract can always honour outstanding credits
+        const contractTokens = await token.balanceOf(arcadeManager.address);
+        expect((await token.balanceOf(player.address)).add(contractTokens), context).to.equal(initialTokens);
+        expect(await arcadeManager.totalCredits(), context).to.equal(await arcadeManager.userCredits(player.address));
+        expect(contractTokens.gte(await arcadeManager.totalLiabilities()), context).to.equal(true);
+      }
+    }
+  });
+  
+  it("Should lose at most one base unit per round trip at equal rates", async function () {
+    for (const decimals of DECIMALS) {
+      const rate = randomRate();
+      const { token, arcadeManager, unit } = await deploy(decimals, rate, rate);
+      
+      for (let round = 0; round < ROUNDS; round++) {
+        const context = `decimals=${decimals} rate=${rate} round=${round}`;
+        const amount = randomBetween(unit.add(rate - 1).div(rate), unit.mul(50));
+        const tokensBefore = await token.balanceOf(player.address);
+        
+        await arcadeManager.connect(player).deposit(amount);
+        const credits = await arcadeManager.userCredits(player.address);
+        if (credits.mul(unit).div(rate).isZero()) {
+          continue;
+        }
+        await arcadeManager.connect(player).withdraw(credits);
+        
+        const loss = tokensBefore.sub(await token.balanceOf(player.address));
+        const remainder = await arcadeManager.userCredits(player.address);
+        expect(loss.lte(1), context).to.equal(true);
+        expect(remainder.mul(unit).lt(rate), context).to.equal(true);
+        
+        // Leftover credits worth less than one base unit are kept, not burned
+        if (remainder.gt(0)) {
+          await arcadeManager.connect(player).deposit(unit);
+          expect(await arcadeManager.userCredits(player.address), context).to.equal(remainder.add(rate));
+          await arcadeManager.connect(player).withdraw(remainder.add(rate));
+        }
+      }
+    }
+  });
+});
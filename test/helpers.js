@@ -0,0 +1,27 @@
+const { expect } = require("chai");
+
+/**
+ * Await a promise that must reject and check what it rejected with
+ * @param {Promise} promise
+ * @param {Function|string} expected Error class the error must be an instance of, or text its message must include
+ * @returns {Promise<Error>} The error, for further checks
+ */
+async function expectError(promise, expected) {
+  let caught;
+  try {
+    await promise;
+  } catch (error) {
+    caught = error;
+  }
+  if (!caught) {
+    expect.fail(`Expected ${typeof expected === "string" ? `an error including "${expected}"` : expected.name}`);
+  }
+  if (typeof expected === "string") {
+    expect(caught.message).to.include(expected);
+  } else {
+    expect(caught).to.be.instanceOf(expected);
+  }
+  return caught;
+}
+
+module.exports = { expectError };
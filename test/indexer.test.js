@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ArcadeIndexer, JsonStore } = require("../indexer");
+
+describe("ArcadeIndexer", function () {
+  let arcadeManager;
+  let bullToken;
+  let owner;
+  let user1;
+  let user2;
+  let deployBlock;
+  let tmpDir;
+  let store;
+  
+  const ONE_BULL = ethers.utils.parseEther("1");
+  const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
+  
+  function createIndexer() {
+    return new ArcadeIndexer({
+      provider: ethers.provider,
+      address: arcadeManager.address,
+      store,
+      fromBlock: deployBlock,
+      abi: arcadeManager.interface.format()
+    });
+  }
+  
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    deployBlock = (await arcadeManager.deployTransaction.wait()).blockNumber;
+    
+    await bullToken.transfer(user1.address, DEPOSIT_AMOUNT);
+    await bullToken.connect(user1).approve(arcadeManager.address, DEPOSIT_AMOUNT);
+    
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    store = new JsonStore(path.join(tmpDir, "state.json"));
+  });
+  
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+  
+  it("Should rebuild balances and reconcile with the chain", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.connect(user1).spendCredits(500);
+    await arcadeManager.awardWinnings(user2.address, 700);
+    await arcadeManager.connect(user1).withdraw(100);
+    
+    const indexer = createIndexer();
+    await indexer.sync();
+    const creditEvents = indexer.getEvents().filter((event) => event.delta !== "0");
+    expect(creditEvents.map((event) => event.event))
+      .to.deep.equal(["Deposit", "CreditsSpent", "WinningsAwarded", "Withdrawal"]);
+    
+    const balances = indexer.getBalances();
+    expect(balances[user1.address]).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(600));
+    expect(balances[user2.address]).to.equal(700);
+    
+    const report = await indexer.reconcile();
+    expect(report).to.have.length(2);
+    expect(report.every((entry) => entry.matches)).to.equal(true);
+  });
+  
+  it("Should track credits held by timelocked withdrawal requests", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.setWithdrawalDelay(3600);
+    await arcadeManager.connect(user1).requestWithdrawal(100);
+    await arcadeManager.connect(user1).requestWithdrawal(200);
+    await arcadeManager.connect(user1).cancelWithdrawal(0);
+    
+    const indexer = createIndexer();
+    await indexer.sync();
+    
+    expect(indexer.getBalances()[user1.address]).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(200));
+    const report = await indexer.reconcile();
+    expect(report.every((entry) => entry.matches)).to.equal(true);
+  });
+  
+  it("Should debit the sender and credit the recipient of a transfer", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.setTransfersEnabled(true);
+    await arcadeManager.connect(user1).transferCredits(user2.address, 300);
+    
+    const indexer = createIndexer();
+    await indexer.sync();
+    
+    expect(indexer.getBalances()[user2.address]).to.equal(300);
+    expect(indexer.getPlayerHistory(user2.address).map((entry) => [entry.event, entry.delta]))
+      .to.deep.equal([["CreditsTransferred", "300"]]);
+    expect(indexer.getPlayerHistory(user1.address)[1].delta).to.equal("-300");
+    const report = await indexer.reconcile();
+    expect(report).to.have.length(2);
+    expect(report.every((entry) => entry.matches)).to.equal(true);
+  });
+  
+  it("Should count deposits and withdrawals in other tokens", async function () {
+    const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+    const usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6, ethers.utils.parseUnits("10", 6));
+    await arcadeManager.addToken(usdc.address, 100, 100);
+    await usdc.transfer(user1.address, ethers.utils.parseUnits("10", 6));
+    await usdc.connect(user1).approve(arcadeManager.address, ethers.utils.parseUnits("10", 6));
+    
+    await arcadeManager.connect(user1).depositToken(usdc.address, ethers.utils.parseUnits("10", 6));
+    await arcadeManager.connect(user1).withdrawToken(usdc.address, 250);
+    
+    const indexer = createIndexer();
+    await indexer.sync();
+    
+    expect(indexer.getPlayerHistory(user1.address).map((entry) => [entry.event, entry.delta]))
+      .to.deep.equal([["TokenDeposit", "1000"], ["TokenWithdrawal", "-250"]]);
+    const report = await indexer.reconcile();
+    expect(report.every((entry) => entry.matches)).to.equal(true);
+  });
+  
+  it("Should produce a player history with running balances", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    await arcadeManager.connect(user1).spendCredits(500);
+    
+    const indexer = createIndexer();
+    await indexer.sync();
+    
+    const history = indexer.getPlayerHistory(user1.address);
+    expect(history.map((entry) => entry.event)).to.deep.equal(["Deposit", "CreditsSpent"]);
+    expect(history[1].balance).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(500).toString());
+  });
+  
+  it("Should resume from the store after a restart", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    await createIndexer().sync();
+    
+    await arcadeManager.connect(user1).spendCredits(500);
+    const restarted = createIndexer();
+    const result = await restarted.sync();
+    
+    expect(result.newEvents).to.equal(1);
+    expect(restarted.getEvents().filter((event) => event.event === "Deposit")).to.have.length(1);
+  });
+  
+  it("Should drop events from blocks removed by a reorg", async function () {
+    await arcadeManager.connect(user1).deposit(DEPOSIT_AMOUNT);
+    const snapshot = await network.provider.send("evm_snapshot");
+    
+    await arcadeManager.connect(user1).spendCredits(500);
+    const indexer = createIndexer();
+    await indexer.sync();
+    expect(indexer.getBalances()[user1.address]).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(500));
+    
+    // Replace the spend with a different block at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await arcadeManager.connect(user1).spendCredits(200);
+    
+    const result = await indexer.sync();
+    expect(result.reorgedFrom).to.not.equal(null);
+    expect(indexer.getBalances()[user1.address]).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(200));
+    expect((await indexer.reconcile()).every((entry) => entry.matches)).to.equal(true);
+  });
+  
+  it("Should refuse a store that belongs to another contract", async function () {
+    await createIndexer().sync();
+    
+    expect(() => new ArcadeIndexer({
+      provider: ethers.provider,
+      address: bullToken.address,
+      store,
+      abi: arcadeManager.interface.format()
+    })).to.throw(/Store belongs to/);
+  });
+});
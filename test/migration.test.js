@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ArcadeClient } = require("../sdk");
+const {
+  hashBalances,
+  snapshotBalances,
+  snapshotWarnings,
+  importSnapshot,
+  fundSnapshotReserves,
+  diffSnapshot
+} = require("../scripts/lib/migration");
+const { expectError } = require("./helpers");
+
+describe("Migration", function () {
+  const log = () => {};
+  const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
+  
+  let owner;
+  let players;
+  let bullToken;
+  let oldArcade;
+  let newArcade;
+  let oldClient;
+  let newClient;
+  
+  async function deployArcade() {
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    const arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    const client = new ArcadeClient({
+      arcadeManager: arcadeManager.address,
+      signerOrProvider: owner,
+      abi: ArcadeManager.interface.format()
+    });
+    return { arcadeManager, client };
+  }
+  
+  beforeEach(async function () {
+    [owner, ...players] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    ({ arcadeManager: oldArcade, client: oldClient } = await deployArcade());
+    for (const player of players.slice(0, 3)) {
+      await bullToken.transfer(player.address, DEPOSIT_AMOUNT);
+      await bullToken.connect(player).approve(oldArcade.address, DEPOSIT_AMOUNT);
+      await oldArcade.connect(player).deposit(DEPOSIT_AMOUNT);
+    }
+    await oldArcade.connect(players[0]).spendCredits(250);
+    await oldArcade.awardWinnings(players[3].address, 40);
+    await oldArcade.connect(players[2]).withdraw(1000);
+    
+    ({ arcadeManager: newArcade, client: newClient } = await deployArcade());
+  });
+  
+  it("Should snapshot every non-zero balance with the reserves", async function () {
+    const snapshot = await snapshotBalances(oldClient, { log });
+    
+    expect(snapshot.balances.map((row) => row.player)).to.have.members(
+      [players[0].address, players[1].address, players[3].address]
+    );
+    const byPlayer = Object.fromEntries(snapshot.balances.map((row) => [row.player, row.credits]));
+    expect(byPlayer[players[0].address]).to.equal("750");
+    expect(byPlayer[players[3].address]).to.equal("40");
+    expect(snapshot.totalCredits).to.equal("1790");
+    expect(snapshot.heldCredits).to.equal("0");
+    expect(snapshot.reserves).to.deep.equal([
+      { token: bullToken.address, symbol: await bullToken.symbol(), decimals: 18, amount: DEPOSIT_AMOUNT.mul(2).toString() }
+    ]);
+    expect(snapshot.source.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(snapshot.hash).to.equal(hashBalances([...snapshot.balances].reverse()));
+  });
+  
+  it("Should warn about held credits and an unpaused source", async function () {
+    await oldArcade.setWithdrawalDelay(3600);
+    await oldArcade.connect(players[1]).requestWithdrawal(100);
+    
+    const snapshot = await snapshotBalances(oldClient, { log });
+    expect(snapshot.heldCredits).to.equal("100");
+    
+    const warnings = snapshotWarnings(snapshot, await oldClient.getPauseStatus());
+    expect(warnings).to.have.length(2);
+    expect(warnings[0]).to.include("pending withdrawal requests");
+    
+    await oldArcade.pauseAll();
+    expect(snapshotWarnings(snapshot, await oldClient.getPauseStatus())).to.have.length(1);
+  });
+  
+  it("Should import in chunks, resume safely and produce a matching diff", async function () {
+    const snapshot = await snapshotBalances(oldClient, { log });
+    
+    const result = await importSnapshot(newClient, snapshot, { chunkSize: 2, log });
+    expect(result.imported).to.equal(3);
+    expect(result.txHashes).to.have.length(2);
+    for (const row of snapshot.balances) {
+      expect(await newArcade.userCredits(row.player)).to.equal(row.credits);
+    }
+    
+    const rerun = await importSnapshot(newClient, snapshot, { log });
+    expect(rerun).to.deep.include({ imported: 0, skipped: 3, conflicts: [] });
+    
+    let report = await diffSnapshot(newClient, snapshot);
+    expect(report.mismatches).to.deep.equal([]);
+    expect(report.reserves[0].matches).to.equal(false);
+    expect(report.collateral.matches).to.equal(false);
+    expect(report.matches).to.equal(false);
+    
+    const funded = await fundSnapshotReserves(newClient, snapshot);
+    expect(funded.map((row) => row.amount)).to.deep.equal([DEPOSIT_AMOUNT.mul(2)]);
+    expect(await fundSnapshotReserves(newClient, snapshot)).to.deep.equal([]);
+    report = await diffSnapshot(newClient, snapshot);
+    expect(report.matches).to.equal(true);
+    expect(report.totals).to.deep.equal({ expected: "1790", imported: "1790" });
+    expect(await newClient.getSolvency()).to.deep.include({ outstandingCredits: await oldArcade.totalCredits() });
+  });
+  
+  it("Should carry over the reserves of every accepted token", async function () {
+    const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+    const usdc = await MockDecimalsToken.deploy("USD Coin", "USDC", 6, ethers.utils.parseUnits("1000", 6));
+    await usdc.deployed();
+    const USDC_DEPOSIT = ethers.utils.parseUnits("5", 6);
+    
+    await oldArcade.addToken(usdc.address, 100, 100);
+    await usdc.transfer(players[4].address, USDC_DEPOSIT);
+    await usdc.connect(players[4]).approve(oldArcade.address, USDC_DEPOSIT);
+    await oldArcade.connect(players[4]).depositToken(usdc.address, USDC_DEPOSIT);
+    
+    const snapshot = await snapshotBalances(oldClient, { log });
+    expect(snapshot.reserves.map((row) => [row.symbol, row.amount])).to.deep.equal([
+      [await bullToken.symbol(), DEPOSIT_AMOUNT.mul(2).toString()],
+      ["USDC", USDC_DEPOSIT.toString()]
+    ]);
+    await importSnapshot(newClient, snapshot, { log });
+    
+    // The new deployment has to accept USDC before its reserves can be funded
+    await expectError(fundSnapshotReserves(newClient, snapshot), "does not accept USDC");
+    let report = await diffSnapshot(newClient, snapshot);
+    expect(report.reserves[1]).to.deep.include({ accepted: false, matches: false });
+    
+    await newArcade.addToken(usdc.address, 100, 100);
+    const funded = await fundSnapshotReserves(newClient, snapshot);
+    expect(funded.map((row) => [row.symbol, row.amount])).to.deep.equal([
+      [await bullToken.symbol(), DEPOSIT_AMOUNT.mul(2)],
+      ["USDC", USDC_DEPOSIT]
+    ]);
+    expect(await usdc.balanceOf(newArcade.address)).to.equal(USDC_DEPOSIT);
+    report = await diffSnapshot(newClient, snapshot);
+    expect(report.reserves.every((row) => row.matches)).to.equal(true);
+    expect(report.matches).to.equal(true);
+    
+    // Credits minted on the new deployment beyond the snapshot leave it under-collateralised
+    await newArcade.awardWinnings(players[5].address, 300);
+    report = await diffSnapshot(newClient, snapshot);
+    expect(report.reserves.every((row) => row.matches)).to.equal(true);
+    expect(report.collateral.matches).to.equal(false);
+    expect(report.matches).to.equal(false);
+  });
+  
+  it("Should report balances that differ from the snapshot", async function () {
+    const snapshot = await snapshotBalances(oldClient, { log });
+    await newArcade.importBalances([snapshot.balances[0].player], [1]);
+    
+    const result = await importSnapshot(newClient, snapshot, { log });
+    expect(result.conflicts).to.deep.equal([{ player: snapshot.balances[0].player, expected: snapshot.balances[0].credits, imported: "1" }]);
+    
+    const tampered = { ...snapshot, balances: snapshot.balances.map((row, i) => (i === 1 ? { ...row, credits: "1" } : row)) };
+    const report = await diffSnapshot(newClient, tampered);
+    expect(report.hashMatches).to.equal(false);
+    expect(report.mismatches.map((row) => row.player)).to.deep.equal([snapshot.balances[0].player, snapshot.balances[1].player]);
+  });
+});
@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ArcadeClient } = require("../sdk");
+const { parsePayoutFile, validatePayouts, submitPayouts } = require("../scripts/lib/payouts");
+
+describe("Payouts", function () {
+  let arcadeManager;
+  let bullToken;
+  let client;
+  let owner;
+  let players;
+  let tmpDir;
+  
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "payouts-"));
+  });
+  
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+  
+  beforeEach(async function () {
+    [owner, ...players] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    
+    client = new ArcadeClient({
+      arcadeManager: arcadeManager.address,
+      signerOrProvider: owner,
+      abi: ArcadeManager.interface.format()
+    });
+  });
+  
+  describe("parsePayoutFile", function () {
+    it("Should read CSV files with a header and comments", function () {
+      const file = path.join(tmpDir, "payouts.csv");
+      fs.writeFileSync(file, `player,amount\n# winners\n${players[0].address},500\n\n${players[1].address}, 700\n`);
+      
+      expect(parsePayoutFile(file)).to.deep.equal([
+        { line: 3, player: players[0].address, amount: "500" },
+        { line: 5, player: players[1].address, amount: "700" }
+      ]);
+    });
+    
+    it("Should read JSON lists and address maps", function () {
+      const listFile = path.join(tmpDir, "list.json");
+      fs.writeFileSync(listFile, JSON.stringify([{ player: players[0].address, amount: 500 }]));
+      const mapFile = path.join(tmpDir, "map.json");
+      fs.writeFileSync(mapFile, JSON.stringify({ [players[0].address]: "500" }));
+      
+      const expected = [{ line: 1, player: players[0].address, amount: "500" }];
+      expect(parsePayoutFile(listFile)).to.deep.equal(expected);
+      expect(parsePayoutFile(mapFile)).to.deep.equal(expected);
+    });
+  });
+  
+  describe("validatePayouts", function () {
+    it("Should reject bad addresses and amounts", function () {
+      const { valid, invalid } = validatePayouts([
+        { line: 1, player: players[0].address, amount: "500" },
+        { line: 2, player: "0x1234", amount: "500" },
+        { line: 3, player: ethers.constants.AddressZero, amount: "500" },
+        { line: 4, player: players[1].address, amount: "0" },
+        { line: 5, player: players[1].address, amount: "1.5" }
+      ]);
+      
+      expect(valid.map((row) => row.line)).to.deep.equal([1]);
+      expect(invalid.map(({ row }) => row.line)).to.deep.equal([2, 3, 4, 5]);
+    });
+  });
+  
+  describe("submitPayouts", function () {
+    const log = () => {};
+    
+    it("Should award every row in chunks", async function () {
+      const rows = players.slice(0, 5).map((player, i) => ({ line: i + 1, player: player.address, amount: "100" }));
+      const results = await submitPayouts(client, rows, { chunkSize: 2, log });
+      
+      expect(results.map((result) => result.status)).to.deep.equal(new Array(5).fill("success"));
+      expect(new Set(results.map((result) => result.txHash)).size).to.equal(3);
+      for (const player of players.slice(0, 5)) {
+        expect(await arcadeManager.userCredits(player.address)).to.equal(100);
+      }
+    });
+    
+    it("Should split chunks that exceed the gas limit", async function () {
+      const rows = players.slice(0, 4).map((player, i) => ({ line: i + 1, player: player.address, amount: "100" }));
+      const single = await client.estimateAwardWinningsBatch([players[0].address], [100]);
+      const results = await submitPayouts(client, rows, { chunkSize: 4, maxGas: single.toNumber() + 5000, log });
+      
+      expect(results.every((result) => result.status === "success")).to.equal(true);
+      expect(new Set(results.map((result) => result.txHash)).size).to.equal(4);
+    });
+    
+    it("Should isolate rows that revert and report them", async function () {
+      await bullToken.approve(arcadeManager.address, ethers.utils.parseEther("1"));
+      await arcadeManager.fundReserves(ethers.utils.parseEther("1"));
+      await arcadeManager.setEnforceSolvency(true);
+      
+      const rows = [{ line: 1, player: players[0].address, amount: "50" }, { line: 2, player: players[1].address, amount: "500" }];
+      const results = await submitPayouts(client, rows, { log });
+      
+      expect(results.map((result) => result.status)).to.deep.equal(["success", "failed"]);
+      expect(results[1].error).to.equal("Award exceeds reserves");
+    });
+    
+    it("Should report rows blocked by a payout limit", async function () {
+      await arcadeManager.setPayoutLimits(400, 0, 0);
+      
+      const rows = [{ line: 1, player: players[0].address, amount: "300" }, { line: 2, player: players[1].address, amount: "500" }];
+      const results = await submitPayouts(client, rows, { log });
+      
+      expect(results.map((result) => result.status)).to.deep.equal(["success", "blocked"]);
+      expect(results[1].error).to.equal("Blocked by the perAward payout limit");
+      expect(await arcadeManager.userCredits(players[1].address)).to.equal(0);
+    });
+    
+    it("Should only estimate on a dry run", async function () {
+      const rows = [{ line: 1, player: players[0].address, amount: "100" }];
+      const results = await submitPayouts(client, rows, { dryRun: true, log });
+      
+      expect(results[0].status).to.equal("estimated");
+      expect(await arcadeManager.userCredits(players[0].address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ArcadeClient } = require("../sdk");
+const { createRelayer } = require("../relayer");
+
+describe("Relayer", function () {
+  let arcadeManager;
+  let bullToken;
+  let owner;
+  let player;
+  let relayerSigner;
+  let playerClient;
+  let server;
+  let baseUrl;
+  
+  const GAME_ID = 1;
+  const GAME_PRICE = 250;
+  const ONE_BULL = ethers.utils.parseEther("1");
+  const DEPOSIT_AMOUNT = ethers.utils.parseEther("10");
+  
+  async function post(body) {
+    const response = await fetch(`${baseUrl}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+  
+  beforeEach(async function () {
+    [owner, player, relayerSigner] = await ethers.getSigners();
+    
+    const MockToken = await ethers.getContractFactory("MockBullToken");
+    bullToken = await MockToken.deploy(ethers.utils.parseEther("1000"));
+    await bullToken.deployed();
+    
+    const ArcadeManager = await ethers.getContractFactory("ArcadeManager");
+    arcadeManager = await ArcadeManager.deploy(bullToken.address, 100, 100);
+    await arcadeManager.deployed();
+    await arcadeManager.addGame(GAME_ID, "Space Invaders", GAME_PRICE);
+    
+    await bullToken.transfer(player.address, DEPOSIT_AMOUNT);
+    
+    const options = { arcadeManager: arcadeManager.address, bullToken: bullToken.address, abi: arcadeManager.interface.format() };
+    playerClient = new ArcadeClient({ ...options, signerOrProvider: player });
+    await playerClient.approveAndDeposit(DEPOSIT_AMOUNT);
+    
+    const relayerClient = new ArcadeClient({ ...options, signerOrProvider: relayerSigner });
+    server = createRelayer({ client: relayerClient });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+  
+  it("Should relay a signed play without the player paying gas", async function () {
+    const playerBalance = await player.getBalance();
+    const authorization = await playerClient.signPlayAuthorization(GAME_ID);
+    
+    const { status, body } = await post(authorization);
+    expect(status).to.equal(200);
+    
+    const receipt = await ethers.provider.getTransactionReceipt(body.txHash);
+    expect(receipt.from).to.equal(relayerSigner.address);
+    expect(await playerClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(GAME_PRICE));
+    expect(await player.getBalance()).to.equal(playerBalance);
+  });
+  
+  it("Should relay a signed spend", async function () {
+    const authorization = await playerClient.signSpendAuthorization(400);
+    const { status } = await post(authorization);
+    
+    expect(status).to.equal(200);
+    expect(await playerClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(400));
+    expect(await playerClient.getNonce()).to.equal(1);
+  });
+  
+  it("Should reject tampered, replayed and expired authorizations", async function () {
+    const authorization = await playerClient.signSpendAuthorization(400);
+    
+    const tampered = await post({ ...authorization, amount: "4000" });
+    expect(tampered.status).to.equal(400);
+    expect(tampered.body.type).to.equal("InvalidSignatureError");
+    
+    await post(authorization);
+    const replayed = await post(authorization);
+    expect(replayed.status).to.equal(400);
+    expect(replayed.body.type).to.equal("InvalidSignatureError");
+    
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const expired = await playerClient.signPlayAuthorization(GAME_ID, { deadline: timestamp - 1 });
+    const response = await post(expired);
+    expect(response.status).to.equal(400);
+    expect(response.body.type).to.equal("SignatureExpiredError");
+    
+    expect(await playerClient.getCredits()).to.equal(DEPOSIT_AMOUNT.mul(100).div(ONE_BULL).sub(400));
+  });
+  
+  it("Should reject oversized and malformed bodies", async function () {
+    const oversized = await post({ type: "play", padding: "x".repeat(32 * 1024) });
+    expect(oversized.status).to.equal(413);
+    expect(oversized.body.error).to.equal("Request body too large");
+    
+    const response = await fetch(`${baseUrl}/relay`, { method: "POST", body: "{" });
+    expect(response.status).to.equal(400);
+    expect((await response.json()).error).to.equal("Request body is not valid JSON");
+    
+    const { status } = await post(await playerClient.signPlayAuthorization(GAME_ID));
+    expect(status).to.equal(200);
+  });
+  
+  it("Should reject authorizations with malformed fields", async function () {
+    const authorization = await playerClient.signSpendAuthorization(100);
+    
+    const badPlayer = await post({ ...authorization, player: "0x1234" });
+    expect(badPlayer.status).to.equal(400);
+    expect(badPlayer.body.error).to.equal("Invalid player address");
+    
+    const badAmount = await post({ ...authorization, amount: "1e3" });
+    expect(badAmount.status).to.equal(400);
+    expect(badAmount.body.error).to.equal("Invalid amount");
+    
+    const badSignature = await post({ ...authorization, signature: "signed" });
+    expect(badSignature.status).to.equal(400);
+    expect(badSignature.body.error).to.equal("Invalid signature");
+    
+    expect((await post(authorization)).status).to.equal(200);
+  });
+  
+  it("Should surface contract reverts as client errors", async function () {
+    await arcadeManager.pause(1);
+    const authorization = await playerClient.signPlayAuthorization(GAME_ID);
+    
+    const { status, body } = await post(authorization);
+    expect(status).to.equal(400);
+    expect(body.type).to.equal("OperationPausedError");
+  });
+});
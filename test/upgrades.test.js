@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { deployArcade, parseTokenList } = require("../scripts/lib/deployArcade");
+const { getImplementation, getStorageLayout, compareStorageLayouts, upgradeArcade } = require("../scripts/lib/upgrades");
+const { expectError } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("Upgrades", function () {
+  const log = () => {};
+  
+  let owner;
+  let user1;
+  let deployment;
+  let arcadeManager;
+  let bullToken;
+  
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    
+    deployment = await deployArcade(hre, { proxy: true, depositRate: 100, withdrawalRate: 125, log });
+    arcadeManager = await ethers.getContractAt("ArcadeManagerUpgradeable", deployment.arcadeManager);
+    bullToken = await ethers.getContractAt("MockBullToken", deployment.bullToken);
+  });
+  
+  describe("deploy-proxy", function () {
+    it("Should initialize the proxy and record the implementation", async function () {
+      expect(await arcadeManager.depositRate()).to.equal(100);
+      expect(await arcadeManager.withdrawalRate()).to.equal(125);
+      expect(await arcadeManager.tokenUnit()).to.equal(ethers.utils.parseEther("1"));
+      expect(await arcadeManager.hasRole(await arcadeManager.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      
+      expect(await getImplementation(ethers.provider, arcadeManager.address)).to.equal(deployment.implementation);
+      expect(deployment.implementations).to.have.length(1);
+      expect(deployment.implementations[0].contract).to.equal("ArcadeManagerUpgradeable");
+      expect(deployment.implementations[0].storageLayout.map((variable) => variable.label)).to.include("userCredits");
+    });
+    
+    it("Should not initialize twice or through the implementation", async function () {
+      await expect(arcadeManager.initialize(bullToken.address, 100, 100))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      
+      const implementation = await ethers.getContractAt("ArcadeManagerUpgradeable", deployment.implementation);
+      await expect(implementation.initialize(bullToken.address, 100, 100))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+    
+    it("Should sign EIP-712 messages for the proxy address", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const expected = ethers.utils._TypedDataEncoder.hashDomain({
+        name: "ArcadeManager",
+        version: "1",
+        chainId,
+        verifyingContract: arcadeManager.address
+      });
+      expect(await arcadeManager.domainSeparator()).to.equal(expected);
+    });
+    
+    it("Should accept the tokens given at deployment", async function () {
+      expect(() => parseTokenList("USDC:90")).to.throw("Invalid token address");
+      const tokens = parseTokenList(`USDC/6:90:100, ${bullToken.address}:50`);
+      expect(tokens[1]).to.deep.include({ address: bullToken.address, depositRate: "50", withdrawalRate: "50" });
+      await expectError(deployArcade(hre, { proxy: true, token: bullToken.address, tokens, log }), "Token already accepted");
+      
+      const withUsdc = await deployArcade(hre, { proxy: true, tokens: tokens.slice(0, 1), log });
+      const proxy = await ethers.getContractAt("ArcadeManagerUpgradeable", withUsdc.arcadeManager);
+      const [usdc] = withUsdc.tokens;
+      expect(usdc).to.deep.include({ symbol: "USDC", decimals: 6, depositRate: "90", withdrawalRate: "100", mock: true });
+      expect(await proxy.getTokens()).to.deep.equal([withUsdc.bullToken, usdc.address]);
+      expect((await proxy.tokenConfigs(usdc.address)).unit).to.equal(1000000);
+    });
+  });
+  
+  describe("upgrade", function () {
+    beforeEach(async function () {
+      await bullToken.transfer(user1.address, ethers.utils.parseEther("10"));
+      await bullToken.connect(user1).approve(arcadeManager.address, ethers.utils.parseEther("10"));
+      await arcadeManager.connect(user1).deposit(ethers.utils.parseEther("10"));
+    });
+    
+    it("Should keep balances and roles and append to the history", async function () {
+      const upgraded = await upgradeArcade(hre, deployment, { contract: "MockArcadeManagerV2", log });
+      
+      const v2 = await ethers.getContractAt("MockArcadeManagerV2", arcadeManager.address);
+      expect(await v2.version()).to.equal("2");
+      expect(await v2.userCredits(user1.address)).to.equal(1000);
+      expect(await v2.withdrawalRate()).to.equal(125);
+      await v2.setUpgradeMarker(7);
+      expect(await v2.upgradeMarker()).to.equal(7);
+      
+      expect(await getImplementation(ethers.provider, arcadeManager.address)).to.equal(upgraded.implementation);
+      expect(upgraded.implementations.map((entry) => entry.contract))
+        .to.deep.equal(["ArcadeManagerUpgradeable", "MockArcadeManagerV2"]);
+      expect(upgraded.implementations[1].upgradeTxHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+    
+    it("Should refuse a layout that is not compatible", async function () {
+      const [first] = deployment.implementations;
+      const renamed = first.storageLayout.map((variable) => (
+        variable.label === "totalCredits" ? { ...variable, label: "outstandingCredits" } : variable
+      ));
+      const tampered = { ...deployment, implementations: [{ ...first, storageLayout: renamed }] };
+      
+      await expectError(upgradeArcade(hre, tampered, { log }), "`outstandingCredits` (slot 9) was renamed or replaced by `totalCredits`");
+      expect(await getImplementation(ethers.provider, arcadeManager.address)).to.equal(deployment.implementation);
+    });
+    
+    it("Should refuse a record that does not match the proxy", async function () {
+      const stale = { ...deployment, implementations: [{ ...deployment.implementations[0], address: user1.address }] };
+      await expectError(upgradeArcade(hre, stale, { log }), "Proxy points at");
+      
+      const immutable = { ...deployment, proxyAdmin: undefined };
+      await expectError(upgradeArcade(hre, immutable, { log }), "not behind a proxy");
+    });
+    
+    it("Should only let the ProxyAdmin owner upgrade", async function () {
+      const proxyAdmin = await ethers.getContractAt("ProxyAdmin", deployment.proxyAdmin);
+      await expect(proxyAdmin.connect(user1).upgrade(arcadeManager.address, deployment.implementation))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await proxyAdmin.transferOwnership(user1.address);
+      await expectError(upgradeArcade(hre, deployment, { log }), "does not own the ProxyAdmin");
+    });
+  });
+  
+  describe("compareStorageLayouts", function () {
+    let layout;
+    
+    before(async function () {
+      layout = await getStorageLayout(hre, "ArcadeManagerUpgradeable");
+    });
+    
+    it("Should accept appended variables", async function () {
+      const next = await getStorageLayout(hre, "MockArcadeManagerV2");
+      expect(compareStorageLayouts(layout, next)).to.deep.equal([]);
+      const removed = compareStorageLayouts(next, layout);
+      expect(removed).to.have.length(1);
+      expect(removed[0]).to.match(/^`upgradeMarker` \(slot \d+\) was removed$/);
+    });
+    
+    it("Should reject moved variables and changed types", function () {
+      const swapped = [...layout];
+      [swapped[8], swapped[9]] = [swapped[9], swapped[8]];
+      expect(compareStorageLayouts(layout, swapped)[0]).to.include("was renamed or replaced");
+      
+      const retyped = layout.map((variable) => (
+        variable.label === "depositRate" ? { ...variable, type: { label: "uint128", numberOfBytes: "16" } } : variable
+      ));
+      expect(compareStorageLayouts(layout, retyped))
+        .to.deep.equal(["`depositRate` (slot 11) changed type from uint256 to uint128"]);
+    });
+    
+    it("Should let structs in mappings grow but not lose members", function () {
+      const index = layout.findIndex((variable) => variable.label === "withdrawalRequests");
+      const request = layout[index].type.value;
+      const withMembers = (members) => layout.map((variable, i) => (
+        i === index ? { ...variable, type: { ...variable.type, value: { ...request, members } } } : variable
+      ));
+      
+      const extra = { label: "memo", slot: "4", offset: 0, type: { label: "uint256", numberOfBytes: "32" } };
+      expect(compareStorageLayouts(layout, withMembers([...request.members, extra]))).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, withMembers(request.members.slice(1)))[0])
+        .to.include("lost member `user`");
+    });
+    
+    it("Should ignore which base contract declares a struct or enum", function () {
+      const relabel = (from, to) => JSON.parse(JSON.stringify(layout).split(from).join(to));
+      
+      const moved = relabel("ArcadeManagerStorage.", "ArcadeManagerCore.");
+      expect(moved).to.not.deep.equal(layout);
+      expect(compareStorageLayouts(moved, layout)).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, relabel("struct ArcadeManagerStorage.Game", "struct ArcadeManagerStorage.Cabinet"))[0])
+        .to.include("changed type from mapping(uint256 => struct ArcadeManagerStorage.Game)");
+    });
+  });
+});